@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+/**
+ * LinkShades CLI
+ *
+ * Talks to a running server's REST API, for scripts and SSH sessions: list
+ * shades, move a shade or group, send raw frames, tail live events and manage
+ * names and calibration.
+ *
+ * Usage:
+ *   node cli.js list
+ *   node cli.js set bedroom 40 --wait
+ *   LINKSHADES_SERVER=http://192.168.1.10:4000 node cli.js close living-room
+ *
+ * Exit codes tell scripts what happened - see EXIT below.
+ */
+
+const http = require('http');
+const https = require('https');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+const DEFAULTS = {
+    server: process.env.LINKSHADES_SERVER || 'http://localhost:4000',
+    token: process.env.LINKSHADES_TOKEN || null,
+    timeout: 10000          // Per request; --wait adds the movement timeout on top
+};
+
+const EXIT = {
+    ok: 0,
+    error: 1,               // The server refused the request
+    usage: 2,               // Bad arguments
+    unreachable: 3,         // No server at --server
+    offline: 4,             // The shade (or some shades of a group) is offline
+    notFound: 5,            // No shade or group by that name
+    failed: 6               // --wait: the shade stalled, timed out or disconnected
+};
+
+const BOOLEAN_FLAGS = ['json', 'wait', 'help', 'inverted', 'insecure'];
+
+const USAGE = `Usage: linkshades [--server URL] [--token TOKEN] [--json] [--insecure] <command>
+
+Commands:
+  list                              Shades with status and position
+  show <shade>                      One shade in detail
+  groups                            Groups and their shades
+  set <shade|group> <0-100> [--wait]
+  open <shade|group> [--wait]       Same as set ... 100
+  close <shade|group> [--wait]      Same as set ... 0
+  stop <shade|group>
+  raw <shade> '<json>'              Send a raw frame, like the dashboard's /test
+  events [--type a,b]               Tail live events until Ctrl+C
+  rename <shade> <name>
+  calibration <shade>               Show the calibration profile
+  calibration <shade> set --min N --max N [--inverted]
+  calibration <shade> reset|start|cancel
+
+A shade is its chipID or name, a group its id or name (case-insensitive).
+The server and token can also come from LINKSHADES_SERVER and LINKSHADES_TOKEN.
+--insecure accepts the server's self-signed https certificate.`;
+
+// Errors carry the exit code to leave with
+function cliError(message, code) {
+    const err = new Error(message);
+    err.exitCode = code;
+    return err;
+}
+
+// =============================================================================
+// HTTP
+// =============================================================================
+function request(options, method, path, body) {
+    const url = new URL(path, options.server);
+    const client = url.protocol === 'https:' ? https : http;
+    const headers = { 'X-LinkShades-Source': 'cli' };
+    if (options.token) headers.Authorization = `Bearer ${options.token}`;
+    const payload = body === undefined ? null : JSON.stringify(body);
+    if (payload) headers['Content-Type'] = 'application/json';
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(url, { method, headers, timeout: options.timeout, rejectUnauthorized: !options.insecure }, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                let parsed = data;
+                try {
+                    parsed = data ? JSON.parse(data) : null;
+                } catch (e) {
+                    // Not JSON - keep the text for the error message
+                }
+                if (res.statusCode === 401 || res.statusCode === 403) {
+                    reject(cliError(`${res.statusCode}: ${(parsed && parsed.error) || 'not allowed'} - check --token`, EXIT.error));
+                } else if (res.statusCode === 404 && parsed && parsed.error) {
+                    reject(cliError(parsed.error, EXIT.notFound));
+                } else if (res.statusCode >= 400) {
+                    reject(cliError(`${res.statusCode}: ${(parsed && parsed.error) || data}`, EXIT.error));
+                } else {
+                    resolve(parsed);
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error(`no response within ${options.timeout}ms`)));
+        req.on('error', (err) => reject(cliError(`Can't reach ${options.server}: ${err.message}`, EXIT.unreachable)));
+        if (payload) req.write(payload);
+        req.end();
+    });
+}
+
+// Server-Sent Events from /api/events, one parsed event per callback
+function streamEvents(options, onEvent) {
+    const url = new URL('/api/events', options.server);
+    const client = url.protocol === 'https:' ? https : http;
+    const headers = { Accept: 'text/event-stream' };
+    if (options.token) headers.Authorization = `Bearer ${options.token}`;
+
+    return new Promise((resolve, reject) => {
+        const req = client.get(url, { headers, rejectUnauthorized: !options.insecure }, (res) => {
+            if (res.statusCode !== 200) {
+                reject(cliError(`${res.statusCode} from /api/events`, EXIT.error));
+                res.resume();
+                return;
+            }
+            let buffer = '';
+            res.setEncoding('utf8');
+            // Events end with a blank line; anything after the last one is
+            // kept until the rest of it arrives
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const data = block.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+                    if (!data) continue;
+                    let event;
+                    try {
+                        event = JSON.parse(data);
+                    } catch (e) {
+                        console.error(`Skipping malformed event: ${data.slice(0, 200)}`);
+                        continue;
+                    }
+                    onEvent(event);
+                }
+            });
+            res.on('end', () => reject(cliError('Server closed the event stream', EXIT.unreachable)));
+        });
+        req.on('error', (err) => reject(cliError(`Can't reach ${options.server}: ${err.message}`, EXIT.unreachable)));
+    });
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+function table(rows, columns) {
+    const cells = rows.map(row => columns.map(([, get]) => String(get(row) === null || get(row) === undefined ? '-' : get(row))));
+    const widths = columns.map(([title], i) => Math.max(title.length, ...cells.map(c => c[i].length)));
+    const line = values => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+    return [line(columns.map(([title]) => title)), ...cells.map(line)].join('\n');
+}
+
+function print(options, result, text) {
+    console.log(options.json ? JSON.stringify(result, null, 2) : text);
+}
+
+function shadeLabel(shade) {
+    return shade.name && shade.name !== `LinkShade ${shade.chipID}` ? `${shade.name} (${shade.chipID})` : shade.chipID;
+}
+
+function describeEvent(event) {
+    const d = event.data || {};
+    const time = new Date(event.at).toLocaleTimeString();
+    const details = Object.entries(d)
+        .filter(([key]) => key !== 'chipID')
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+    return `${time}  ${event.type.padEnd(20)} ${d.chipID ? d.chipID + '  ' : ''}${details}`;
+}
+
+// =============================================================================
+// TARGETS
+// =============================================================================
+function matchShade(shades, name) {
+    return shades.find(s => s.chipID === name) ||
+        shades.find(s => (s.name || '').toLowerCase() === name.toLowerCase());
+}
+
+async function findShade(options, name) {
+    const shade = matchShade(await request(options, 'GET', '/api/shades'), name);
+    if (!shade) throw cliError(`No shade "${name}"`, EXIT.notFound);
+    return shade;
+}
+
+// A shade wins over a group of the same name
+async function findTarget(options, name) {
+    const shade = matchShade(await request(options, 'GET', '/api/shades'), name);
+    if (shade) return { type: 'shade', id: shade.chipID, shade };
+
+    const groups = await request(options, 'GET', '/api/groups');
+    const group = groups.find(g => g.id === name) ||
+        groups.find(g => g.name.toLowerCase() === name.toLowerCase());
+    if (group) return { type: 'group', id: group.id, group };
+    throw cliError(`No shade or group "${name}"`, EXIT.notFound);
+}
+
+// Exit code for a shade or group command result
+function resultCode(result) {
+    if (['offline', 'partial'].includes(result.status)) return EXIT.offline;
+    if (['stalled', 'timeout', 'disconnected'].includes(result.status)) return EXIT.failed;
+    if (result.status === 'failed') return EXIT.error;
+    return EXIT.ok;
+}
+
+function describeResult(target, result) {
+    if (target.type === 'group') {
+        const lines = [`${target.group.name}: ${result.status}`];
+        for (const r of result.results || []) lines.push(`  ${r.chipID}  ${r.status}${r.error ? ' - ' + r.error : ''}`);
+        return lines.join('\n');
+    }
+    const extra = result.movement ? ` (${result.movement.durationMs}ms)` : '';
+    return `${shadeLabel(target.shade)}: ${result.status}${extra}`;
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+async function listShades(options) {
+    const shades = await request(options, 'GET', '/api/shades');
+    print(options, shades, shades.length === 0 ? 'No shades yet' : table(shades, [
+        ['CHIP ID', s => s.chipID],
+        ['NAME', s => s.name],
+        ['ROOM', s => s.room],
+        ['ONLINE', s => s.online ? 'yes' : 'no'],
+        ['STATE', s => s.state],
+        ['POSITION', s => Number.isFinite(s.currentPosition) ? `${s.currentPosition}%` : null],
+        ['QUEUED', s => s.queued || null],
+        ['LAST SEEN', s => s.lastSeen ? new Date(s.lastSeen).toLocaleString() : null]
+    ]));
+    return EXIT.ok;
+}
+
+async function showShade(options, name) {
+    const { chipID } = await findShade(options, name);
+    const shade = await request(options, 'GET', `/api/shades/${chipID}`);
+    const c = shade.connection || {};
+    print(options, shade, [
+        ['Chip ID', shade.chipID],
+        ['Name', shade.name],
+        ['Room', shade.room],
+        ['Online', shade.online ? `yes, from ${c.remoteAddress} since ${new Date(c.connectedAt).toLocaleString()}` : 'no'],
+        ['State', shade.state],
+        ['Position', Number.isFinite(shade.currentPosition) ? `${shade.currentPosition}% (raw ${shade.rawPosition})` : null],
+        ['Calibration', `${shade.calibration.min}-${shade.calibration.max}${shade.calibration.inverted ? ', inverted' : ''}`],
+        ['Model', shade.model ? `${shade.model}, firmware ${shade.firmware}` : null],
+        ['Queued', shade.queue.length || null],
+        ['Last error', shade.lastError ? `${shade.lastError.message} (${new Date(shade.lastError.at).toLocaleString()})` : null]
+    ].filter(([, value]) => value !== null && value !== undefined).map(([key, value]) => `${(key + ':').padEnd(13)}${value}`).join('\n'));
+    return shade.online ? EXIT.ok : EXIT.offline;
+}
+
+async function listGroups(options) {
+    const groups = await request(options, 'GET', '/api/groups');
+    print(options, groups, groups.length === 0 ? 'No groups yet' : table(groups, [
+        ['ID', g => g.id],
+        ['NAME', g => g.name],
+        ['SHADES', g => g.shades.join(', ')]
+    ]));
+    return EXIT.ok;
+}
+
+async function setPosition(options, name, value) {
+    const position = Number(value);
+    if (value === undefined || !Number.isFinite(position) || position < 0 || position > 100) {
+        throw cliError('Position must be a number from 0 to 100', EXIT.usage);
+    }
+    const target = await findTarget(options, name);
+    let result;
+    if (target.type === 'group') {
+        result = await request(options, 'POST', `/api/groups/${target.id}/position`, { position });
+    } else {
+        const body = { position };
+        if (options.wait) body.wait = true;
+        // Leave the movement its own time on top of the request timeout
+        const timeout = options.wait ? options.timeout + 120000 : options.timeout;
+        result = await request({ ...options, timeout }, 'POST', `/api/shades/${target.id}/position`, body);
+    }
+    print(options, result, describeResult(target, result));
+    return resultCode(result);
+}
+
+async function stop(options, name) {
+    const target = await findTarget(options, name);
+    const path = target.type === 'group' ? `/api/groups/${target.id}/stop` : `/api/shades/${target.id}/stop`;
+    const result = await request(options, 'POST', path);
+    print(options, result, describeResult(target, result));
+    return resultCode(result);
+}
+
+async function sendRaw(options, name, json) {
+    let frame;
+    try {
+        frame = JSON.parse(json);
+    } catch (e) {
+        throw cliError(`Invalid JSON: ${e.message}`, EXIT.usage);
+    }
+    const shade = await findShade(options, name);
+    const result = await request(options, 'POST', `/api/shades/${shade.chipID}/test`, frame);
+    print(options, result, `${shadeLabel(shade)}: ${result.status}`);
+    return resultCode(result);
+}
+
+async function tailEvents(options) {
+    const types = options.type ? options.type.split(',').map(t => t.trim()) : null;
+    if (!options.json) console.log(`Listening to ${options.server} - Ctrl+C to stop`);
+    await streamEvents(options, (event) => {
+        if (types && !types.includes(event.type)) return;
+        console.log(options.json ? JSON.stringify(event) : describeEvent(event));
+    });
+}
+
+async function rename(options, name, newName) {
+    if (!newName) throw cliError('rename needs a new name', EXIT.usage);
+    const shade = await findShade(options, name);
+    const result = await request(options, 'PATCH', `/api/shades/${shade.chipID}`, { name: newName });
+    print(options, result, `${shade.chipID} is now "${result.name}"`);
+    return EXIT.ok;
+}
+
+async function calibration(options, name, action) {
+    const shade = await findShade(options, name);
+    const path = `/api/shades/${shade.chipID}/calibration`;
+    let result;
+
+    switch (action || 'show') {
+        case 'show': {
+            result = await request(options, 'GET', path);
+            const c = result.calibration;
+            const lines = [
+                `Range:     ${c.min}-${c.max}${c.inverted ? ', inverted' : ''}${result.saved ? '' : ' (defaults)'}`,
+                `Curve:     ${c.curve.length ? c.curve.map(p => `${p.command}->${p.position}`).join(' ') : 'linear'}`
+            ];
+            if (result.run) lines.push(`Last run:  ${result.run.status}, step ${result.run.step}/${result.run.totalSteps}`);
+            print(options, result, lines.join('\n'));
+            return EXIT.ok;
+        }
+        case 'set': {
+            if (options.min === undefined || options.max === undefined) {
+                throw cliError('calibration set needs --min and --max', EXIT.usage);
+            }
+            result = await request(options, 'POST', path, {
+                min: Number(options.min),
+                max: Number(options.max),
+                inverted: options.inverted === true
+            });
+            break;
+        }
+        case 'reset':
+            result = await request(options, 'DELETE', path);
+            break;
+        case 'start':
+            result = await request(options, 'POST', `${path}/start`, {});
+            break;
+        case 'cancel':
+            result = await request(options, 'POST', `${path}/cancel`);
+            break;
+        default:
+            throw cliError(`Unknown calibration action "${action}"`, EXIT.usage);
+    }
+    print(options, result, `${shadeLabel(shade)}: calibration ${result.status}`);
+    return resultCode(result);
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+function parseArgs(argv) {
+    const args = { positional: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            args.positional.push(argv[i]);
+            continue;
+        }
+        const key = argv[i].slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase());
+        args[key] = BOOLEAN_FLAGS.includes(key) || argv[i + 1] === undefined ? true : argv[++i];
+    }
+    return args;
+}
+
+async function run(args) {
+    const options = {
+        ...args,
+        server: args.server || DEFAULTS.server,
+        token: args.token || DEFAULTS.token,
+        timeout: args.timeout ? Number(args.timeout) : DEFAULTS.timeout
+    };
+    const [command, ...rest] = args.positional;
+    const needs = (count) => {
+        if (rest.length < count) throw cliError(`${command} needs ${count} argument(s) - see --help`, EXIT.usage);
+    };
+    // Names may be given unquoted: "linkshades open bedroom left"
+    const name = rest.join(' ');
+
+    switch (command) {
+        case 'list':
+        case 'ls':
+            return listShades(options);
+        case 'show':
+            needs(1);
+            return showShade(options, name);
+        case 'groups':
+            return listGroups(options);
+        case 'set':
+            needs(2);
+            return setPosition(options, rest.slice(0, -1).join(' '), rest[rest.length - 1]);
+        case 'open':
+            needs(1);
+            return setPosition(options, name, '100');
+        case 'close':
+            needs(1);
+            return setPosition(options, name, '0');
+        case 'stop':
+            needs(1);
+            return stop(options, name);
+        case 'raw':
+            needs(2);
+            return sendRaw(options, rest[0], rest[1]);
+        case 'events':
+            return tailEvents(options);
+        case 'rename':
+            needs(2);
+            return rename(options, rest[0], rest.slice(1).join(' '));
+        case 'calibration':
+            needs(1);
+            return calibration(options, rest[0], rest[1]);
+        default:
+            throw cliError(command ? `Unknown command "${command}"\n\n${USAGE}` : USAGE, EXIT.usage);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+    try {
+        process.exitCode = await run(args);
+    } catch (err) {
+        console.error(err.exitCode ? err.message : `Error: ${err.message}`);
+        process.exitCode = err.exitCode || EXIT.error;
+    }
+}
+
+if (require.main === module) main();
+
+module.exports = { run, request, parseArgs, EXIT };
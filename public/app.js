@@ -0,0 +1,670 @@
+// LinkShades dashboard. Reads the v1 API, follows /api/events for live
+// updates and registers sw.js so it installs and opens offline.
+
+let shades = [];
+let rooms = [];
+let debugTarget = null;
+let installPrompt = null;
+const openPanels = new Set();
+const logEntries = [];          // { time, chipID, text }, newest first
+const LOG_SIZE = 200;
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => '&#' + c.charCodeAt(0) + ';');
+}
+
+function setText(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+}
+
+function shadeByID(chipID) {
+    return shades.find(s => s.chipID === String(chipID));
+}
+
+// =============================================================================
+// API
+// =============================================================================
+// Every request is tagged so history can tell the dashboard apart from API clients
+async function api(path, options = {}) {
+    const headers = { 'X-LinkShades-Source': 'dashboard' };
+    if (options.body !== undefined) headers['Content-Type'] = 'application/json';
+    const r = await fetch(path, { ...options, headers });
+    if (r.status === 401) {
+        location.href = '/login';
+        throw new Error('Not logged in');
+    }
+    if (path.startsWith('/api/shades') || path === '/api/health') setOffline(r.headers.get('X-LinkShades-Offline') === '1');
+    const text = await r.text();
+    return text ? JSON.parse(text) : {};
+}
+
+function post(path, body) {
+    return api(path, { method: 'POST', body: body === undefined ? undefined : JSON.stringify(body) });
+}
+
+function setOffline(offline) {
+    document.getElementById('offlineBanner').hidden = !offline;
+    const status = document.getElementById('serverStatus');
+    status.className = offline ? 'offline' : 'online';
+    status.textContent = offline ? '● Unreachable' : '● Online';
+}
+
+// =============================================================================
+// LOG
+// =============================================================================
+// Lines with a chipID belong to that shade; the debug panel shows its target's
+function log(text, chipID = null) {
+    logEntries.unshift({ time: new Date().toLocaleTimeString(), chipID: chipID === null ? null : String(chipID), text });
+    logEntries.length = Math.min(logEntries.length, LOG_SIZE);
+    renderLog();
+}
+
+function renderLog() {
+    const all = document.getElementById('logAll').checked;
+    const lines = logEntries
+        .filter(e => all || e.chipID === null || e.chipID === debugTarget)
+        .map(e => e.time + ': ' + (e.chipID !== null && e.chipID !== debugTarget ? '[' + e.chipID + '] ' : '') + e.text);
+    document.getElementById('log').textContent = lines.join('\n');
+}
+
+// =============================================================================
+// SHADES & ROOMS
+// =============================================================================
+async function loadShades() {
+    try {
+        const health = await api('/api/health');
+        showMqttStatus(health.mqtt);
+        document.getElementById('logout').hidden = !health.auth;
+
+        [shades, rooms] = await Promise.all([api('/api/shades'), api('/api/rooms')]);
+        if (!Array.isArray(shades)) shades = [];
+        if (!Array.isArray(rooms)) rooms = [];
+        updateDebugTargets();
+
+        // Don't wipe a form the user is typing into
+        const active = document.activeElement;
+        if (active && active.closest && active.closest('#rooms details')) return;
+        renderRooms();
+    } catch (e) {
+        log('Error: ' + e.message);
+    }
+}
+
+function renderRooms() {
+    const container = document.getElementById('rooms');
+    document.getElementById('roomNames').innerHTML = rooms.map(r => `<option value="${escapeHtml(r.name)}">`).join('');
+    if (shades.length === 0) {
+        container.innerHTML = '<div class="card"><p style="text-align:center;opacity:0.6">Waiting for shades to connect...</p></div>';
+        return;
+    }
+
+    let html = '';
+    for (const room of rooms) {
+        const members = room.shades.map(shadeByID).filter(Boolean);
+        html += renderRoom(room, members);
+    }
+    const unassigned = shades.filter(s => !s.room);
+    if (unassigned.length) html += renderRoom(null, unassigned);
+    container.innerHTML = html;
+
+    openPanels.forEach(key => {
+        if (key.startsWith('history-')) loadHistory(key.slice('history-'.length));
+    });
+}
+
+// Shades without a room get a heading but no room-wide controls
+function renderRoom(room, members) {
+    const online = members.filter(s => s.online).length;
+    const actions = room ? `
+        <div class="room-actions">
+            <button class="btn btn-close" onclick="setRoomPosition('${room.id}', 0)" ${online ? '' : 'disabled'}>⬇️ All closed</button>
+            <button class="btn btn-muted" onclick="stopRoom('${room.id}')" ${online ? '' : 'disabled'}>⏹</button>
+            <button class="btn btn-open" onclick="setRoomPosition('${room.id}', 100)" ${online ? '' : 'disabled'}>⬆️ All open</button>
+        </div>` : '';
+    return `
+        <section class="room">
+            <div class="room-header">
+                <div>
+                    <h2>${room ? '📍 ' + escapeHtml(room.name) : 'No room'}</h2>
+                    <div class="shade-info">${members.length} shade(s), ${online} online</div>
+                </div>
+                ${actions}
+            </div>
+            <div class="room-shades">${members.map(renderShade).join('')}</div>
+        </section>
+    `;
+}
+
+function renderShade(s) {
+    const cal = s.calibration;
+    const run = s.calibrationRun;
+    const runText = !run ? 'Not run yet'
+        : run.status === 'running' ? 'Running: step ' + (run.step + 1) + ' of ' + run.totalSteps
+        : 'Last run ' + run.status + (run.error ? ' - ' + run.error : '');
+    const presets = s.presets.map(p => `<button class="btn" onclick="setPosition('${s.chipID}', ${p})">${p}%</button>`).join('');
+
+    return `
+        <div class="card">
+            <div class="status-row">
+                <span class="shade-name">${s.icon && !s.icon.startsWith('mdi:') ? escapeHtml(s.icon) + ' ' : ''}${escapeHtml(s.name || 'LinkShade')}</span>
+                <span class="${s.online ? 'online' : 'offline'}">● ${s.online ? 'Online' : 'Offline'}</span>
+            </div>
+            ${s.notes ? `<div class="shade-info">${escapeHtml(s.notes)}</div>` : ''}
+            <div class="shade-info">State: <span id="state-${s.chipID}">${s.state}</span>${s.queued ? ' | Queued: ' + s.queued : ''}${s.peer ? ' | Via ' + escapeHtml(s.peer) : ''}</div>
+            ${s.lastError ? `<div class="shade-info offline">⚠️ ${escapeHtml(s.lastError.message)} (${new Date(s.lastError.at).toLocaleTimeString()})</div>` : ''}
+
+            <div class="position-display" id="pos-${s.chipID}">${s.currentPosition || 0}%</div>
+
+            <input type="range" class="slider" id="slider-${s.chipID}" min="0" max="100" value="${s.currentPosition || 0}"
+                   onchange="setPosition('${s.chipID}', this.value)">
+
+            <div class="buttons">
+                <button class="btn btn-close" onclick="setPosition('${s.chipID}', 0)">⬇️ Close</button>
+                <button class="btn btn-muted" onclick="stopShade('${s.chipID}')">⏹</button>
+                <button class="btn btn-open" onclick="setPosition('${s.chipID}', 100)">⬆️ Open</button>
+            </div>
+
+            ${presets ? `<div class="preset-buttons">${presets}</div>` : ''}
+
+            <details class="panel" ${openPanels.has('edit-' + s.chipID) ? 'open' : ''}
+                     ontoggle="togglePanel('edit-${s.chipID}', this.open)">
+                <summary>Details</summary>
+                <div class="shade-info">ID: ${s.chipID} | Model: ${s.model || '?'} | FW: ${s.firmware || '?'}</div>
+                <div class="edit-grid">
+                    <div><label>Name</label><input class="test-input" id="editName-${s.chipID}" value="${escapeHtml(s.name || '')}"></div>
+                    <div><label>Room</label><input class="test-input" id="editRoom-${s.chipID}" value="${escapeHtml(s.room || '')}" list="roomNames"></div>
+                    <div><label>Icon (emoji or mdi:...)</label><input class="test-input" id="editIcon-${s.chipID}" value="${escapeHtml(s.icon || '')}"></div>
+                    <div><label>Window faces (°)</label><input class="test-input" type="number" min="0" max="359" id="editOrientation-${s.chipID}" value="${s.orientation !== undefined ? s.orientation : ''}"></div>
+                </div>
+                <label>Presets (%, comma separated, empty for none)</label>
+                <input class="test-input" id="editPresets-${s.chipID}" value="${s.presets.join(', ')}">
+                <label>Notes</label>
+                <textarea class="test-input" id="editNotes-${s.chipID}" rows="2">${escapeHtml(s.notes || '')}</textarea>
+                <div class="cal-actions">
+                    <button class="btn" onclick="saveShade('${s.chipID}')">Save</button>
+                    <button class="btn btn-close" onclick="forgetShade('${s.chipID}')">Forget shade</button>
+                </div>
+            </details>
+
+            <details class="panel" ${openPanels.has('cal-' + s.chipID) ? 'open' : ''}
+                     ontoggle="togglePanel('cal-${s.chipID}', this.open)">
+                <summary>Calibration (${cal.min}-${cal.max}${cal.inverted ? ', inverted' : ''}${cal.curve.length ? ', ' + cal.curve.length + '-point curve' : ''})</summary>
+                ${s.peer ? `<div class="cal-status">Connected through ${escapeHtml(s.peer)} - calibrate it there</div>` : `
+                    <div class="cal-grid">
+                        <div><label>Closed</label><input type="number" id="calMin-${s.chipID}" value="${cal.min}"></div>
+                        <div><label>Open</label><input type="number" id="calMax-${s.chipID}" value="${cal.max}"></div>
+                        <div><label><input type="checkbox" id="calInv-${s.chipID}" ${cal.inverted ? 'checked' : ''}> Inverted</label></div>
+                        <button class="btn" onclick="saveCalibration('${s.chipID}')">Save</button>
+                    </div>
+                    <div class="section-title">Guided calibration</div>
+                    <div class="cal-grid">
+                        <div><label>From</label><input type="number" id="calFrom-${s.chipID}" value="${cal.min}"></div>
+                        <div><label>To</label><input type="number" id="calTo-${s.chipID}" value="${cal.max}"></div>
+                        <div><label>Step</label><input type="number" id="calStep-${s.chipID}" value="3" min="1"></div>
+                        <div><label>Settle (s)</label><input type="number" id="calSettle-${s.chipID}" value="15" min="1"></div>
+                    </div>
+                    <div class="cal-actions">
+                        <button class="btn" onclick="startCalibration('${s.chipID}')">▶️ Run</button>
+                        <button class="btn btn-close" onclick="calibrationAction('${s.chipID}', 'cancel')">⏹ Cancel</button>
+                    </div>
+                    <div class="cal-actions" style="margin-top:8px">
+                        <button class="btn btn-close" onclick="resetCalibration('${s.chipID}')">Reset to defaults</button>
+                    </div>
+                    <div class="cal-status">${runText}</div>
+                `}
+            </details>
+
+            <details class="panel" ${openPanels.has('history-' + s.chipID) ? 'open' : ''}
+                     ontoggle="togglePanel('history-${s.chipID}', this.open); if (this.open) loadHistory('${s.chipID}')">
+                <summary>History (last 24h)</summary>
+                <div id="history-${s.chipID}"><p class="shade-info">Loading...</p></div>
+                <a class="history-link" href="/api/shades/${s.chipID}/history?format=csv" download>Download full history (CSV)</a>
+            </details>
+        </div>
+    `;
+}
+
+function togglePanel(key, open) {
+    if (open) openPanels.add(key); else openPanels.delete(key);
+}
+
+async function setPosition(chipID, percent) {
+    log('>>> position: ' + percent + '%', chipID);
+    try {
+        const d = await post('/api/shades/' + chipID + '/position', { position: parseInt(percent) });
+        if (d.error || d.status === 'offline') log('Not sent: ' + (d.error || 'shade is offline'), chipID);
+    } catch (e) {
+        log('Error: ' + e.message, chipID);
+    }
+}
+
+async function stopShade(chipID) {
+    log('>>> stop', chipID);
+    try {
+        await post('/api/shades/' + chipID + '/stop');
+    } catch (e) {
+        log('Error: ' + e.message, chipID);
+    }
+}
+
+async function setRoomPosition(id, percent) {
+    log('>>> room ' + id + ': ' + percent + '%');
+    try {
+        const d = await post('/api/rooms/' + id + '/position', { position: percent });
+        log('Room ' + id + ': ' + (d.error || d.status));
+    } catch (e) {
+        log('Error: ' + e.message);
+    }
+}
+
+async function stopRoom(id) {
+    log('>>> room ' + id + ': stop');
+    try {
+        await post('/api/rooms/' + id + '/stop');
+    } catch (e) {
+        log('Error: ' + e.message);
+    }
+}
+
+// "25, 50 75" -> [25, 50, 75]; the server checks the range
+function parsePresets(text) {
+    return text.split(/[\s,]+/).filter(Boolean).map(Number);
+}
+
+async function saveShade(chipID) {
+    const field = name => document.getElementById('edit' + name + '-' + chipID).value.trim();
+    const orientation = field('Orientation');
+    try {
+        const d = await api('/api/shades/' + chipID, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                name: field('Name') || null,
+                room: field('Room') || null,
+                icon: field('Icon') || null,
+                notes: field('Notes') || null,
+                orientation: orientation === '' ? null : parseFloat(orientation),
+                presets: parsePresets(field('Presets'))
+            })
+        });
+        log(d.error ? 'Save failed: ' + d.error : 'Saved ' + d.name, chipID);
+        document.activeElement.blur();
+        loadShades();
+    } catch (e) {
+        log('Error: ' + e.message, chipID);
+    }
+}
+
+async function forgetShade(chipID) {
+    if (!confirm('Forget this shade? It is removed from groups, scenes and schedules.')) return;
+    await api('/api/shades/' + chipID, { method: 'DELETE' });
+    openPanels.delete('edit-' + chipID);
+    loadShades();
+}
+
+// =============================================================================
+// HISTORY
+// =============================================================================
+const HISTORY_LABELS = {
+    connected: () => '🟢 Connected',
+    disconnected: () => '🔴 Disconnected',
+    position: e => '↕️ ' + e.position + '% (raw ' + e.rawPosition + ')',
+    command: e => '➡️ ' + (e.frame !== undefined ? JSON.stringify(e.frame) : typeof e.command === 'object' ? JSON.stringify(e.command) : 'Command ' + e.command) + ' via ' + e.source,
+    error: e => '⚠️ ' + e.message
+};
+
+// Position trace for the day, with errors marked in red
+function historyChart(entries, from) {
+    const x = e => ((Date.parse(e.at) - from) / 86400000 * 300).toFixed(1);
+    const y = percent => (58 - percent * 0.56).toFixed(1);
+    const points = entries.filter(e => e.type === 'position').map(e => x(e) + ',' + y(e.position));
+    const errors = entries.filter(e => e.type === 'error')
+        .map(e => '<circle cx="' + x(e) + '" cy="30" r="3" fill="#f87171"></circle>');
+    return '<svg class="history-chart" viewBox="0 0 300 60" preserveAspectRatio="none">'
+        + '<polyline points="' + points.join(' ') + '" fill="none" stroke="#3b82f6" stroke-width="1.5"></polyline>'
+        + errors.join('') + '</svg>';
+}
+
+async function loadHistory(chipID) {
+    const from = Date.now() - 86400000;
+    try {
+        const d = await api('/api/shades/' + chipID + '/history?limit=2000&from=' + new Date(from).toISOString());
+        const el = document.getElementById('history-' + chipID);
+        if (!el) return;
+        if (d.error || d.entries.length === 0) {
+            el.innerHTML = '<p class="shade-info">' + escapeHtml(d.error || 'Nothing recorded yet') + '</p>';
+            return;
+        }
+        const rows = d.entries.slice(-100).reverse().map(e => '<div class="timeline-row"><span>'
+            + new Date(e.at).toLocaleTimeString() + '</span><span>' + escapeHtml(HISTORY_LABELS[e.type](e)) + '</span></div>');
+        el.innerHTML = historyChart(d.entries, from) + '<div class="timeline">' + rows.join('') + '</div>';
+    } catch (e) {
+        log('Error: ' + e.message, chipID);
+    }
+}
+
+// =============================================================================
+// CALIBRATION
+// =============================================================================
+function calValue(id) {
+    return parseInt(document.getElementById(id).value);
+}
+
+async function calibrationRequest(chipID, path, method, body) {
+    try {
+        const d = await api('/api/shades/' + chipID + '/calibration' + path, {
+            method,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        log('Calibration: ' + (d.error || d.status), chipID);
+        document.activeElement.blur();
+        loadShades();
+    } catch (e) {
+        log('Error: ' + e.message, chipID);
+    }
+}
+
+function saveCalibration(chipID) {
+    calibrationRequest(chipID, '', 'POST', {
+        min: calValue('calMin-' + chipID),
+        max: calValue('calMax-' + chipID),
+        inverted: document.getElementById('calInv-' + chipID).checked
+    });
+}
+
+function resetCalibration(chipID) {
+    calibrationRequest(chipID, '', 'DELETE');
+}
+
+function startCalibration(chipID) {
+    log('>>> guided calibration', chipID);
+    calibrationRequest(chipID, '/start', 'POST', {
+        from: calValue('calFrom-' + chipID),
+        to: calValue('calTo-' + chipID),
+        step: calValue('calStep-' + chipID),
+        settleMs: calValue('calSettle-' + chipID) * 1000,
+        inverted: document.getElementById('calInv-' + chipID).checked
+    });
+}
+
+function calibrationAction(chipID, action) {
+    calibrationRequest(chipID, '/' + action, 'POST');
+}
+
+// =============================================================================
+// SCHEDULES
+// =============================================================================
+async function loadSchedules() {
+    try {
+        const schedules = await api('/api/schedules');
+        if (!Array.isArray(schedules) || schedules.length === 0) {
+            document.getElementById('schedules').innerHTML = '<p style="opacity:0.6">No schedules yet</p>';
+            return;
+        }
+
+        let html = '';
+        for (const j of schedules) {
+            const when = j.cron ? j.cron
+                : j.at ? 'once at ' + j.at
+                : (j.sun.offsetMinutes ? j.sun.offsetMinutes + ' min from ' : 'at ') + j.sun.event;
+            const next = j.nextRun ? new Date(j.nextRun).toLocaleString() : '-';
+            html += `
+                <div class="schedule ${j.enabled ? '' : 'disabled'}">
+                    <div class="status-row" style="margin-bottom:2px">
+                        <strong>${escapeHtml(j.name)}</strong>
+                        <span>${j.position}%</span>
+                    </div>
+                    <div class="shade-info">${escapeHtml(when)} (${escapeHtml(j.timezone)}) → ${j.target.join(', ')}</div>
+                    <div class="shade-info">Next: ${next}${j.skipNext ? ' (skipped)' : ''}${j.pending.length ? ' | waiting for ' + j.pending.join(', ') : ''}</div>
+                    <div class="schedule-actions">
+                        <button class="btn" onclick="scheduleAction('${j.id}', '${j.enabled ? 'disable' : 'enable'}')">${j.enabled ? 'Disable' : 'Enable'}</button>
+                        <button class="btn" onclick="scheduleAction('${j.id}', 'skip', { skip: ${!j.skipNext} })">${j.skipNext ? 'Unskip' : 'Skip next'}</button>
+                        <button class="btn" onclick="deleteSchedule('${j.id}')">Delete</button>
+                    </div>
+                </div>
+            `;
+        }
+        document.getElementById('schedules').innerHTML = html;
+    } catch (e) {
+        log('Error: ' + e.message);
+    }
+}
+
+function toggleScheduleType() {
+    const type = document.getElementById('schedType').value;
+    document.getElementById('schedCron').style.display = type === 'cron' ? '' : 'none';
+    document.getElementById('schedAt').style.display = type === 'at' ? '' : 'none';
+    document.querySelectorAll('.sched-sun').forEach(el => el.style.display = type === 'sun' ? '' : 'none');
+}
+
+async function addSchedule() {
+    const type = document.getElementById('schedType').value;
+    const job = {
+        target: document.getElementById('schedTarget').value.split(',').map(t => t.trim()).filter(Boolean),
+        position: parseInt(document.getElementById('schedPosition').value),
+        timezone: document.getElementById('schedTz').value || undefined
+    };
+    const name = document.getElementById('schedName').value;
+    if (name) job.name = name;
+    if (type === 'sun') {
+        job.sun = {
+            event: document.getElementById('schedSunEvent').value,
+            offsetMinutes: parseInt(document.getElementById('schedSunOffset').value) || 0
+        };
+    } else {
+        job[type] = document.getElementById(type === 'at' ? 'schedAt' : 'schedCron').value;
+    }
+
+    const d = await post('/api/schedules', job);
+    log(d.error ? 'Schedule error: ' + d.error : 'Schedule added: ' + d.name);
+    loadSchedules();
+}
+
+async function scheduleAction(id, action, body) {
+    await post('/api/schedules/' + id + '/' + action, body || {});
+    loadSchedules();
+}
+
+async function deleteSchedule(id) {
+    if (!confirm('Delete this schedule?')) return;
+    await api('/api/schedules/' + id, { method: 'DELETE' });
+    loadSchedules();
+}
+
+// =============================================================================
+// DEBUG PANEL
+// =============================================================================
+// Raw frames go to one chosen shade; the frame's chipID follows the target
+function updateDebugTargets() {
+    const select = document.getElementById('debugTarget');
+    if (debugTarget && !shadeByID(debugTarget)) debugTarget = null;
+    if (!debugTarget && shades.length) setDebugTarget(shades[0].chipID);
+    select.innerHTML = shades.map(s => `<option value="${s.chipID}" ${s.chipID === debugTarget ? 'selected' : ''}>`
+        + `${escapeHtml(s.name || 'LinkShade')} (${s.chipID})${s.online ? '' : ' - offline'}</option>`).join('');
+    renderDebug();
+}
+
+function setDebugTarget(chipID) {
+    const previous = debugTarget;
+    debugTarget = String(chipID);
+    const el = document.getElementById('debugFrame');
+    let frame = null;
+    try {
+        frame = JSON.parse(el.value);
+    } catch (e) {
+        // Not JSON (or empty): start over from the template
+    }
+    if (previous === null || !frame || typeof frame !== 'object') {
+        resetFrame();
+    } else {
+        frame.chipID = Number(debugTarget);
+        el.value = JSON.stringify(frame);
+    }
+    renderDebug();
+    renderLog();
+}
+
+// A frame that holds the target where it is, a safe thing to send first
+function resetFrame() {
+    const s = shadeByID(debugTarget);
+    document.getElementById('debugFrame').value = s
+        ? JSON.stringify({ chipID: Number(s.chipID), command: s.currentCommand !== null ? s.currentCommand : s.calibration.max })
+        : '';
+}
+
+function renderDebug() {
+    const s = shadeByID(debugTarget);
+    const el = document.getElementById('debugInfo');
+    if (!s) {
+        el.innerHTML = '<p class="shade-info">No shade selected</p>';
+        return;
+    }
+    const cal = s.calibration;
+    const link = s.connection || {};
+    const rows = [
+        ['Status', s.online ? '<span class="online">online</span>' : '<span class="offline">offline</span>'],
+        ['Model / FW', escapeHtml((s.model || '?') + ' / ' + (s.firmware || '?'))],
+        ['Raw position', `<span id="debugRaw">${s.rawPosition !== undefined ? s.rawPosition : '?'}</span>`],
+        ['Hold command', s.currentCommand !== null ? s.currentCommand : '?'],
+        ['Calibration', `${cal.min}-${cal.max}${cal.inverted ? ', inverted' : ''}${cal.curve.length ? ', ' + cal.curve.length + '-point curve' : ''}`],
+        ['Address', escapeHtml((link.remoteAddress || '?') + (link.secure ? ' (wss)' : ''))],
+        ['Round trip', link.rttMs !== undefined && link.rttMs !== null ? link.rttMs + ' ms' : '-'],
+        ['Reconnects', link.reconnects || 0],
+        ['Last disconnect', link.lastDisconnect ? escapeHtml(link.lastDisconnect.reason || 'code ' + link.lastDisconnect.code) : '-'],
+        ['Queued', s.queued]
+    ];
+    el.innerHTML = '<div class="debug-grid">' + rows.map(([k, v]) => `<span>${k}</span><span>${v}</span>`).join('') + '</div>'
+        + (link.lastMessage ? '<div class="section-title">Last message' + (link.lastMessageAt ? ' (' + new Date(link.lastMessageAt).toLocaleTimeString() + ')' : '') + '</div>'
+            + '<pre>' + escapeHtml(link.lastMessage) + '</pre>' : '');
+}
+
+async function sendFrame() {
+    if (!debugTarget) return;
+    const text = document.getElementById('debugFrame').value;
+    let frame;
+    try {
+        frame = JSON.parse(text);
+    } catch (e) {
+        log('Frame is not valid JSON: ' + e.message, debugTarget);
+        return;
+    }
+    if (frame && frame.chipID !== undefined && String(frame.chipID) !== debugTarget) {
+        log('Warning: frame chipID ' + frame.chipID + ' is not the target', debugTarget);
+    }
+    log('>>> ' + text, debugTarget);
+    try {
+        const d = await post('/api/shades/' + debugTarget + '/test', frame);
+        log(d.error ? 'Rejected: ' + d.error : 'Frame ' + d.status, debugTarget);
+    } catch (e) {
+        log('Error: ' + e.message, debugTarget);
+    }
+}
+
+// =============================================================================
+// LIVE UPDATES
+// =============================================================================
+function showMqttStatus(connected) {
+    document.getElementById('mqttStatus').innerHTML = connected
+        ? '<span class="online">● Connected</span>'
+        : '<span class="offline">● Disabled</span>';
+}
+
+function handleEvent(event) {
+    const d = event.data;
+    switch (event.type) {
+        case 'shade.position': {
+            const s = shadeByID(d.chipID);
+            if (s) Object.assign(s, { currentPosition: d.position, rawPosition: d.rawPosition });
+            setText('pos-' + d.chipID, d.position + '%');
+            if (d.chipID === debugTarget) setText('debugRaw', d.rawPosition);
+            const slider = document.getElementById('slider-' + d.chipID);
+            if (slider && document.activeElement !== slider) slider.value = d.position;
+            break;
+        }
+        case 'shade.state':
+            setText('state-' + d.chipID, d.state);
+            if (d.state === 'opening' || d.state === 'closing') break;
+            if (openPanels.has('history-' + d.chipID)) loadHistory(d.chipID);
+            // The debug panel's hold command follows where the target stopped
+            if (d.chipID === debugTarget) loadShades();
+            break;
+        case 'shade.connected':
+        case 'shade.disconnected':
+        case 'shade.error':
+            log(event.type.replace('shade.', '') + (d.message || d.reason ? ' - ' + (d.message || d.reason) : ''), d.chipID);
+            loadShades();
+            break;
+        case 'command.sent':
+            log('Sent: ' + JSON.stringify(d.data) + ' (' + d.source + ')', d.chipID);
+            break;
+        case 'command.queued':
+            // Rate-limited commands go out within a second; only offline ones are worth a line
+            if (d.expiresAt) {
+                log('Queued while offline until ' + new Date(d.expiresAt).toLocaleTimeString(), d.chipID);
+                loadShades();
+            }
+            break;
+        case 'calibration.progress':
+        case 'shade.updated':
+        case 'shade.forgotten':
+            loadShades();
+            break;
+        case 'peer.connected':
+        case 'peer.disconnected':
+            log('Peer ' + d.peer + ' ' + event.type.replace('peer.', '') + (d.reason ? ' - ' + d.reason : ''));
+            loadShades();
+            break;
+        case 'mqtt.status':
+            showMqttStatus(d.connected);
+            break;
+    }
+}
+
+function connectEvents() {
+    const events = new EventSource('/api/events');
+    events.onmessage = (e) => handleEvent(JSON.parse(e.data));
+    // Resync anything missed while the stream was down
+    events.onopen = () => {
+        setOffline(false);
+        loadShades();
+    };
+    events.onerror = () => {
+        if (events.readyState !== EventSource.OPEN) setOffline(true);
+    };
+}
+
+// =============================================================================
+// APP
+// =============================================================================
+async function logout() {
+    await post('/api/logout');
+    // Don't leave the last shade list readable on a shared device
+    if ('caches' in window) {
+        for (const key of await caches.keys()) await caches.delete(key);
+    }
+    location.href = '/login';
+}
+
+function installApp() {
+    if (!installPrompt) return;
+    installPrompt.prompt();
+    installPrompt = null;
+    document.getElementById('install').hidden = true;
+}
+
+window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    installPrompt = e;
+    document.getElementById('install').hidden = false;
+});
+
+// Service workers need a secure context: https, or http on localhost
+if ('serviceWorker' in navigator && window.isSecureContext) {
+    navigator.serviceWorker.register('/sw.js').catch(e => log('Offline mode unavailable: ' + e.message));
+}
+
+document.getElementById('schedTz').value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+connectEvents();
+loadShades();
+loadSchedules();
+setInterval(loadSchedules, 10000);
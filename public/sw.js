@@ -0,0 +1,45 @@
+// LinkShades service worker: keeps the app shell and the last answers of the
+// read-only endpoints the dashboard starts from, so it opens (and shows the
+// last known state) while the server is unreachable. Everything else, and
+// every command, goes straight to the network.
+const CACHE = 'linkshades-v1';
+// Public, so they can be fetched before login; '/' is cached once it loads
+const SHELL = ['/app.js', '/style.css', '/manifest.webmanifest', '/icon.svg'];
+const CACHED_PATHS = ['/', '/index.html', ...SHELL, '/api/health', '/api/shades', '/api/rooms', '/api/schedules'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || !CACHED_PATHS.includes(url.pathname)) return;
+    event.respondWith(networkFirst(event.request));
+});
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        // A redirect means the login page answered; don't keep that as the dashboard
+        if (response.ok && !response.redirected) {
+            const copy = response.clone();
+            caches.open(CACHE).then(cache => cache.put(request, copy));
+        }
+        return response;
+    } catch (e) {
+        const cached = await caches.match(request, { ignoreVary: true });
+        if (!cached) {
+            return new Response(JSON.stringify({ error: 'Offline' }), { status: 503, headers: { 'Content-Type': 'application/json' } });
+        }
+        // Tell the page it is looking at a stored copy
+        const headers = new Headers(cached.headers);
+        headers.set('X-LinkShades-Offline', '1');
+        return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+    }
+}
@@ -19,41 +19,421 @@
  */
 
 const http = require('http');
+const https = require('https');
+const tls = require('tls');
 const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dgram = require('dgram');
+const { execFileSync } = require('child_process');
+const EventEmitter = require('events');
+
+// Dashboard files (see staticFile). Declared up here because cloud endpoints
+// in the config are checked against them while the config loads.
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
 
 // =============================================================================
-// CONFIGURATION - Edit these values for your setup
+// CONFIGURATION
 // =============================================================================
-const CONFIG = {
-    // Server settings
-    PORT: process.env.PORT || 4000,
-    
+// Every setting has a default here, can be set in a config file and can be
+// overridden by its environment variable (the key below, unless `env` says
+// otherwise). The config file is --config <file>, LINKSHADES_CONFIG, or the
+// first of linkshades.yaml / linkshades.yml / linkshades.json that exists;
+// YAML needs the optional `yaml` package. Settings marked `reload` are picked
+// up again on SIGHUP or POST /api/admin/reload; the rest need a restart.
+const CONFIG_SCHEMA = {
+    // Server
+    PORT: { path: 'server.port', type: 'integer', min: 1, max: 65535, default: 4000 },
+    BIND_ADDRESS: { path: 'server.bind', type: 'string', default: '0.0.0.0' },
+    LOG_LEVEL: { path: 'server.logLevel', type: 'enum', values: ['error', 'warn', 'info', 'debug'], default: 'info', reload: true },
+    DATA_DIR: { path: 'server.dataDir', type: 'string', default: '.' },
+    SAVE_DELAY_MS: { path: 'server.saveDelayMs', type: 'integer', min: 0, default: 1000, reload: true },  // Changes are batched this long before hitting disk
+
     // MQTT settings for Home Assistant (optional)
-    MQTT_ENABLED: process.env.MQTT_ENABLED === 'true' || false,
-    MQTT_HOST: process.env.MQTT_HOST || 'localhost',
-    MQTT_PORT: process.env.MQTT_PORT || 1883,
-    MQTT_USER: process.env.MQTT_USER || '',
-    MQTT_PASS: process.env.MQTT_PASS || '',
-    MQTT_TOPIC_PREFIX: process.env.MQTT_TOPIC_PREFIX || 'linkshades',
-    
-    // Shade calibration - adjust these for your shade
-    // These values represent the command range (not position)
-    SHADE_MIN: parseInt(process.env.SHADE_MIN) || 73,  // Command value for fully closed
-    SHADE_MAX: parseInt(process.env.SHADE_MAX) || 100, // Command value for fully open
-    
-    // Data storage
-    DATA_FILE: './shades_data.json'
+    MQTT_ENABLED: { path: 'mqtt.enabled', type: 'boolean', default: false },
+    MQTT_HOST: { path: 'mqtt.host', type: 'string', default: 'localhost' },
+    MQTT_PORT: { path: 'mqtt.port', type: 'integer', min: 1, max: 65535, default: 1883 },
+    MQTT_USER: { path: 'mqtt.user', type: 'string', default: '' },
+    MQTT_PASS: { path: 'mqtt.password', type: 'string', default: '', secret: true },
+    MQTT_TOPIC_PREFIX: { path: 'mqtt.topicPrefix', type: 'string', default: 'linkshades' },
+    MQTT_DISCOVERY_PREFIX: { path: 'mqtt.discoveryPrefix', type: 'string', default: 'homeassistant' },
+
+    // Default calibration - the command range (not position) of a shade
+    // without its own calibration profile
+    SHADE_MIN: { path: 'calibration.min', type: 'integer', min: 0, max: 1000, default: 73, reload: true },  // Fully closed
+    SHADE_MAX: { path: 'calibration.max', type: 'integer', min: 0, max: 1000, default: 100, reload: true }, // Fully open
+
+    // Scheduler - default timezone for jobs, and how long a run that found its
+    // shade offline is retried when the shade reconnects
+    TIMEZONE: { path: 'schedules.timezone', env: 'TZ', type: 'timezone', default: Intl.DateTimeFormat().resolvedOptions().timeZone },
+    SCHEDULE_GRACE_MINUTES: { path: 'schedules.graceMinutes', type: 'integer', min: 0, default: 30, reload: true },
+
+    // Location for sunrise/sunset and sun-position automations (decimal degrees)
+    LATITUDE: { path: 'location.latitude', type: 'number', min: -90, max: 90, default: null, reload: true },
+    LONGITUDE: { path: 'location.longitude', type: 'number', min: -180, max: 180, default: null, reload: true },
+
+    // Movement tracking - a command is confirmed once the reported raw position
+    // (0-1000) is within POSITION_TOLERANCE of its target
+    POSITION_TOLERANCE: { path: 'movement.positionTolerance', type: 'integer', min: 0, max: 1000, default: 20, reload: true },
+    STALL_TIMEOUT_MS: { path: 'movement.stallTimeoutMs', type: 'integer', min: 1000, default: 15000, reload: true },    // No progress for this long = stalled
+    COMMAND_TIMEOUT_MS: { path: 'movement.commandTimeoutMs', type: 'integer', min: 1000, default: 90000, reload: true }, // Give up on a command after this
+
+    // Shade connections - each shade is pinged every WS_PING_INTERVAL_MS and
+    // dropped (marked offline) if nothing comes back within WS_PING_TIMEOUT_MS
+    WS_PING_INTERVAL_MS: { path: 'connections.pingIntervalMs', type: 'integer', min: 1000, default: 30000 },
+    WS_PING_TIMEOUT_MS: { path: 'connections.pingTimeoutMs', type: 'integer', min: 1000, default: 10000 },
+    WS_MAX_MESSAGE_BYTES: { path: 'connections.maxMessageBytes', type: 'integer', min: 1024, default: 65536, reload: true },
+
+    // Command queue - frames to a shade are at least COMMAND_INTERVAL_MS apart,
+    // and commands for an offline shade are held for OFFLINE_COMMAND_TTL_SECONDS
+    // (0 = reject them as before)
+    COMMAND_INTERVAL_MS: { path: 'queue.commandIntervalMs', type: 'integer', min: 0, default: 500, reload: true },
+    OFFLINE_COMMAND_TTL_SECONDS: { path: 'queue.offlineTtlSeconds', type: 'integer', min: 0, default: 0, reload: true },
+    COMMAND_QUEUE_MAX: { path: 'queue.maxLength', type: 'integer', min: 1, default: 20, reload: true },
+
+    // Hue bridge emulation for local voice control (Echo devices look for the
+    // bridge on port 80). HUE_ADVERTISE_IP defaults to the first LAN address.
+    HUE_ENABLED: { path: 'hue.enabled', type: 'boolean', default: false },
+    HUE_PORT: { path: 'hue.port', type: 'integer', min: 1, max: 65535, default: 80 },
+    HUE_ADVERTISE_IP: { path: 'hue.advertiseIp', type: 'string', default: '' },
+
+    // Cloud emulation - answers HTTP calls meant for the original LinkShades
+    // cloud (anything outside the local API). Built-in stubs cover likely calls
+    // such as firmware checks; endpoints add canned responses for more
+    CLOUD_ENABLED: { path: 'cloud.enabled', type: 'boolean', default: true, reload: true },
+    CLOUD_STUBS: { path: 'cloud.stubs', type: 'boolean', default: true, reload: true },
+    CLOUD_ENDPOINTS: { path: 'cloud.endpoints', type: 'endpoints', default: [], reload: true },
+    CLOUD_LOG_BODY_BYTES: { path: 'cloud.logBodyBytes', type: 'integer', min: 0, default: 4096, reload: true },
+
+    // Webhooks - a failed delivery is retried up to WEBHOOK_MAX_ATTEMPTS times,
+    // waiting WEBHOOK_RETRY_BASE_MS, then twice as long each time
+    WEBHOOK_TIMEOUT_MS: { path: 'webhooks.timeoutMs', type: 'integer', min: 100, default: 5000, reload: true },
+    WEBHOOK_MAX_ATTEMPTS: { path: 'webhooks.maxAttempts', type: 'integer', min: 1, default: 5, reload: true },
+    WEBHOOK_RETRY_BASE_MS: { path: 'webhooks.retryBaseMs', type: 'integer', min: 0, default: 2000, reload: true },
+    WEBHOOK_LOG_SIZE: { path: 'webhooks.logSize', type: 'integer', min: 1, default: 50, reload: true },
+
+    // Access control (optional). With AUTH_ENABLED the API needs a token or a
+    // dashboard login; CORS_ORIGINS is an allow-list of origins
+    AUTH_ENABLED: { path: 'auth.enabled', type: 'boolean', default: false },
+    ADMIN_PASSWORD: { path: 'auth.adminPassword', type: 'string', default: '', secret: true, reload: true },
+    SESSION_TTL_HOURS: { path: 'auth.sessionTtlHours', type: 'integer', min: 1, default: 168, reload: true },
+    CORS_ORIGINS: { path: 'auth.corsOrigins', type: 'list', default: [], reload: true },
+
+    // History - every connect, disconnect, position report, command and error
+    HISTORY_RETENTION_DAYS: { path: 'history.retentionDays', type: 'integer', min: 1, default: 30, reload: true },
+    HISTORY_MAX_ENTRIES: { path: 'history.maxEntries', type: 'integer', min: 100, default: 100000, reload: true },
+
+    // Protocol capture - record every frame shades send and receive, one file
+    // per connection (can also be switched on from the API). The directory
+    // defaults to captures/ in DATA_DIR.
+    CAPTURE_ENABLED: { path: 'capture.enabled', type: 'boolean', default: false },
+    CAPTURE_DIR: { path: 'capture.dir', type: 'string', default: '' },
+
+    // TLS - an https/wss listener on TLS_PORT next to the plain one. Without
+    // TLS_CERT/TLS_KEY a self-signed certificate is generated in DATA_DIR/tls
+    // (needs openssl). Connections asking for TLS_SHADE_HOSTNAME (SNI) get
+    // TLS_SHADE_CERT/TLS_SHADE_KEY instead, if set.
+    TLS_ENABLED: { path: 'tls.enabled', type: 'boolean', default: false },
+    TLS_PORT: { path: 'tls.port', type: 'integer', min: 1, max: 65535, default: 4443 },
+    TLS_CERT: { path: 'tls.cert', type: 'string', default: '' },
+    TLS_KEY: { path: 'tls.key', type: 'string', default: '' },
+    TLS_SHADE_HOSTNAME: { path: 'tls.shadeHostname', type: 'string', default: 'shade.linkshades.com' },
+    TLS_SHADE_CERT: { path: 'tls.shadeCert', type: 'string', default: '' },
+    TLS_SHADE_KEY: { path: 'tls.shadeKey', type: 'string', default: '' },
+
+    // Federation (hub mode) - other LinkShades servers whose shades this one
+    // shows and controls as its own, e.g. one server per building. A peer is
+    // { name, url, token?, insecure? }; a lost link is retried every
+    // FEDERATION_RETRY_MS
+    FEDERATION_PEERS: { path: 'federation.peers', type: 'peers', default: [], reload: true },
+    FEDERATION_RETRY_MS: { path: 'federation.retryMs', type: 'integer', min: 1000, default: 10000, reload: true }
 };
 
+// Where a setting came from, for error messages
+function settingSource(key, spec, fromEnv) {
+    return fromEnv ? `${spec.path} (${spec.env || key}=${process.env[spec.env || key]})` : spec.path;
+}
+
+// Turn a raw value (a string from the environment, anything from the file)
+// into the setting's type, or throw with what was expected
+function parseSetting(spec, raw) {
+    const fromString = typeof raw === 'string';
+    switch (spec.type) {
+        case 'boolean': {
+            if (typeof raw === 'boolean') return raw;
+            const text = String(raw).toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(text)) return true;
+            if (['false', '0', 'no', 'off'].includes(text)) return false;
+            throw new Error('must be true or false');
+        }
+        case 'integer':
+        case 'number': {
+            const n = fromString && raw.trim() !== '' ? Number(raw) : raw;
+            const range = spec.max !== undefined ? `between ${spec.min} and ${spec.max}` : `of at least ${spec.min}`;
+            const kind = spec.type === 'integer' ? 'an integer' : 'a number';
+            if (typeof n !== 'number' || !Number.isFinite(n) || (spec.type === 'integer' && !Number.isInteger(n))) {
+                throw new Error(spec.min !== undefined ? `must be ${kind} ${range}` : `must be ${kind}`);
+            }
+            if ((spec.min !== undefined && n < spec.min) || (spec.max !== undefined && n > spec.max)) {
+                throw new Error(`must be ${kind} ${range}`);
+            }
+            return n;
+        }
+        case 'enum':
+            if (!spec.values.includes(raw)) throw new Error(`must be one of ${spec.values.join(', ')}`);
+            return raw;
+        case 'list':
+            if (fromString) return raw.split(',').map(item => item.trim()).filter(Boolean);
+            if (!Array.isArray(raw) || !raw.every(item => typeof item === 'string')) throw new Error('must be a list of strings');
+            return raw;
+        case 'endpoints': {
+            let list = raw;
+            if (fromString) {
+                try {
+                    list = JSON.parse(raw);
+                } catch (e) {
+                    throw new Error('must be a JSON list of endpoints');
+                }
+            }
+            if (!Array.isArray(list)) throw new Error('must be a list of endpoints');
+            return list.map((endpoint, i) => {
+                try {
+                    return normalizeCloudEndpoint(endpoint);
+                } catch (e) {
+                    throw new Error(`endpoint ${i + 1}: ${e.message}`);
+                }
+            });
+        }
+        case 'peers': {
+            let list = raw;
+            if (fromString) {
+                try {
+                    list = JSON.parse(raw);
+                } catch (e) {
+                    throw new Error('must be a JSON list of peers');
+                }
+            }
+            if (!Array.isArray(list)) throw new Error('must be a list of peers');
+            const peers = list.map((peer, i) => {
+                try {
+                    return normalizePeer(peer);
+                } catch (e) {
+                    throw new Error(`peer ${i + 1}: ${e.message}`);
+                }
+            });
+            const names = peers.map(peer => peer.name);
+            const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+            if (duplicate) throw new Error(`peer name ${duplicate} is used twice`);
+            return peers;
+        }
+        case 'timezone':
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: raw });
+                return raw;
+            } catch (e) {
+                throw new Error('must be an IANA timezone such as Europe/Berlin');
+            }
+        default:
+            if (typeof raw !== 'string') throw new Error('must be a string');
+            return raw;
+    }
+}
+
+function findConfigFile() {
+    const index = process.argv.indexOf('--config');
+    if (index !== -1 && process.argv[index + 1]) return process.argv[index + 1];
+    if (process.env.LINKSHADES_CONFIG) return process.env.LINKSHADES_CONFIG;
+    return ['linkshades.yaml', 'linkshades.yml', 'linkshades.json'].find(file => fs.existsSync(file)) || null;
+}
+
+function readConfigFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (!/\.ya?ml$/i.test(file)) return JSON.parse(text);
+
+    let yaml;
+    try {
+        yaml = require('yaml');
+    } catch (e) {
+        throw new Error('YAML config files need the yaml package (npm install yaml) - or use linkshades.json');
+    }
+    return yaml.parse(text) || {};
+}
+
+// Build the configuration from defaults, the config file and the environment.
+// Returns { config, file, errors } - errors lists every problem, not just the first
+function buildConfig() {
+    const file = findConfigFile();
+    const errors = [];
+    let data = {};
+    if (file) {
+        try {
+            data = readConfigFile(file);
+            if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('must contain an object');
+        } catch (e) {
+            return { config: null, file, errors: [`${file}: ${e.message}`] };
+        }
+    }
+
+    // Anything in the file that isn't a setting is most likely a typo
+    const paths = Object.values(CONFIG_SCHEMA).map(spec => spec.path);
+    for (const [section, values] of Object.entries(data)) {
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            errors.push(`${section}: must be a section of settings`);
+            continue;
+        }
+        for (const name of Object.keys(values)) {
+            if (!paths.includes(`${section}.${name}`)) errors.push(`${section}.${name}: unknown setting`);
+        }
+    }
+
+    const config = {};
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        const [section, name] = spec.path.split('.');
+        const envValue = process.env[spec.env || key];
+        const fromEnv = envValue !== undefined && envValue !== '';
+        const fileValue = data[section] && typeof data[section] === 'object' ? data[section][name] : undefined;
+        const raw = fromEnv ? envValue : fileValue;
+
+        if (raw === undefined || raw === null) {
+            config[key] = spec.default;
+            continue;
+        }
+        try {
+            config[key] = parseSetting(spec, raw);
+        } catch (e) {
+            errors.push(`${settingSource(key, spec, fromEnv)}: ${e.message}`);
+        }
+    }
+
+    if (errors.length === 0 && config.SHADE_MIN === config.SHADE_MAX) {
+        errors.push('calibration.min and calibration.max must differ');
+    }
+    if (errors.length === 0 && config.HUE_ENABLED && config.HUE_PORT === config.PORT) {
+        errors.push(`hue.port must differ from server.port (${config.PORT})`);
+    }
+    if (errors.length === 0 && config.TLS_ENABLED) {
+        if (config.TLS_PORT === config.PORT) errors.push(`tls.port must differ from server.port (${config.PORT})`);
+        if (config.HUE_ENABLED && config.TLS_PORT === config.HUE_PORT) errors.push(`tls.port must differ from hue.port (${config.HUE_PORT})`);
+        if (!config.TLS_CERT !== !config.TLS_KEY) errors.push('tls.cert and tls.key must be set together');
+        if (!config.TLS_SHADE_CERT !== !config.TLS_SHADE_KEY) errors.push('tls.shadeCert and tls.shadeKey must be set together');
+    }
+
+    // Files live in DATA_DIR
+    config.DATA_FILE = path.join(config.DATA_DIR, 'shades_data.json');
+    config.HISTORY_FILE = path.join(config.DATA_DIR, 'shades_history.jsonl');
+    if (!config.CAPTURE_DIR) config.CAPTURE_DIR = path.join(config.DATA_DIR, 'captures');
+    return { config, file, errors };
+}
+
+function loadConfig() {
+    const { config, file, errors } = buildConfig();
+    if (errors.length) {
+        console.error(`[CONFIG] Invalid configuration${file ? ` (${file})` : ''}:`);
+        for (const error of errors) console.error(`  - ${error}`);
+        process.exit(1);
+    }
+    console.log(`[CONFIG] ${file ? `Loaded ${file}` : 'No config file - using defaults and environment variables'}`);
+    configFile = file;
+    return config;
+}
+
+let configFile = null;
+const CONFIG = loadConfig();
+
+// LOG_LEVEL filters the server's own messages: error, warn, info (the
+// default) or debug, which adds every frame exchanged with the shades.
+// Credentials and the startup banner go straight to the console so they
+// print at any level
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_METHODS = { error: 'error', warn: 'warn', info: 'log', debug: 'log' };
+
+function log(level, ...args) {
+    if (LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(CONFIG.LOG_LEVEL)) return;
+    console[LOG_METHODS[level]](...args);
+}
+
+// Re-read the config file and environment, applying the settings that are
+// safe to change while running. Nothing changes if the new configuration is invalid
+function reloadConfig() {
+    const { config, file, errors } = buildConfig();
+    if (errors.length) {
+        log('error', `[CONFIG] Reload failed, keeping the current configuration:`);
+        for (const error of errors) log('error', `  - ${error}`);
+        return { status: 'invalid', file, errors };
+    }
+
+    const changed = [];
+    const restartRequired = [];
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        if (JSON.stringify(config[key]) === JSON.stringify(CONFIG[key])) continue;
+        if (spec.reload) {
+            CONFIG[key] = config[key];
+            changed.push(key);
+        } else {
+            restartRequired.push(key);
+        }
+    }
+    configFile = file;
+
+    if (changed.includes('LATITUDE') || changed.includes('LONGITUDE')) refreshSunSchedules();
+    if (changed.includes('FEDERATION_PEERS')) startFederation();
+    log('info', `[CONFIG] Reloaded${file ? ` ${file}` : ''}: ${changed.join(', ') || 'no changes'}${restartRequired.length ? ` (restart needed for ${restartRequired.join(', ')})` : ''}`);
+    return { status: 'reloaded', file, changed, restartRequired };
+}
+
+// The effective configuration with secrets masked
+function configSummary() {
+    const settings = {};
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        if (spec.type === 'peers') settings[key] = CONFIG[key].map(peer => ({ ...peer, token: peer.token ? '********' : '' }));
+        else settings[key] = spec.secret && CONFIG[key] ? '********' : CONFIG[key];
+    }
+    return { file: configFile, settings };
+}
+
 // =============================================================================
 // MQTT CLIENT (optional - for Home Assistant)
 // =============================================================================
+// Topics under MQTT_TOPIC_PREFIX:
+//   bridge/status                 online/offline for the whole server (LWT)
+//   {chipID}/command              OPEN, CLOSE or STOP
+//   {chipID}/set                  position 0-100 (OPEN/CLOSE/STOP work here too)
+//   {chipID}/position, /state     current position and open/opening/closed/closing
+//   {chipID}/available, /error    per-shade availability and failed moves
+//   group/{id}/...                the same for groups
+//   scene/{id}/activate           activate a scene
+// Home Assistant announcing itself on {MQTT_DISCOVERY_PREFIX}/status
+// gets everything republished.
 let mqttClient = null;
 
+// Every publish goes through here so failures show up in /metrics and
+// /api/diagnostics
+function mqttPublish(topic, payload, options) {
+    mqttClient.publish(topic, payload, options || {}, (err) => {
+        if (!err) return;
+        metrics.mqttPublishFailures++;
+        recordError('mqtt', `Publish to ${topic} failed: ${err.message}`);
+    });
+}
+
+function bridgeTopic() {
+    return `${CONFIG.MQTT_TOPIC_PREFIX}/bridge/status`;
+}
+
 async function setupMQTT() {
     if (!CONFIG.MQTT_ENABLED) {
-        console.log('[MQTT] Disabled - set MQTT_ENABLED=true to enable');
+        log('info', '[MQTT] Disabled - set MQTT_ENABLED=true to enable');
         return;
     }
     
@@ -64,169 +444,1060 @@ async function setupMQTT() {
             host: CONFIG.MQTT_HOST,
             port: CONFIG.MQTT_PORT,
             username: CONFIG.MQTT_USER || undefined,
-            password: CONFIG.MQTT_PASS || undefined
+            password: CONFIG.MQTT_PASS || undefined,
+            // The broker marks every shade unavailable if the server dies
+            will: { topic: bridgeTopic(), payload: 'offline', qos: 1, retain: true }
         };
         
         mqttClient = mqtt.connect(options);
         
         mqttClient.on('connect', () => {
-            console.log(`[MQTT] Connected to ${CONFIG.MQTT_HOST}:${CONFIG.MQTT_PORT}`);
-            
-            // Subscribe to command topics
-            mqttClient.subscribe(`${CONFIG.MQTT_TOPIC_PREFIX}/+/set`, (err) => {
-                if (!err) console.log('[MQTT] Subscribed to command topics');
-            });
+            log('info', `[MQTT] Connected to ${CONFIG.MQTT_HOST}:${CONFIG.MQTT_PORT}`);
+            emitEvent('mqtt.status', { connected: true });
+            subscribeCommandTopics();
+            publishEverything();
         });
         
         mqttClient.on('message', (topic, message) => {
-            // Handle commands from Home Assistant
-            // Topic format: linkshades/{chipID}/set
-            const match = topic.match(/linkshades\/(\d+)\/set/);
-            if (match) {
-                const chipID = match[1];
-                const position = parseInt(message.toString());
-                console.log(`[MQTT] Command received: shade ${chipID} -> ${position}%`);
-                
-                // Convert 0-100% to command value
-                const command = percentToCommand(position);
-                const ws = connectedShades.get(chipID);
-                if (ws) {
-                    sendToShade(ws, { chipID: parseInt(chipID), command: command });
+            const payload = message.toString().trim();
+            
+            // Home Assistant restarted: it has forgotten everything that wasn't retained
+            if (topic === `${CONFIG.MQTT_DISCOVERY_PREFIX}/status`) {
+                if (payload === 'online') {
+                    log('info', '[MQTT] Home Assistant came online, republishing');
+                    subscribeCommandTopics();
+                    publishEverything();
                 }
+                return;
+            }
+            if (!topic.startsWith(`${CONFIG.MQTT_TOPIC_PREFIX}/`)) return;
+            
+            // {prefix}/{chipID}/{action} or {prefix}/group|scene/{id}/{action}
+            const parts = topic.slice(CONFIG.MQTT_TOPIC_PREFIX.length + 1).split('/');
+            const [kind, id, action] = parts.length === 3 ? parts : ['shade', ...parts];
+            
+            if (kind === 'scene' && action === 'activate') {
+                log('info', `[MQTT] Command received: scene ${id}`);
+                if (shadesDB.scenes[id]) activateScene(shadesDB.scenes[id], 'mqtt');
+                return;
+            }
+            if (action !== 'set' && action !== 'command') return;
+            
+            const command = parseCoverPayload(payload);
+            if (!command) {
+                log('info', `[MQTT] Ignoring "${payload}" on ${topic}`);
+                return;
+            }
+            const described = command.stop ? 'stop' : `${command.position}%`;
+            
+            if (kind === 'group' && shadesDB.groups[id]) {
+                log('info', `[MQTT] Command received: group ${id} -> ${described}`);
+                if (command.stop) stopGroup(shadesDB.groups[id], 'mqtt');
+                else setGroupPosition(shadesDB.groups[id], command.position, 'mqtt');
+            } else if (kind === 'shade' && /^\d+$/.test(id)) {
+                log('info', `[MQTT] Command received: shade ${id} -> ${described}`);
+                if (command.stop) stopShade(id, 'mqtt');
+                else setShadePosition(id, command.position, 'mqtt');
             }
         });
         
         mqttClient.on('error', (err) => {
-            console.log(`[MQTT] Error: ${err.message}`);
+            log('error', `[MQTT] Error: ${err.message}`);
+            recordError('mqtt', err.message);
         });
         
+        mqttClient.on('close', () => emitEvent('mqtt.status', { connected: false }));
+        
     } catch (err) {
-        console.log('[MQTT] mqtt package not installed. Run: npm install mqtt');
+        log('info', '[MQTT] mqtt package not installed. Run: npm install mqtt');
+    }
+}
+
+function subscribeCommandTopics() {
+    const prefix = CONFIG.MQTT_TOPIC_PREFIX;
+    mqttClient.subscribe([
+        `${prefix}/+/set`,
+        `${prefix}/+/command`,
+        `${prefix}/group/+/set`,
+        `${prefix}/group/+/command`,
+        `${prefix}/scene/+/activate`,
+        `${CONFIG.MQTT_DISCOVERY_PREFIX}/status`
+    ], (err) => {
+        if (!err) log('info', '[MQTT] Subscribed to command topics');
+    });
+}
+
+// Home Assistant sends OPEN/CLOSE/STOP on command_topic and 0-100 on
+// set_position_topic; either is accepted on both
+function parseCoverPayload(payload) {
+    const action = payload.toUpperCase();
+    if (action === 'OPEN') return { position: 100 };
+    if (action === 'CLOSE') return { position: 0 };
+    if (action === 'STOP') return { stop: true };
+    const position = Number(payload);
+    return payload !== '' && Number.isFinite(position) && position >= 0 && position <= 100 ? { position } : null;
+}
+
+function publishEverything() {
+    if (!mqttClient || !mqttClient.connected) return;
+    
+    mqttPublish(bridgeTopic(), 'online', { qos: 1, retain: true });
+    for (const [chipID, shade] of Object.entries(shadesDB.shades)) {
+        publishShadeDiscovery(chipID, shade);
+        publishShadeState(chipID, shade.rawPosition, connectedShades.has(chipID));
     }
+    publishGroupsAndScenes();
+}
+
+// Announce the server going away on a clean shutdown (the will only covers crashes)
+function stopMQTT() {
+    return new Promise(resolve => {
+        if (!mqttClient || !mqttClient.connected) return resolve();
+        setTimeout(resolve, 2000);
+        mqttClient.publish(bridgeTopic(), 'offline', { qos: 1, retain: true }, () => mqttClient.end(false, {}, resolve));
+    });
+}
+
+// Shared by shades and groups: commands, state and availability
+function coverConfig(base, availabilityTopic) {
+    return {
+        command_topic: `${base}/command`,
+        position_topic: `${base}/position`,
+        set_position_topic: `${base}/set`,
+        state_topic: `${base}/state`,
+        payload_open: 'OPEN',
+        payload_close: 'CLOSE',
+        payload_stop: 'STOP',
+        state_open: 'open',
+        state_opening: 'opening',
+        state_closed: 'closed',
+        state_closing: 'closing',
+        position_open: 100,
+        position_closed: 0,
+        availability: [{ topic: bridgeTopic() }, { topic: availabilityTopic }],
+        availability_mode: 'all',
+        payload_available: 'online',
+        payload_not_available: 'offline'
+    };
+}
+
+// Moving shades report opening/closing; at rest anything above 0% is open
+function coverState(chipID) {
+    const state = shadeState(chipID);
+    if (state === 'opening' || state === 'closing') return state;
+    return (shadesDB.shades[chipID] || {}).currentPosition > 0 ? 'open' : 'closed';
 }
 
 function publishShadeDiscovery(chipID, shade) {
     if (!mqttClient || !mqttClient.connected) return;
     
     // Home Assistant MQTT Discovery
-    const discoveryTopic = `homeassistant/cover/linkshade_${chipID}/config`;
+    const base = `${CONFIG.MQTT_TOPIC_PREFIX}/${chipID}`;
+    const discoveryTopic = `${CONFIG.MQTT_DISCOVERY_PREFIX}/cover/linkshade_${chipID}/config`;
     const config = {
         name: shade.name || `LinkShade ${chipID}`,
         unique_id: `linkshade_${chipID}`,
         device_class: 'shade',
-        command_topic: `${CONFIG.MQTT_TOPIC_PREFIX}/${chipID}/set`,
-        position_topic: `${CONFIG.MQTT_TOPIC_PREFIX}/${chipID}/position`,
-        set_position_topic: `${CONFIG.MQTT_TOPIC_PREFIX}/${chipID}/set`,
-        availability_topic: `${CONFIG.MQTT_TOPIC_PREFIX}/${chipID}/available`,
-        position_open: 100,
-        position_closed: 0,
-        payload_available: 'online',
-        payload_not_available: 'offline',
+        icon: shade.icon && shade.icon.startsWith('mdi:') ? shade.icon : undefined,
+        ...coverConfig(base, `${base}/available`),
         device: {
             identifiers: [`linkshade_${chipID}`],
             name: shade.name || `LinkShade ${chipID}`,
             model: shade.model || 'LinkShade',
             sw_version: shade.firmware ? `v${shade.firmware}` : 'unknown',
-            manufacturer: 'LinkShades (Local)'
+            manufacturer: 'LinkShades (Local)',
+            suggested_area: shade.room || undefined
         }
     };
     
-    mqttClient.publish(discoveryTopic, JSON.stringify(config), { retain: true });
-    console.log(`[MQTT] Published discovery for shade ${chipID}`);
+    mqttPublish(discoveryTopic, JSON.stringify(config), { retain: true });
+    log('info', `[MQTT] Published discovery for shade ${chipID}`);
 }
 
 function publishShadeState(chipID, position, online) {
     if (!mqttClient || !mqttClient.connected) return;
     
-    // Convert raw position (0-1000) to percentage (0-100)
-    const percent = Math.round(position / 10);
-    
-    // Publish position
-    mqttClient.publish(
-        `${CONFIG.MQTT_TOPIC_PREFIX}/${chipID}/position`,
-        String(percent),
-        { retain: true }
-    );
+    // An offline shade keeps its last known position
+    if (online && Number.isFinite(position)) {
+        // Convert raw position (0-1000) to percentage (0-100)
+        const percent = positionToPercent(position, getCalibration(chipID));
+        
+        // Publish position
+        mqttPublish(
+            `${CONFIG.MQTT_TOPIC_PREFIX}/${chipID}/position`,
+            String(percent),
+            { retain: true }
+        );
+        mqttPublish(`${CONFIG.MQTT_TOPIC_PREFIX}/${chipID}/state`, coverState(chipID), { retain: true });
+    }
     
     // Publish availability
-    mqttClient.publish(
+    mqttPublish(
         `${CONFIG.MQTT_TOPIC_PREFIX}/${chipID}/available`,
         online ? 'online' : 'offline',
         { retain: true }
     );
+    
+    publishMemberGroups(chipID);
+}
+
+// Movement state for the cover's state_topic. Home Assistant has no "stalled",
+// so a stalled shade shows as open/closed and the failure goes to the error topic.
+function publishMovementState(chipID) {
+    if (!mqttClient || !mqttClient.connected) return;
+    
+    mqttPublish(`${CONFIG.MQTT_TOPIC_PREFIX}/${chipID}/state`, coverState(chipID), { retain: true });
+    publishMemberGroups(chipID);
+}
+
+function publishShadeError(chipID, error) {
+    if (!mqttClient || !mqttClient.connected) return;
+    mqttPublish(`${CONFIG.MQTT_TOPIC_PREFIX}/${chipID}/error`, JSON.stringify(error));
+}
+
+// Groups follow their members
+function publishMemberGroups(chipID) {
+    for (const group of Object.values(shadesDB.groups)) {
+        if (group.shades.includes(chipID)) publishGroupState(group);
+    }
+}
+
+// Groups are exposed as covers of their own
+function publishGroupDiscovery(group) {
+    if (!mqttClient || !mqttClient.connected) return;
+    
+    const base = `${CONFIG.MQTT_TOPIC_PREFIX}/group/${group.id}`;
+    const config = {
+        name: group.name,
+        unique_id: `linkshades_group_${group.id}`,
+        device_class: 'shade',
+        ...coverConfig(base, `${base}/available`),
+        device: {
+            identifiers: [`linkshades_group_${group.id}`],
+            name: group.name,
+            model: 'LinkShades Group',
+            manufacturer: 'LinkShades (Local)'
+        }
+    };
+    
+    mqttPublish(`${CONFIG.MQTT_DISCOVERY_PREFIX}/cover/linkshades_group_${group.id}/config`, JSON.stringify(config), { retain: true });
+    log('info', `[MQTT] Published discovery for group ${group.id}`);
+}
+
+// Group position is the average of its members that have reported one; the
+// group is moving while any member is
+function publishGroupState(group) {
+    if (!mqttClient || !mqttClient.connected) return;
+    
+    const base = `${CONFIG.MQTT_TOPIC_PREFIX}/group/${group.id}`;
+    const positions = group.shades
+        .map(chipID => (shadesDB.shades[chipID] || {}).currentPosition)
+        .filter(Number.isFinite);
+    let average = null;
+    if (positions.length) {
+        average = Math.round(positions.reduce((a, b) => a + b, 0) / positions.length);
+        mqttPublish(`${base}/position`, String(average), { retain: true });
+    }
+    
+    const states = group.shades.map(shadeState);
+    const state = states.includes('opening') ? 'opening'
+        : states.includes('closing') ? 'closing'
+        : average > 0 ? 'open' : 'closed';
+    mqttPublish(`${base}/state`, state, { retain: true });
+    
+    const online = group.shades.some(chipID => connectedShades.has(chipID));
+    mqttPublish(`${base}/available`, online ? 'online' : 'offline', { retain: true });
+}
+
+function publishSceneDiscovery(scene) {
+    if (!mqttClient || !mqttClient.connected) return;
+    
+    const config = {
+        name: scene.name,
+        unique_id: `linkshades_scene_${scene.id}`,
+        command_topic: `${CONFIG.MQTT_TOPIC_PREFIX}/scene/${scene.id}/activate`,
+        payload_on: 'ON',
+        availability_topic: bridgeTopic(),
+        device: {
+            identifiers: ['linkshades_scenes'],
+            name: 'LinkShades Scenes',
+            manufacturer: 'LinkShades (Local)'
+        }
+    };
+    
+    mqttPublish(`${CONFIG.MQTT_DISCOVERY_PREFIX}/scene/linkshades_scene_${scene.id}/config`, JSON.stringify(config), { retain: true });
+    log('info', `[MQTT] Published discovery for scene ${scene.id}`);
+}
+
+// Clear everything retained for a forgotten shade so Home Assistant drops it
+function removeShadeTopics(chipID) {
+    if (!mqttClient || !mqttClient.connected) return;
+    
+    removeDiscovery('cover', `linkshade_${chipID}`);
+    for (const topic of ['position', 'available', 'state']) {
+        mqttPublish(`${CONFIG.MQTT_TOPIC_PREFIX}/${chipID}/${topic}`, '', { retain: true });
+    }
+    log('info', `[MQTT] Removed topics for shade ${chipID}`);
+}
+
+// An empty retained config removes the entity from Home Assistant
+function removeDiscovery(component, objectId) {
+    if (!mqttClient || !mqttClient.connected) return;
+    mqttPublish(`${CONFIG.MQTT_DISCOVERY_PREFIX}/${component}/${objectId}/config`, '', { retain: true });
+}
+
+function publishGroupsAndScenes() {
+    for (const group of Object.values(shadesDB.groups)) {
+        publishGroupDiscovery(group);
+        publishGroupState(group);
+    }
+    for (const scene of Object.values(shadesDB.scenes)) {
+        publishSceneDiscovery(scene);
+    }
 }
 
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
 
-// Convert user percentage (0-100) to shade command (SHADE_MIN-SHADE_MAX)
-function percentToCommand(percent) {
-    const range = CONFIG.SHADE_MAX - CONFIG.SHADE_MIN;
-    return Math.round(CONFIG.SHADE_MIN + (percent * range / 100));
+// Command values a calibration range (and so any raw command) can use - the
+// same bounds as calibration.min/max in the config
+const COMMAND_MIN = CONFIG_SCHEMA.SHADE_MIN.min;
+const COMMAND_MAX = CONFIG_SCHEMA.SHADE_MAX.max;
+
+// Calibration profile for a shade. Shades without a saved profile fall back to
+// the global SHADE_MIN/SHADE_MAX range.
+//   min/max  - command values for fully closed / fully open
+//   inverted - higher commands close the shade instead of opening it
+//   curve    - optional [{ command, position }] samples mapping command values
+//              to the raw position (0-1000) the shade reports back
+function getCalibration(chipID) {
+    const shade = chipID != null ? shadesDB.shades[chipID] : null;
+    const cal = (shade && shade.calibration) || {};
+    return {
+        min: Number.isFinite(cal.min) ? cal.min : CONFIG.SHADE_MIN,
+        max: Number.isFinite(cal.max) ? cal.max : CONFIG.SHADE_MAX,
+        inverted: cal.inverted === true,
+        curve: Array.isArray(cal.curve) ? cal.curve : []
+    };
+}
+
+// Validate a calibration profile from the API, returning a clean copy
+function normalizeCalibration(input) {
+    const min = Number(input.min);
+    const max = Number(input.max);
+    if (!Number.isInteger(min) || !Number.isInteger(max)) {
+        throw new Error('min and max must be integer command values');
+    }
+    if (min < COMMAND_MIN || max > COMMAND_MAX) {
+        throw new Error(`min and max must be between ${COMMAND_MIN} and ${COMMAND_MAX}`);
+    }
+    if (min >= max) throw new Error('min must be lower than max');
+
+    const curve = (input.curve || []).map(p => ({
+        command: Number(p.command),
+        position: Number(p.position)
+    }));
+    for (const p of curve) {
+        if (!Number.isFinite(p.command) || !Number.isFinite(p.position)) {
+            throw new Error('curve points need numeric command and position');
+        }
+        if (p.position < 0 || p.position > 1000) {
+            throw new Error('curve positions must be between 0 and 1000');
+        }
+    }
+    curve.sort((a, b) => a.command - b.command);
+
+    // The curve has to be invertible, so positions must move in one direction
+    const rising = curve.every((p, i) => i === 0 || p.position >= curve[i - 1].position);
+    const falling = curve.every((p, i) => i === 0 || p.position <= curve[i - 1].position);
+    if (!rising && !falling) throw new Error('curve positions must be monotonic');
+
+    return { min, max, inverted: input.inverted === true, curve };
+}
+
+// Piecewise-linear lookup through curve points, clamped at both ends
+function interpolate(points, value, fromKey, toKey) {
+    const sorted = [...points].sort((a, b) => a[fromKey] - b[fromKey]);
+    if (value <= sorted[0][fromKey]) return sorted[0][toKey];
+    for (let i = 1; i < sorted.length; i++) {
+        const a = sorted[i - 1];
+        const b = sorted[i];
+        if (value <= b[fromKey]) {
+            if (b[fromKey] === a[fromKey]) return b[toKey];
+            return a[toKey] + (value - a[fromKey]) * (b[toKey] - a[toKey]) / (b[fromKey] - a[fromKey]);
+        }
+    }
+    return sorted[sorted.length - 1][toKey];
+}
+
+function clampPercent(percent) {
+    return Math.min(100, Math.max(0, percent));
+}
+
+// Without a curve a shade is taken to travel linearly: command c ends up at
+// raw position c * 10. Every conversion goes through this pair, so percentages
+// always span the profile's min..max.
+function commandToRaw(command, cal) {
+    return cal.curve.length >= 2 ? interpolate(cal.curve, command, 'command', 'position') : command * 10;
+}
+
+// The command that holds a shade at a reported raw position (0-1000)
+function rawToCommand(raw, cal) {
+    const exact = cal.curve.length >= 2
+        ? interpolate(cal.curve, raw, 'position', 'command')
+        : raw / 10;
+    return Math.round(Math.min(Math.max(exact, Math.min(cal.min, cal.max)), Math.max(cal.min, cal.max)));
+}
+
+// Where a raw position sits between the min and max commands' positions (0-1)
+function rawToFraction(raw, cal) {
+    const atMin = commandToRaw(cal.min, cal);
+    const atMax = commandToRaw(cal.max, cal);
+    if (atMax === atMin) return 0;
+    return Math.min(1, Math.max(0, (raw - atMin) / (atMax - atMin)));
+}
+
+// Convert user percentage (0-100) to shade command using a calibration profile
+function percentToCommand(percent, cal = getCalibration()) {
+    let p = clampPercent(percent);
+    if (cal.inverted) p = 100 - p;
+
+    // Aim for the raw position that is p% of the way from min to max
+    const atMin = commandToRaw(cal.min, cal);
+    const atMax = commandToRaw(cal.max, cal);
+    return rawToCommand(atMin + (atMax - atMin) * p / 100, cal);
 }
 
 // Convert shade command to user percentage
-function commandToPercent(command) {
-    const range = CONFIG.SHADE_MAX - CONFIG.SHADE_MIN;
-    return Math.round((command - CONFIG.SHADE_MIN) * 100 / range);
+function commandToPercent(command, cal = getCalibration()) {
+    return positionToPercent(commandToRaw(command, cal), cal);
 }
 
 // Convert raw position (0-1000) to percentage (0-100)
-function positionToPercent(position) {
-    return Math.round(position / 10);
+function positionToPercent(position, cal = getCalibration()) {
+    let p = rawToFraction(position, cal) * 100;
+    if (cal.inverted) p = 100 - p;
+    return Math.round(clampPercent(p));
 }
 
 // =============================================================================
 // DATA STORAGE
 // =============================================================================
-let shadesDB = { shades: {} };
+// shadesDB is written to DATA_FILE as a whole: at most once per SAVE_DELAY_MS,
+// to a temp file that is then renamed over the old one, so a crash leaves
+// either the old or the new file but never half of one. The file carries a
+// schemaVersion; MIGRATIONS bring older files up to date on load.
+const SCHEMA_VERSION = 1;
+let shadesDB = emptyDB();
+let saveTimer = null;
+
+function emptyDB() {
+    return { schemaVersion: SCHEMA_VERSION, shades: {}, groups: {}, scenes: {}, schedules: {}, automations: {}, tokens: {}, webhooks: {}, hueLights: {} };
+}
+
+// MIGRATIONS[n] turns a version n file into version n + 1
+const MIGRATIONS = [
+    // 0 -> 1: files from before schemaVersion; older ones only have shades,
+    // so fill in every collection added since
+    (db) => ({ ...emptyDB(), ...db })
+];
+
+// Bring a parsed data file up to SCHEMA_VERSION; throws for newer files
+function migrateData(db) {
+    const version = Number.isInteger(db.schemaVersion) ? db.schemaVersion : 0;
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`schema version ${version} is newer than this server understands (${SCHEMA_VERSION}) - upgrade the server or restore a backup`);
+    }
+    let migrated = db;
+    for (let v = version; v < SCHEMA_VERSION; v++) {
+        migrated = MIGRATIONS[v](migrated);
+        migrated.schemaVersion = v + 1;
+    }
+    return { db: migrated, from: version };
+}
+
+function validateData(db) {
+    if (!db || typeof db !== 'object' || Array.isArray(db)) throw new Error('data must be an object');
+    for (const collection of Object.keys(emptyDB())) {
+        if (collection === 'schemaVersion') continue;
+        const value = db[collection];
+        if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error(`${collection} must be an object`);
+    }
+}
 
 function loadData() {
+    if (!fs.existsSync(CONFIG.DATA_FILE)) return;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(CONFIG.DATA_FILE, 'utf8'));
+    } catch (err) {
+        // Keep the damaged file for inspection instead of overwriting it
+        const aside = `${CONFIG.DATA_FILE}.corrupt-${Date.now()}`;
+        fs.renameSync(CONFIG.DATA_FILE, aside);
+        log('error', `[DB] ${CONFIG.DATA_FILE} is unreadable (${err.message}); moved it to ${aside} and starting with a fresh database`);
+        log('error', '[DB] Restore a backup with POST /api/admin/restore, or repair the file and restart');
+        return;
+    }
+
     try {
-        if (fs.existsSync(CONFIG.DATA_FILE)) {
-            shadesDB = JSON.parse(fs.readFileSync(CONFIG.DATA_FILE, 'utf8'));
-            console.log(`[DB] Loaded ${Object.keys(shadesDB.shades).length} shade(s)`);
+        const { db, from } = migrateData(parsed);
+        validateData(db);
+        if (from !== SCHEMA_VERSION) {
+            // The original stays next to the migrated file in case a migration goes wrong
+            fs.copyFileSync(CONFIG.DATA_FILE, `${CONFIG.DATA_FILE}.v${from}.bak`);
+            log('info', `[DB] Migrated data from schema version ${from} to ${SCHEMA_VERSION}`);
+            shadesDB = db;
+            flushData();
+        } else {
+            shadesDB = db;
         }
+        log('info', `[DB] Loaded ${Object.keys(shadesDB.shades).length} shade(s)`);
     } catch (err) {
-        console.log('[DB] Starting with fresh database');
+        log('error', `[DB] Can't use ${CONFIG.DATA_FILE}: ${err.message}`);
+        process.exit(1);
     }
 }
 
+// Mark the database changed; it is written within SAVE_DELAY_MS
 function saveData() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(flushData, CONFIG.SAVE_DELAY_MS);
+}
+
+function flushData() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const tmp = `${CONFIG.DATA_FILE}.tmp`;
     try {
-        fs.writeFileSync(CONFIG.DATA_FILE, JSON.stringify(shadesDB, null, 2));
+        const fd = fs.openSync(tmp, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(shadesDB, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, CONFIG.DATA_FILE);
     } catch (err) {
-        console.log(`[DB] Error saving: ${err.message}`);
+        log('error', `[DB] Error saving: ${err.message}`);
+        recordError('storage', `Saving ${CONFIG.DATA_FILE}: ${err.message}`);
     }
 }
 
-loadData();
+function backupDocument() {
+    return { format: 'linkshades-backup', schemaVersion: SCHEMA_VERSION, createdAt: new Date().toISOString(), data: shadesDB };
+}
+
+// Replace the whole database with a backup (or a bare data file). The current
+// file is copied aside first in case the wrong backup was picked
+function restoreData(backup) {
+    const source = backup && backup.format === 'linkshades-backup' ? backup.data : backup;
+    if (!source || typeof source !== 'object' || !source.shades) {
+        throw new Error('Expected a backup from GET /api/admin/backup or a shades_data.json');
+    }
+    const { db, from } = migrateData(JSON.parse(JSON.stringify(source)));
+    validateData(db);
+    validateRestoredData(db);
+
+    flushData();
+    const aside = `${CONFIG.DATA_FILE}.pre-restore-${Date.now()}`;
+    if (fs.existsSync(CONFIG.DATA_FILE)) fs.copyFileSync(CONFIG.DATA_FILE, aside);
+
+    const previous = shadesDB;
+    shadesDB = db;
+    try {
+        applyRestoredData(previous);
+    } catch (err) {
+        // Put the old database back and bring runtime state in line with it again
+        shadesDB = previous;
+        applyRestoredData(db);
+        throw err;
+    }
+    flushData();
+
+    const counts = {};
+    for (const [collection, items] of Object.entries(shadesDB)) {
+        if (collection !== 'schemaVersion') counts[collection] = Object.keys(items).length;
+    }
+    log('info', `[DB] Restored backup (schema version ${from}): ${counts.shades} shade(s); previous data kept in ${aside}`);
+    return { status: 'restored', schemaVersion: from, counts, previous: aside };
+}
+
+// Whatever is still waiting is written on the way out
+process.on('exit', () => {
+    if (saveTimer) flushData();
+});
 
 // =============================================================================
-// WEBSOCKET SERVER
+// EVENTS
 // =============================================================================
-const connectedShades = new Map();
-const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Everything that happens to a shade is emitted as { id, type, data, at } on
+// shadeEvents. Browsers follow the stream over SSE or WebSocket at /api/events.
+//   shade.connected                       { chipID }
+//   shade.disconnected                    { chipID, reason }
+//   shade.position                        { chipID, rawPosition, position }
+//   shade.state                           { chipID, state }
+//   shade.error                           { chipID, message }
+//   shade.reached                         { chipID, command, target, position, durationMs }
+//   command.failed                        { chipID, command, outcome, reason, target, position }
+//   schedule.run                          { scheduleId, name, position, results }
+//   command.sent                          { chipID, data, source }
+//   command.queued                        { chipID, id, command | frame, source, expiresAt, waiting }
+//   calibration.progress                  { chipID, status, step, totalSteps }
+//   shade.updated / shade.forgotten       { chipID, fields }
+//   mqtt.status                           { connected }
+const shadeEvents = new EventEmitter();
+const eventClients = new Set();
+let eventCounter = 0;
 
-function parseWebSocketFrame(buffer) {
+function emitEvent(type, data) {
+    const event = { id: ++eventCounter, type, data, at: new Date().toISOString() };
+    shadeEvents.emit('event', event);
+}
+
+shadeEvents.on('event', (event) => {
+    for (const client of eventClients) client.send(event);
+});
+
+// Server-Sent Events stream
+function openEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+
+    const client = {
+        send: (event) => res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`),
+        ping: () => res.write(': ping\n\n')
+    };
+    eventClients.add(client);
+    req.on('close', () => eventClients.delete(client));
+}
+
+// Browser WebSocket on /api/events - the same stream, one JSON event per frame
+function openEventSocket(socket) {
+    const client = {
+        send: (event) => sendWebSocketFrame(socket, JSON.stringify(event)),
+        ping: () => sendWebSocketFrame(socket, Buffer.alloc(0), 0x9)
+    };
+    eventClients.add(client);
+
+    // Browsers only ever close or answer pings; messages are ignored
+    readWebSocket(socket, () => {});
+    socket.on('close', () => eventClients.delete(client));
+    socket.on('error', () => eventClients.delete(client));
+}
+
+// Keep idle proxies from closing quiet streams
+setInterval(() => {
+    for (const client of eventClients) client.ping();
+}, 25000);
+
+// =============================================================================
+// HISTORY
+// =============================================================================
+// An append-only log (one JSON object per line in HISTORY_FILE) of what each
+// shade did: connected, disconnected, position, command (with its source) and
+// error. Entries past HISTORY_RETENTION_DAYS are dropped, and position reports
+// older than a day are compacted down to where the shade came to rest.
+const HISTORY_TYPES = {
+    'shade.connected': 'connected',
+    'shade.disconnected': 'disconnected',
+    'shade.position': 'position',
+    'command.sent': 'command',
+    'shade.error': 'error'
+};
+const HISTORY_CSV_COLUMNS = ['at', 'chipID', 'type', 'rawPosition', 'position', 'command', 'frame', 'source', 'message', 'reason'];
+
+let history = [];
+const lastHistoryPosition = new Map();
+// New entries are batched like saveData and appended through one stream; the
+// file is only rewritten (compaction, forgetting a shade) in the background
+let pendingHistory = [];
+let historyTimer = null;
+let historyStream = null;
+let historyRewrite = null;         // The rewrite in progress; appends wait for it
+let compactionQueued = false;
+
+function loadHistory() {
+    try {
+        if (!fs.existsSync(CONFIG.HISTORY_FILE)) return;
+        for (const line of fs.readFileSync(CONFIG.HISTORY_FILE, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                history.push(JSON.parse(line));
+            } catch (e) {
+                // A line cut short by a crash; compaction drops it
+            }
+        }
+        log('info', `[HISTORY] Loaded ${history.length} entries`);
+    } catch (err) {
+        log('error', `[HISTORY] Error loading: ${err.message}`);
+    }
+}
+
+function historyEntry(event) {
+    const { chipID } = event.data;
+    const entry = { at: event.at, chipID, type: HISTORY_TYPES[event.type] };
+
+    if (entry.type === 'position') {
+        // Shades repeat their position while idle; only changes are kept
+        if (lastHistoryPosition.get(chipID) === event.data.rawPosition) return null;
+        lastHistoryPosition.set(chipID, event.data.rawPosition);
+        entry.rawPosition = event.data.rawPosition;
+        entry.position = event.data.position;
+    } else if (entry.type === 'command') {
+        // Position commands keep just the number, raw /test frames the whole
+        // frame (which needn't be an object) under `frame`
+        const data = event.data.data;
+        const isObject = data !== null && typeof data === 'object' && !Array.isArray(data);
+        const frame = isObject ? { ...data } : data;
+        if (isObject) delete frame.chipID;
+        if (isObject && Object.keys(frame).length === 1 && frame.command !== undefined) entry.command = frame.command;
+        else entry.frame = frame;
+        entry.source = event.data.source;
+    } else if (entry.type === 'error') {
+        entry.message = event.data.message;
+    } else if (entry.type === 'disconnected') {
+        entry.reason = event.data.reason;
+        lastHistoryPosition.delete(chipID);
+    }
+    return entry;
+}
+
+function recordHistory(event) {
+    if (!HISTORY_TYPES[event.type] || !event.data.chipID) return;
+    const entry = historyEntry(event);
+    if (!entry) return;
+
+    history.push(entry);
+    pendingHistory.push(entry);
+    if (!historyTimer) historyTimer = setTimeout(flushHistory, CONFIG.SAVE_DELAY_MS);
+    if (history.length > CONFIG.HISTORY_MAX_ENTRIES * 1.1 && !compactionQueued) {
+        compactionQueued = true;
+        setImmediate(compactHistory);
+    }
+}
+
+shadeEvents.on('event', recordHistory);
+
+function flushHistory() {
+    clearTimeout(historyTimer);
+    historyTimer = null;
+    if (historyRewrite || !pendingHistory.length) return;
+    if (!historyStream) {
+        historyStream = fs.createWriteStream(CONFIG.HISTORY_FILE, { flags: 'a' });
+        historyStream.on('error', err => log('error', `[HISTORY] Error saving: ${err.message}`));
+    }
+    historyStream.write(pendingHistory.map(entry => JSON.stringify(entry) + '\n').join(''));
+    pendingHistory = [];
+}
+
+// Replace the file with the entries in memory. Whatever is recorded while the
+// new file is written stays pending and is appended once it is in place
+function rewriteHistory() {
+    const rewrite = (historyRewrite || Promise.resolve()).then(async () => {
+        const text = history.map(entry => JSON.stringify(entry) + '\n').join('');
+        const written = pendingHistory;
+        pendingHistory = [];
+        const tmp = `${CONFIG.HISTORY_FILE}.tmp`;
+        try {
+            await fs.promises.writeFile(tmp, text);
+            if (historyStream) historyStream.end();
+            historyStream = null;
+            await fs.promises.rename(tmp, CONFIG.HISTORY_FILE);
+        } catch (err) {
+            log('error', `[HISTORY] Error saving: ${err.message}`);
+            pendingHistory = written.concat(pendingHistory);
+        }
+    });
+    historyRewrite = rewrite;
+    rewrite.then(() => {
+        if (historyRewrite !== rewrite) return;
+        historyRewrite = null;
+        flushHistory();
+    });
+    return rewrite;
+}
+
+// On shutdown: let a rewrite finish, then write out what's still pending
+async function closeHistory() {
+    while (historyRewrite) await historyRewrite;
+    flushHistory();
+    if (historyStream) await new Promise(resolve => historyStream.end(resolve));
+    historyStream = null;
+}
+
+function compactHistory() {
+    compactionQueued = false;
+    const now = Date.now();
+    const cutoff = now - CONFIG.HISTORY_RETENTION_DAYS * DAY_MS;
+    const settled = now - DAY_MS;
+    const before = history.length;
+
+    // Walk backwards so each old position report knows what that shade did next
+    const nextType = new Map();
+    const kept = [];
+    for (let i = history.length - 1; i >= 0; i--) {
+        const entry = history[i];
+        const at = Date.parse(entry.at);
+        if (!(at >= cutoff)) continue;
+
+        const next = nextType.get(entry.chipID);
+        nextType.set(entry.chipID, entry.type);
+        if (entry.type === 'position' && next === 'position' && at < settled) continue;
+        kept.push(entry);
+    }
+    history = kept.reverse();
+    if (history.length > CONFIG.HISTORY_MAX_ENTRIES) {
+        history = history.slice(history.length - CONFIG.HISTORY_MAX_ENTRIES);
+    }
+
+    if (history.length !== before) log('info', `[HISTORY] Compacted ${before} -> ${history.length} entries`);
+    return rewriteHistory();
+}
+
+function forgetHistory(chipID) {
+    history = history.filter(entry => entry.chipID !== chipID);
+    lastHistoryPosition.delete(chipID);
+    rewriteHistory();
+}
+
+// Filters: from/to (anything Date.parse understands), type (comma-separated),
+// limit (newest entries win)
+function queryHistory(chipID, query) {
+    const from = query.get('from') ? Date.parse(query.get('from')) : -Infinity;
+    const to = query.get('to') ? Date.parse(query.get('to')) : Infinity;
+    if (Number.isNaN(from) || Number.isNaN(to)) throw new Error('from and to must be dates');
+
+    const types = query.get('type') ? query.get('type').split(',').map(t => t.trim()) : null;
+    const known = Object.values(HISTORY_TYPES);
+    if (types && !types.every(t => known.includes(t))) {
+        throw new Error(`type must be one of ${known.join(', ')}`);
+    }
+
+    const limit = query.get('limit') ? parseInt(query.get('limit')) : 1000;
+    if (!Number.isInteger(limit) || limit < 1) throw new Error('limit must be a positive integer');
+
+    const entries = history.filter(entry => {
+        const at = Date.parse(entry.at);
+        return entry.chipID === chipID && at >= from && at <= to && (!types || types.includes(entry.type));
+    });
+    return entries.slice(Math.max(0, entries.length - limit));
+}
+
+function historyToCSV(entries) {
+    const cell = (value) => {
+        if (value === undefined || value === null) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = entries.map(entry => HISTORY_CSV_COLUMNS.map(column => cell(entry[column])).join(','));
+    return [HISTORY_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+function startHistory() {
+    loadHistory();
+    compactHistory();
+    setInterval(compactHistory, 3600000);
+}
+
+// =============================================================================
+// METRICS & DIAGNOSTICS
+// =============================================================================
+// Counters since the server started, rendered in Prometheus text format at
+// /metrics; gauges (online, position, queue length, RTT) are read at scrape
+// time. /api/diagnostics adds the last RECENT_ERRORS_MAX errors from shades,
+// WebSocket parsing, MQTT, storage and webhooks.
+const COMMAND_DURATION_BUCKETS = [1, 2, 5, 10, 20, 30, 60, 90, 120];
+const RECENT_ERRORS_MAX = 50;
+const startedAt = Date.now();
+
+const metrics = {
+    commandsSent: new Map(),      // `${chipID}\t${source}` -> count
+    commandOutcomes: new Map(),   // `${chipID}\t${outcome}` -> count
+    commandDurations: new Map(),  // chipID -> { buckets, sum, count } of reached commands
+    parseErrors: new Map(),       // chipID (or 'unknown') -> count
+    mqttPublishFailures: 0
+};
+const recentErrors = [];
+
+function countMetric(map, key) {
+    map.set(key, (map.get(key) || 0) + 1);
+}
+
+function recordError(source, message, chipID) {
+    recentErrors.unshift({ at: new Date().toISOString(), source, chipID: chipID || null, message });
+    if (recentErrors.length > RECENT_ERRORS_MAX) recentErrors.length = RECENT_ERRORS_MAX;
+}
+
+shadeEvents.on('event', (event) => {
+    const d = event.data;
+    if (event.type === 'command.sent' && d.chipID) {
+        countMetric(metrics.commandsSent, `${d.chipID}\t${d.source}`);
+    } else if (event.type === 'shade.reached') {
+        countMetric(metrics.commandOutcomes, `${d.chipID}\treached`);
+        const histogram = metrics.commandDurations.get(d.chipID) || { buckets: COMMAND_DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+        const seconds = d.durationMs / 1000;
+        COMMAND_DURATION_BUCKETS.forEach((le, i) => { if (seconds <= le) histogram.buckets[i]++; });
+        histogram.sum += seconds;
+        histogram.count++;
+        metrics.commandDurations.set(d.chipID, histogram);
+    } else if (event.type === 'command.failed') {
+        countMetric(metrics.commandOutcomes, `${d.chipID}\t${d.outcome}`);
+    } else if (event.type === 'shade.error') {
+        recordError('shade', d.message, d.chipID);
+    }
+});
+
+// Loaded only now: a migration that fails to save reports it through
+// recordError, which needs the state above
+loadData();
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const parts = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+// One metric family: samples are [labels, value] pairs
+function metricFamily(name, type, help, samples) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    for (const [labels, value] of samples) lines.push(`${name}${formatLabels(labels)} ${value}`);
+    return lines.join('\n');
+}
+
+function splitKey(map, names) {
+    return [...map].map(([key, value]) => {
+        const parts = key.split('\t');
+        return [Object.fromEntries(names.map((name, i) => [name, parts[i]])), value];
+    });
+}
+
+function renderMetrics() {
+    const shades = Object.values(shadesDB.shades);
+    const durations = [];
+    for (const [chipID, histogram] of metrics.commandDurations) {
+        COMMAND_DURATION_BUCKETS.forEach((le, i) => durations.push([{ chip_id: chipID, le }, histogram.buckets[i]]));
+        durations.push([{ chip_id: chipID, le: '+Inf' }, histogram.count]);
+    }
+
+    const families = [
+        metricFamily('linkshades_up', 'gauge', 'Always 1 while the server is running', [[{}, 1]]),
+        metricFamily('linkshades_uptime_seconds', 'gauge', 'Seconds since the server started', [[{}, Math.round((Date.now() - startedAt) / 1000)]]),
+        metricFamily('linkshades_shade_online', 'gauge', '1 if the shade is connected',
+            shades.map(s => [{ chip_id: s.chipID, name: s.name || '' }, connectedShades.has(s.chipID) ? 1 : 0])),
+        metricFamily('linkshades_shade_position_percent', 'gauge', 'Last reported position (0 = closed, 100 = open)',
+            shades.filter(s => Number.isFinite(s.currentPosition)).map(s => [{ chip_id: s.chipID }, s.currentPosition])),
+        metricFamily('linkshades_shade_position_raw', 'gauge', 'Last reported raw position (0-1000)',
+            shades.filter(s => Number.isFinite(s.rawPosition)).map(s => [{ chip_id: s.chipID }, s.rawPosition])),
+        metricFamily('linkshades_commands_sent_total', 'counter', 'Frames sent to shades, by who asked',
+            splitKey(metrics.commandsSent, ['chip_id', 'source'])),
+        metricFamily('linkshades_command_outcomes_total', 'counter', 'Finished position commands by outcome (reached, stalled, timeout, disconnected)',
+            splitKey(metrics.commandOutcomes, ['chip_id', 'outcome'])),
+        [
+            `# HELP linkshades_command_duration_seconds Time from sending a position command to the shade reaching it`,
+            `# TYPE linkshades_command_duration_seconds histogram`,
+            ...durations.map(([labels, value]) => `linkshades_command_duration_seconds_bucket${formatLabels(labels)} ${value}`),
+            ...[...metrics.commandDurations].map(([chipID, h]) => `linkshades_command_duration_seconds_sum${formatLabels({ chip_id: chipID })} ${h.sum}`),
+            ...[...metrics.commandDurations].map(([chipID, h]) => `linkshades_command_duration_seconds_count${formatLabels({ chip_id: chipID })} ${h.count}`)
+        ].join('\n'),
+        metricFamily('linkshades_command_queue_length', 'gauge', 'Commands waiting in the shade\'s queue',
+            shades.map(s => [{ chip_id: s.chipID }, queuedEntries(s.chipID).length])),
+        metricFamily('linkshades_websocket_reconnects_total', 'counter', 'Times the shade connected again after its first connection',
+            [...connectionStats].map(([chipID, stats]) => [{ chip_id: chipID }, stats.reconnects])),
+        metricFamily('linkshades_websocket_rtt_seconds', 'gauge', 'Round trip of the last keepalive ping',
+            [...connectionStats].filter(([, stats]) => stats.rttMs !== null).map(([chipID, stats]) => [{ chip_id: chipID }, stats.rttMs / 1000])),
+        metricFamily('linkshades_websocket_parse_errors_total', 'counter', 'Shade messages that could not be handled',
+            [...metrics.parseErrors].map(([chipID, count]) => [{ chip_id: chipID }, count])),
+        metricFamily('linkshades_mqtt_connected', 'gauge', '1 while connected to the MQTT broker', [[{}, mqttClient && mqttClient.connected ? 1 : 0]]),
+        metricFamily('linkshades_mqtt_publish_failures_total', 'counter', 'MQTT publishes the client reported as failed', [[{}, metrics.mqttPublishFailures]]),
+        metricFamily('linkshades_peer_connected', 'gauge', 'Hub mode: 1 while the link to the peer server is up',
+            [...peerLinks.values()].map(link => [{ peer: link.peer.name }, link.status === 'connected' ? 1 : 0])),
+        metricFamily('process_resident_memory_bytes', 'gauge', 'Resident memory size', [[{}, process.memoryUsage().rss]]),
+        metricFamily('nodejs_heap_used_bytes', 'gauge', 'V8 heap in use', [[{}, process.memoryUsage().heapUsed]])
+    ];
+    return families.join('\n') + '\n';
+}
+
+function diagnostics() {
+    const memory = process.memoryUsage();
+    const shades = {};
+    for (const shade of Object.values(shadesDB.shades)) {
+        const stats = connectionStats.get(shade.chipID) || {};
+        shades[shade.chipID] = {
+            name: shade.name,
+            online: connectedShades.has(shade.chipID),
+            remoteAddress: stats.remoteAddress || null,
+            secure: !!stats.secure,
+            connectedAt: stats.connectedAt || null,
+            lastMessageAt: stats.lastMessageAt || null,
+            lastMessage: stats.lastMessage || null,
+            rttMs: stats.rttMs === undefined ? null : stats.rttMs,
+            reconnects: stats.reconnects || 0,
+            lastDisconnect: stats.lastDisconnect || null,
+            lastError: shade.lastError || null,
+            queued: queuedEntries(shade.chipID).length
+        };
+    }
+
+    return {
+        startedAt: new Date(startedAt).toISOString(),
+        uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+        node: process.version,
+        platform: `${process.platform} ${process.arch}`,
+        memory: { rss: memory.rss, heapTotal: memory.heapTotal, heapUsed: memory.heapUsed, external: memory.external },
+        mqtt: { enabled: CONFIG.MQTT_ENABLED, connected: !!(mqttClient && mqttClient.connected), publishFailures: metrics.mqttPublishFailures },
+        eventClients: eventClients.size,
+        federation: federationSummary(),
+        recentErrors,
+        shades
+    };
+}
+
+// =============================================================================
+// WEBSOCKET SERVER
+// =============================================================================
+const connectedShades = new Map();
+// Per-shade connection health since the server started: remoteAddress,
+// secure (wss), connectedAt, reconnects, rttMs, lastPongAt, lastDisconnect { at, code, reason },
+// lastMessageAt, lastMessage
+const connectionStats = new Map();
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Returns null until the whole frame is buffered, or { error, reason } for a
+// frame that has to close the connection. Oversized frames are refused from
+// their header, before the payload is buffered.
+function parseWebSocketFrame(buffer) {
     if (buffer.length < 2) return null;
     const firstByte = buffer[0];
     const secondByte = buffer[1];
+    const fin = (firstByte & 0x80) !== 0;
     const opcode = firstByte & 0x0F;
     const masked = (secondByte & 0x80) !== 0;
     let payloadLength = secondByte & 0x7F;
     let offset = 2;
 
+    if (firstByte & 0x70) return { error: 1002, reason: 'Reserved bits set' };
+
     if (payloadLength === 126) {
         if (buffer.length < 4) return null;
         payloadLength = buffer.readUInt16BE(2);
         offset = 4;
     } else if (payloadLength === 127) {
         if (buffer.length < 10) return null;
-        payloadLength = Number(buffer.readBigUInt64BE(2));
+        // Anything needing the upper 32 bits is far past any sane limit
+        if (buffer.readUInt32BE(2) !== 0) return { error: 1009, reason: 'Message too big' };
+        payloadLength = buffer.readUInt32BE(6);
         offset = 10;
     }
+    if (payloadLength > CONFIG.WS_MAX_MESSAGE_BYTES) return { error: 1009, reason: 'Message too big' };
 
     let maskKey = null;
     if (masked) {
@@ -245,12 +1516,18 @@ function parseWebSocketFrame(buffer) {
         }
     }
 
-    return { opcode, payload, totalLength: offset + payloadLength };
+    return { fin, opcode, masked, payload, totalLength: offset + payloadLength };
 }
 
 function sendWebSocketFrame(socket, data, opcode = 0x1) {
     if (socket.destroyed) return;
+    if (socket.peer) {
+        // A shade behind a peer: the peer owns its connection
+        if (opcode === 0x1) forwardToPeer(socket, String(data));
+        return;
+    }
     const payload = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+    if (socket.capture) recordFrame(socket, 'out', opcode, payload);
     let frame;
 
     if (payload.length < 126) {
@@ -275,434 +1552,5061 @@ function sendWebSocketFrame(socket, data, opcode = 0x1) {
     socket.write(frame);
 }
 
-function sendToShade(socket, data) {
-    const json = JSON.stringify(data);
-    console.log(`[WS] >>> ${json}`);
-    sendWebSocketFrame(socket, json);
+// Sends a close frame and ends the connection; the peer gets 5s to finish
+// the closing handshake
+function closeWebSocket(socket, code, reason = '') {
+    if (socket.closing || socket.destroyed) return;
+    socket.closing = true;
+    if (!socket.closeCode) {
+        socket.closeCode = code;
+        socket.closeReason = reason;
+    }
+
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    sendWebSocketFrame(socket, payload, 0x8);
+    socket.end();
+    setTimeout(() => socket.destroy(), 5000).unref();
 }
 
-// =============================================================================
-// HTTP SERVER & API
-// =============================================================================
-const server = http.createServer((req, res) => {
-    const url = req.url;
-    
-    // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-        res.writeHead(200);
-        res.end();
-        return;
-    }
+// Reads frames from a client socket: answers pings, reassembles fragmented
+// messages and closes the connection on protocol errors. `onMessage(opcode,
+// payload)` gets every complete text or binary message.
+function readWebSocket(socket, onMessage) {
+    let buffer = Buffer.alloc(0);
+    let message = null;
 
-    // Health check
-    if (url === '/api/health') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-            status: 'ok',
-            connectedShades: connectedShades.size,
-            totalShades: Object.keys(shadesDB.shades).length,
-            mqtt: mqttClient?.connected || false
-        }));
-        return;
-    }
+    const fail = (code, reason) => {
+        log('info', `[WS] Closing ${socket.chipID || socket.remoteAddress}: ${reason}`);
+        buffer = Buffer.alloc(0);
+        closeWebSocket(socket, code, reason);
+    };
 
-    // List all shades
-    if (url === '/api/shades') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        const shades = Object.values(shadesDB.shades).map(s => ({
-            ...s,
-            online: connectedShades.has(s.chipID)
-        }));
-        res.end(JSON.stringify(shades));
-        return;
-    }
+    socket.on('data', (data) => {
+        if (socket.closing) return;
+        buffer = Buffer.concat([buffer, data]);
 
-    // Set position (percentage)
-    if (url.match(/^\/api\/shades\/(\d+)\/position$/) && req.method === 'POST') {
-        const chipID = url.match(/^\/api\/shades\/(\d+)\/position$/)[1];
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                const { position } = JSON.parse(body);
-                const command = percentToCommand(position);
-                console.log(`[API] Shade ${chipID}: ${position}% -> command ${command}`);
+        while (buffer.length >= 2) {
+            const frame = parseWebSocketFrame(buffer);
+            if (!frame) break;
+            if (frame.error) return fail(frame.error, frame.reason);
 
-                const ws = connectedShades.get(chipID);
-                if (ws) {
-                    sendToShade(ws, { chipID: parseInt(chipID), command: command });
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ status: 'sent', chipID, position, command }));
-                } else {
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ status: 'offline', chipID }));
-                }
-            } catch (e) {
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: e.message }));
-            }
-        });
-        return;
-    }
+            buffer = buffer.slice(frame.totalLength);
+            if (socket.capture) recordFrame(socket, 'in', frame.opcode, frame.payload);
+            if (!frame.masked) return fail(1002, 'Client frames must be masked');
 
-    // Send raw command
-    if (url.match(/^\/api\/shades\/(\d+)\/command$/) && req.method === 'POST') {
-        const chipID = url.match(/^\/api\/shades\/(\d+)\/command$/)[1];
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                const { command } = JSON.parse(body);
-                console.log(`[API] Shade ${chipID}: raw command ${command}`);
+            // Any frame proves the connection is alive
+            clearTimeout(socket.pongTimer);
+            socket.pongTimer = null;
 
-                const ws = connectedShades.get(chipID);
-                if (ws) {
-                    sendToShade(ws, { chipID: parseInt(chipID), command: command });
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ status: 'sent', chipID, command }));
-                } else {
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ status: 'offline', chipID }));
+            if (frame.opcode >= 0x8) {
+                if (!frame.fin || frame.payload.length > 125) return fail(1002, 'Invalid control frame');
+                if (frame.opcode === 0x8) {
+                    const code = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1000;
+                    socket.closeCode = code;
+                    socket.closeReason = frame.payload.slice(2).toString('utf8') || 'Closed by peer';
+                    closeWebSocket(socket, code === 1005 || code === 1006 ? 1000 : code);
+                    return;
                 }
-            } catch (e) {
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: e.message }));
+                if (frame.opcode === 0x9) sendWebSocketFrame(socket, frame.payload, 0xA);
+                else if (frame.opcode === 0xA) receivePong(socket, frame.payload);
+                else return fail(1002, `Unknown opcode ${frame.opcode}`);
+                continue;
             }
-        });
-        return;
-    }
 
-    // Test endpoint (any JSON)
-    if (url.match(/^\/api\/shades\/(\d+)\/test$/) && req.method === 'POST') {
-        const chipID = url.match(/^\/api\/shades\/(\d+)\/test$/)[1];
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                const data = JSON.parse(body);
-                const ws = connectedShades.get(chipID);
-                if (ws) {
-                    sendToShade(ws, data);
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ status: 'sent', data }));
-                } else {
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ status: 'offline' }));
-                }
-            } catch (e) {
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: e.message }));
+            if (frame.opcode === 0x0) {
+                if (!message) return fail(1002, 'Continuation frame without a message');
+            } else if (frame.opcode === 0x1 || frame.opcode === 0x2) {
+                if (message) return fail(1002, 'New message before the last one finished');
+                message = { opcode: frame.opcode, parts: [], length: 0 };
+            } else {
+                return fail(1002, `Unknown opcode ${frame.opcode}`);
             }
-        });
-        return;
-    }
 
-    // Dashboard
-    if (url === '/' || url === '/index.html') {
-        res.writeHead(200, { 'Content-Type': 'text/html' });
-        res.end(getDashboardHTML());
-        return;
-    }
+            message.parts.push(frame.payload);
+            message.length += frame.payload.length;
+            if (message.length > CONFIG.WS_MAX_MESSAGE_BYTES) return fail(1009, 'Message too big');
+            if (!frame.fin) continue;
 
-    res.writeHead(404);
-    res.end('Not Found');
-});
+            const { opcode } = message;
+            const payload = Buffer.concat(message.parts);
+            message = null;
+            if (opcode === 0x1 && !Buffer.from(payload.toString('utf8')).equals(payload)) {
+                return fail(1007, 'Invalid UTF-8');
+            }
+            onMessage(opcode, payload);
+        }
+    });
 
-// WebSocket upgrade handler
-server.on('upgrade', (req, socket, head) => {
-    console.log(`[WS] Connection from ${socket.remoteAddress}`);
+    // The server keeps sockets half-open by default; finish closing when the
+    // peer does, or it would look connected forever
+    socket.on('end', () => socket.end());
+}
 
-    const key = req.headers['sec-websocket-key'];
-    const protocol = req.headers['sec-websocket-protocol'];
+// Pings the socket every WS_PING_INTERVAL_MS and drops it when nothing at all
+// arrives within WS_PING_TIMEOUT_MS of a ping
+function startKeepalive(socket) {
+    const interval = setInterval(() => {
+        if (socket.pongTimer) return;
+        socket.pingSentAt = Date.now();
+        sendWebSocketFrame(socket, Buffer.from(String(socket.pingSentAt)), 0x9);
+        socket.pongTimer = setTimeout(() => {
+            socket.closeCode = 1006;
+            socket.closeReason = `No response to ping within ${CONFIG.WS_PING_TIMEOUT_MS / 1000}s`;
+            log('info', `[WS] ${socket.chipID || socket.remoteAddress}: ${socket.closeReason}, dropping`);
+            socket.destroy();
+        }, CONFIG.WS_PING_TIMEOUT_MS);
+    }, CONFIG.WS_PING_INTERVAL_MS);
 
-    if (!key) {
-        socket.destroy();
-        return;
-    }
+    socket.on('close', () => {
+        clearInterval(interval);
+        clearTimeout(socket.pongTimer);
+    });
+}
 
-    const acceptKey = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+function receivePong(socket, payload) {
+    const stats = socket.chipID && connectionStats.get(socket.chipID);
+    if (!stats || payload.toString() !== String(socket.pingSentAt)) return;
+    stats.lastPongAt = new Date().toISOString();
+    stats.rttMs = Date.now() - socket.pingSentAt;
+}
 
-    const responseHeaders = [
-        'HTTP/1.1 101 Switching Protocols',
-        'Upgrade: websocket',
-        'Connection: Upgrade',
-        `Sec-WebSocket-Accept: ${acceptKey}`
-    ];
-    if (protocol) responseHeaders.push(`Sec-WebSocket-Protocol: ${protocol}`);
+function connectionSummary(chipID) {
+    return connectionStats.get(chipID) || null;
+}
 
-    socket.write(responseHeaders.join('\r\n') + '\r\n\r\n');
+// `source` says who asked: api, dashboard, cli, hub, mqtt, hue, schedule,
+// automation, calibration, replay
+function sendToShade(socket, data, source = 'api') {
+    const json = JSON.stringify(data);
+    log('debug', `[WS] >>> ${json}`);
+    sendWebSocketFrame(socket, json);
+    const chipID = data.chipID !== undefined ? data.chipID : socket.chipID;
+    emitEvent('command.sent', { chipID: chipID !== undefined ? String(chipID) : null, data, source });
+}
 
-    let shadeChipID = null;
-    let buffer = Buffer.alloc(0);
+// Queue a position command; see COMMAND QUEUE for options and the statuses
+function sendCommand(chipID, command, source, options) {
+    if (!Number.isInteger(command)) throw new Error('command must be an integer');
+    return enqueueCommand(chipID, { command }, source, options);
+}
 
-    socket.on('data', (data) => {
-        buffer = Buffer.concat([buffer, data]);
+// Move a shade to a percentage (0-100) using its calibration profile
+function setShadePosition(chipID, percent, source, options) {
+    if (typeof percent !== 'number' || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+        throw new Error('position must be a number between 0 and 100');
+    }
+    const command = percentToCommand(percent, getCalibration(chipID));
+    const { status, queued } = sendCommand(chipID, command, source, options);
+    return { status, chipID, position: percent, command, queued };
+}
 
-        while (buffer.length >= 2) {
-            const frame = parseWebSocketFrame(buffer);
-            if (!frame) break;
+function currentCommand(shade) {
+    return Number.isFinite(shade.rawPosition) ? rawToCommand(shade.rawPosition, getCalibration(shade.chipID)) : null;
+}
 
-            buffer = buffer.slice(frame.totalLength);
+// The protocol has no stop command, so a moving shade is sent the command for
+// the raw position it last reported
+function stopShade(chipID, source) {
+    const movement = movements.get(chipID);
+    const shade = shadesDB.shades[chipID];
+    if (!movement || movement.outcome || !shade || !Number.isFinite(shade.rawPosition)) {
+        return { status: 'idle', chipID };
+    }
+
+    const command = rawToCommand(shade.rawPosition, getCalibration(chipID));
+    log('info', `[MOVE] Shade ${chipID}: stopping at ${shade.rawPosition} (command ${command})`);
+
+    const { status, queued } = sendCommand(chipID, command, source);
+    return { status, chipID, position: shade.currentPosition, command, queued };
+}
+
+// =============================================================================
+// COMMAND QUEUE
+// =============================================================================
+// Position commands and raw frames from the API, MQTT, schedules and
+// automations go through a per-shade queue:
+// - frames to one shade go out at least COMMAND_INTERVAL_MS apart
+// - a new position command replaces any position command still waiting, so a
+//   dragged slider ends up as one move to where it was let go
+// - commands for an offline shade wait until it reconnects, or are dropped
+//   once their TTL runs out
+// Calibration steps and capture replays talk to the shade directly.
+const commandQueues = new Map();  // chipID -> { entries, lastSentAt, timer }
+let queueEntryCounter = 0;
+
+function getQueue(chipID) {
+    if (!commandQueues.has(chipID)) commandQueues.set(chipID, { entries: [], lastSentAt: 0, timer: null });
+    return commandQueues.get(chipID);
+}
+
+function describeEntry(entry) {
+    return entry.command !== undefined ? `command ${entry.command}` : 'raw frame';
+}
+
+function queueEntrySummary(entry) {
+    const { ttlMs, ...summary } = entry;
+    return summary;
+}
+
+// `entry` is { command } for a position command or { frame } for a raw frame.
+// options.ttlMs overrides OFFLINE_COMMAND_TTL_SECONDS, options.jobId tags
+// scheduled runs. Returns { status: 'sent' | 'queued' | 'offline', queued }
+function enqueueCommand(chipID, entry, source, options = {}) {
+    if (entry.command === undefined && entry.frame == null) throw new Error('Nothing to send');
+    const queue = getQueue(chipID);
+    const online = connectedShades.has(chipID);
+    const ttlMs = options.ttlMs !== undefined ? options.ttlMs : CONFIG.OFFLINE_COMMAND_TTL_SECONDS * 1000;
+    if (!online && ttlMs <= 0) return { status: 'offline' };
+
+    if (online && queue.entries.length === 0 && Date.now() - queue.lastSentAt >= CONFIG.COMMAND_INTERVAL_MS) {
+        deliverEntry(chipID, queue, { ...entry, source });
+        return { status: 'sent' };
+    }
+
+    if (entry.command !== undefined) {
+        const superseded = queue.entries.filter(e => e.command !== undefined);
+        if (superseded.length) {
+            queue.entries = queue.entries.filter(e => e.command === undefined);
+            log('info', `[QUEUE] Shade ${chipID}: command ${entry.command} replaces ${superseded.map(describeEntry).join(', ')}`);
+        }
+    }
+
+    const now = Date.now();
+    const queued = {
+        id: ++queueEntryCounter,
+        ...entry,
+        source,
+        jobId: options.jobId,
+        queuedAt: new Date(now).toISOString(),
+        expiresAt: online ? null : new Date(now + ttlMs).toISOString(),
+        ttlMs
+    };
+    queue.entries.push(queued);
+    if (queue.entries.length > CONFIG.COMMAND_QUEUE_MAX) {
+        const dropped = queue.entries.shift();
+        log('info', `[QUEUE] Shade ${chipID}: queue full, dropped ${describeEntry(dropped)}`);
+    }
+
+    log('info', `[QUEUE] Shade ${chipID}: queued ${describeEntry(entry)} from ${source} (${online ? 'rate limit' : 'offline'}, ${queue.entries.length} waiting)`);
+    emitEvent('command.queued', { chipID, ...queueEntrySummary(queued), waiting: queue.entries.length });
+    if (online) scheduleDrain(chipID, queue);
+    return { status: 'queued', queued: queueEntrySummary(queued) };
+}
+
+function deliverEntry(chipID, queue, entry) {
+    const ws = connectedShades.get(chipID);
+    queue.lastSentAt = Date.now();
+    if (entry.command !== undefined) {
+        sendToShade(ws, { chipID: parseInt(chipID), command: entry.command }, entry.source);
+        trackCommand(chipID, entry.command);
+    } else {
+        sendToShade(ws, entry.frame, entry.source);
+    }
+}
+
+function scheduleDrain(chipID, queue) {
+    if (queue.timer || queue.entries.length === 0) return;
+    const wait = Math.max(0, queue.lastSentAt + CONFIG.COMMAND_INTERVAL_MS - Date.now());
+    queue.timer = setTimeout(() => {
+        queue.timer = null;
+        if (!connectedShades.has(chipID)) return;
+        dropExpired(chipID, queue);
+        const entry = queue.entries.shift();
+        if (entry) deliverEntry(chipID, queue, entry);
+        scheduleDrain(chipID, queue);
+    }, wait);
+}
+
+function dropExpired(chipID, queue, now = Date.now()) {
+    const expired = queue.entries.filter(e => e.expiresAt && Date.parse(e.expiresAt) <= now);
+    if (expired.length === 0) return;
+    queue.entries = queue.entries.filter(e => !expired.includes(e));
+    for (const entry of expired) {
+        log('info', `[QUEUE] Shade ${chipID}: ${describeEntry(entry)} from ${entry.source} expired`);
+    }
+}
+
+// The shade went offline: hold what's waiting until its TTL runs out
+function holdQueue(chipID) {
+    const queue = commandQueues.get(chipID);
+    if (!queue) return;
+    clearTimeout(queue.timer);
+    queue.timer = null;
+
+    const now = Date.now();
+    queue.entries = queue.entries.filter(e => e.ttlMs > 0);
+    for (const entry of queue.entries) {
+        if (!entry.expiresAt) entry.expiresAt = new Date(now + entry.ttlMs).toISOString();
+    }
+    if (queue.entries.length) log('info', `[QUEUE] Shade ${chipID}: holding ${queue.entries.length} command(s) while offline`);
+}
+
+// The shade is back: send whatever hasn't expired, oldest first
+function flushQueue(chipID) {
+    const queue = commandQueues.get(chipID);
+    if (!queue) return;
+    dropExpired(chipID, queue);
+    if (queue.entries.length === 0) return;
+
+    for (const entry of queue.entries) entry.expiresAt = null;
+    log('info', `[QUEUE] Shade ${chipID}: reconnected, sending ${queue.entries.length} queued command(s)`);
+    scheduleDrain(chipID, queue);
+}
+
+function clearQueue(chipID) {
+    const queue = commandQueues.get(chipID);
+    if (!queue) return 0;
+    clearTimeout(queue.timer);
+    queue.timer = null;
+    const removed = queue.entries.length;
+    queue.entries = [];
+    if (removed) log('info', `[QUEUE] Shade ${chipID}: cleared ${removed} queued command(s)`);
+    return removed;
+}
+
+function queuedEntries(chipID) {
+    const queue = commandQueues.get(chipID);
+    return queue ? queue.entries : [];
+}
+
+function queueSummary(chipID) {
+    const queue = commandQueues.get(chipID);
+    return {
+        chipID,
+        online: connectedShades.has(chipID),
+        lastSentAt: queue && queue.lastSentAt ? new Date(queue.lastSentAt).toISOString() : null,
+        entries: queuedEntries(chipID).map(queueEntrySummary)
+    };
+}
+
+function startCommandQueue() {
+    setInterval(() => {
+        const now = Date.now();
+        for (const [chipID, queue] of commandQueues) {
+            if (!connectedShades.has(chipID)) dropExpired(chipID, queue, now);
+        }
+    }, 10000);
+}
+
+// =============================================================================
+// PROTOCOL CAPTURE
+// =============================================================================
+// While capture is on, every frame a shade connection sends or receives is
+// appended to CAPTURE_DIR/<id>.jsonl, one file per connection:
+//   { type: 'handshake', at, remoteAddress, method, url, headers, midSession }
+//   { type: 'frame', at, direction: 'in'|'out', opcode, length, text | base64 }
+//   { type: 'identified', at, chipID } / { type: 'closed', at }
+// Recorded outbound frames can be replayed, and the report lists JSON keys
+// the server doesn't interpret.
+const CAPTURE_ID = /^[\w-]+$/;
+
+// What the server does with each key it understands
+const KNOWN_FIELDS = {
+    in: {
+        chipID: 'Shade identifier',
+        position: 'Raw position 0-1000, converted with the calibration profile',
+        model: 'Stored as model',
+        version: 'Stored as firmware'
+    },
+    out: {
+        chipID: 'Shade identifier',
+        command: 'Target position command, SHADE_MIN-SHADE_MAX by default'
+    }
+};
+
+let captureEnabled = CONFIG.CAPTURE_ENABLED;
+const replays = new Map();
+
+function capturePath(id) {
+    return `${CONFIG.CAPTURE_DIR}/${id}.jsonl`;
+}
+
+function writeCapture(capture, record) {
+    try {
+        fs.appendFileSync(capturePath(capture.id), JSON.stringify({ ...record, at: new Date().toISOString() }) + '\n');
+    } catch (err) {
+        log('error', `[CAPTURE] Error saving ${capture.id}: ${err.message}`);
+    }
+}
+
+// Starts a capture on a shade socket; shades already connected when capture is
+// switched on are picked up mid-session, after their original handshake
+function startCapture(socket, chipID) {
+    fs.mkdirSync(CONFIG.CAPTURE_DIR, { recursive: true });
+    const id = `${new Date().toISOString().replace(/\D/g, '').slice(0, 14)}-${crypto.randomBytes(2).toString('hex')}`;
+    socket.capture = { id };
+    writeCapture(socket.capture, { type: 'handshake', ...socket.handshake, midSession: Boolean(chipID) });
+    if (chipID) writeCapture(socket.capture, { type: 'identified', chipID });
+    log('info', `[CAPTURE] Recording ${chipID || socket.handshake.remoteAddress} to ${capturePath(id)}`);
+}
+
+function stopCapture(socket) {
+    if (!socket.capture) return;
+    writeCapture(socket.capture, { type: 'closed' });
+    socket.capture = null;
+}
+
+function recordFrame(socket, direction, opcode, payload) {
+    const record = { type: 'frame', direction, opcode, length: payload.length };
+    if (opcode === 0x1) record.text = payload.toString('utf8');
+    else record.base64 = payload.toString('base64');
+    writeCapture(socket.capture, record);
+}
+
+function setCaptureEnabled(enabled) {
+    captureEnabled = enabled;
+    for (const [chipID, socket] of connectedShades) {
+        // A peer's shades are captured on the peer
+        if (socket.peer) continue;
+        if (enabled && !socket.capture) startCapture(socket, chipID);
+        if (!enabled) stopCapture(socket);
+    }
+    log('info', `[CAPTURE] ${enabled ? 'Enabled' : 'Disabled'}`);
+}
+
+function readCapture(id) {
+    if (!CAPTURE_ID.test(id) || !fs.existsSync(capturePath(id))) return null;
+    return fs.readFileSync(capturePath(id), 'utf8').split('\n').filter(Boolean).map(line => {
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            return { type: 'corrupt', line };
+        }
+    });
+}
+
+function captureSummary(id, records) {
+    const handshake = records.find(r => r.type === 'handshake') || {};
+    const identified = records.find(r => r.type === 'identified');
+    const frames = records.filter(r => r.type === 'frame');
+    const closed = records.find(r => r.type === 'closed');
+    return {
+        id,
+        chipID: identified ? identified.chipID : null,
+        remoteAddress: handshake.remoteAddress || null,
+        startedAt: handshake.at || null,
+        endedAt: closed ? closed.at : null,
+        framesIn: frames.filter(f => f.direction === 'in').length,
+        framesOut: frames.filter(f => f.direction === 'out').length
+    };
+}
+
+function listCaptures() {
+    if (!fs.existsSync(CONFIG.CAPTURE_DIR)) return [];
+    return fs.readdirSync(CONFIG.CAPTURE_DIR)
+        .filter(name => name.endsWith('.jsonl'))
+        .map(name => name.slice(0, -'.jsonl'.length))
+        .sort()
+        .map(id => captureSummary(id, readCapture(id) || []));
+}
+
+// Flattens nested JSON into dotted keys: { a: { b: 1 } } -> a.b
+function collectFields(value, prefix, fields) {
+    for (const [key, child] of Object.entries(value)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (child && typeof child === 'object' && !Array.isArray(child)) {
+            collectFields(child, path, fields);
+        } else {
+            fields.push([path, child]);
+        }
+    }
+    return fields;
+}
+
+// Every JSON key seen in each direction, annotated with how (or whether) the
+// server interprets it
+function captureReport(id, records) {
+    const report = { ...captureSummary(id, records), opcodes: {}, nonJson: 0, fields: { in: {}, out: {} } };
+
+    for (const frame of records.filter(r => r.type === 'frame')) {
+        report.opcodes[frame.opcode] = (report.opcodes[frame.opcode] || 0) + 1;
+        if (frame.opcode !== 0x1) continue;
+
+        let data;
+        try {
+            data = JSON.parse(frame.text);
+        } catch (e) {
+            data = null;
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            report.nonJson++;
+            continue;
+        }
+
+        for (const [key, value] of collectFields(data, '', [])) {
+            const known = KNOWN_FIELDS[frame.direction][key];
+            const field = report.fields[frame.direction][key] || {
+                known: Boolean(known),
+                note: known || 'Not interpreted by the server',
+                count: 0,
+                firstSeen: frame.at,
+                samples: []
+            };
+            field.count++;
+            const sample = JSON.stringify(value);
+            if (field.samples.length < 5 && !field.samples.includes(sample)) field.samples.push(sample);
+            report.fields[frame.direction][key] = field;
+        }
+    }
+
+    report.unknown = {
+        in: Object.keys(report.fields.in).filter(key => !report.fields.in[key].known),
+        out: Object.keys(report.fields.out).filter(key => !report.fields.out[key].known)
+    };
+    return report;
+}
+
+// Re-sends a capture's outbound text frames to a shade with their original
+// spacing (divided by `speed`). chipIDs in the frames are rewritten to the target.
+function replayCapture(id, records, options = {}) {
+    const summary = captureSummary(id, records);
+    const chipID = options.chipID !== undefined ? String(options.chipID) : summary.chipID;
+    const speed = options.speed === undefined ? 1 : options.speed;
+    if (!chipID) throw new Error('chipID is required - this capture never identified a shade');
+    if (typeof speed !== 'number' || !(speed > 0)) throw new Error('speed must be a positive number');
+
+    const frames = records.filter(r => r.type === 'frame' && r.direction === 'out' && r.opcode === 0x1);
+    if (frames.length === 0) throw new Error('Capture has no outbound frames');
+    if (!connectedShades.has(chipID)) return { status: 'offline', chipID };
+
+    cancelReplay(chipID);
+    const start = Date.parse(frames[0].at);
+    const replay = { id, chipID, total: frames.length, sent: 0, timers: [] };
+    replays.set(chipID, replay);
+
+    for (const frame of frames) {
+        const delay = (Date.parse(frame.at) - start) / speed;
+        replay.timers.push(setTimeout(() => sendReplayFrame(replay, frame.text), delay));
+    }
+    const durationMs = Math.round((Date.parse(frames[frames.length - 1].at) - start) / speed);
+    log('info', `[CAPTURE] Replaying ${frames.length} frame(s) from ${id} to ${chipID} over ${durationMs}ms`);
+    return { status: 'replaying', id, chipID, frames: frames.length, durationMs };
+}
+
+function sendReplayFrame(replay, text) {
+    const ws = connectedShades.get(replay.chipID);
+    if (!ws) {
+        log('info', `[CAPTURE] Replay to ${replay.chipID} stopped - shade offline`);
+        cancelReplay(replay.chipID);
+        return;
+    }
+
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        // Sent as recorded
+    }
+    if (data && typeof data === 'object' && data.chipID !== undefined) data.chipID = parseInt(replay.chipID);
+    if (data && typeof data === 'object') sendToShade(ws, data, 'replay');
+    else sendWebSocketFrame(ws, text);
+
+    if (++replay.sent === replay.total) {
+        replays.delete(replay.chipID);
+        log('info', `[CAPTURE] Replay of ${replay.id} to ${replay.chipID} finished`);
+    }
+}
+
+function cancelReplay(chipID) {
+    const replay = replays.get(chipID);
+    if (!replay) return false;
+    replay.timers.forEach(clearTimeout);
+    replays.delete(chipID);
+    return true;
+}
+
+// =============================================================================
+// MOVEMENT TRACKING
+// =============================================================================
+// Each command is followed until the shade reports reaching it, stops making
+// progress (stalled) or COMMAND_TIMEOUT_MS passes. A newer command supersedes
+// the one in flight. State is one of opening, closing, stopped, stalled.
+const movements = new Map();
+
+// Raw position (0-1000) a command should end up at
+function expectedRawPosition(chipID, command) {
+    return commandToRaw(command, getCalibration(chipID));
+}
+
+function movementDirection(movement) {
+    const cal = getCalibration(movement.chipID);
+    const target = positionToPercent(movement.target, cal);
+    if (!Number.isFinite(movement.position)) return target > 0 ? 'opening' : 'closing';
+    return target >= positionToPercent(movement.position, cal) ? 'opening' : 'closing';
+}
+
+function setMovementState(movement, state) {
+    if (movement.state === state) return;
+    movement.state = state;
+    publishMovementState(movement.chipID);
+    emitEvent('shade.state', { chipID: movement.chipID, state });
+}
+
+function trackCommand(chipID, command) {
+    const previous = movements.get(chipID);
+    if (previous && !previous.outcome) finishMovement(previous, 'superseded');
+
+    const shade = shadesDB.shades[chipID] || {};
+    const now = Date.now();
+    const movement = {
+        chipID,
+        command,
+        target: expectedRawPosition(chipID, command),
+        from: shade.rawPosition,
+        position: shade.rawPosition,
+        startedAt: now,
+        lastProgressAt: now,
+        state: null,
+        outcome: null,
+        waiters: [],
+        stallTimer: null,
+        timeoutTimer: null
+    };
+    movements.set(chipID, movement);
+
+    if (Math.abs(movement.position - movement.target) <= CONFIG.POSITION_TOLERANCE) {
+        finishMovement(movement, 'reached');
+        return movement;
+    }
+
+    setMovementState(movement, movementDirection(movement));
+    movement.timeoutTimer = setTimeout(() => finishMovement(movement, 'timeout'), CONFIG.COMMAND_TIMEOUT_MS);
+    restartStallTimer(movement);
+    return movement;
+}
+
+function restartStallTimer(movement) {
+    clearTimeout(movement.stallTimer);
+    movement.stallTimer = setTimeout(() => finishMovement(movement, 'stalled'), CONFIG.STALL_TIMEOUT_MS);
+}
+
+// Called for every position the shade reports
+function updateMovement(chipID, raw) {
+    const movement = movements.get(chipID);
+    if (!movement || movement.outcome || !Number.isFinite(raw)) return;
+
+    if (Math.abs(raw - movement.target) <= CONFIG.POSITION_TOLERANCE) {
+        movement.position = raw;
+        finishMovement(movement, 'reached');
+        return;
+    }
+    if (raw !== movement.position) {
+        movement.position = raw;
+        movement.lastProgressAt = Date.now();
+        setMovementState(movement, movementDirection(movement));
+        restartStallTimer(movement);
+    }
+}
+
+function finishMovement(movement, outcome) {
+    clearTimeout(movement.stallTimer);
+    clearTimeout(movement.timeoutTimer);
+    movement.outcome = outcome;
+    movement.finishedAt = Date.now();
+
+    const failed = outcome === 'stalled' || outcome === 'timeout' || outcome === 'disconnected';
+    if (outcome !== 'superseded') setMovementState(movement, failed ? 'stalled' : 'stopped');
+    log('info', `[MOVE] Shade ${movement.chipID}: command ${movement.command} ${outcome} at ${movement.position} (target ${movement.target})`);
+
+    if (failed) {
+        const reason = {
+            stalled: `No progress for ${CONFIG.STALL_TIMEOUT_MS / 1000}s`,
+            timeout: `Target not reached within ${CONFIG.COMMAND_TIMEOUT_MS / 1000}s`,
+            disconnected: 'Shade disconnected while moving'
+        }[outcome];
+        reportShadeError(movement.chipID, `Command ${movement.command}: ${reason}`);
+        const { chipID, command, target, position } = movement;
+        emitEvent('command.failed', { chipID, command, outcome, reason, target, position });
+    } else if (outcome === 'reached') {
+        const { chipID, command, target, position } = movement;
+        emitEvent('shade.reached', { chipID, command, target, position, durationMs: movement.finishedAt - movement.startedAt });
+    }
+
+    const summary = movementSummary(movement);
+    movement.waiters.forEach(resolve => resolve(summary));
+    movement.waiters = [];
+}
+
+function reportShadeError(chipID, message) {
+    const error = { message, at: new Date().toISOString() };
+    const shade = shadesDB.shades[chipID];
+    if (shade) {
+        shade.lastError = error;
+        saveData();
+    }
+    log('warn', `[SHADE] ${chipID}: error - ${message}`);
+    publishShadeError(chipID, error);
+    emitEvent('shade.error', { chipID, message });
+}
+
+// Wait mode's `timeout` in ms, the same bounds in v1 and v2
+const WAIT_TIMEOUT_MIN_MS = 1000;
+const WAIT_TIMEOUT_MAX_MS = 300000;
+
+function checkWaitTimeout(timeout) {
+    if (timeout === undefined) return;
+    if (!Number.isInteger(timeout) || timeout < WAIT_TIMEOUT_MIN_MS || timeout > WAIT_TIMEOUT_MAX_MS) {
+        throw new Error(`timeout must be an integer between ${WAIT_TIMEOUT_MIN_MS} and ${WAIT_TIMEOUT_MAX_MS} ms`);
+    }
+}
+
+// Resolves with the movement summary once it finishes, or early with the
+// in-progress summary after `timeoutMs`. `res` is the response held open for
+// it: if the client goes away first the wait is dropped and never resolves
+function waitForMovement(movement, timeoutMs, res) {
+    if (movement.outcome) return Promise.resolve(movementSummary(movement));
+    return new Promise(resolve => {
+        let timer = null;
+        const stop = () => {
+            clearTimeout(timer);
+            movement.waiters = movement.waiters.filter(waiter => waiter !== done);
+            if (res) res.off('close', stop);
+        };
+        const done = (summary) => {
+            stop();
+            resolve(summary);
+        };
+        movement.waiters.push(done);
+        if (timeoutMs) timer = setTimeout(() => done(movementSummary(movement)), timeoutMs);
+        if (res) res.on('close', stop);
+    });
+}
+
+function movementSummary(movement) {
+    if (!movement) return null;
+    return {
+        state: movement.state,
+        outcome: movement.outcome || 'pending',
+        command: movement.command,
+        target: movement.target,
+        from: movement.from,
+        position: movement.position,
+        startedAt: new Date(movement.startedAt).toISOString(),
+        finishedAt: movement.finishedAt ? new Date(movement.finishedAt).toISOString() : null,
+        durationMs: (movement.finishedAt || Date.now()) - movement.startedAt
+    };
+}
+
+function shadeState(chipID) {
+    const movement = movements.get(chipID);
+    return movement ? movement.state : 'stopped';
+}
+
+// =============================================================================
+// GUIDED CALIBRATION
+// =============================================================================
+// Steps a shade through a range of commands, records the raw position it
+// reports after each one and saves the result as the shade's profile.
+const calibrationRuns = new Map();
+
+function startCalibration(chipID, options = {}) {
+    const from = options.from !== undefined ? Number(options.from) : CONFIG.SHADE_MIN;
+    const to = options.to !== undefined ? Number(options.to) : CONFIG.SHADE_MAX;
+    const step = options.step !== undefined ? Number(options.step) : 3;
+    const settleMs = options.settleMs !== undefined ? Number(options.settleMs) : 15000;
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from >= to) {
+        throw new Error('from and to must be integer commands with from < to');
+    }
+    if (from < COMMAND_MIN || to > COMMAND_MAX) throw new Error(`from and to must be between ${COMMAND_MIN} and ${COMMAND_MAX}`);
+    if (!Number.isInteger(step) || step < 1) throw new Error('step must be a positive integer');
+    if (!Number.isFinite(settleMs) || settleMs < 1000) throw new Error('settleMs must be at least 1000');
+
+    const commands = [];
+    for (let c = from; c < to; c += step) commands.push(c);
+    commands.push(to);
+    if (commands.length > 50) throw new Error('Too many steps - increase step');
+
+    cancelCalibration(chipID);
+
+    const run = {
+        chipID,
+        commands,
+        settleMs,
+        inverted: options.inverted !== undefined ? options.inverted === true : getCalibration(chipID).inverted,
+        index: 0,
+        samples: [],
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        timer: null
+    };
+    calibrationRuns.set(chipID, run);
+    log('info', `[CAL] Shade ${chipID}: calibrating ${from}-${to} in ${commands.length} steps`);
+    stepCalibration(run);
+    return run;
+}
+
+function stepCalibration(run) {
+    const ws = connectedShades.get(run.chipID);
+    if (!ws) {
+        finishCalibration(run, 'failed', 'Shade went offline');
+        return;
+    }
+
+    const command = run.commands[run.index];
+    const sentAt = Date.now();
+    sendToShade(ws, { chipID: parseInt(run.chipID), command: command }, 'calibration');
+
+    run.timer = setTimeout(() => {
+        // Only trust a position that was reported after this step's command
+        const shade = shadesDB.shades[run.chipID];
+        const reported = shade && shade.lastSeen && Date.parse(shade.lastSeen) >= sentAt;
+        const position = reported && Number.isFinite(shade.rawPosition) ? shade.rawPosition : null;
+        run.samples.push({ command, position });
+        log('info', `[CAL] Shade ${run.chipID}: command ${command} -> position ${position === null ? 'no report' : position}`);
+
+        run.index++;
+        emitEvent('calibration.progress', { chipID: run.chipID, status: run.status, step: run.index, totalSteps: run.commands.length });
+        if (run.index < run.commands.length) {
+            stepCalibration(run);
+        } else {
+            completeCalibration(run);
+        }
+    }, run.settleMs);
+}
+
+function completeCalibration(run) {
+    const points = run.samples.filter(p => p.position !== null);
+    const profile = {
+        min: run.commands[0],
+        max: run.commands[run.commands.length - 1],
+        inverted: run.inverted,
+        curve: points.length >= 2 ? points : []
+    };
+
+    let calibration;
+    try {
+        calibration = normalizeCalibration(profile);
+    } catch (e) {
+        // Noisy reports can break monotonicity; keep the range without a curve
+        log('info', `[CAL] Shade ${run.chipID}: discarding curve (${e.message})`);
+        calibration = normalizeCalibration({ ...profile, curve: [] });
+    }
+
+    const shade = shadesDB.shades[run.chipID];
+    if (shade) {
+        shade.calibration = calibration;
+        saveData();
+        publishShadeState(run.chipID, shade.rawPosition, connectedShades.has(run.chipID));
+    }
+    run.profile = calibration;
+    finishCalibration(run, 'complete');
+}
+
+function finishCalibration(run, status, error) {
+    clearTimeout(run.timer);
+    run.timer = null;
+    run.status = status;
+    run.finishedAt = new Date().toISOString();
+    if (error) run.error = error;
+    log('info', `[CAL] Shade ${run.chipID}: calibration ${status}${error ? ` (${error})` : ''}`);
+    emitEvent('calibration.progress', { chipID: run.chipID, status, step: run.index, totalSteps: run.commands.length });
+}
+
+function cancelCalibration(chipID) {
+    const run = calibrationRuns.get(chipID);
+    if (run && run.status === 'running') finishCalibration(run, 'cancelled');
+    return run;
+}
+
+function calibrationSummary(run) {
+    if (!run) return null;
+    return {
+        status: run.status,
+        step: run.index,
+        totalSteps: run.commands.length,
+        samples: run.samples,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        error: run.error,
+        profile: run.profile
+    };
+}
+
+// =============================================================================
+// GROUPS & SCENES
+// =============================================================================
+// shadesDB.groups:  { id: { id, name, shades: [chipID...] } }
+// shadesDB.scenes:  { id: { id, name, positions: { chipID: percent } } }
+// Ids are slugs of the name ("Living Room" -> "living-room") so they make
+// readable URLs and MQTT topics.
+
+function slugify(name, existing) {
+    const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'item';
+    let id = base;
+    for (let n = 2; existing[id]; n++) id = `${base}-${n}`;
+    return id;
+}
+
+function validatePercent(value, label) {
+    const percent = Number(value);
+    if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+        throw new Error(`${label} must be an integer between 0 and 100`);
+    }
+    return percent;
+}
+
+function normalizeGroup(input, existing = {}) {
+    const group = { ...existing, ...input };
+    if (!group.name || typeof group.name !== 'string') throw new Error('name is required');
+    if (!Array.isArray(group.shades) || group.shades.length === 0) {
+        throw new Error('shades must be a non-empty list of chipIDs');
+    }
+    group.shades = [...new Set(group.shades.map(String))];
+    for (const chipID of group.shades) {
+        if (!shadesDB.shades[chipID]) throw new Error(`Unknown shade ${chipID}`);
+    }
+    return group;
+}
+
+function normalizeScene(input, existing = {}) {
+    const scene = { ...existing, ...input };
+    if (!scene.name || typeof scene.name !== 'string') throw new Error('name is required');
+    if (!scene.positions || typeof scene.positions !== 'object' || Object.keys(scene.positions).length === 0) {
+        throw new Error('positions must map chipIDs to percentages');
+    }
+
+    const positions = {};
+    for (const [chipID, percent] of Object.entries(scene.positions)) {
+        if (!shadesDB.shades[chipID]) throw new Error(`Unknown shade ${chipID}`);
+        positions[chipID] = validatePercent(percent, `Position for ${chipID}`);
+    }
+    scene.positions = positions;
+    return scene;
+}
+
+// Send every move back-to-back so the shades start together, reporting each
+// shade's outcome: sent, queued, offline or failed
+function moveShades(moves, source) {
+    const results = moves.map(({ chipID, position }) => {
+        if (!shadesDB.shades[chipID]) return { chipID, status: 'failed', error: 'Unknown shade' };
+        try {
+            const result = setShadePosition(chipID, position, source);
+            return { chipID, status: result.status, position, command: result.command };
+        } catch (e) {
+            return { chipID, status: 'failed', error: e.message };
+        }
+    });
+
+    const sent = results.filter(r => r.status === 'sent').length;
+    const accepted = sent + results.filter(r => r.status === 'queued').length;
+    let status = 'partial';
+    if (sent === results.length) status = 'sent';
+    else if (accepted === results.length) status = 'queued';
+    else if (accepted === 0) status = results.every(r => r.status === 'offline') ? 'offline' : 'failed';
+    return { status, results };
+}
+
+function setGroupPosition(group, position, source) {
+    const outcome = moveShades(group.shades.map(chipID => ({ chipID, position })), source);
+    log('info', `[GROUP] ${group.name}: ${position}% -> ${outcome.status}`);
+    return outcome;
+}
+
+function stopShades(chipIDs, source) {
+    const results = chipIDs.map(chipID => stopShade(chipID, source));
+    const status = ['sent', 'queued'].find(st => results.some(r => r.status === st)) || 'idle';
+    return { status, results };
+}
+
+function stopGroup(group, source) {
+    log('info', `[GROUP] ${group.name}: stop`);
+    return stopShades(group.shades, source);
+}
+
+function activateScene(scene, source) {
+    const outcome = moveShades(Object.entries(scene.positions).map(([chipID, position]) => ({ chipID, position })), source);
+    log('info', `[SCENE] ${scene.name}: ${outcome.status}`);
+    return outcome;
+}
+
+// Rooms come from the shades' room field rather than being stored; the id is
+// the slug of the name so "Living Room" answers at /api/rooms/living-room
+function roomId(name) {
+    return slugify(name, {});
+}
+
+function listRooms() {
+    const rooms = new Map();
+    for (const shade of Object.values(shadesDB.shades)) {
+        if (!shade.room) continue;
+        const id = roomId(shade.room);
+        if (!rooms.has(id)) rooms.set(id, { id, name: shade.room, shades: [] });
+        rooms.get(id).shades.push(shade.chipID);
+    }
+    return [...rooms.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function roomById(id) {
+    return listRooms().find(room => room.id === id) || null;
+}
+
+function setRoomPosition(room, position, source) {
+    const outcome = moveShades(room.shades.map(chipID => ({ chipID, position })), source);
+    log('info', `[ROOM] ${room.name}: ${position}% -> ${outcome.status}`);
+    return outcome;
+}
+
+function stopRoom(room, source) {
+    log('info', `[ROOM] ${room.name}: stop`);
+    return stopShades(room.shades, source);
+}
+
+// =============================================================================
+// SUN POSITION
+// =============================================================================
+// Offline solar calculations (the same approximations as the SunCalc library),
+// good to about a minute for sunrise/sunset.
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const EARTH_OBLIQUITY = RAD * 23.4397;
+
+// Angles below the horizon for each named event
+const SUN_EVENTS = {
+    dawn: -6,
+    sunrise: -0.833,
+    sunset: -0.833,
+    dusk: -6
+};
+
+function hasLocation() {
+    return Number.isFinite(CONFIG.LATITUDE) && Number.isFinite(CONFIG.LONGITUDE);
+}
+
+function toDays(time) {
+    return time / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+function fromJulian(j) {
+    return (j + 0.5 - J1970) * DAY_MS;
+}
+
+function sunCoords(d) {
+    const M = RAD * (357.5291 + 0.98560028 * d);
+    const C = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+    const L = M + C + RAD * 102.9372 + Math.PI;
+    return {
+        M,
+        L,
+        dec: Math.asin(Math.sin(EARTH_OBLIQUITY) * Math.sin(L)),
+        ra: Math.atan2(Math.sin(L) * Math.cos(EARTH_OBLIQUITY), Math.cos(L))
+    };
+}
+
+// Sun azimuth (compass degrees, 0 = north, 90 = east) and elevation (degrees)
+function sunPosition(time, lat = CONFIG.LATITUDE, lng = CONFIG.LONGITUDE) {
+    const lw = RAD * -lng;
+    const phi = RAD * lat;
+    const d = toDays(time);
+    const c = sunCoords(d);
+    const H = RAD * (280.16 + 360.9856235 * d) - lw - c.ra;
+
+    const azimuth = Math.atan2(Math.sin(H), Math.cos(H) * Math.sin(phi) - Math.tan(c.dec) * Math.cos(phi));
+    const elevation = Math.asin(Math.sin(phi) * Math.sin(c.dec) + Math.cos(phi) * Math.cos(c.dec) * Math.cos(H));
+    return {
+        azimuth: (azimuth / RAD + 180) % 360,
+        elevation: elevation / RAD
+    };
+}
+
+// Solar noon and named events for the day around `time`. Events the sun never
+// reaches (polar day/night) are null.
+function sunTimes(time, lat = CONFIG.LATITUDE, lng = CONFIG.LONGITUDE) {
+    const lw = RAD * -lng;
+    const phi = RAD * lat;
+    const J0 = 0.0009;
+
+    const n = Math.round(toDays(time) - J0 - lw / (2 * Math.PI));
+    const ds = J0 + lw / (2 * Math.PI) + n;
+    const { M, L, dec } = sunCoords(ds);
+    const noon = J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+    const times = { noon: fromJulian(noon) };
+    for (const [event, angle] of Object.entries(SUN_EVENTS)) {
+        const cosH = (Math.sin(angle * RAD) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+        if (cosH < -1 || cosH > 1) {
+            times[event] = null;
+            continue;
+        }
+        const w = Math.acos(cosH);
+        const set = J2000 + J0 + (w + lw) / (2 * Math.PI) + n + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+        const isMorning = event === 'dawn' || event === 'sunrise';
+        times[event] = fromJulian(isMorning ? noon - (set - noon) : set);
+    }
+    return times;
+}
+
+// Smallest angle between two compass bearings
+function angleBetween(a, b) {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+}
+
+// =============================================================================
+// SCHEDULER
+// =============================================================================
+// Jobs live in shadesDB.schedules keyed by id:
+//   { id, name, target: [chipID...], position, cron | at | sun, timezone,
+//     enabled, skipNext, graceMinutes, nextRun, lastRun, lastResult }
+// `cron` is a 5-field expression (minute hour day month weekday) evaluated in
+// the job's timezone; `at` is a one-shot timestamp; `sun` is a daily sun event
+// such as { event: 'sunrise', offsetMinutes: 20 }.
+const SCHEDULE_TRIGGERS = ['cron', 'at', 'sun'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const CRON_ALIASES = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTHS, base: 1 },
+    { name: 'weekday', min: 0, max: 7, names: WEEKDAYS.map(d => d.toUpperCase()), base: 0 }
+];
+
+function parseCronValue(value, field) {
+    const index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+    const n = index >= 0 ? index + field.base : Number(value);
+    if (!Number.isInteger(n) || n < field.min || n > field.max) {
+        throw new Error(`Invalid ${field.name} value "${value}" in cron expression`);
+    }
+    return n;
+}
+
+function parseCronField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepText}" in cron ${field.name} field`);
+        }
+
+        let start = field.min;
+        let end = field.max;
+        if (range !== '*') {
+            const bounds = range.split('-');
+            start = parseCronValue(bounds[0], field);
+            end = bounds.length > 1 ? parseCronValue(bounds[1], field) : (stepText === undefined ? start : field.max);
+            if (end < start) throw new Error(`Invalid range "${range}" in cron ${field.name} field`);
+        }
+        for (let v = start; v <= end; v += step) values.add(v);
+    }
+    return values;
+}
+
+function parseCron(expression) {
+    const text = CRON_ALIASES[expression.trim().toLowerCase()] || expression.trim();
+    const fields = text.split(/\s+/);
+    if (fields.length !== 5) throw new Error('Cron expression needs 5 fields: minute hour day month weekday');
+
+    const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+    return {
+        minutes, hours, days, months, weekdays,
+        // Like classic cron, a restricted day AND weekday match on either one
+        dayRestricted: fields[2] !== '*',
+        weekdayRestricted: fields[4] !== '*'
+    };
+}
+
+function cronDayMatches(cron, parts) {
+    const day = cron.days.has(parts.day);
+    const weekday = cron.weekdays.has(parts.weekday);
+    if (cron.dayRestricted && cron.weekdayRestricted) return day || weekday;
+    if (cron.dayRestricted) return day;
+    if (cron.weekdayRestricted) return weekday;
+    return true;
+}
+
+const zoneFormatters = new Map();
+
+// Wall-clock fields of an instant in a timezone
+function zonedParts(time, timeZone) {
+    let formatter = zoneFormatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hour12: false,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        });
+        zoneFormatters.set(timeZone, formatter);
+    }
+
+    const parts = {};
+    for (const p of formatter.formatToParts(new Date(time))) parts[p.type] = p.value;
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+function zoneOffset(time, timeZone) {
+    const p = zonedParts(time, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(time / 60000) * 60000;
+}
+
+// Parse a one-shot timestamp. Without an explicit offset it is wall-clock
+// time in the job's timezone.
+function parseScheduleTime(text, timeZone) {
+    const local = String(text).match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (!local) {
+        const time = Date.parse(text);
+        if (isNaN(time)) throw new Error(`Invalid timestamp "${text}"`);
+        return time;
+    }
+
+    const [, y, mo, d, h, mi, sec] = local.map(Number);
+    return zonedTimeToUtc(y, mo, d, h, mi, sec || 0, timeZone);
+}
+
+// Instant of a wall-clock time in a timezone
+function zonedTimeToUtc(year, month, day, hour, minute, second, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offset = zoneOffset(wall, timeZone);
+    const time = wall - offset;
+    // Re-check in case the guess landed on the other side of a DST change
+    const corrected = zoneOffset(time, timeZone);
+    return corrected === offset ? time : wall - corrected;
+}
+
+// Next occurrence of a sun event (plus offset) after `after`, or null if the
+// sun doesn't reach it within a year (polar regions)
+function nextSunRun(sun, timeZone, after) {
+    const today = zonedParts(after, timeZone);
+    for (let k = 0; k <= 366; k++) {
+        const noon = zonedTimeToUtc(today.year, today.month, today.day + k, 12, 0, 0, timeZone);
+        const event = sunTimes(noon)[sun.event];
+        if (event === null) continue;
+
+        const time = Math.round(event / 60000) * 60000 + (sun.offsetMinutes || 0) * 60000;
+        if (time > after) return time;
+    }
+    return null;
+}
+
+// First minute after `after` that matches the cron expression, or null
+function nextCronRun(cron, timeZone, after) {
+    let time = Math.floor(after / 60000) * 60000 + 60000;
+    const limit = time + 366 * 24 * 3600 * 1000;
+
+    while (time < limit) {
+        const p = zonedParts(time, timeZone);
+        if (!cron.months.has(p.month) || !cronDayMatches(cron, p) || !cron.hours.has(p.hour)) {
+            // Nothing can match in this hour; jump to the next one
+            time += (60 - p.minute) * 60000;
+            continue;
+        }
+        if (cron.minutes.has(p.minute)) return time;
+        time += 60000;
+    }
+    return null;
+}
+
+function computeNextRun(job, after = Date.now()) {
+    if (!job.enabled) return null;
+    if (job.cron) return nextCronRun(parseCron(job.cron), job.timezone, after);
+    if (job.sun) return hasLocation() ? nextSunRun(job.sun, job.timezone, after) : null;
+
+    const at = parseScheduleTime(job.at, job.timezone);
+    return at > after ? at : null;
+}
+
+function refreshNextRun(job, after) {
+    const next = computeNextRun(job, after);
+    job.nextRun = next === null ? null : new Date(next).toISOString();
+}
+
+// Validate a job from the API, merged over an existing one for updates
+function normalizeSchedule(input, existing = {}) {
+    const job = { ...existing, ...input };
+
+    const target = typeof job.target === 'string' || typeof job.target === 'number' ? [job.target] : job.target;
+    if (!Array.isArray(target) || target.length === 0) {
+        throw new Error('target must be a chipID or a list of chipIDs');
+    }
+    job.target = target.map(String);
+    for (const chipID of job.target) {
+        if (!shadesDB.shades[chipID]) throw new Error(`Unknown shade ${chipID}`);
+    }
+
+    job.position = Number(job.position);
+    if (!Number.isInteger(job.position) || job.position < 0 || job.position > 100) {
+        throw new Error('position must be an integer between 0 and 100');
+    }
+
+    // An update that switches trigger type drops the old one
+    const given = SCHEDULE_TRIGGERS.filter(t => input[t]);
+    if (given.length === 1) SCHEDULE_TRIGGERS.filter(t => t !== given[0]).forEach(t => delete job[t]);
+    if (given.length > 1 || SCHEDULE_TRIGGERS.filter(t => job[t]).length !== 1) {
+        throw new Error('Provide exactly one of cron, at or sun');
+    }
+
+    job.timezone = job.timezone || CONFIG.TIMEZONE;
+    if (!isValidTimeZone(job.timezone)) throw new Error(`Unknown timezone ${job.timezone}`);
+    if (job.cron) parseCron(job.cron);
+    if (job.at) parseScheduleTime(job.at, job.timezone);
+    if (job.sun) {
+        if (!hasLocation()) throw new Error('Sun schedules need LATITUDE and LONGITUDE configured');
+        if (!SUN_EVENTS[job.sun.event]) {
+            throw new Error(`sun.event must be one of ${Object.keys(SUN_EVENTS).join(', ')}`);
+        }
+        const offsetMinutes = Number(job.sun.offsetMinutes || 0);
+        if (!Number.isInteger(offsetMinutes) || Math.abs(offsetMinutes) > 720) {
+            throw new Error('sun.offsetMinutes must be an integer within +/-720');
+        }
+        job.sun = { event: job.sun.event, offsetMinutes };
+    }
+
+    if (job.graceMinutes !== undefined && job.graceMinutes !== null) {
+        job.graceMinutes = Number(job.graceMinutes);
+        if (!Number.isFinite(job.graceMinutes) || job.graceMinutes < 0) {
+            throw new Error('graceMinutes must be a positive number');
+        }
+    }
+
+    job.name = job.name || defaultScheduleName(job);
+    job.enabled = job.enabled !== false;
+    job.skipNext = job.skipNext === true;
+    return job;
+}
+
+function defaultScheduleName(job) {
+    if (job.cron) return `Every ${job.cron}`;
+    if (job.at) return `Once at ${job.at}`;
+
+    const offset = job.sun.offsetMinutes;
+    if (!offset) return `At ${job.sun.event}`;
+    return `${Math.abs(offset)} min ${offset > 0 ? 'after' : 'before'} ${job.sun.event}`;
+}
+
+function scheduleGraceMs(job) {
+    const minutes = Number.isFinite(job.graceMinutes) ? job.graceMinutes : CONFIG.SCHEDULE_GRACE_MINUTES;
+    return minutes * 60000;
+}
+
+// A shade that's offline gets the run queued until the grace window closes
+function runSchedule(job, dueAt) {
+    const ttlMs = dueAt + scheduleGraceMs(job) - Date.now();
+    const results = job.target.map(chipID => {
+        const result = setShadePosition(chipID, job.position, 'schedule', { ttlMs, jobId: job.id });
+        return { chipID, status: result.status };
+    });
+
+    log('info', `[SCHED] ${job.name}: ${job.position}% -> ${results.map(r => `${r.chipID} ${r.status}`).join(', ')}`);
+    emitEvent('schedule.run', { scheduleId: job.id, name: job.name, position: job.position, results });
+    return results;
+}
+
+function checkSchedules() {
+    const now = Date.now();
+    let changed = false;
+
+    for (const job of Object.values(shadesDB.schedules)) {
+        if (!job.enabled || !job.nextRun) continue;
+        const dueAt = Date.parse(job.nextRun);
+        if (dueAt > now) continue;
+
+        if (job.skipNext) {
+            job.skipNext = false;
+            job.lastResult = 'skipped';
+            log('info', `[SCHED] ${job.name}: skipped`);
+        } else if (now - dueAt > scheduleGraceMs(job)) {
+            // The server was down when this was due
+            job.lastResult = 'missed';
+            log('info', `[SCHED] ${job.name}: missed run due ${job.nextRun}`);
+        } else {
+            job.lastResult = runSchedule(job, dueAt);
+        }
+        job.lastRun = new Date(now).toISOString();
+
+        if (job.at) job.enabled = false;
+        refreshNextRun(job, now);
+        changed = true;
+    }
+
+    if (changed) saveData();
+}
+
+function startScheduler() {
+    const now = Date.now();
+    for (const job of Object.values(shadesDB.schedules)) {
+        // Keep overdue runs so checkSchedules can fire them within the grace window
+        if (!job.nextRun) refreshNextRun(job, now);
+    }
+    saveData();
+    setInterval(checkSchedules, 10000);
+    log('info', `[SCHED] ${Object.keys(shadesDB.schedules).length} schedule(s) loaded`);
+}
+
+// The location changed: move sunrise/sunset runs and re-check sun rules
+function refreshSunSchedules() {
+    const now = Date.now();
+    for (const job of Object.values(shadesDB.schedules)) {
+        if (job.sun) refreshNextRun(job, now);
+    }
+    saveData();
+    checkSunRules();
+}
+
+function scheduleSummary(job) {
+    return {
+        ...job,
+        pending: job.target.filter(chipID => queuedEntries(chipID).some(e => e.jobId === job.id))
+    };
+}
+
+// =============================================================================
+// SUN AUTOMATIONS
+// =============================================================================
+// Rules in shadesDB.automations move shades while the sun is in a window:
+//   { id, name, target: [chipID...], position, restorePosition,
+//     azimuthFrom, azimuthTo, fieldOfView, minElevation, maxElevation, enabled }
+// With azimuthFrom/azimuthTo the window is a fixed compass range. Without them
+// each shade's `orientation` (the direction its window faces) is used, and the
+// sun counts as in the window within fieldOfView/2 degrees of it.
+
+// Per rule and shade: { active, applied } - applied is false if the shade was
+// offline when the rule changed state
+const sunRuleStates = new Map();
+
+function normalizeSunRule(input, existing = {}) {
+    const rule = { ...existing, ...input };
+
+    const target = typeof rule.target === 'string' || typeof rule.target === 'number' ? [rule.target] : rule.target;
+    if (!Array.isArray(target) || target.length === 0) {
+        throw new Error('target must be a chipID or a list of chipIDs');
+    }
+    rule.target = target.map(String);
+    for (const chipID of rule.target) {
+        if (!shadesDB.shades[chipID]) throw new Error(`Unknown shade ${chipID}`);
+    }
+
+    for (const field of ['position', 'restorePosition']) {
+        if (rule[field] === undefined || rule[field] === null) continue;
+        rule[field] = Number(rule[field]);
+        if (!Number.isInteger(rule[field]) || rule[field] < 0 || rule[field] > 100) {
+            throw new Error(`${field} must be an integer between 0 and 100`);
+        }
+    }
+    if (rule.position === undefined) throw new Error('position is required');
+
+    const fixed = rule.azimuthFrom !== undefined || rule.azimuthTo !== undefined;
+    if (fixed) {
+        rule.azimuthFrom = Number(rule.azimuthFrom);
+        rule.azimuthTo = Number(rule.azimuthTo);
+        if (![rule.azimuthFrom, rule.azimuthTo].every(a => Number.isFinite(a) && a >= 0 && a <= 360)) {
+            throw new Error('azimuthFrom and azimuthTo must both be between 0 and 360');
+        }
+    } else {
+        const missing = rule.target.filter(chipID => !Number.isFinite(shadesDB.shades[chipID].orientation));
+        if (missing.length) {
+            throw new Error(`Set an orientation for shade(s) ${missing.join(', ')} or give azimuthFrom/azimuthTo`);
+        }
+    }
+
+    rule.fieldOfView = rule.fieldOfView !== undefined ? Number(rule.fieldOfView) : 120;
+    rule.minElevation = rule.minElevation !== undefined ? Number(rule.minElevation) : 0;
+    rule.maxElevation = rule.maxElevation !== undefined ? Number(rule.maxElevation) : 90;
+    if (!Number.isFinite(rule.fieldOfView) || rule.fieldOfView <= 0 || rule.fieldOfView > 360) {
+        throw new Error('fieldOfView must be between 0 and 360');
+    }
+    if (!Number.isFinite(rule.minElevation) || !Number.isFinite(rule.maxElevation) || rule.minElevation > rule.maxElevation) {
+        throw new Error('minElevation and maxElevation must be numbers with min <= max');
+    }
+
+    rule.name = rule.name || `Sun glare ${rule.position}%`;
+    rule.enabled = rule.enabled !== false;
+    return rule;
+}
+
+function sunInWindow(rule, chipID, sun) {
+    if (sun.elevation < rule.minElevation || sun.elevation > rule.maxElevation) return false;
+
+    if (Number.isFinite(rule.azimuthFrom)) {
+        // Ranges may wrap through north, e.g. 300 -> 60
+        return rule.azimuthFrom <= rule.azimuthTo
+            ? sun.azimuth >= rule.azimuthFrom && sun.azimuth <= rule.azimuthTo
+            : sun.azimuth >= rule.azimuthFrom || sun.azimuth <= rule.azimuthTo;
+    }
+
+    const orientation = (shadesDB.shades[chipID] || {}).orientation;
+    if (!Number.isFinite(orientation)) return false;
+    return angleBetween(sun.azimuth, orientation) <= rule.fieldOfView / 2;
+}
+
+function applySunRule(rule, chipID, state) {
+    const position = state.active ? rule.position : rule.restorePosition;
+    if (position === undefined || position === null) {
+        state.applied = true;
+        return;
+    }
+
+    const result = setShadePosition(chipID, position, 'automation');
+    state.applied = result.status !== 'offline';
+    log('info', `[SUN] ${rule.name}: sun ${state.active ? 'entered' : 'left'} window, shade ${chipID} -> ${position}% (${result.status})`);
+}
+
+function checkSunRules() {
+    if (!hasLocation()) return;
+    const sun = sunPosition(Date.now());
+
+    for (const rule of Object.values(shadesDB.automations)) {
+        if (!rule.enabled) continue;
+        for (const chipID of rule.target) {
+            const key = `${rule.id}:${chipID}`;
+            const active = sunInWindow(rule, chipID, sun);
+            const state = sunRuleStates.get(key);
+
+            // First evaluation after startup only acts if the sun is in the window
+            if (!state) {
+                const initial = { active, applied: !active };
+                sunRuleStates.set(key, initial);
+                if (active) applySunRule(rule, chipID, initial);
+                continue;
+            }
+            if (state.active !== active) {
+                state.active = active;
+                applySunRule(rule, chipID, state);
+            }
+        }
+    }
+}
+
+// Re-send whatever a rule wanted while the shade was offline
+function flushPendingSunRules(chipID) {
+    for (const rule of Object.values(shadesDB.automations)) {
+        const state = sunRuleStates.get(`${rule.id}:${chipID}`);
+        if (rule.enabled && state && !state.applied) applySunRule(rule, chipID, state);
+    }
+}
+
+function forgetSunRuleState(ruleId) {
+    for (const key of sunRuleStates.keys()) {
+        if (key.startsWith(`${ruleId}:`)) sunRuleStates.delete(key);
+    }
+}
+
+// Checks run even without a location, which a config reload can add later
+function startSunAutomations() {
+    setInterval(checkSunRules, 60000);
+    if (!hasLocation()) {
+        log('info', '[SUN] Disabled - set LATITUDE and LONGITUDE to enable sun automations');
+        return;
+    }
+    const times = sunTimes(Date.now());
+    const fmt = t => t === null ? 'none' : new Date(t).toLocaleTimeString();
+    log('info', `[SUN] Location ${CONFIG.LATITUDE}, ${CONFIG.LONGITUDE}: sunrise ${fmt(times.sunrise)}, sunset ${fmt(times.sunset)}`);
+    checkSunRules();
+}
+
+function sunRuleSummary(rule) {
+    return {
+        ...rule,
+        active: rule.target.filter(chipID => (sunRuleStates.get(`${rule.id}:${chipID}`) || {}).active)
+    };
+}
+
+// =============================================================================
+// WEBHOOKS
+// =============================================================================
+// Webhooks in shadesDB.webhooks POST selected events to other services:
+//   { id, name, url, events: [type...], shades: [chipID...] | null, enabled, secret }
+// The body is { id, event, at, data }, signed with
+//   X-LinkShades-Signature: sha256=HMAC-SHA256(secret, `${timestamp}.${body}`)
+// where timestamp (unix seconds) is sent as X-LinkShades-Timestamp. Failed
+// deliveries are retried with exponential backoff; the last WEBHOOK_LOG_SIZE
+// deliveries of each webhook are kept in memory.
+const WEBHOOK_EVENTS = ['shade.connected', 'shade.disconnected', 'shade.reached', 'command.failed', 'schedule.run'];
+const webhookDeliveries = new Map();  // webhook id -> [delivery...], newest first
+
+function normalizeWebhook(input, existing = {}) {
+    const webhook = { ...existing, ...input };
+
+    let url;
+    try {
+        url = new URL(webhook.url);
+    } catch (e) {
+        url = null;
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        throw new Error('url must be an absolute http:// or https:// URL');
+    }
+    webhook.url = url.href;
+
+    const events = webhook.events === undefined || webhook.events === null ? WEBHOOK_EVENTS : webhook.events;
+    if (!Array.isArray(events) || events.length === 0) throw new Error('events must be a non-empty list');
+    for (const type of events) {
+        if (!WEBHOOK_EVENTS.includes(type)) throw new Error(`Unknown event ${type}; expected ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    webhook.events = [...new Set(events)];
+
+    // null (or an empty list) means every shade
+    if (webhook.shades === undefined || webhook.shades === null || (Array.isArray(webhook.shades) && webhook.shades.length === 0)) {
+        webhook.shades = null;
+    } else {
+        if (!Array.isArray(webhook.shades)) throw new Error('shades must be a list of chipIDs');
+        webhook.shades = [...new Set(webhook.shades.map(String))];
+        for (const chipID of webhook.shades) {
+            if (!shadesDB.shades[chipID]) throw new Error(`Unknown shade ${chipID}`);
+        }
+    }
+
+    if (webhook.secret === undefined || webhook.secret === null) {
+        webhook.secret = existing.secret || crypto.randomBytes(24).toString('hex');
+    } else if (typeof webhook.secret !== 'string' || webhook.secret.length < 16) {
+        throw new Error('secret must be a string of at least 16 characters');
+    }
+
+    webhook.name = webhook.name || url.host;
+    webhook.enabled = webhook.enabled !== false;
+    return webhook;
+}
+
+// The secret is only returned when the webhook is created
+function webhookSummary(webhook) {
+    const { secret, ...summary } = webhook;
+    const last = (webhookDeliveries.get(webhook.id) || [])[0];
+    return { ...summary, lastDelivery: last ? { event: last.event, status: last.status, at: last.createdAt } : null };
+}
+
+function dispatchWebhooks(event) {
+    if (!WEBHOOK_EVENTS.includes(event.type)) return;
+    // schedule.run carries the shades it moved in its results
+    const chipIDs = event.data.chipID ? [event.data.chipID] : (event.data.results || []).map(r => r.chipID);
+
+    for (const webhook of Object.values(shadesDB.webhooks)) {
+        if (!webhook.enabled || !webhook.events.includes(event.type)) continue;
+        if (webhook.shades && !chipIDs.some(chipID => webhook.shades.includes(chipID))) continue;
+        deliverWebhook(webhook, event);
+    }
+}
+
+shadeEvents.on('event', dispatchWebhooks);
+
+function deliverWebhook(webhook, event) {
+    const delivery = {
+        id: crypto.randomBytes(6).toString('hex'),
+        event: event.type,
+        eventId: event.id,
+        createdAt: new Date().toISOString(),
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: null
+    };
+    const deliveries = webhookDeliveries.get(webhook.id) || [];
+    deliveries.unshift(delivery);
+    if (deliveries.length > CONFIG.WEBHOOK_LOG_SIZE) deliveries.length = CONFIG.WEBHOOK_LOG_SIZE;
+    webhookDeliveries.set(webhook.id, deliveries);
+
+    const body = JSON.stringify({ id: delivery.id, event: event.type, at: event.at, data: event.data });
+    attemptDelivery(webhook.id, delivery, body);
+    return delivery;
+}
+
+function attemptDelivery(webhookId, delivery, body) {
+    // The webhook may have been deleted or disabled while a retry was waiting
+    const webhook = shadesDB.webhooks[webhookId];
+    if (!webhook || !webhook.enabled) {
+        delivery.status = 'cancelled';
+        delivery.nextAttemptAt = null;
+        return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'LinkShades-Webhook',
+        'X-LinkShades-Event': delivery.event,
+        'X-LinkShades-Delivery': delivery.id,
+        'X-LinkShades-Timestamp': String(timestamp),
+        'X-LinkShades-Signature': `sha256=${signature}`
+    };
+
+    const startedAt = Date.now();
+    postWebhook(webhook.url, body, headers, (statusCode, error) => {
+        delivery.attempts.push({ at: new Date(startedAt).toISOString(), statusCode, error, durationMs: Date.now() - startedAt });
+        if (statusCode >= 200 && statusCode < 300) {
+            delivery.status = 'delivered';
+            delivery.nextAttemptAt = null;
+            return;
+        }
+
+        // Other 4xx answers won't change on a retry
+        const rejected = statusCode >= 400 && statusCode < 500 && statusCode !== 408 && statusCode !== 429;
+        const problem = error || `HTTP ${statusCode}`;
+        if (rejected || delivery.attempts.length >= CONFIG.WEBHOOK_MAX_ATTEMPTS) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+            log('warn', `[HOOK] ${webhook.name}: ${delivery.event} failed after ${delivery.attempts.length} attempt(s) (${problem})`);
+            recordError('webhook', `${webhook.name}: ${delivery.event} failed after ${delivery.attempts.length} attempt(s) (${problem})`);
+            return;
+        }
+
+        const delay = CONFIG.WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1);
+        delivery.status = 'retrying';
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        log('info', `[HOOK] ${webhook.name}: ${delivery.event} attempt ${delivery.attempts.length} failed (${problem}), retrying in ${delay / 1000}s`);
+        setTimeout(() => attemptDelivery(webhookId, delivery, body), delay);
+    });
+}
+
+function postWebhook(url, body, headers, done) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    let finished = false;
+    const finish = (statusCode, error) => {
+        if (finished) return;
+        finished = true;
+        done(statusCode, error);
+    };
+
+    const req = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: CONFIG.WEBHOOK_TIMEOUT_MS
+    }, (res) => {
+        res.resume();
+        finish(res.statusCode, null);
+    });
+    req.on('timeout', () => req.destroy(new Error(`No response within ${CONFIG.WEBHOOK_TIMEOUT_MS / 1000}s`)));
+    req.on('error', (err) => finish(null, err.message));
+    req.end(body);
+}
+
+// =============================================================================
+// HUE BRIDGE EMULATION
+// =============================================================================
+// Pretends to be a Philips Hue bridge (API v1) so Echo devices can find and
+// drive the shades without any cloud. Each shade and group shows up as a
+// dimmable light: brightness 1-254 is the position, on = open, off = closed.
+// Discovery is SSDP on 239.255.255.250:1900 pointing at /description.xml on
+// HUE_PORT. Like the emulators Echo is used to, any username is accepted.
+//
+// AUTH_ENABLED deliberately doesn't cover HUE_PORT: Echo devices can't send a
+// token or log in, so checking would only break voice control. Turning the
+// Hue bridge on opens shade control to the whole network; startup says so.
+//
+// Hue light ids are small numbers that must not change once a device has
+// been discovered, so they are kept in shadesDB.hueLights: id -> 'shade:<chipID>'
+// or 'group:<id>'.
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+const HUE_SEARCH_TARGETS = ['ssdp:all', 'upnp:rootdevice', 'urn:schemas-upnp-org:device:basic:1'];
+
+let hueServer = null;
+let ssdpSocket = null;
+
+function hueAddress() {
+    for (const addresses of Object.values(os.networkInterfaces())) {
+        for (const address of addresses) {
+            if (address.family !== 'IPv4' || address.internal) continue;
+            if (!CONFIG.HUE_ADVERTISE_IP || address.address === CONFIG.HUE_ADVERTISE_IP) {
+                return { ip: address.address, mac: address.mac };
+            }
+        }
+    }
+    return { ip: CONFIG.HUE_ADVERTISE_IP || '127.0.0.1', mac: '00:00:00:00:00:00' };
+}
+
+// Bridge ids are the MAC address with FFFE in the middle
+function hueBridgeId(mac) {
+    const hex = mac.replace(/:/g, '').toUpperCase();
+    return `${hex.slice(0, 6)}FFFE${hex.slice(6)}`;
+}
+
+function hueUUID(mac) {
+    return `2f402f80-da50-11e1-9b23-${mac.replace(/:/g, '').toLowerCase()}`;
+}
+
+// Give every shade and group a light id, reusing ids already handed out
+function syncHueLights() {
+    const refs = [
+        ...Object.keys(shadesDB.shades).map(chipID => `shade:${chipID}`),
+        ...Object.keys(shadesDB.groups).map(id => `group:${id}`)
+    ];
+    const known = new Set(Object.values(shadesDB.hueLights));
+    let changed = false;
+
+    for (const [id, ref] of Object.entries(shadesDB.hueLights)) {
+        if (!refs.includes(ref)) {
+            delete shadesDB.hueLights[id];
+            changed = true;
+        }
+    }
+    let next = Math.max(0, ...Object.keys(shadesDB.hueLights).map(Number)) + 1;
+    for (const ref of refs) {
+        if (known.has(ref)) continue;
+        shadesDB.hueLights[String(next++)] = ref;
+        changed = true;
+    }
+    if (changed) saveData();
+}
+
+function hueTarget(ref) {
+    const [kind, id] = ref.split(':');
+    if (kind === 'shade') return shadesDB.shades[id] ? { kind, id, shade: shadesDB.shades[id] } : null;
+    return shadesDB.groups[id] ? { kind, id, group: shadesDB.groups[id] } : null;
+}
+
+// Where the target is heading while it moves, otherwise where it is
+function huePercent(target) {
+    const shadePercent = (chipID) => {
+        const movement = movements.get(chipID);
+        if (movement && !movement.outcome) return positionToPercent(movement.target, getCalibration(chipID));
+        return shadesDB.shades[chipID].currentPosition || 0;
+    };
+    if (target.kind === 'shade') return shadePercent(target.id);
+
+    const members = target.group.shades.filter(chipID => shadesDB.shades[chipID]);
+    if (members.length === 0) return 0;
+    return Math.round(members.reduce((sum, chipID) => sum + shadePercent(chipID), 0) / members.length);
+}
+
+function hueLight(target, bridgeId) {
+    const percent = huePercent(target);
+    const reachable = target.kind === 'shade'
+        ? connectedShades.has(target.id)
+        : target.group.shades.some(chipID => connectedShades.has(chipID));
+    const digest = crypto.createHash('sha1').update(`${target.kind}:${target.id}`).digest('hex');
+
+    return {
+        state: {
+            on: percent > 0,
+            bri: Math.max(1, Math.round(percent * 254 / 100)),
+            alert: 'none',
+            mode: 'homeautomation',
+            reachable
+        },
+        type: 'Dimmable light',
+        name: target.kind === 'shade' ? target.shade.name || `LinkShade ${target.id}` : target.group.name,
+        modelid: 'LWB010',
+        manufacturername: 'Philips',
+        productname: 'Hue white lamp',
+        uniqueid: `${digest.slice(0, 16).match(/../g).join(':')}-0b`,
+        swversion: '1.46.13_r26312',
+        swconfigid: bridgeId.slice(-8)
+    };
+}
+
+function hueLights(bridgeId) {
+    syncHueLights();
+    const lights = {};
+    for (const [id, ref] of Object.entries(shadesDB.hueLights)) {
+        const target = hueTarget(ref);
+        if (target) lights[id] = hueLight(target, bridgeId);
+    }
+    return lights;
+}
+
+function hueConfig(address) {
+    const bridgeId = hueBridgeId(address.mac);
+    return {
+        name: 'LinkShades',
+        datastoreversion: '103',
+        swversion: '1935144020',
+        apiversion: '1.35.0',
+        mac: address.mac,
+        bridgeid: bridgeId,
+        factorynew: false,
+        replacesbridgeid: null,
+        modelid: 'BSB002',
+        ipaddress: address.ip,
+        linkbutton: true
+    };
+}
+
+function hueDescription(address) {
+    const base = `http://${address.ip}:${CONFIG.HUE_PORT}/`;
+    return `<?xml version="1.0" encoding="UTF-8" ?>
+<root xmlns="urn:schemas-upnp-org:device-1-0">
+<specVersion><major>1</major><minor>0</minor></specVersion>
+<URLBase>${base}</URLBase>
+<device>
+<deviceType>urn:schemas-upnp-org:device:Basic:1</deviceType>
+<friendlyName>LinkShades (${address.ip})</friendlyName>
+<manufacturer>Royal Philips Electronics</manufacturer>
+<manufacturerURL>http://www.philips.com</manufacturerURL>
+<modelDescription>Philips hue Personal Wireless Lighting</modelDescription>
+<modelName>Philips hue bridge 2015</modelName>
+<modelNumber>BSB002</modelNumber>
+<modelURL>http://www.meethue.com</modelURL>
+<serialNumber>${address.mac.replace(/:/g, '')}</serialNumber>
+<UDN>uuid:${hueUUID(address.mac)}</UDN>
+<presentationURL>index.html</presentationURL>
+</device>
+</root>
+`;
+}
+
+// Apply { on, bri } from a Hue client; bri wins when both are given
+function setHueState(target, state, lightId) {
+    let percent;
+    if (state.bri !== undefined) percent = Math.round(Math.min(Math.max(Number(state.bri), 0), 254) * 100 / 254);
+    else if (state.on !== undefined) percent = state.on ? 100 : 0;
+    if (percent === undefined || !Number.isFinite(percent)) return [];
+    if (state.on === false) percent = 0;
+
+    const outcome = target.kind === 'shade'
+        ? setShadePosition(target.id, percent, 'hue')
+        : setGroupPosition(target.group, percent, 'hue');
+    log('info', `[HUE] Light ${lightId} (${target.kind} ${target.id}): ${percent}% -> ${outcome.status}`);
+
+    return Object.entries(state)
+        .filter(([key]) => key === 'on' || key === 'bri')
+        .map(([key, value]) => ({ success: { [`/lights/${lightId}/state/${key}`]: value } }));
+}
+
+function hueError(type, address, description) {
+    return [{ error: { type, address, description } }];
+}
+
+function handleHueRequest(req, res) {
+    const url = req.url.split('?')[0].replace(/\/+$/, '');
+    const address = hueAddress();
+    const bridgeId = hueBridgeId(address.mac);
+
+    if (url === '/description.xml' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'text/xml' });
+        res.end(hueDescription(address));
+        return;
+    }
+
+    // Pairing: the link button is always pressed
+    if (url === '/api' && req.method === 'POST') {
+        readJSON(req, res, (data) => {
+            log('info', `[HUE] Paired ${data.devicetype || 'unknown device'}`);
+            sendJSON(res, 200, [{ success: { username: crypto.randomBytes(16).toString('hex') } }]);
+        });
+        return;
+    }
+
+    const match = url.match(/^\/api\/([^/]+)(\/.*)?$/);
+    if (!match) {
+        res.writeHead(404);
+        res.end('Not Found');
+        return;
+    }
+    const path = match[2] || '';
+
+    if (req.method === 'GET') {
+        if (path === '') {
+            sendJSON(res, 200, { lights: hueLights(bridgeId), groups: {}, config: hueConfig(address), schedules: {}, scenes: {}, rules: {}, sensors: {}, resourcelinks: {} });
+            return;
+        }
+        if (path === '/config') {
+            sendJSON(res, 200, hueConfig(address));
+            return;
+        }
+        if (path === '/lights') {
+            sendJSON(res, 200, hueLights(bridgeId));
+            return;
+        }
+        if (path === '/groups') {
+            sendJSON(res, 200, {});
+            return;
+        }
+    }
+
+    const light = path.match(/^\/lights\/(\d+)(\/state)?$/);
+    if (light) {
+        const lightId = light[1];
+        syncHueLights();
+        const target = shadesDB.hueLights[lightId] ? hueTarget(shadesDB.hueLights[lightId]) : null;
+        if (!target) {
+            sendJSON(res, 200, hueError(3, `/lights/${lightId}`, `resource, /lights/${lightId}, not available`));
+            return;
+        }
+        if (req.method === 'GET' && !light[2]) {
+            sendJSON(res, 200, hueLight(target, bridgeId));
+            return;
+        }
+        if (req.method === 'PUT' && light[2]) {
+            readJSON(req, res, (state) => sendJSON(res, 200, setHueState(target, state, lightId)));
+            return;
+        }
+    }
+
+    sendJSON(res, 200, hueError(4, path || '/', `method, ${req.method}, not available for resource, ${path || '/'}`));
+}
+
+function ssdpResponse(address, searchTarget) {
+    const bridgeId = hueBridgeId(address.mac);
+    return [
+        'HTTP/1.1 200 OK',
+        `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+        'CACHE-CONTROL: max-age=100',
+        'EXT:',
+        `LOCATION: http://${address.ip}:${CONFIG.HUE_PORT}/description.xml`,
+        'SERVER: Linux/3.14.0 UPnP/1.0 IpBridge/1.35.0',
+        `hue-bridgeid: ${bridgeId}`,
+        `ST: ${searchTarget}`,
+        `USN: uuid:${hueUUID(address.mac)}::${searchTarget}`,
+        '',
+        ''
+    ].join('\r\n');
+}
+
+function startSSDP() {
+    ssdpSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    ssdpSocket.on('error', (err) => {
+        log('error', `[HUE] SSDP error: ${err.message}`);
+        ssdpSocket.close();
+        ssdpSocket = null;
+    });
+    ssdpSocket.on('message', (message, remote) => {
+        const text = message.toString();
+        if (!text.startsWith('M-SEARCH')) return;
+        const st = (text.match(/^ST:\s*(.+)$/im) || [])[1];
+        const searchTarget = st && st.trim();
+        if (!HUE_SEARCH_TARGETS.includes(searchTarget)) return;
+
+        // ssdp:all gets one answer per target; Echo devices want the basic device
+        const address = hueAddress();
+        const targets = searchTarget === 'ssdp:all' ? HUE_SEARCH_TARGETS.slice(1) : [searchTarget];
+        for (const target of targets) {
+            ssdpSocket.send(ssdpResponse(address, target), remote.port, remote.address);
+        }
+        log('info', `[HUE] Answered M-SEARCH for ${searchTarget} from ${remote.address}`);
+    });
+    ssdpSocket.bind(SSDP_PORT, () => {
+        try {
+            ssdpSocket.addMembership(SSDP_ADDRESS);
+        } catch (err) {
+            log('info', `[HUE] Could not join ${SSDP_ADDRESS}: ${err.message}`);
+        }
+    });
+}
+
+function startHueBridge() {
+    if (!CONFIG.HUE_ENABLED) return;
+
+    syncHueLights();
+    hueServer = http.createServer(handleHueRequest);
+    hueServer.on('error', (err) => log('error', `[HUE] HTTP error: ${err.message}`));
+    hueServer.listen(CONFIG.HUE_PORT, CONFIG.BIND_ADDRESS, () => {
+        const address = hueAddress();
+        log('info', `[HUE] Bridge ${hueBridgeId(address.mac)} at http://${address.ip}:${CONFIG.HUE_PORT}/ with ${Object.keys(shadesDB.hueLights).length} light(s)`);
+        if (CONFIG.AUTH_ENABLED) log('warn', `[HUE] Port ${CONFIG.HUE_PORT} is not covered by AUTH_ENABLED - anyone on the network can move shades through it`);
+        startSSDP();
+    });
+}
+
+// =============================================================================
+// CLOUD EMULATION
+// =============================================================================
+// Shades (and the old mobile app) may make plain HTTP calls to the original
+// cloud besides the WebSocket - registration, time sync, firmware checks. Any
+// request outside the local API ends up here. Endpoints from the config
+// (cloud.endpoints) are tried first, then the built-in stubs; whatever is
+// left is logged in detail and answered 404 as before, so new endpoints can be
+// discovered from the log or GET /api/admin/cloud.
+//
+// A config endpoint: { name?, method? (default any), path ('/exact' or
+// '/prefix*'), status? (200), headers?, body? }. An object body is sent as
+// JSON; {{unix}}, {{unixMs}} and {{iso}} in strings become the current time
+// (a string that is only {{unix}} or {{unixMs}} becomes a number).
+const CLOUD_LOG_SIZE = 100;
+const cloudStubs = [];
+const cloudRequests = [];          // Newest first, CLOUD_LOG_SIZE at most
+const cloudPaths = new Map();      // `${method} ${path}` -> { method, path, count, firstAt, lastAt, handledBy }, least recently seen first, CLOUD_LOG_SIZE at most
+
+// Paths the local server answers itself; the cloud never sees these
+function isLocalPath(url) {
+    return ['/', '/index.html', '/favicon.ico', '/login', '/metrics', '/api'].includes(url) || url.startsWith('/api/') || staticFile(url) !== null;
+}
+
+// Called while the config loads, so nothing here may depend on later state
+function normalizeCloudEndpoint(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('must be an object');
+    const method = (input.method || '*').toUpperCase();
+    if (!/^(\*|[A-Z]+)$/.test(method)) throw new Error('method must be an HTTP method or *');
+    if (typeof input.path !== 'string' || !input.path.startsWith('/')) throw new Error('path must start with /');
+    const prefix = input.path.replace(/\*$/, '');
+    if (isLocalPath(prefix)) throw new Error(`path ${input.path} is served by the local API`);
+
+    const status = input.status === undefined ? 200 : Number(input.status);
+    if (!Number.isInteger(status) || status < 100 || status > 599) throw new Error('status must be an HTTP status code');
+    const headers = input.headers || {};
+    if (typeof headers !== 'object' || Array.isArray(headers) || !Object.values(headers).every(v => typeof v === 'string' || typeof v === 'number')) {
+        throw new Error('headers must be an object of strings');
+    }
+
+    return {
+        name: input.name ? String(input.name) : `${method} ${input.path}`,
+        method,
+        path: input.path,
+        status,
+        headers,
+        body: input.body === undefined ? null : input.body
+    };
+}
+
+function matchesCloudPath(pattern, url) {
+    return pattern.endsWith('*') ? url.startsWith(pattern.slice(0, -1)) : url === pattern;
+}
+
+function fillCloudTemplate(value) {
+    if (typeof value === 'string') {
+        const now = Date.now();
+        if (value === '{{unix}}') return Math.floor(now / 1000);
+        if (value === '{{unixMs}}') return now;
+        return value.replace(/\{\{unix\}\}/g, Math.floor(now / 1000))
+            .replace(/\{\{unixMs\}\}/g, now)
+            .replace(/\{\{iso\}\}/g, new Date(now).toISOString());
+    }
+    if (Array.isArray(value)) return value.map(fillCloudTemplate);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, fillCloudTemplate(v)]));
+    }
+    return value;
+}
+
+// Plug in an answer for a cloud call: { name, match(req, url), respond(req, body) }
+// where respond returns { status, headers?, body? } like a config endpoint
+function registerCloudStub(stub) {
+    cloudStubs.push(stub);
+}
+
+// The ESP8266/ESP32 HTTP updater identifies itself with x-ESP*-version
+// headers and takes 304 as "no update", so the shade carries on starting up.
+// Without the headers only a GET of the update file itself counts; anything
+// else that merely mentions updates stays unmatched so it gets logged
+registerCloudStub({
+    name: 'firmware-check',
+    match: (req, url) => Object.keys(req.headers).some(h => /^x-esp(8266|32)-/.test(h)) ||
+        (req.method === 'GET' && /^\/(firmware|ota|update)s?(\.bin|\.json)?$/i.test(url)),
+    respond: () => ({ status: 304 })
+});
+
+registerCloudStub({
+    name: 'time',
+    match: (req, url) => req.method === 'GET' && /^\/(time|ntp)(\.json)?$/i.test(url),
+    respond: () => {
+        const now = Date.now();
+        return { status: 200, body: { time: Math.floor(now / 1000), timeMs: now, iso: new Date(now).toISOString() } };
+    }
+});
+
+registerCloudStub({
+    name: 'connectivity-check',
+    match: (req, url) => /^\/(ping|generate_204|health)$/i.test(url),
+    respond: () => ({ status: 204 })
+});
+
+// Registration and provisioning just need to succeed
+registerCloudStub({
+    name: 'registration',
+    match: (req, url) => req.method === 'POST' && /^\/(register|provision|activate)$/i.test(url),
+    respond: () => ({ status: 200, body: { status: 'ok', success: true } })
+});
+
+function findCloudHandler(req, url) {
+    const endpoint = CONFIG.CLOUD_ENDPOINTS.find(e => (e.method === '*' || e.method === req.method) && matchesCloudPath(e.path, url));
+    if (endpoint) {
+        return { name: endpoint.name, respond: () => ({ status: endpoint.status, headers: endpoint.headers, body: fillCloudTemplate(endpoint.body) }) };
+    }
+    if (!CONFIG.CLOUD_STUBS) return null;
+    return cloudStubs.find(stub => stub.match(req, url)) || null;
+}
+
+function recordCloudRequest(entry) {
+    cloudRequests.unshift(entry);
+    if (cloudRequests.length > CLOUD_LOG_SIZE) cloudRequests.length = CLOUD_LOG_SIZE;
+
+    // Re-inserted on every hit so the first key is always the one seen longest ago
+    const key = `${entry.method} ${entry.path}`;
+    const seen = cloudPaths.get(key) || { method: entry.method, path: entry.path, count: 0, firstAt: entry.at };
+    Object.assign(seen, { count: seen.count + 1, lastAt: entry.at, handledBy: entry.handledBy });
+    cloudPaths.delete(key);
+    cloudPaths.set(key, seen);
+    if (cloudPaths.size > CLOUD_LOG_SIZE) cloudPaths.delete(cloudPaths.keys().next().value);
+}
+
+function handleCloudRequest(req, res, url) {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        // Only the start of a large upload is kept for the log
+        if (size < CONFIG.CLOUD_LOG_BODY_BYTES) chunks.push(chunk);
+        size += chunk.length;
+    });
+    req.on('end', () => {
+        const raw = Buffer.concat(chunks).slice(0, CONFIG.CLOUD_LOG_BODY_BYTES);
+        const body = raw.toString('utf8');
+        const handler = findCloudHandler(req, url);
+        const response = handler ? handler.respond(req, body) : { status: 404, body: 'Not Found' };
+
+        const headers = { ...(response.headers || {}) };
+        let payload = '';
+        if (response.body !== null && response.body !== undefined) {
+            const json = typeof response.body === 'object';
+            payload = json ? JSON.stringify(response.body) : String(response.body);
+            if (!Object.keys(headers).some(h => h.toLowerCase() === 'content-type')) {
+                headers['Content-Type'] = json ? 'application/json' : 'text/plain';
+            }
+        }
+        res.writeHead(response.status, headers);
+        res.end(payload);
+
+        const entry = {
+            at: new Date().toISOString(),
+            remoteAddress: req.socket.remoteAddress,
+            method: req.method,
+            path: url,
+            query: req.url.includes('?') ? req.url.slice(req.url.indexOf('?') + 1) : null,
+            headers: req.headers,
+            body,
+            bodyBytes: size,
+            handledBy: handler ? handler.name : null,
+            status: response.status
+        };
+        recordCloudRequest(entry);
+
+        if (handler) {
+            log('info', `[CLOUD] ${req.method} ${req.url} from ${entry.remoteAddress} -> ${handler.name} (${response.status})`);
+            return;
+        }
+        log('warn', `[CLOUD] Unmatched ${req.method} ${req.url} from ${entry.remoteAddress}`);
+        for (const [name, value] of Object.entries(req.headers)) log('warn', `[CLOUD]   ${name}: ${value}`);
+        if (size) log('warn', `[CLOUD]   body (${size} bytes${size > raw.length ? `, first ${raw.length} shown` : ''}): ${body}`);
+    });
+}
+
+function cloudSummary() {
+    return {
+        enabled: CONFIG.CLOUD_ENABLED,
+        endpoints: CONFIG.CLOUD_ENDPOINTS,
+        stubs: CONFIG.CLOUD_STUBS ? cloudStubs.map(stub => stub.name) : [],
+        paths: [...cloudPaths.values()].sort((a, b) => b.count - a.count),
+        requests: cloudRequests
+    };
+}
+
+// =============================================================================
+// SHADE MANAGEMENT
+// =============================================================================
+// User-editable fields on a shade record. null clears a field (name falls
+// back to the default).
+const SHADE_TEXT_FIELDS = { name: 64, room: 64, icon: 64, notes: 1000 };
+// Percent positions the dashboard offers as one-tap buttons; a shade without
+// its own list gets these
+const DEFAULT_PRESETS = [25, 50, 75, 90];
+const MAX_PRESETS = 8;
+
+function shadePresets(shade) {
+    return shade.presets || DEFAULT_PRESETS;
+}
+
+function applyShadeUpdate(shade, input) {
+    const update = {};
+    for (const [field, maxLength] of Object.entries(SHADE_TEXT_FIELDS)) {
+        if (input[field] === undefined) continue;
+        if (input[field] === null || input[field] === '') {
+            update[field] = null;
+            continue;
+        }
+        if (typeof input[field] !== 'string' || input[field].length > maxLength) {
+            throw new Error(`${field} must be a string of at most ${maxLength} characters`);
+        }
+        update[field] = input[field].trim();
+    }
+
+    if (input.orientation !== undefined) {
+        if (input.orientation === null) {
+            update.orientation = null;
+        } else {
+            const degrees = Number(input.orientation);
+            if (!Number.isFinite(degrees) || degrees < 0 || degrees >= 360) {
+                throw new Error('orientation must be a compass bearing from 0 to 359');
+            }
+            update.orientation = degrees;
+        }
+    }
+
+    // null (or the defaults) goes back to DEFAULT_PRESETS; [] hides the buttons
+    if (input.presets !== undefined) {
+        if (input.presets === null) {
+            update.presets = null;
+        } else {
+            if (!Array.isArray(input.presets) || input.presets.length > MAX_PRESETS) {
+                throw new Error(`presets must be a list of at most ${MAX_PRESETS} percentages`);
+            }
+            const presets = [...new Set(input.presets.map(p => validatePercent(p, 'Each preset')))].sort((a, b) => a - b);
+            update.presets = presets.join() === DEFAULT_PRESETS.join() ? null : presets;
+        }
+    }
+
+    // Validate everything before touching the record
+    for (const [field, value] of Object.entries(update)) {
+        if (value === null) delete shade[field];
+        else shade[field] = value;
+    }
+    if (!shade.name) shade.name = `LinkShade ${shade.chipID}`;
+    return Object.keys(update);
+}
+
+// Run every entry of a backup through the same checks the API applies, so a
+// restore can't bring in anything the API would have refused. The normalizers
+// look shades up in shadesDB, so it points at the backup while they run (all
+// synchronous) and goes back to the live data whatever happens. Entries are
+// replaced by their normalized form.
+function validateRestoredData(db) {
+    const live = shadesDB;
+    shadesDB = db;
+    try {
+        const check = (collection, normalize) => {
+            for (const [id, entry] of Object.entries(db[collection])) {
+                try {
+                    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw new Error('must be an object');
+                    db[collection][id] = normalize(entry, id);
+                } catch (e) {
+                    throw new Error(`${collection}.${id}: ${e.message}`);
+                }
+            }
+        };
+        check('shades', (shade, chipID) => {
+            const clean = { ...shade, chipID };
+            applyShadeUpdate(clean, shade);
+            if (shade.calibration) clean.calibration = normalizeCalibration(shade.calibration);
+            return clean;
+        });
+        check('groups', (group, id) => ({ ...normalizeGroup(group), id }));
+        check('scenes', (scene, id) => ({ ...normalizeScene(scene), id }));
+        check('schedules', (job, id) => ({ ...normalizeSchedule(job), id }));
+        check('automations', (rule, id) => ({ ...normalizeSunRule(rule), id }));
+        check('webhooks', (webhook, id) => ({ ...normalizeWebhook(webhook), id }));
+        check('tokens', (token, id) => {
+            if (typeof token.hash !== 'string') throw new Error('hash is missing');
+            return { ...token, id, scopes: normalizeScopes(token.scopes) };
+        });
+        for (const [id, ref] of Object.entries(db.hueLights)) {
+            if (typeof ref !== 'string' || !/^(shade|group):/.test(ref)) throw new Error(`hueLights.${id}: must be shade:<chipID> or group:<id>`);
+        }
+    } finally {
+        shadesDB = live;
+    }
+}
+
+// Bring runtime state in line with a restored database: drop what belonged to
+// shades, groups and scenes that are gone and re-announce everything
+function applyRestoredData(previous) {
+    for (const chipID of Object.keys(previous.shades)) {
+        if (shadesDB.shades[chipID]) continue;
+        cancelCalibration(chipID);
+        clearQueue(chipID);
+        removeShadeTopics(chipID);
+    }
+    for (const id of Object.keys(previous.groups)) {
+        if (!shadesDB.groups[id]) removeDiscovery('cover', `linkshades_group_${id}`);
+    }
+    for (const id of Object.keys(previous.scenes)) {
+        if (!shadesDB.scenes[id]) removeDiscovery('scene', `linkshades_scene_${id}`);
+    }
+
+    for (const [chipID, shade] of Object.entries(shadesDB.shades)) shade.online = connectedShades.has(chipID);
+    // Runs that fell due in the backup's past shouldn't fire now
+    const now = Date.now();
+    for (const job of Object.values(shadesDB.schedules)) refreshNextRun(job, now);
+    sunRuleStates.clear();
+
+    publishEverything();
+    checkSunRules();
+}
+
+// Drop a shade and every reference to it. Collections left empty go with it.
+function forgetShade(chipID) {
+    delete shadesDB.shades[chipID];
+
+    for (const group of Object.values(shadesDB.groups)) {
+        group.shades = group.shades.filter(id => id !== chipID);
+        if (group.shades.length === 0) {
+            delete shadesDB.groups[group.id];
+            removeDiscovery('cover', `linkshades_group_${group.id}`);
+        }
+    }
+    for (const scene of Object.values(shadesDB.scenes)) {
+        delete scene.positions[chipID];
+        if (Object.keys(scene.positions).length === 0) {
+            delete shadesDB.scenes[scene.id];
+            removeDiscovery('scene', `linkshades_scene_${scene.id}`);
+        }
+    }
+    for (const collection of [shadesDB.schedules, shadesDB.automations]) {
+        for (const item of Object.values(collection)) {
+            item.target = item.target.filter(id => id !== chipID);
+            if (item.target.length === 0) delete collection[item.id];
+        }
+    }
+
+    // A webhook that only watched this shade would otherwise fire for all of them
+    for (const webhook of Object.values(shadesDB.webhooks)) {
+        if (!webhook.shades || !webhook.shades.includes(chipID)) continue;
+        webhook.shades = webhook.shades.filter(id => id !== chipID);
+        if (webhook.shades.length === 0) {
+            webhook.shades = null;
+            webhook.enabled = false;
+        }
+    }
+
+    cancelCalibration(chipID);
+    calibrationRuns.delete(chipID);
+    cancelReplay(chipID);
+    clearQueue(chipID);
+    commandQueues.delete(chipID);
+    const movement = movements.get(chipID);
+    if (movement && !movement.outcome) finishMovement(movement, 'superseded');
+    movements.delete(chipID);
+    forgetHistory(chipID);
+
+    saveData();
+    removeShadeTopics(chipID);
+    publishGroupsAndScenes();
+    log('info', `[SHADE] ${chipID}: forgotten`);
+}
+
+// =============================================================================
+// AUTHENTICATION
+// =============================================================================
+// Scopes are cumulative: control includes read, admin includes everything
+// (raw /test frames, configuration, token management).
+// API tokens look like ls_<id>_<secret>; only a hash of the secret is stored
+// in shadesDB.tokens. Dashboard logins get an in-memory session cookie.
+const SCOPES = ['read', 'control', 'admin'];
+const SESSION_COOKIE = 'linkshades_session';
+const PUBLIC_PATHS = ['/api/health', '/login', '/api/login', '/api/logout'];
+
+// Requests that move shades but don't change configuration
+const CONTROL_ROUTES = [
+    /^\/api\/shades\/\d+\/(position|command|stop|queue)$/,
+    /^\/api\/groups\/[\w-]+\/(position|stop)$/,
+    /^\/api\/rooms\/[\w-]+\/(position|stop)$/,
+    /^\/api\/scenes\/[\w-]+\/activate$/,
+    /^\/api\/schedules\/[\w-]+\/(enable|disable|skip)$/,
+    /^\/api\/automations\/[\w-]+\/(enable|disable)$/
+];
+
+const sessions = new Map();
+const loginFailures = new Map();
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(hashSecret(a));
+    const bufB = Buffer.from(hashSecret(b));
+    return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function normalizeScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(s => SCOPES.includes(s))) {
+        throw new Error(`scopes must be a list of ${SCOPES.join(', ')}`);
+    }
+    return [...new Set(scopes)];
+}
+
+// Returns the full token - it is never stored and can't be shown again
+function createToken(name, scopes) {
+    const id = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('hex');
+    shadesDB.tokens[id] = {
+        id,
+        name: name || `Token ${id}`,
+        scopes: normalizeScopes(scopes),
+        hash: hashSecret(secret),
+        createdAt: new Date().toISOString()
+    };
+    saveData();
+    return `ls_${id}_${secret}`;
+}
+
+function verifyToken(token) {
+    const match = /^ls_([0-9a-f]+)_([0-9a-f]+)$/.exec(token || '');
+    const record = match && shadesDB.tokens[match[1]];
+    if (!record) return null;
+
+    const hash = Buffer.from(hashSecret(match[2]));
+    if (!crypto.timingSafeEqual(hash, Buffer.from(record.hash))) return null;
+    // Saved along with the next regular write
+    record.lastUsedAt = new Date().toISOString();
+    return record;
+}
+
+function tokenSummary(record) {
+    const { hash, ...summary } = record;
+    return summary;
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+    return cookies;
+}
+
+function createSession() {
+    const id = crypto.randomBytes(32).toString('hex');
+    sessions.set(id, { scopes: ['admin'], expiresAt: Date.now() + CONFIG.SESSION_TTL_HOURS * 3600000 });
+    return id;
+}
+
+// Who is making this request: { scopes, via } or null when unauthenticated
+function authenticate(req) {
+    if (!CONFIG.AUTH_ENABLED) return { scopes: ['admin'], via: 'open' };
+
+    const header = req.headers.authorization || '';
+    const query = new URLSearchParams(req.url.split('?')[1] || '');
+    const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : query.get('access_token');
+    if (bearer) {
+        const token = verifyToken(bearer);
+        return token ? { scopes: token.scopes, via: 'token', tokenId: token.id } : null;
+    }
+
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = sessionId && sessions.get(sessionId);
+    if (session && session.expiresAt > Date.now()) return { scopes: session.scopes, via: 'session' };
+    if (session) sessions.delete(sessionId);
+    return null;
+}
+
+function hasScope(auth, scope) {
+    const needed = SCOPES.indexOf(scope);
+    return auth.scopes.some(s => SCOPES.indexOf(s) >= needed);
+}
+
+function requiredScope(method, path) {
+    if (PUBLIC_PATHS.includes(path) || isPublicAsset(path)) return null;
+    // Devices calling the emulated cloud have no credentials
+    if (!isLocalPath(path)) return null;
+    if (/^\/api\/shades\/\d+\/test$/.test(path)) return 'admin';
+    if (method === 'GET') return path.startsWith('/api/tokens') || path.startsWith('/api/admin') ? 'admin' : 'read';
+    if (CONTROL_ROUTES.some(route => route.test(path))) return 'control';
+    return 'admin';
+}
+
+// Five wrong passwords from one address lock it out for 15 minutes
+function loginAllowed(address) {
+    const entry = loginFailures.get(address);
+    if (!entry) return true;
+    if (Date.now() - entry.firstAt > 15 * 60000) {
+        loginFailures.delete(address);
+        return true;
+    }
+    return entry.count < 5;
+}
+
+function recordLoginFailure(address) {
+    const entry = loginFailures.get(address) || { count: 0, firstAt: Date.now() };
+    entry.count++;
+    loginFailures.set(address, entry);
+}
+
+function applyCors(req, res) {
+    const origin = req.headers.origin;
+    if (CONFIG.CORS_ORIGINS.length === 0) {
+        // Without an allow-list only an open server stays reachable cross-origin
+        if (!CONFIG.AUTH_ENABLED) res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && (CONFIG.CORS_ORIGINS.includes(origin) || CONFIG.CORS_ORIGINS.includes('*'))) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-LinkShades-Source');
+}
+
+function startAuth() {
+    if (!CONFIG.AUTH_ENABLED) {
+        log('info', '[AUTH] Disabled - set AUTH_ENABLED=true to require logins and API tokens');
+        return;
+    }
+    const tokens = Object.keys(shadesDB.tokens).length;
+    log('info', `[AUTH] Enabled - ${tokens} API token(s)${CONFIG.ADMIN_PASSWORD ? ', dashboard login on' : ''}`);
+
+    // Without a password or any token there would be no way in. The token is
+    // printed whatever LOG_LEVEL says, since it is shown only this once
+    if (!CONFIG.ADMIN_PASSWORD && tokens === 0) {
+        const token = createToken('Bootstrap admin', ['admin']);
+        console.log(`[AUTH] No ADMIN_PASSWORD or tokens - created an admin token (shown once): ${token}`);
+    }
+}
+
+// =============================================================================
+// HTTP SERVER & API
+// =============================================================================
+function sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+// The dashboard tags its requests so history can tell it apart from API clients
+function commandSource(req) {
+    const source = req.headers['x-linkshades-source'];
+    return ['dashboard', 'cli', 'hub'].includes(source) ? source : 'api';
+}
+
+// Collect and parse a JSON request body; parse or handler errors answer 400
+function readJSON(req, res, handler) {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+        try {
+            handler(body ? JSON.parse(body) : {});
+        } catch (e) {
+            sendJSON(res, 400, { error: e.message });
+        }
+    });
+}
+
+// Shared by the plain and the TLS listener
+function handleRequest(req, res) {
+    const url = req.url.split('?')[0];
+    
+    // CORS headers
+    applyCors(req, res);
+    
+    if (req.method === 'OPTIONS') {
+        res.writeHead(200);
+        res.end();
+        return;
+    }
+
+    // Versioned API with its own router, validation and error format
+    if (url === API_V2_PREFIX || url.startsWith(`${API_V2_PREFIX}/`)) {
+        handleApiV2(req, res, url);
+        return;
+    }
+
+    // Access control
+    const scope = requiredScope(req.method, url);
+    const auth = authenticate(req);
+    if (scope && !auth) {
+        if (req.method === 'GET' && (url === '/' || url === '/index.html')) {
+            res.writeHead(302, { Location: '/login' });
+            res.end();
+            return;
+        }
+        sendJSON(res, 401, { error: 'Authentication required' });
+        return;
+    }
+    if (scope && !hasScope(auth, scope)) {
+        sendJSON(res, 403, { error: `Requires ${scope} scope` });
+        return;
+    }
+
+    // Dashboard login
+    if (url === '/login' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(getLoginHTML());
+        return;
+    }
+
+    if (url === '/api/login' && req.method === 'POST') {
+        const address = req.socket.remoteAddress;
+        readJSON(req, res, ({ password }) => {
+            if (!CONFIG.AUTH_ENABLED || !CONFIG.ADMIN_PASSWORD) {
+                sendJSON(res, 400, { error: 'Password login is not enabled' });
+                return;
+            }
+            if (!loginAllowed(address)) {
+                sendJSON(res, 429, { error: 'Too many failed logins - try again later' });
+                return;
+            }
+            if (typeof password !== 'string' || !safeEqual(password, CONFIG.ADMIN_PASSWORD)) {
+                recordLoginFailure(address);
+                log('warn', `[AUTH] Failed login from ${address}`);
+                sendJSON(res, 401, { error: 'Wrong password' });
+                return;
+            }
+
+            loginFailures.delete(address);
+            const sessionId = createSession();
+            const secure = req.socket.encrypted ? '; Secure' : '';
+            res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sessionId}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${CONFIG.SESSION_TTL_HOURS * 3600}${secure}`);
+            log('info', `[AUTH] Dashboard login from ${address}`);
+            sendJSON(res, 200, { status: 'ok' });
+        });
+        return;
+    }
+
+    if (url === '/api/logout' && req.method === 'POST') {
+        sessions.delete(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`);
+        sendJSON(res, 200, { status: 'ok' });
+        return;
+    }
+
+    // API tokens
+    if (url === '/api/tokens') {
+        if (req.method === 'GET') {
+            sendJSON(res, 200, Object.values(shadesDB.tokens).map(tokenSummary));
+            return;
+        }
+        if (req.method === 'POST') {
+            readJSON(req, res, ({ name, scopes }) => {
+                const token = createToken(name, scopes);
+                const id = token.split('_')[1];
+                log('info', `[AUTH] Token ${id} created with scopes ${shadesDB.tokens[id].scopes.join(', ')}`);
+                sendJSON(res, 201, { ...tokenSummary(shadesDB.tokens[id]), token });
+            });
+            return;
+        }
+    }
+
+    if (url.match(/^\/api\/tokens\/([0-9a-f]+)$/) && req.method === 'DELETE') {
+        const id = url.match(/^\/api\/tokens\/([0-9a-f]+)$/)[1];
+        if (!shadesDB.tokens[id]) {
+            sendJSON(res, 404, { error: 'Unknown token' });
+            return;
+        }
+        delete shadesDB.tokens[id];
+        saveData();
+        log('info', `[AUTH] Token ${id} revoked`);
+        sendJSON(res, 200, { status: 'deleted', id });
+        return;
+    }
+
+    // Live event stream
+    if (url === '/api/events' && req.method === 'GET') {
+        openEventStream(req, res);
+        return;
+    }
+
+    // Prometheus scrape target
+    if (url === '/metrics' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(renderMetrics());
+        return;
+    }
+
+    if (url === '/api/diagnostics' && req.method === 'GET') {
+        sendJSON(res, 200, diagnostics());
+        return;
+    }
+
+    // Hub mode: the links to peer servers
+    if (url === '/api/federation' && req.method === 'GET') {
+        sendJSON(res, 200, { peers: federationSummary() });
+        return;
+    }
+
+    // Health check
+    if (url === '/api/health') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            status: 'ok',
+            auth: CONFIG.AUTH_ENABLED,
+            connectedShades: connectedShades.size,
+            totalShades: Object.keys(shadesDB.shades).length,
+            mqtt: mqttClient?.connected || false
+        }));
+        return;
+    }
+
+    // List all shades
+    if (url === '/api/shades') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        const shades = Object.values(shadesDB.shades).map(s => ({
+            ...s,
+            presets: shadePresets(s),
+            currentCommand: currentCommand(s),
+            online: connectedShades.has(s.chipID),
+            state: shadeState(s.chipID),
+            movement: movementSummary(movements.get(s.chipID)),
+            calibration: getCalibration(s.chipID),
+            connection: connectionSummary(s.chipID),
+            queued: queuedEntries(s.chipID).length,
+            calibrationRun: calibrationSummary(calibrationRuns.get(s.chipID))
+        }));
+        res.end(JSON.stringify(shades));
+        return;
+    }
+
+    // Single shade: view, edit metadata, forget
+    if (url.match(/^\/api\/shades\/(\d+)$/)) {
+        const chipID = url.match(/^\/api\/shades\/(\d+)$/)[1];
+        const shade = shadesDB.shades[chipID];
+        if (!shade) {
+            sendJSON(res, 404, { error: 'Unknown shade' });
+            return;
+        }
+
+        if (req.method === 'GET') {
+            sendJSON(res, 200, {
+                ...shade,
+                presets: shadePresets(shade),
+                currentCommand: currentCommand(shade),
+                online: connectedShades.has(chipID),
+                state: shadeState(chipID),
+                movement: movementSummary(movements.get(chipID)),
+                calibration: getCalibration(chipID),
+                connection: connectionSummary(chipID),
+                queue: queueSummary(chipID).entries
+            });
+            return;
+        }
+        if (req.method === 'PATCH') {
+            readJSON(req, res, (data) => {
+                const changed = applyShadeUpdate(shade, data);
+                saveData();
+                log('info', `[API] Shade ${chipID} updated: ${changed.join(', ') || 'nothing'}`);
+                // Home Assistant picks up new names and areas from discovery
+                publishShadeDiscovery(chipID, shade);
+                emitEvent('shade.updated', { chipID, fields: changed });
+                sendJSON(res, 200, { ...shade, presets: shadePresets(shade) });
+            });
+            return;
+        }
+        if (req.method === 'DELETE') {
+            // A shade that is still connected reappears with its next report
+            const wasOnline = connectedShades.has(chipID);
+            forgetShade(chipID);
+            emitEvent('shade.forgotten', { chipID });
+            sendJSON(res, 200, { status: 'deleted', chipID, online: wasOnline });
+            return;
+        }
+    }
+
+    // Shade history as JSON, or CSV with ?format=csv
+    if (url.match(/^\/api\/shades\/(\d+)\/history$/) && req.method === 'GET') {
+        const chipID = url.match(/^\/api\/shades\/(\d+)\/history$/)[1];
+        if (!shadesDB.shades[chipID]) {
+            sendJSON(res, 404, { error: 'Unknown shade' });
+            return;
+        }
+
+        const query = new URLSearchParams(req.url.split('?')[1] || '');
+        let entries;
+        try {
+            entries = queryHistory(chipID, query);
+        } catch (e) {
+            sendJSON(res, 400, { error: e.message });
+            return;
+        }
+
+        if (query.get('format') === 'csv') {
+            res.writeHead(200, {
+                'Content-Type': 'text/csv',
+                'Content-Disposition': `attachment; filename="shade-${chipID}-history.csv"`
+            });
+            res.end(historyToCSV(entries));
+            return;
+        }
+        sendJSON(res, 200, { chipID, count: entries.length, entries });
+        return;
+    }
+
+    // Set position (percentage)
+    if (url.match(/^\/api\/shades\/(\d+)\/position$/) && req.method === 'POST') {
+        const chipID = url.match(/^\/api\/shades\/(\d+)\/position$/)[1];
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                const { position, wait, timeout } = JSON.parse(body);
+                if (wait) checkWaitTimeout(timeout);
+                const result = setShadePosition(chipID, position, commandSource(req));
+                log('info', `[API] Shade ${chipID}: ${position}% -> command ${result.command}`);
+
+                if (result.status === 'sent' && wait) {
+                    // Confirm mode: answer once the shade reaches the target (or doesn't)
+                    waitForMovement(movements.get(chipID), timeout, res).then(movement => {
+                        sendJSON(res, 200, { ...result, status: movement.outcome, movement });
+                    });
+                    return;
+                }
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                if (result.status === 'offline') {
+                    res.end(JSON.stringify({ status: 'offline', chipID }));
+                } else {
+                    res.end(JSON.stringify(result));
+                }
+            } catch (e) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: e.message }));
+            }
+        });
+        return;
+    }
+
+    // Pending command queue: inspect or clear
+    if (url.match(/^\/api\/shades\/(\d+)\/queue$/)) {
+        const chipID = url.match(/^\/api\/shades\/(\d+)\/queue$/)[1];
+        if (!shadesDB.shades[chipID]) {
+            sendJSON(res, 404, { error: 'Unknown shade' });
+            return;
+        }
+        if (req.method === 'GET') {
+            sendJSON(res, 200, queueSummary(chipID));
+            return;
+        }
+        if (req.method === 'DELETE') {
+            sendJSON(res, 200, { status: 'cleared', chipID, removed: clearQueue(chipID) });
+            return;
+        }
+    }
+
+    // Stop a moving shade where it is
+    if (url.match(/^\/api\/shades\/(\d+)\/stop$/) && req.method === 'POST') {
+        const chipID = url.match(/^\/api\/shades\/(\d+)\/stop$/)[1];
+        if (!shadesDB.shades[chipID]) {
+            sendJSON(res, 404, { error: 'Unknown shade' });
+            return;
+        }
+        sendJSON(res, 200, stopShade(chipID, commandSource(req)));
+        return;
+    }
+
+    // Send raw command
+    if (url.match(/^\/api\/shades\/(\d+)\/command$/) && req.method === 'POST') {
+        const chipID = url.match(/^\/api\/shades\/(\d+)\/command$/)[1];
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                const { command, wait, timeout } = JSON.parse(body);
+                if (!Number.isInteger(command)) {
+                    sendJSON(res, 400, { error: 'command must be an integer' });
+                    return;
+                }
+                if (wait) checkWaitTimeout(timeout);
+                log('info', `[API] Shade ${chipID}: raw command ${command}`);
+
+                const { status, queued } = sendCommand(chipID, command, commandSource(req));
+                if (status === 'sent' && wait) {
+                    waitForMovement(movements.get(chipID), timeout, res).then(movement => {
+                        sendJSON(res, 200, { status: movement.outcome, chipID, command, movement });
+                    });
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                if (status === 'offline') {
+                    res.end(JSON.stringify({ status: 'offline', chipID }));
+                } else {
+                    res.end(JSON.stringify({ status, chipID, command, queued }));
+                }
+            } catch (e) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: e.message }));
+            }
+        });
+        return;
+    }
+
+    // Test endpoint (any JSON)
+    if (url.match(/^\/api\/shades\/(\d+)\/test$/) && req.method === 'POST') {
+        const chipID = url.match(/^\/api\/shades\/(\d+)\/test$/)[1];
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                const data = JSON.parse(body);
+                const { status, queued } = enqueueCommand(chipID, { frame: data }, commandSource(req));
+                if (status !== 'offline') {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ status, data, queued }));
+                } else {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ status: 'offline' }));
+                }
+            } catch (e) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: e.message }));
+            }
+        });
+        return;
+    }
+
+    // Protocol capture: status, switch on/off, download, report, replay
+    if (url === '/api/captures' && req.method === 'GET') {
+        sendJSON(res, 200, {
+            enabled: captureEnabled,
+            captures: listCaptures(),
+            replays: [...replays.values()].map(r => ({ id: r.id, chipID: r.chipID, sent: r.sent, total: r.total }))
+        });
+        return;
+    }
+
+    if (url.match(/^\/api\/captures\/(enable|disable)$/) && req.method === 'POST') {
+        setCaptureEnabled(url.endsWith('/enable'));
+        sendJSON(res, 200, { enabled: captureEnabled });
+        return;
+    }
+
+    if (url.match(/^\/api\/captures\/([\w-]+)(\/report|\/replay)?$/)) {
+        const [, id, action] = url.match(/^\/api\/captures\/([\w-]+)(\/report|\/replay)?$/);
+        const records = readCapture(id);
+        if (!records) {
+            sendJSON(res, 404, { error: 'Unknown capture' });
+            return;
+        }
+
+        if (!action && req.method === 'GET') {
+            res.writeHead(200, {
+                'Content-Type': 'application/x-ndjson',
+                'Content-Disposition': `attachment; filename="${id}.jsonl"`
+            });
+            res.end(records.map(r => JSON.stringify(r)).join('\n') + '\n');
+            return;
+        }
+        if (!action && req.method === 'DELETE') {
+            fs.unlinkSync(capturePath(id));
+            log('info', `[CAPTURE] Deleted ${id}`);
+            sendJSON(res, 200, { status: 'deleted', id });
+            return;
+        }
+        if (action === '/report' && req.method === 'GET') {
+            sendJSON(res, 200, captureReport(id, records));
+            return;
+        }
+        if (action === '/replay' && req.method === 'POST') {
+            readJSON(req, res, (options) => sendJSON(res, 200, replayCapture(id, records, options)));
+            return;
+        }
+        if (action === '/replay' && req.method === 'DELETE') {
+            const replay = [...replays.values()].find(r => r.id === id);
+            if (replay) cancelReplay(replay.chipID);
+            sendJSON(res, 200, { status: replay ? 'cancelled' : 'idle', id });
+            return;
+        }
+    }
+
+    // Calibration profile: view, save or reset to the global defaults
+    if (url.match(/^\/api\/shades\/(\d+)\/calibration$/)) {
+        const chipID = url.match(/^\/api\/shades\/(\d+)\/calibration$/)[1];
+        const shade = shadesDB.shades[chipID];
+        if (!shade) {
+            sendJSON(res, 404, { error: 'Unknown shade' });
+            return;
+        }
+
+        if (req.method === 'GET') {
+            sendJSON(res, 200, {
+                chipID,
+                calibration: getCalibration(chipID),
+                saved: !!shade.calibration,
+                run: calibrationSummary(calibrationRuns.get(chipID))
+            });
+            return;
+        }
+        if ((req.method === 'POST' || req.method === 'DELETE') && shade.peer) {
+            sendJSON(res, 409, { error: `Shade ${chipID} is connected through peer ${shade.peer} - calibrate it there` });
+            return;
+        }
+        if (req.method === 'POST') {
+            readJSON(req, res, (data) => {
+                // Keep a previously measured curve unless a new one is supplied
+                shade.calibration = normalizeCalibration({ curve: getCalibration(chipID).curve, ...data });
+                saveData();
+                log('info', `[API] Shade ${chipID}: calibration saved (${shade.calibration.min}-${shade.calibration.max})`);
+                publishShadeState(chipID, shade.rawPosition, connectedShades.has(chipID));
+                // Hubs following this server copy the new profile
+                emitEvent('shade.updated', { chipID, fields: ['calibration'] });
+                sendJSON(res, 200, { status: 'saved', chipID, calibration: getCalibration(chipID) });
+            });
+            return;
+        }
+        if (req.method === 'DELETE') {
+            delete shade.calibration;
+            saveData();
+            log('info', `[API] Shade ${chipID}: calibration reset to defaults`);
+            emitEvent('shade.updated', { chipID, fields: ['calibration'] });
+            sendJSON(res, 200, { status: 'reset', chipID, calibration: getCalibration(chipID) });
+            return;
+        }
+    }
+
+    // Guided calibration run
+    if (url.match(/^\/api\/shades\/(\d+)\/calibration\/start$/) && req.method === 'POST') {
+        const chipID = url.match(/^\/api\/shades\/(\d+)\/calibration\/start$/)[1];
+        readJSON(req, res, (options) => {
+            const shade = shadesDB.shades[chipID];
+            if (shade && shade.peer) {
+                sendJSON(res, 409, { error: `Shade ${chipID} is connected through peer ${shade.peer} - calibrate it there` });
+                return;
+            }
+            if (!connectedShades.has(chipID)) {
+                sendJSON(res, 200, { status: 'offline', chipID });
+                return;
+            }
+            const run = startCalibration(chipID, options);
+            sendJSON(res, 200, { status: 'started', chipID, run: calibrationSummary(run) });
+        });
+        return;
+    }
+
+    if (url.match(/^\/api\/shades\/(\d+)\/calibration\/cancel$/) && req.method === 'POST') {
+        const chipID = url.match(/^\/api\/shades\/(\d+)\/calibration\/cancel$/)[1];
+        const run = cancelCalibration(chipID);
+        sendJSON(res, 200, { status: run ? run.status : 'idle', chipID });
+        return;
+    }
+
+    // Schedules: list and create
+    if (url === '/api/schedules') {
+        if (req.method === 'GET') {
+            sendJSON(res, 200, Object.values(shadesDB.schedules).map(scheduleSummary));
+            return;
+        }
+        if (req.method === 'POST') {
+            readJSON(req, res, (data) => {
+                const job = normalizeSchedule(data);
+                job.id = crypto.randomBytes(4).toString('hex');
+                job.createdAt = new Date().toISOString();
+                refreshNextRun(job);
+                shadesDB.schedules[job.id] = job;
+                saveData();
+                log('info', `[API] Schedule ${job.id} created: ${job.name}`);
+                sendJSON(res, 201, scheduleSummary(job));
+            });
+            return;
+        }
+    }
+
+    // Single schedule: view, update, delete
+    if (url.match(/^\/api\/schedules\/([\w-]+)$/)) {
+        const id = url.match(/^\/api\/schedules\/([\w-]+)$/)[1];
+        const job = shadesDB.schedules[id];
+        if (!job) {
+            sendJSON(res, 404, { error: 'Unknown schedule' });
+            return;
+        }
+
+        if (req.method === 'GET') {
+            sendJSON(res, 200, scheduleSummary(job));
+            return;
+        }
+        if (req.method === 'PUT') {
+            readJSON(req, res, (data) => {
+                const updated = normalizeSchedule(data, job);
+                updated.id = id;
+                refreshNextRun(updated);
+                shadesDB.schedules[id] = updated;
+                saveData();
+                log('info', `[API] Schedule ${id} updated`);
+                sendJSON(res, 200, scheduleSummary(updated));
+            });
+            return;
+        }
+        if (req.method === 'DELETE') {
+            delete shadesDB.schedules[id];
+            saveData();
+            log('info', `[API] Schedule ${id} deleted`);
+            sendJSON(res, 200, { status: 'deleted', id });
+            return;
+        }
+    }
+
+    // Schedule actions: enable, disable, skip the next run
+    if (url.match(/^\/api\/schedules\/([\w-]+)\/(enable|disable|skip)$/) && req.method === 'POST') {
+        const [, id, action] = url.match(/^\/api\/schedules\/([\w-]+)\/(enable|disable|skip)$/);
+        const job = shadesDB.schedules[id];
+        if (!job) {
+            sendJSON(res, 404, { error: 'Unknown schedule' });
+            return;
+        }
+
+        readJSON(req, res, (data) => {
+            if (action === 'skip') {
+                // {"skip": false} un-skips
+                job.skipNext = data.skip !== false;
+            } else {
+                job.enabled = action === 'enable';
+                refreshNextRun(job);
+            }
+            saveData();
+            log('info', `[API] Schedule ${id}: ${action}`);
+            sendJSON(res, 200, scheduleSummary(job));
+        });
+        return;
+    }
+
+    // Groups: list and create
+    if (url === '/api/groups') {
+        if (req.method === 'GET') {
+            sendJSON(res, 200, Object.values(shadesDB.groups));
+            return;
+        }
+        if (req.method === 'POST') {
+            readJSON(req, res, (data) => {
+                const group = normalizeGroup(data);
+                group.id = slugify(group.name, shadesDB.groups);
+                shadesDB.groups[group.id] = group;
+                saveData();
+                log('info', `[API] Group ${group.id} created`);
+                publishGroupDiscovery(group);
+                publishGroupState(group);
+                sendJSON(res, 201, group);
+            });
+            return;
+        }
+    }
+
+    // Single group: view, update, delete
+    if (url.match(/^\/api\/groups\/([\w-]+)$/)) {
+        const id = url.match(/^\/api\/groups\/([\w-]+)$/)[1];
+        const group = shadesDB.groups[id];
+        if (!group) {
+            sendJSON(res, 404, { error: 'Unknown group' });
+            return;
+        }
+
+        if (req.method === 'GET') {
+            sendJSON(res, 200, group);
+            return;
+        }
+        if (req.method === 'PUT') {
+            readJSON(req, res, (data) => {
+                const updated = normalizeGroup(data, group);
+                updated.id = id;
+                shadesDB.groups[id] = updated;
+                saveData();
+                log('info', `[API] Group ${id} updated`);
+                publishGroupDiscovery(updated);
+                publishGroupState(updated);
+                sendJSON(res, 200, updated);
+            });
+            return;
+        }
+        if (req.method === 'DELETE') {
+            delete shadesDB.groups[id];
+            saveData();
+            log('info', `[API] Group ${id} deleted`);
+            removeDiscovery('cover', `linkshades_group_${id}`);
+            sendJSON(res, 200, { status: 'deleted', id });
+            return;
+        }
+    }
+
+    // Move every shade in a group
+    if (url.match(/^\/api\/groups\/([\w-]+)\/position$/) && req.method === 'POST') {
+        const id = url.match(/^\/api\/groups\/([\w-]+)\/position$/)[1];
+        const group = shadesDB.groups[id];
+        if (!group) {
+            sendJSON(res, 404, { error: 'Unknown group' });
+            return;
+        }
+
+        readJSON(req, res, ({ position }) => {
+            const percent = validatePercent(position, 'position');
+            sendJSON(res, 200, { group: id, position: percent, ...setGroupPosition(group, percent, commandSource(req)) });
+        });
+        return;
+    }
+
+    if (url.match(/^\/api\/groups\/([\w-]+)\/stop$/) && req.method === 'POST') {
+        const id = url.match(/^\/api\/groups\/([\w-]+)\/stop$/)[1];
+        const group = shadesDB.groups[id];
+        if (!group) {
+            sendJSON(res, 404, { error: 'Unknown group' });
+            return;
+        }
+        sendJSON(res, 200, { group: id, ...stopGroup(group, commandSource(req)) });
+        return;
+    }
+
+    // Rooms: every shade with the same room field, for all-open / all-closed
+    if (url === '/api/rooms' && req.method === 'GET') {
+        sendJSON(res, 200, listRooms());
+        return;
+    }
+
+    if (url.match(/^\/api\/rooms\/([\w-]+)\/(position|stop)$/) && req.method === 'POST') {
+        const [, id, action] = url.match(/^\/api\/rooms\/([\w-]+)\/(position|stop)$/);
+        const room = roomById(id);
+        if (!room) {
+            sendJSON(res, 404, { error: 'Unknown room' });
+            return;
+        }
+
+        if (action === 'stop') {
+            sendJSON(res, 200, { room: id, ...stopRoom(room, commandSource(req)) });
+            return;
+        }
+        readJSON(req, res, ({ position }) => {
+            const percent = validatePercent(position, 'position');
+            sendJSON(res, 200, { room: id, position: percent, ...setRoomPosition(room, percent, commandSource(req)) });
+        });
+        return;
+    }
+
+    // Scenes: list and create
+    if (url === '/api/scenes') {
+        if (req.method === 'GET') {
+            sendJSON(res, 200, Object.values(shadesDB.scenes));
+            return;
+        }
+        if (req.method === 'POST') {
+            readJSON(req, res, (data) => {
+                const scene = normalizeScene(data);
+                scene.id = slugify(scene.name, shadesDB.scenes);
+                shadesDB.scenes[scene.id] = scene;
+                saveData();
+                log('info', `[API] Scene ${scene.id} created`);
+                publishSceneDiscovery(scene);
+                sendJSON(res, 201, scene);
+            });
+            return;
+        }
+    }
+
+    // Single scene: view, update, delete
+    if (url.match(/^\/api\/scenes\/([\w-]+)$/)) {
+        const id = url.match(/^\/api\/scenes\/([\w-]+)$/)[1];
+        const scene = shadesDB.scenes[id];
+        if (!scene) {
+            sendJSON(res, 404, { error: 'Unknown scene' });
+            return;
+        }
+
+        if (req.method === 'GET') {
+            sendJSON(res, 200, scene);
+            return;
+        }
+        if (req.method === 'PUT') {
+            readJSON(req, res, (data) => {
+                // A new positions map replaces the old one rather than merging
+                const updated = normalizeScene(data, scene);
+                updated.id = id;
+                shadesDB.scenes[id] = updated;
+                saveData();
+                log('info', `[API] Scene ${id} updated`);
+                publishSceneDiscovery(updated);
+                sendJSON(res, 200, updated);
+            });
+            return;
+        }
+        if (req.method === 'DELETE') {
+            delete shadesDB.scenes[id];
+            saveData();
+            log('info', `[API] Scene ${id} deleted`);
+            removeDiscovery('scene', `linkshades_scene_${id}`);
+            sendJSON(res, 200, { status: 'deleted', id });
+            return;
+        }
+    }
+
+    if (url.match(/^\/api\/scenes\/([\w-]+)\/activate$/) && req.method === 'POST') {
+        const id = url.match(/^\/api\/scenes\/([\w-]+)\/activate$/)[1];
+        const scene = shadesDB.scenes[id];
+        if (!scene) {
+            sendJSON(res, 404, { error: 'Unknown scene' });
+            return;
+        }
+
+        sendJSON(res, 200, { scene: id, ...activateScene(scene, commandSource(req)) });
+        return;
+    }
+
+    // Shade orientation: compass direction the window faces, for sun rules
+    if (url.match(/^\/api\/shades\/(\d+)\/orientation$/) && req.method === 'POST') {
+        const chipID = url.match(/^\/api\/shades\/(\d+)\/orientation$/)[1];
+        const shade = shadesDB.shades[chipID];
+        if (!shade) {
+            sendJSON(res, 404, { error: 'Unknown shade' });
+            return;
+        }
+
+        readJSON(req, res, ({ orientation }) => {
+            applyShadeUpdate(shade, { orientation });
+            saveData();
+            log('info', `[API] Shade ${chipID}: orientation ${shade.orientation === undefined ? 'cleared' : shade.orientation}`);
+            sendJSON(res, 200, { status: 'saved', chipID, orientation: shade.orientation === undefined ? null : shade.orientation });
+        });
+        return;
+    }
+
+    // Current sun position and today's sun times
+    if (url === '/api/sun') {
+        if (!hasLocation()) {
+            sendJSON(res, 200, { configured: false });
+            return;
+        }
+        const now = Date.now();
+        const times = sunTimes(now);
+        const iso = t => t === null ? null : new Date(t).toISOString();
+        sendJSON(res, 200, {
+            configured: true,
+            latitude: CONFIG.LATITUDE,
+            longitude: CONFIG.LONGITUDE,
+            ...sunPosition(now),
+            times: Object.fromEntries(Object.entries(times).map(([k, t]) => [k, iso(t)]))
+        });
+        return;
+    }
+
+    // Sun automations: list and create
+    if (url === '/api/automations') {
+        if (req.method === 'GET') {
+            sendJSON(res, 200, Object.values(shadesDB.automations).map(sunRuleSummary));
+            return;
+        }
+        if (req.method === 'POST') {
+            readJSON(req, res, (data) => {
+                const rule = normalizeSunRule(data);
+                rule.id = crypto.randomBytes(4).toString('hex');
+                rule.createdAt = new Date().toISOString();
+                shadesDB.automations[rule.id] = rule;
+                saveData();
+                log('info', `[API] Automation ${rule.id} created: ${rule.name}`);
+                checkSunRules();
+                sendJSON(res, 201, sunRuleSummary(rule));
+            });
+            return;
+        }
+    }
+
+    // Single automation: view, update, delete
+    if (url.match(/^\/api\/automations\/([\w-]+)$/)) {
+        const id = url.match(/^\/api\/automations\/([\w-]+)$/)[1];
+        const rule = shadesDB.automations[id];
+        if (!rule) {
+            sendJSON(res, 404, { error: 'Unknown automation' });
+            return;
+        }
+
+        if (req.method === 'GET') {
+            sendJSON(res, 200, sunRuleSummary(rule));
+            return;
+        }
+        if (req.method === 'PUT') {
+            readJSON(req, res, (data) => {
+                const updated = normalizeSunRule(data, rule);
+                updated.id = id;
+                shadesDB.automations[id] = updated;
+                forgetSunRuleState(id);
+                saveData();
+                log('info', `[API] Automation ${id} updated`);
+                checkSunRules();
+                sendJSON(res, 200, sunRuleSummary(updated));
+            });
+            return;
+        }
+        if (req.method === 'DELETE') {
+            delete shadesDB.automations[id];
+            forgetSunRuleState(id);
+            saveData();
+            log('info', `[API] Automation ${id} deleted`);
+            sendJSON(res, 200, { status: 'deleted', id });
+            return;
+        }
+    }
+
+    if (url.match(/^\/api\/automations\/([\w-]+)\/(enable|disable)$/) && req.method === 'POST') {
+        const [, id, action] = url.match(/^\/api\/automations\/([\w-]+)\/(enable|disable)$/);
+        const rule = shadesDB.automations[id];
+        if (!rule) {
+            sendJSON(res, 404, { error: 'Unknown automation' });
+            return;
+        }
+
+        rule.enabled = action === 'enable';
+        forgetSunRuleState(id);
+        saveData();
+        log('info', `[API] Automation ${id}: ${action}`);
+        checkSunRules();
+        sendJSON(res, 200, sunRuleSummary(rule));
+        return;
+    }
+
+    // Full export and import of shadesDB
+    if (url === '/api/admin/backup' && req.method === 'GET') {
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            'Content-Disposition': `attachment; filename="linkshades-backup-${new Date().toISOString().slice(0, 10)}.json"`
+        });
+        res.end(JSON.stringify(backupDocument(), null, 2));
+        return;
+    }
+
+    if (url === '/api/admin/restore' && req.method === 'POST') {
+        readJSON(req, res, (backup) => sendJSON(res, 200, restoreData(backup)));
+        return;
+    }
+
+    // Requests for the emulated cloud, grouped by path - for finding new endpoints
+    if (url === '/api/admin/cloud' && req.method === 'GET') {
+        sendJSON(res, 200, cloudSummary());
+        return;
+    }
+
+    // Configuration: effective settings and hot reload
+    if (url === '/api/admin/config' && req.method === 'GET') {
+        sendJSON(res, 200, configSummary());
+        return;
+    }
+
+    if (url === '/api/admin/reload' && req.method === 'POST') {
+        const result = reloadConfig();
+        sendJSON(res, result.status === 'invalid' ? 400 : 200, result);
+        return;
+    }
+
+    // Hue bridge emulation: which light id is which shade or group
+    if (url === '/api/hue' && req.method === 'GET') {
+        const address = hueAddress();
+        if (CONFIG.HUE_ENABLED) syncHueLights();
+        sendJSON(res, 200, {
+            enabled: CONFIG.HUE_ENABLED,
+            running: !!(hueServer && hueServer.listening),
+            url: `http://${address.ip}:${CONFIG.HUE_PORT}/`,
+            bridgeId: hueBridgeId(address.mac),
+            lights: shadesDB.hueLights
+        });
+        return;
+    }
+
+    // Webhooks: list and create
+    if (url === '/api/webhooks') {
+        if (req.method === 'GET') {
+            sendJSON(res, 200, Object.values(shadesDB.webhooks).map(webhookSummary));
+            return;
+        }
+        if (req.method === 'POST') {
+            readJSON(req, res, (data) => {
+                const webhook = normalizeWebhook(data);
+                webhook.id = crypto.randomBytes(4).toString('hex');
+                webhook.createdAt = new Date().toISOString();
+                shadesDB.webhooks[webhook.id] = webhook;
+                saveData();
+                log('info', `[API] Webhook ${webhook.id} created: ${webhook.name} -> ${webhook.url}`);
+                sendJSON(res, 201, { ...webhookSummary(webhook), secret: webhook.secret });
+            });
+            return;
+        }
+    }
+
+    // Single webhook: view, update, delete
+    if (url.match(/^\/api\/webhooks\/([\w-]+)$/)) {
+        const id = url.match(/^\/api\/webhooks\/([\w-]+)$/)[1];
+        const webhook = shadesDB.webhooks[id];
+        if (!webhook) {
+            sendJSON(res, 404, { error: 'Unknown webhook' });
+            return;
+        }
+
+        if (req.method === 'GET') {
+            sendJSON(res, 200, webhookSummary(webhook));
+            return;
+        }
+        if (req.method === 'PUT') {
+            readJSON(req, res, (data) => {
+                const updated = normalizeWebhook(data, webhook);
+                updated.id = id;
+                shadesDB.webhooks[id] = updated;
+                saveData();
+                log('info', `[API] Webhook ${id} updated`);
+                sendJSON(res, 200, webhookSummary(updated));
+            });
+            return;
+        }
+        if (req.method === 'DELETE') {
+            delete shadesDB.webhooks[id];
+            webhookDeliveries.delete(id);
+            saveData();
+            log('info', `[API] Webhook ${id} deleted`);
+            sendJSON(res, 200, { status: 'deleted', id });
+            return;
+        }
+    }
+
+    // Recent deliveries, newest first
+    if (url.match(/^\/api\/webhooks\/([\w-]+)\/deliveries$/) && req.method === 'GET') {
+        const id = url.match(/^\/api\/webhooks\/([\w-]+)\/deliveries$/)[1];
+        if (!shadesDB.webhooks[id]) {
+            sendJSON(res, 404, { error: 'Unknown webhook' });
+            return;
+        }
+        sendJSON(res, 200, { id, deliveries: webhookDeliveries.get(id) || [] });
+        return;
+    }
+
+    // Send a webhook.test event, ignoring the webhook's filters
+    if (url.match(/^\/api\/webhooks\/([\w-]+)\/test$/) && req.method === 'POST') {
+        const id = url.match(/^\/api\/webhooks\/([\w-]+)\/test$/)[1];
+        const webhook = shadesDB.webhooks[id];
+        if (!webhook) {
+            sendJSON(res, 404, { error: 'Unknown webhook' });
+            return;
+        }
+        const delivery = deliverWebhook(webhook, { id: null, type: 'webhook.test', data: { webhook: id }, at: new Date().toISOString() });
+        sendJSON(res, 202, delivery);
+        return;
+    }
+
+    // Dashboard and its assets
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        const file = staticFile(url);
+        if (file) {
+            serveStatic(req, res, file);
+            return;
+        }
+    }
+
+    // Everything else was meant for the original cloud
+    if (CONFIG.CLOUD_ENABLED && !isLocalPath(url)) {
+        handleCloudRequest(req, res, url);
+        return;
+    }
+
+    res.writeHead(404);
+    res.end('Not Found');
+}
+
+const server = http.createServer(handleRequest);
+
+// Complete the WebSocket handshake; false if the request isn't a valid upgrade
+function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    const protocol = req.headers['sec-websocket-protocol'];
+
+    if (!key) {
+        socket.destroy();
+        return false;
+    }
+
+    const acceptKey = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+
+    const responseHeaders = [
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey}`
+    ];
+    if (protocol) responseHeaders.push(`Sec-WebSocket-Protocol: ${protocol}`);
+
+    socket.write(responseHeaders.join('\r\n') + '\r\n\r\n');
+    return true;
+}
+
+// WebSocket upgrades, on either listener
+function handleUpgrade(req, socket, head) {
+    // Browsers subscribe to the event stream; every other path is a shade
+    if (req.url.split('?')[0] === '/api/events') {
+        const auth = authenticate(req);
+        if (!auth || !hasScope(auth, 'read')) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        if (acceptWebSocket(req, socket)) {
+            log('info', `[EVENTS] Browser connected from ${socket.remoteAddress}`);
+            openEventSocket(socket);
+        }
+        return;
+    }
+
+    log('info', `[WS] Connection from ${socket.remoteAddress}`);
+    if (!acceptWebSocket(req, socket)) return;
+
+    socket.handshake = {
+        remoteAddress: socket.remoteAddress,
+        method: req.method,
+        url: req.url,
+        headers: req.headers
+    };
+    if (captureEnabled) startCapture(socket);
+
+    startKeepalive(socket);
+    readWebSocket(socket, (opcode, payload) => handleShadeMessage(socket, payload.toString('utf8')));
+    socket.on('close', () => handleShadeClose(socket));
+    socket.on('error', (err) => log('warn', `[WS] Error: ${err.message}`));
+}
+
+// A status report from a shade - its socket is a real connection or, in hub
+// mode, a peer's stand-in (see FEDERATION)
+function handleShadeMessage(socket, message) {
+    log('debug', `[WS] <<< ${message}`);
+
+    try {
+        const data = JSON.parse(message);
+        
+        if (data.chipID) {
+            const chipID = String(data.chipID);
+            const previous = connectedShades.get(chipID);
+            const reconnected = previous !== socket;
+            if (socket.capture && socket.chipID !== chipID) writeCapture(socket.capture, { type: 'identified', chipID });
+            socket.chipID = chipID;
+
+            if (reconnected) {
+                // Newest connection wins - the old one is usually a shade
+                // that rebooted before its socket timed out
+                if (previous) {
+                    log('info', `[WS] Shade ${chipID} connected again from ${socket.remoteAddress}, closing the old connection`);
+                    closeWebSocket(previous, 4000, 'Replaced by a newer connection');
+                }
+                connectedShades.set(chipID, socket);
+
+                const stats = connectionStats.get(chipID);
+                connectionStats.set(chipID, {
+                    remoteAddress: socket.remoteAddress,
+                    secure: !!socket.encrypted,
+                    connectedAt: new Date().toISOString(),
+                    reconnects: stats ? stats.reconnects + 1 : 0,
+                    rttMs: null,
+                    lastPongAt: null,
+                    lastDisconnect: stats ? stats.lastDisconnect : null
+                });
+            }
+            Object.assign(connectionStats.get(chipID), {
+                lastMessageAt: new Date().toISOString(),
+                lastMessage: message.slice(0, 500)
+            });
+
+            // Update database
+            if (!shadesDB.shades[chipID]) {
+                shadesDB.shades[chipID] = {
+                    chipID: chipID,
+                    name: `LinkShade ${chipID}`,
+                    firstSeen: new Date().toISOString()
+                };
+            }
+            
+            const shade = shadesDB.shades[chipID];
+            shade.lastSeen = new Date().toISOString();
+            shade.online = true;
+            shade.model = data.model;
+            shade.firmware = data.version;
+            shade.rawPosition = data.position;
+            shade.currentPosition = positionToPercent(data.position, getCalibration(chipID));
+            // Which instance the shade is connected to, for the combined view
+            if (socket.peer) shade.peer = socket.peer.name;
+            else delete shade.peer;
+            saveData();
+            updateMovement(chipID, data.position);
+
+            log('info', `[SHADE] ${chipID}: pos=${data.position} (${shade.currentPosition}%), model=${data.model}, fw=${data.version}`);
+
+            // Publish to MQTT
+            publishShadeDiscovery(chipID, shade);
+            publishShadeState(chipID, data.position, true);
+
+            if (reconnected) emitEvent('shade.connected', { chipID });
+            emitEvent('shade.position', {
+                chipID,
+                rawPosition: shade.rawPosition,
+                position: shade.currentPosition
+            });
+
+            if (reconnected) {
+                flushQueue(chipID);
+                flushPendingSunRules(chipID);
+            }
+        }
+    } catch (e) {
+        log('warn', `[WS] Parse error: ${e.message}`);
+        countMetric(metrics.parseErrors, socket.chipID || 'unknown');
+        recordError('websocket', `Parse error: ${e.message}`, socket.chipID);
+    }
+}
+
+function handleShadeClose(socket) {
+    const chipID = socket.chipID;
+    const reason = socket.closeReason || 'Connection lost';
+    log('info', `[WS] Disconnected: ${chipID || 'unknown'} (${socket.closeCode || 1006}: ${reason})`);
+    stopCapture(socket);
+
+    // A replaced connection leaves the shade online on its new socket
+    if (!chipID || connectedShades.get(chipID) !== socket) return;
+
+    connectedShades.delete(chipID);
+    connectionStats.get(chipID).lastDisconnect = {
+        at: new Date().toISOString(),
+        code: socket.closeCode || 1006,
+        reason
+    };
+    cancelReplay(chipID);
+    holdQueue(chipID);
+    const movement = movements.get(chipID);
+    if (movement && !movement.outcome) finishMovement(movement, 'disconnected');
+    emitEvent('shade.disconnected', { chipID, reason });
+    if (shadesDB.shades[chipID]) {
+        shadesDB.shades[chipID].online = false;
+        saveData();
+    }
+    publishShadeState(chipID, 0, false);
+}
+
+server.on('upgrade', handleUpgrade);
+
+// =============================================================================
+// API V2
+// =============================================================================
+// /api/v2 is served from a route table instead of the url.match chain. Each
+// route declares its path parameters, query and body as JSON Schema; requests
+// are validated before the handler runs, and the same schemas are published
+// at /api/v2/openapi.json. Handlers return { status, body } (or a promise of
+// one) and fail with apiError(); every error answers
+// { error: { code, message, details? } }. The v1 routes are unchanged.
+const API_V2_PREFIX = '/api/v2';
+const API_BODY_MAX_BYTES = 1024 * 1024;
+const apiRoutes = [];
+
+function apiError(status, code, message, details) {
+    const err = new Error(message);
+    Object.assign(err, { status, code, details });
+    return err;
+}
+
+function sendApiError(res, err) {
+    const error = { code: err.code, message: err.message };
+    if (err.details) error.details = err.details;
+    sendJSON(res, err.status, { error });
+}
+
+// pattern: '/shades/{chipID}/position'; spec: { summary, tag, scope, params,
+// query, body, responses } where params maps names to schemas, query and body
+// are object schemas and responses maps status codes to [description, schema]
+function defineRoute(method, pattern, spec, handler) {
+    const names = [];
+    const source = pattern.replace(/\{(\w+)\}/g, (_, name) => {
+        names.push(name);
+        return '([^/]+)';
+    });
+    apiRoutes.push({ method, pattern, regex: new RegExp(`^${source}$`), names, spec, handler });
+}
+
+// A small JSON Schema subset: type, nullable, enum, minimum/maximum
+// (exclusiveMaximum as in OpenAPI 3.0),
+// minLength/maxLength, pattern, items, properties, required and
+// additionalProperties: false. Problems are collected as { field, message }
+function validateSchema(schema, value, field, errors) {
+    if (value === undefined) return;
+    if (value === null) {
+        if (!schema.nullable) errors.push({ field, message: 'must not be null' });
+        return;
+    }
+
+    const checks = {
+        integer: Number.isInteger(value),
+        number: typeof value === 'number' && Number.isFinite(value),
+        string: typeof value === 'string',
+        boolean: typeof value === 'boolean',
+        array: Array.isArray(value),
+        object: typeof value === 'object' && !Array.isArray(value)
+    };
+    if (schema.type && !checks[schema.type]) {
+        errors.push({ field, message: `must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}` });
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) errors.push({ field, message: `must be one of ${schema.enum.join(', ')}` });
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ field, message: `must be at least ${schema.minimum}` });
+    if (schema.maximum !== undefined && schema.exclusiveMaximum && value >= schema.maximum) errors.push({ field, message: `must be less than ${schema.maximum}` });
+    else if (schema.maximum !== undefined && value > schema.maximum) errors.push({ field, message: `must be at most ${schema.maximum}` });
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ field, message: `must match ${schema.pattern}` });
+
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ field, message: `must have at least ${schema.minItems} item(s)` });
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ field, message: `must have at most ${schema.maxItems} item(s)` });
+        if (schema.items) value.forEach((item, i) => validateSchema(schema.items, item, `${field}[${i}]`, errors));
+    }
+    if (schema.type === 'object') {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) errors.push({ field: `${field}.${name}`, message: 'is required' });
+        }
+        for (const [name, item] of Object.entries(value)) {
+            const property = schema.properties && schema.properties[name];
+            if (property) validateSchema(property, item, `${field}.${name}`, errors);
+            else if (schema.additionalProperties === false) errors.push({ field: `${field}.${name}`, message: 'is not a known field' });
+            else if (typeof schema.additionalProperties === 'object') validateSchema(schema.additionalProperties, item, `${field}.${name}`, errors);
+        }
+    }
+}
+
+// Query values arrive as strings; convert the ones the schema wants typed
+function parseQuery(schema, search) {
+    const query = {};
+    for (const [name, raw] of new URLSearchParams(search)) {
+        if (name === 'access_token') continue;
+        const type = schema && schema.properties && schema.properties[name] ? schema.properties[name].type : 'string';
+        if ((type === 'integer' || type === 'number') && raw.trim() !== '' && !isNaN(raw)) query[name] = Number(raw);
+        else if (type === 'boolean' && (raw === 'true' || raw === 'false')) query[name] = raw === 'true';
+        else query[name] = raw;
+    }
+    return query;
+}
+
+function readApiBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size <= API_BODY_MAX_BYTES) chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (size > API_BODY_MAX_BYTES) {
+                reject(apiError(413, 'body_too_large', `Request body is over ${API_BODY_MAX_BYTES} bytes`));
+                return;
+            }
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text.trim()) {
+                resolve(undefined);
+                return;
+            }
+            try {
+                resolve(JSON.parse(text));
+            } catch (e) {
+                reject(apiError(400, 'invalid_json', `Request body is not valid JSON: ${e.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function decodePathParam(name, value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        throw apiError(400, 'invalid_input', `path.${name} is not valid percent-encoding`, [{ field: `path.${name}`, message: 'is not valid percent-encoding' }]);
+    }
+}
+
+async function handleApiV2(req, res, url) {
+    try {
+        const path = url.slice(API_V2_PREFIX.length) || '/';
+        const matches = apiRoutes.filter(route => route.regex.test(path));
+        if (matches.length === 0) throw apiError(404, 'not_found', `No such endpoint: ${url}`);
+        const route = matches.find(r => r.method === req.method);
+        if (!route) {
+            res.setHeader('Allow', matches.map(r => r.method).join(', '));
+            throw apiError(405, 'method_not_allowed', `${req.method} is not supported on ${url}`);
+        }
 
-            if (frame.opcode === 0x8) {
-                socket.end();
-                return;
+        const { spec } = route;
+        if (spec.scope) {
+            const auth = authenticate(req);
+            if (!auth) throw apiError(401, 'unauthorized', 'Authentication required');
+            if (!hasScope(auth, spec.scope)) throw apiError(403, 'forbidden', `Requires ${spec.scope} scope`);
+        }
+
+        const values = path.match(route.regex).slice(1);
+        const params = Object.fromEntries(route.names.map((name, i) => [name, decodePathParam(name, values[i])]));
+        const query = parseQuery(spec.query, req.url.split('?')[1] || '');
+        const body = spec.body ? await readApiBody(req) : undefined;
+
+        const errors = [];
+        for (const [name, schema] of Object.entries(spec.params || {})) validateSchema(schema, params[name], `path.${name}`, errors);
+        if (spec.query) validateSchema(spec.query, query, 'query', errors);
+        if (spec.body) {
+            if (body === undefined && spec.body.required && spec.body.required.length) {
+                errors.push({ field: 'body', message: 'is required' });
+            } else {
+                validateSchema(spec.body, body === undefined ? {} : body, 'body', errors);
             }
-            if (frame.opcode === 0x9) {
-                sendWebSocketFrame(socket, frame.payload, 0xA);
-                continue;
+        }
+        if (errors.length) throw apiError(422, 'invalid_input', errors.map(e => `${e.field} ${e.message}`).join('; '), errors);
+
+        const result = await route.handler({ req, res, params, query, body: body || {}, source: commandSource(req) });
+        if (result.status === 204) {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        sendJSON(res, result.status, result.body);
+    } catch (err) {
+        if (!err.status) {
+            log('error', `[API] ${req.method} ${url} failed: ${err.stack}`);
+            err = apiError(500, 'internal_error', err.message);
+        }
+        if (!res.headersSent) sendApiError(res, err);
+    }
+}
+
+// Schemas shared by the routes and the OpenAPI document
+const API_SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: {
+                type: 'object',
+                required: ['code', 'message'],
+                properties: {
+                    code: { type: 'string', example: 'shade_offline' },
+                    message: { type: 'string' },
+                    details: { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } } }
+                }
+            }
+        }
+    },
+    Shade: {
+        type: 'object',
+        properties: {
+            chipID: { type: 'string' },
+            name: { type: 'string' },
+            room: { type: 'string' },
+            icon: { type: 'string' },
+            notes: { type: 'string' },
+            orientation: { type: 'number' },
+            presets: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 100 }, description: 'Dashboard preset positions in percent' },
+            online: { type: 'boolean' },
+            state: { type: 'string', enum: ['opening', 'closing', 'stopped', 'stalled'] },
+            currentPosition: { type: 'integer', minimum: 0, maximum: 100 },
+            rawPosition: { type: 'integer', minimum: 0, maximum: 1000 },
+            currentCommand: { type: 'integer', nullable: true, description: 'The command that holds the shade where it is' },
+            model: { type: 'string' },
+            firmware: { type: 'integer' },
+            firstSeen: { type: 'string', format: 'date-time' },
+            lastSeen: { type: 'string', format: 'date-time' },
+            queued: { type: 'integer' },
+            movement: { type: 'object', nullable: true },
+            calibration: { type: 'object' },
+            connection: { type: 'object', nullable: true },
+            peer: { type: 'string', description: 'Hub mode: the peer server the shade is connected to' },
+            lastError: { type: 'object', nullable: true }
+        }
+    },
+    CommandResult: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['sent', 'queued', 'idle', 'reached', 'stalled', 'timeout', 'disconnected', 'superseded', 'pending'] },
+            chipID: { type: 'string' },
+            position: { type: 'integer' },
+            command: { type: 'integer' },
+            queued: { type: 'object', nullable: true },
+            movement: { type: 'object', nullable: true }
+        }
+    },
+    MultiResult: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['sent', 'queued', 'partial', 'idle'] },
+            results: { type: 'array', items: { type: 'object' } }
+        }
+    },
+    Group: {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' }, shades: { type: 'array', items: { type: 'string' } } }
+    },
+    Room: {
+        type: 'object',
+        properties: { id: { type: 'string', example: 'living-room' }, name: { type: 'string' }, shades: { type: 'array', items: { type: 'string' } } }
+    },
+    Scene: {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' }, positions: { type: 'object', additionalProperties: { type: 'integer' } } }
+    },
+    Queue: {
+        type: 'object',
+        properties: { chipID: { type: 'string' }, online: { type: 'boolean' }, lastSentAt: { type: 'string', nullable: true }, entries: { type: 'array', items: { type: 'object' } } }
+    }
+};
+
+const schemaRef = name => ({ $ref: `#/components/schemas/${name}` });
+const chipIDParam = { chipID: { type: 'string', pattern: '^\\d+$', description: 'The chipID the shade reports' } };
+const idParam = { id: { type: 'string', pattern: '^[\\w-]+$' } };
+const percentSchema = { type: 'integer', minimum: 0, maximum: 100, description: '0 = closed, 100 = open' };
+const commandSchema = {
+    type: 'integer',
+    minimum: COMMAND_MIN,
+    maximum: COMMAND_MAX,
+    description: `Raw command value (${COMMAND_MIN}-${COMMAND_MAX}); the shade's calibration min is closed and max is open, 73-100 by default`
+};
+const waitSchema = {
+    wait: { type: 'boolean', description: 'Answer once the shade reaches the target, stalls or gives up' },
+    timeout: { type: 'integer', minimum: WAIT_TIMEOUT_MIN_MS, maximum: WAIT_TIMEOUT_MAX_MS, description: 'With wait: answer after this many ms at the latest' }
+};
+
+function shadeResource(shade) {
+    const chipID = shade.chipID;
+    return {
+        ...shade,
+        presets: shadePresets(shade),
+        currentCommand: currentCommand(shade),
+        online: connectedShades.has(chipID),
+        state: shadeState(chipID),
+        movement: movementSummary(movements.get(chipID)),
+        calibration: getCalibration(chipID),
+        connection: connectionSummary(chipID),
+        queued: queuedEntries(chipID).length
+    };
+}
+
+function findShade(chipID) {
+    const shade = shadesDB.shades[chipID];
+    if (!shade) throw apiError(404, 'shade_not_found', `Unknown shade ${chipID}`);
+    return shade;
+}
+
+function findGroup(id) {
+    if (!shadesDB.groups[id]) throw apiError(404, 'group_not_found', `Unknown group ${id}`);
+    return shadesDB.groups[id];
+}
+
+function findRoom(id) {
+    const room = roomById(id);
+    if (!room) throw apiError(404, 'room_not_found', `No shade is in room ${id}`);
+    return room;
+}
+
+function findScene(id) {
+    if (!shadesDB.scenes[id]) throw apiError(404, 'scene_not_found', `Unknown scene ${id}`);
+    return shadesDB.scenes[id];
+}
+
+// 200 once sent (or arrived, with wait), 202 while queued, 409 when offline
+async function commandResponse(chipID, result, wait, timeout, res) {
+    if (result.status === 'offline') {
+        throw apiError(409, 'shade_offline', `Shade ${chipID} is offline`);
+    }
+    if (result.status === 'queued') return { status: 202, body: result };
+    if (result.status === 'sent' && wait) {
+        const movement = await waitForMovement(movements.get(chipID), timeout, res);
+        return { status: 200, body: { ...result, status: movement.outcome, movement } };
+    }
+    return { status: 200, body: result };
+}
+
+// Group and scene moves: 409 only when no shade could be reached at all
+function multiResponse(label, result, extra) {
+    if (result.status === 'offline') {
+        throw apiError(409, 'shades_offline', `Every shade in ${label} is offline`, result.results);
+    }
+    if (result.status === 'failed') {
+        throw apiError(422, 'move_failed', `No shade in ${label} could be moved`, result.results);
+    }
+    return { status: result.status === 'queued' ? 202 : 200, body: { ...extra, ...result } };
+}
+
+const SHADE_SORTS = {
+    chipID: (a, b) => a.chipID.localeCompare(b.chipID, undefined, { numeric: true }),
+    name: (a, b) => (a.name || '').localeCompare(b.name || ''),
+    room: (a, b) => (a.room || '').localeCompare(b.room || ''),
+    position: (a, b) => (a.currentPosition || 0) - (b.currentPosition || 0),
+    lastSeen: (a, b) => (a.lastSeen || '').localeCompare(b.lastSeen || '')
+};
+
+defineRoute('GET', '/', {
+    summary: 'API version and links',
+    tag: 'meta',
+    responses: { 200: ['Version information', { type: 'object' }] }
+}, () => ({ status: 200, body: { version: 2, openapi: `${API_V2_PREFIX}/openapi.json` } }));
+
+defineRoute('GET', '/openapi.json', {
+    summary: 'This OpenAPI document',
+    tag: 'meta',
+    responses: { 200: ['OpenAPI 3.0 document', { type: 'object' }] }
+}, ({ req }) => ({ status: 200, body: openApiDocument(req) }));
+
+defineRoute('GET', '/shades', {
+    summary: 'List shades, filtered, sorted and paginated',
+    tag: 'shades',
+    scope: 'read',
+    query: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            online: { type: 'boolean' },
+            room: { type: 'string', description: 'Exact room name' },
+            state: { type: 'string', enum: ['opening', 'closing', 'stopped', 'stalled'] },
+            q: { type: 'string', description: 'Case-insensitive match on name or chipID' },
+            sort: { type: 'string', enum: Object.keys(SHADE_SORTS), default: 'chipID' },
+            order: { type: 'string', enum: ['asc', 'desc'], default: 'asc' },
+            limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+            offset: { type: 'integer', minimum: 0, default: 0 }
+        }
+    },
+    responses: {
+        200: ['A page of shades', {
+            type: 'object',
+            properties: { items: { type: 'array', items: schemaRef('Shade') }, total: { type: 'integer' }, limit: { type: 'integer' }, offset: { type: 'integer' } }
+        }]
+    }
+}, ({ query }) => {
+    const { online, room, state, q, sort = 'chipID', order = 'asc', limit = 50, offset = 0 } = query;
+    let shades = Object.values(shadesDB.shades).map(shadeResource);
+    if (online !== undefined) shades = shades.filter(s => s.online === online);
+    if (room !== undefined) shades = shades.filter(s => (s.room || '') === room);
+    if (state !== undefined) shades = shades.filter(s => s.state === state);
+    if (q) shades = shades.filter(s => s.chipID.includes(q) || (s.name || '').toLowerCase().includes(q.toLowerCase()));
+    shades.sort(SHADE_SORTS[sort]);
+    if (order === 'desc') shades.reverse();
+    return { status: 200, body: { items: shades.slice(offset, offset + limit), total: shades.length, limit, offset } };
+});
+
+defineRoute('GET', '/shades/{chipID}', {
+    summary: 'One shade with its state, movement, calibration and connection',
+    tag: 'shades',
+    scope: 'read',
+    params: chipIDParam,
+    responses: { 200: ['The shade', schemaRef('Shade')] }
+}, ({ params }) => ({ status: 200, body: shadeResource(findShade(params.chipID)) }));
+
+defineRoute('PATCH', '/shades/{chipID}', {
+    summary: 'Edit a shade\'s name, room, icon, notes, orientation or presets (null clears)',
+    tag: 'shades',
+    scope: 'admin',
+    params: chipIDParam,
+    body: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string', maxLength: SHADE_TEXT_FIELDS.name, nullable: true },
+            room: { type: 'string', maxLength: SHADE_TEXT_FIELDS.room, nullable: true },
+            icon: { type: 'string', maxLength: SHADE_TEXT_FIELDS.icon, nullable: true },
+            notes: { type: 'string', maxLength: SHADE_TEXT_FIELDS.notes, nullable: true },
+            orientation: { type: 'number', minimum: 0, maximum: 360, exclusiveMaximum: true, nullable: true },
+            presets: { type: 'array', maxItems: MAX_PRESETS, items: percentSchema, nullable: true }
+        }
+    },
+    responses: { 200: ['The updated shade', schemaRef('Shade')] }
+}, ({ params, body }) => {
+    const shade = findShade(params.chipID);
+    let changed;
+    try {
+        changed = applyShadeUpdate(shade, body);
+    } catch (e) {
+        throw apiError(422, 'invalid_input', e.message);
+    }
+    saveData();
+    log('info', `[API] Shade ${params.chipID} updated: ${changed.join(', ') || 'nothing'}`);
+    publishShadeDiscovery(params.chipID, shade);
+    emitEvent('shade.updated', { chipID: params.chipID, fields: changed });
+    return { status: 200, body: shadeResource(shade) };
+});
+
+defineRoute('DELETE', '/shades/{chipID}', {
+    summary: 'Forget a shade (it comes back when it next reports in)',
+    tag: 'shades',
+    scope: 'admin',
+    params: chipIDParam,
+    responses: { 204: ['Forgotten'] }
+}, ({ params }) => {
+    findShade(params.chipID);
+    forgetShade(params.chipID);
+    emitEvent('shade.forgotten', { chipID: params.chipID });
+    return { status: 204 };
+});
+
+defineRoute('POST', '/shades/{chipID}/position', {
+    summary: 'Move a shade to a percentage',
+    tag: 'shades',
+    scope: 'control',
+    params: chipIDParam,
+    body: { type: 'object', additionalProperties: false, required: ['position'], properties: { position: percentSchema, ...waitSchema } },
+    responses: {
+        200: ['Sent; with wait, status is the outcome (reached, stalled, timeout, ...)', schemaRef('CommandResult')],
+        202: ['Queued, see the command queue', schemaRef('CommandResult')]
+    }
+}, ({ params, body, source, res }) => {
+    findShade(params.chipID);
+    const result = setShadePosition(params.chipID, body.position, source);
+    log('info', `[API] Shade ${params.chipID}: ${body.position}% -> command ${result.command}`);
+    return commandResponse(params.chipID, result, body.wait, body.timeout, res);
+});
+
+defineRoute('POST', '/shades/{chipID}/command', {
+    summary: 'Send a raw command value',
+    tag: 'shades',
+    scope: 'control',
+    params: chipIDParam,
+    body: { type: 'object', additionalProperties: false, required: ['command'], properties: { command: commandSchema, ...waitSchema } },
+    responses: {
+        200: ['Sent; with wait, status is the outcome', schemaRef('CommandResult')],
+        202: ['Queued', schemaRef('CommandResult')]
+    }
+}, ({ params, body, source, res }) => {
+    findShade(params.chipID);
+    log('info', `[API] Shade ${params.chipID}: raw command ${body.command}`);
+    const { status, queued } = sendCommand(params.chipID, body.command, source);
+    return commandResponse(params.chipID, { status, chipID: params.chipID, command: body.command, queued }, body.wait, body.timeout, res);
+});
+
+defineRoute('POST', '/shades/{chipID}/stop', {
+    summary: 'Stop a moving shade where it is',
+    tag: 'shades',
+    scope: 'control',
+    params: chipIDParam,
+    responses: { 200: ['Sent, or idle if the shade wasn\'t moving', schemaRef('CommandResult')], 202: ['Queued', schemaRef('CommandResult')] }
+}, ({ params, source }) => {
+    findShade(params.chipID);
+    return commandResponse(params.chipID, stopShade(params.chipID, source));
+});
+
+defineRoute('GET', '/shades/{chipID}/queue', {
+    summary: 'Commands waiting to be sent',
+    tag: 'shades',
+    scope: 'read',
+    params: chipIDParam,
+    responses: { 200: ['The queue', schemaRef('Queue')] }
+}, ({ params }) => {
+    findShade(params.chipID);
+    return { status: 200, body: queueSummary(params.chipID) };
+});
+
+defineRoute('DELETE', '/shades/{chipID}/queue', {
+    summary: 'Discard every waiting command',
+    tag: 'shades',
+    scope: 'control',
+    params: chipIDParam,
+    responses: { 200: ['How many were removed', { type: 'object', properties: { removed: { type: 'integer' } } }] }
+}, ({ params }) => {
+    findShade(params.chipID);
+    return { status: 200, body: { chipID: params.chipID, removed: clearQueue(params.chipID) } };
+});
+
+defineRoute('GET', '/groups', {
+    summary: 'List groups',
+    tag: 'groups',
+    scope: 'read',
+    responses: { 200: ['Every group', { type: 'object', properties: { items: { type: 'array', items: schemaRef('Group') }, total: { type: 'integer' } } }] }
+}, () => {
+    const groups = Object.values(shadesDB.groups);
+    return { status: 200, body: { items: groups, total: groups.length } };
+});
+
+defineRoute('GET', '/groups/{id}', {
+    summary: 'One group',
+    tag: 'groups',
+    scope: 'read',
+    params: idParam,
+    responses: { 200: ['The group', schemaRef('Group')] }
+}, ({ params }) => ({ status: 200, body: findGroup(params.id) }));
+
+defineRoute('POST', '/groups/{id}/position', {
+    summary: 'Move every shade in a group',
+    tag: 'groups',
+    scope: 'control',
+    params: idParam,
+    body: { type: 'object', additionalProperties: false, required: ['position'], properties: { position: percentSchema } },
+    responses: {
+        200: ['Sent to every shade, or partial - see results', schemaRef('MultiResult')],
+        202: ['Accepted by every shade, some through the queue', schemaRef('MultiResult')]
+    }
+}, ({ params, body, source }) => {
+    const group = findGroup(params.id);
+    return multiResponse(`group ${params.id}`, setGroupPosition(group, body.position, source), { group: params.id, position: body.position });
+});
+
+defineRoute('POST', '/groups/{id}/stop', {
+    summary: 'Stop every shade in a group',
+    tag: 'groups',
+    scope: 'control',
+    params: idParam,
+    responses: { 200: ['Per-shade results', schemaRef('MultiResult')] }
+}, ({ params, source }) => ({ status: 200, body: { group: params.id, ...stopGroup(findGroup(params.id), source) } }));
+
+defineRoute('GET', '/rooms', {
+    summary: 'List rooms (taken from the shades\' room field)',
+    tag: 'rooms',
+    scope: 'read',
+    responses: { 200: ['Every room with at least one shade', { type: 'object', properties: { items: { type: 'array', items: schemaRef('Room') }, total: { type: 'integer' } } }] }
+}, () => {
+    const rooms = listRooms();
+    return { status: 200, body: { items: rooms, total: rooms.length } };
+});
+
+defineRoute('POST', '/rooms/{id}/position', {
+    summary: 'Move every shade in a room',
+    tag: 'rooms',
+    scope: 'control',
+    params: idParam,
+    body: { type: 'object', additionalProperties: false, required: ['position'], properties: { position: percentSchema } },
+    responses: {
+        200: ['Sent to every shade, or partial - see results', schemaRef('MultiResult')],
+        202: ['Accepted by every shade, some through the queue', schemaRef('MultiResult')]
+    }
+}, ({ params, body, source }) => {
+    const room = findRoom(params.id);
+    return multiResponse(`room ${params.id}`, setRoomPosition(room, body.position, source), { room: params.id, position: body.position });
+});
+
+defineRoute('POST', '/rooms/{id}/stop', {
+    summary: 'Stop every shade in a room',
+    tag: 'rooms',
+    scope: 'control',
+    params: idParam,
+    responses: { 200: ['Per-shade results', schemaRef('MultiResult')] }
+}, ({ params, source }) => ({ status: 200, body: { room: params.id, ...stopRoom(findRoom(params.id), source) } }));
+
+defineRoute('GET', '/scenes', {
+    summary: 'List scenes',
+    tag: 'scenes',
+    scope: 'read',
+    responses: { 200: ['Every scene', { type: 'object', properties: { items: { type: 'array', items: schemaRef('Scene') }, total: { type: 'integer' } } }] }
+}, () => {
+    const scenes = Object.values(shadesDB.scenes);
+    return { status: 200, body: { items: scenes, total: scenes.length } };
+});
+
+defineRoute('GET', '/scenes/{id}', {
+    summary: 'One scene',
+    tag: 'scenes',
+    scope: 'read',
+    params: idParam,
+    responses: { 200: ['The scene', schemaRef('Scene')] }
+}, ({ params }) => ({ status: 200, body: findScene(params.id) }));
+
+defineRoute('POST', '/scenes/{id}/activate', {
+    summary: 'Move every shade to its position in the scene',
+    tag: 'scenes',
+    scope: 'control',
+    params: idParam,
+    responses: {
+        200: ['Sent to every shade, or partial - see results', schemaRef('MultiResult')],
+        202: ['Accepted by every shade, some through the queue', schemaRef('MultiResult')]
+    }
+}, ({ params, source }) => {
+    const scene = findScene(params.id);
+    return multiResponse(`scene ${params.id}`, activateScene(scene, source), { scene: params.id });
+});
+
+// Build the OpenAPI 3.0 document from the route table
+function openApiDocument(req) {
+    const errorResponse = description => ({ description, content: { 'application/json': { schema: schemaRef('Error') } } });
+    const paths = {};
+    for (const route of apiRoutes) {
+        const { spec } = route;
+        const parameters = [
+            ...Object.entries(spec.params || {}).map(([name, schema]) => ({ name, in: 'path', required: true, schema })),
+            ...Object.entries((spec.query && spec.query.properties) || {}).map(([name, schema]) => ({ name, in: 'query', required: false, schema }))
+        ];
+        const responses = {};
+        for (const [code, [description, schema]] of Object.entries(spec.responses)) {
+            responses[code] = schema ? { description, content: { 'application/json': { schema } } } : { description };
+        }
+        if (spec.params || spec.body || spec.query) responses[422] = errorResponse('Invalid input - see error.details');
+        if (spec.params) responses[404] = errorResponse('Unknown shade, group or scene');
+        if (/position|command|stop|activate/.test(route.pattern)) responses[409] = errorResponse('Shade (or every shade) offline');
+        if (spec.scope) {
+            responses[401] = errorResponse('Authentication required');
+            responses[403] = errorResponse(`Needs the ${spec.scope} scope`);
+        }
+
+        const operation = { summary: spec.summary, tags: [spec.tag], parameters, responses };
+        if (spec.body) operation.requestBody = { required: !!(spec.body.required && spec.body.required.length), content: { 'application/json': { schema: spec.body } } };
+        if (spec.scope) {
+            operation.security = [{ bearerAuth: [] }];
+            operation.description = `Requires the \`${spec.scope}\` scope when auth is enabled.`;
+        }
+        paths[API_V2_PREFIX + route.pattern] = paths[API_V2_PREFIX + route.pattern] || {};
+        paths[API_V2_PREFIX + route.pattern][route.method.toLowerCase()] = operation;
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'LinkShades Local Server',
+            version: '2',
+            description: 'Local control of LinkShades smart blinds. Errors are { "error": { "code", "message", "details" } }.'
+        },
+        servers: [{ url: `${req.socket.encrypted ? 'https' : 'http'}://${req.headers.host || `localhost:${CONFIG.PORT}`}` }],
+        tags: [{ name: 'shades' }, { name: 'groups' }, { name: 'rooms' }, { name: 'scenes' }, { name: 'meta' }],
+        paths,
+        components: {
+            schemas: API_SCHEMAS,
+            securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', description: 'An API token from /api/tokens' } }
+        }
+    };
+}
+
+// =============================================================================
+// TLS
+// =============================================================================
+// An https/wss listener next to the plain one, with the same request and
+// upgrade handling. The default certificate is TLS_CERT/TLS_KEY or a
+// generated self-signed one covering this host's names and addresses plus
+// TLS_SHADE_HOSTNAME. Shades redirected here by DNS ask for that name (SNI)
+// and get TLS_SHADE_CERT, or the self-signed certificate when TLS_CERT is
+// only for the dashboard's name.
+let tlsServer = null;
+
+function selfSignedNames() {
+    const ips = Object.values(os.networkInterfaces()).flat()
+        .filter(iface => iface.family === 'IPv4' || iface.family === 4)
+        .map(iface => iface.address);
+    return {
+        dns: [...new Set([CONFIG.TLS_SHADE_HOSTNAME, 'localhost', os.hostname()])],
+        ips: [...new Set(['127.0.0.1', ...ips])]
+    };
+}
+
+// Generated once and kept in DATA_DIR/tls; made again when the host's names
+// or addresses change
+function selfSignedCertificate() {
+    const dir = path.join(CONFIG.DATA_DIR, 'tls');
+    const certFile = path.join(dir, 'selfsigned.crt');
+    const keyFile = path.join(dir, 'selfsigned.key');
+    const namesFile = path.join(dir, 'selfsigned.names');
+    const names = selfSignedNames();
+    const altNames = [...names.dns.map(name => `DNS:${name}`), ...names.ips.map(ip => `IP:${ip}`)].join(',');
+
+    if (fs.existsSync(certFile) && fs.existsSync(keyFile) &&
+        fs.existsSync(namesFile) && fs.readFileSync(namesFile, 'utf8') === altNames) {
+        return { cert: fs.readFileSync(certFile), key: fs.readFileSync(keyFile), generated: false };
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    try {
+        execFileSync('openssl', [
+            'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256', '-days', '3650',
+            '-subj', '/CN=LinkShades Local Server',
+            '-addext', `subjectAltName=${altNames}`,
+            '-keyout', keyFile, '-out', certFile
+        ], { stdio: 'pipe' });
+    } catch (e) {
+        const detail = e.code === 'ENOENT' ? 'openssl is not installed' : String(e.stderr || e.message).trim();
+        throw new Error(`Can't generate a self-signed certificate (${detail}) - set TLS_CERT and TLS_KEY instead`);
+    }
+    fs.chmodSync(keyFile, 0o600);
+    fs.writeFileSync(namesFile, altNames);
+    log('info', `[TLS] Generated a self-signed certificate for ${altNames}`);
+    return { cert: fs.readFileSync(certFile), key: fs.readFileSync(keyFile), generated: true };
+}
+
+// SHA-256 fingerprint of the first certificate in a PEM, for pinning
+function certificateFingerprint(pem) {
+    const match = String(pem).match(/-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/);
+    if (!match) throw new Error('no PEM certificate found');
+    const base64 = match[1].replace(/\s+/g, '');
+    const digest = crypto.createHash('sha256').update(Buffer.from(base64, 'base64')).digest('hex').toUpperCase();
+    return digest.match(/../g).join(':');
+}
+
+function startTLS() {
+    if (!CONFIG.TLS_ENABLED) return;
+
+    // Anything wrong with the certificates only disables TLS; the plain
+    // listener carries on
+    const shadeHostname = CONFIG.TLS_SHADE_HOSTNAME.toLowerCase();
+    let main;
+    let shadeContext = null;
+    let fingerprint;
+    try {
+        main = CONFIG.TLS_CERT
+            ? { cert: fs.readFileSync(CONFIG.TLS_CERT), key: fs.readFileSync(CONFIG.TLS_KEY) }
+            : selfSignedCertificate();
+        if (CONFIG.TLS_SHADE_CERT) {
+            shadeContext = tls.createSecureContext({
+                cert: fs.readFileSync(CONFIG.TLS_SHADE_CERT),
+                key: fs.readFileSync(CONFIG.TLS_SHADE_KEY)
+            });
+        } else if (CONFIG.TLS_CERT) {
+            const { cert, key } = selfSignedCertificate();
+            shadeContext = tls.createSecureContext({ cert, key });
+        }
+        fingerprint = certificateFingerprint(main.cert);
+        tlsServer = https.createServer({
+            cert: main.cert,
+            key: main.key,
+            // No context means the default certificate
+            SNICallback: (servername, callback) => {
+                callback(null, shadeContext && servername.toLowerCase() === shadeHostname ? shadeContext : null);
             }
-            if (frame.opcode === 0xA) continue;
+        }, handleRequest);
+    } catch (e) {
+        log('error', `[TLS] Not starting: ${e.message}`);
+        return;
+    }
+
+    tlsServer.on('upgrade', handleUpgrade);
+    tlsServer.on('tlsClientError', (err, socket) => log('debug', `[TLS] Handshake with ${socket.remoteAddress} failed: ${err.message}`));
+    tlsServer.on('error', (err) => log('error', `[TLS] HTTPS error: ${err.message}`));
+    tlsServer.listen(CONFIG.TLS_PORT, CONFIG.BIND_ADDRESS, () => {
+        const kind = CONFIG.TLS_CERT ? CONFIG.TLS_CERT : 'self-signed';
+        log('info', `[TLS] Listening on https://localhost:${CONFIG.TLS_PORT} and wss:// (${kind}, SHA-256 ${fingerprint})`);
+        if (shadeContext) log('info', `[TLS] ${CONFIG.TLS_SHADE_HOSTNAME} gets ${CONFIG.TLS_SHADE_CERT || 'the self-signed certificate'}`);
+    });
+}
+
+// =============================================================================
+// FEDERATION
+// =============================================================================
+// Hub mode: with FEDERATION_PEERS set, this server follows other LinkShades
+// servers (say one per building, each with its own DNS redirect) and presents
+// their shades as its own in the API, dashboard, MQTT and Hue emulation.
+//
+// For each peer the hub follows /api/events and reads /api/shades, sending the
+// peer's token as a Bearer token (read scope to follow, control to move
+// shades, admin for raw frames). Every shade connected to the peer gets a
+// stand-in socket in connectedShades, so queueing, movement tracking, history
+// and availability work as for a local shade: frames written to it are POSTed
+// to the peer, which owns the real WebSocket, and position reports from the
+// stream go through handleShadeMessage. Calibration belongs to the peer and
+// is copied from it. When the link drops, the peer's shades go offline here.
+//
+// Only the peer's own shades are taken, never ones it follows itself, and a
+// shade connected directly to this server wins over a peer's copy.
+const FEDERATION_TIMEOUT_MS = 10000;
+const FEDERATION_IDLE_MS = 60000;       // The event stream pings every 25s
+const peerLinks = new Map();            // name -> link state, see startPeerLink
+
+// Called while the config loads, so only literals here
+function normalizePeer(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('must be an object');
+    if (typeof input.name !== 'string' || !/^[\w-]{1,32}$/.test(input.name)) {
+        throw new Error('name must be 1-32 letters, digits, - or _');
+    }
+    let url;
+    try {
+        url = new URL(input.url);
+    } catch (e) {
+        url = null;
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        throw new Error('url must be an absolute http:// or https:// URL');
+    }
+    if (input.token !== undefined && typeof input.token !== 'string') throw new Error('token must be a string');
+    if (input.insecure !== undefined && typeof input.insecure !== 'boolean') throw new Error('insecure must be true or false');
+    return { name: input.name, url: url.origin, token: input.token || '', insecure: input.insecure === true };
+}
 
-            if (frame.opcode === 0x1 || frame.opcode === 0x2) {
-                const message = frame.payload.toString('utf8');
-                console.log(`[WS] <<< ${message}`);
+function peerRequestOptions(link, method, headers = {}) {
+    const options = { method, headers: { 'X-LinkShades-Source': 'hub', ...headers } };
+    if (link.peer.token) options.headers.Authorization = `Bearer ${link.peer.token}`;
+    // Peers often use the self-signed certificate from the TLS section
+    if (link.peer.insecure) options.rejectUnauthorized = false;
+    return options;
+}
+
+// One JSON request to a peer; resolves { status, data }, rejects when unreachable
+function peerRequest(link, method, path, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(path, link.peer.url);
+        const client = target.protocol === 'https:' ? https : http;
+        const payload = body === undefined ? null : JSON.stringify(body);
+        const headers = payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {};
+        const options = { ...peerRequestOptions(link, method, headers), timeout: FEDERATION_TIMEOUT_MS };
 
+        const req = client.request(target, options, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => text += chunk);
+            res.on('end', () => {
+                let data = null;
                 try {
-                    const data = JSON.parse(message);
-                    
-                    if (data.chipID) {
-                        const chipID = String(data.chipID);
-                        shadeChipID = chipID;
-                        connectedShades.set(chipID, socket);
-
-                        // Update database
-                        if (!shadesDB.shades[chipID]) {
-                            shadesDB.shades[chipID] = {
-                                chipID: chipID,
-                                name: `LinkShade ${chipID}`,
-                                firstSeen: new Date().toISOString()
-                            };
-                        }
-                        
-                        const shade = shadesDB.shades[chipID];
-                        shade.lastSeen = new Date().toISOString();
-                        shade.online = true;
-                        shade.model = data.model;
-                        shade.firmware = data.version;
-                        shade.rawPosition = data.position;
-                        shade.currentPosition = positionToPercent(data.position);
-                        saveData();
-
-                        console.log(`[SHADE] ${chipID}: pos=${data.position} (${shade.currentPosition}%), model=${data.model}, fw=${data.version}`);
-
-                        // Publish to MQTT
-                        publishShadeDiscovery(chipID, shade);
-                        publishShadeState(chipID, data.position, true);
-                    }
+                    data = text ? JSON.parse(text) : null;
                 } catch (e) {
-                    console.log(`[WS] Parse error: ${e.message}`);
+                    reject(new Error(`Invalid JSON from ${link.peer.name} (HTTP ${res.statusCode})`));
+                    return;
                 }
-            }
+                resolve({ status: res.statusCode, data });
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error(`No response within ${FEDERATION_TIMEOUT_MS / 1000}s`)));
+        req.on('error', reject);
+        req.end(payload || undefined);
+    });
+}
+
+// Stands in for the WebSocket of a shade connected to a peer. Like a real
+// socket it reports its close asynchronously.
+function createPeerSocket(link, chipID) {
+    return {
+        peer: link.peer,
+        chipID,
+        remoteAddress: `${link.peer.name} (${new URL(link.peer.url).host})`,
+        encrypted: link.peer.url.startsWith('https:'),
+        destroyed: false,
+        end() {
+            setImmediate(() => this.destroy());
+        },
+        destroy() {
+            if (this.destroyed) return;
+            this.destroyed = true;
+            handleShadeClose(this);
         }
+    };
+}
+
+function closePeerSocket(socket, reason) {
+    if (socket.destroyed) return;
+    socket.closeCode = 1001;
+    socket.closeReason = reason;
+    socket.destroy();
+}
+
+// Frames for a peer's shade: plain position commands only need control
+// scope there, anything else goes out as a raw frame
+function forwardToPeer(socket, json) {
+    const link = peerLinks.get(socket.peer.name);
+    if (!link) return;
+    const chipID = socket.chipID;
+    let frame;
+    try {
+        frame = JSON.parse(json);
+    } catch (e) {
+        frame = null;
+    }
+    const isCommand = frame && Object.keys(frame).sort().join() === 'chipID,command';
+    const request = isCommand
+        ? peerRequest(link, 'POST', `/api/shades/${chipID}/command`, { command: frame.command })
+        : peerRequest(link, 'POST', `/api/shades/${chipID}/test`, frame === null ? json : frame);
+
+    request.then(({ status, data }) => {
+        if (status === 200 && data && data.status !== 'offline') return;
+        const problem = data && data.error ? data.error : status === 200 ? 'shade is offline there' : `HTTP ${status}`;
+        log('warn', `[PEER] ${link.peer.name}: frame for shade ${chipID} not delivered (${problem})`);
+        recordError('federation', `${link.peer.name}: frame for shade ${chipID} not delivered (${problem})`, chipID);
+    }, (err) => {
+        log('warn', `[PEER] ${link.peer.name}: frame for shade ${chipID} failed (${err.message})`);
+        recordError('federation', `${link.peer.name}: frame for shade ${chipID} failed (${err.message})`, chipID);
     });
+}
 
-    socket.on('close', () => {
-        console.log(`[WS] Disconnected: ${shadeChipID || 'unknown'}`);
-        if (shadeChipID) {
-            connectedShades.delete(shadeChipID);
-            if (shadesDB.shades[shadeChipID]) {
-                shadesDB.shades[shadeChipID].online = false;
-                saveData();
+// A position report from a peer, handled as if the shade had sent it here
+function reportPeerShade(link, chipID) {
+    const info = link.shades.get(chipID);
+    const current = connectedShades.get(chipID);
+    if (!info || !Number.isFinite(info.rawPosition)) return;
+    if (current && !current.peer) return;
+
+    // New shades start out with the peer's name and room; after that those
+    // are edited here
+    if (!shadesDB.shades[chipID]) {
+        const shade = { chipID, name: info.name || `LinkShade ${chipID}`, firstSeen: new Date().toISOString() };
+        for (const field of ['room', 'icon', 'notes']) {
+            if (info[field]) shade[field] = info[field];
+        }
+        shadesDB.shades[chipID] = shade;
+    }
+    shadesDB.shades[chipID].calibration = info.calibration;
+
+    const socket = current && current.peer === link.peer ? current : createPeerSocket(link, chipID);
+    handleShadeMessage(socket, JSON.stringify({ chipID: Number(chipID), position: info.rawPosition, model: info.model, version: info.firmware }));
+}
+
+// Re-read the peer's shades: take new ones, drop ones that went offline or away
+async function syncPeer(link) {
+    const { status, data } = await peerRequest(link, 'GET', '/api/shades');
+    if (status !== 200 || !Array.isArray(data)) throw new Error(data && data.error ? data.error : `HTTP ${status}`);
+    if (link.status !== 'connected') return;
+
+    link.shades.clear();
+    for (const shade of data) {
+        if (shade.peer) continue;
+        link.shades.set(shade.chipID, shade);
+    }
+    for (const [chipID, socket] of connectedShades) {
+        if (socket.peer !== link.peer) continue;
+        const info = link.shades.get(chipID);
+        if (!info) closePeerSocket(socket, `No longer on ${link.peer.name}`);
+        else if (!info.online) closePeerSocket(socket, `Offline on ${link.peer.name}`);
+    }
+    for (const [chipID, info] of link.shades) {
+        if (info.online) reportPeerShade(link, chipID);
+    }
+    link.syncedAt = new Date().toISOString();
+}
+
+function resyncPeer(link) {
+    syncPeer(link).catch(err => log('warn', `[PEER] ${link.peer.name}: sync failed (${err.message})`));
+}
+
+function handlePeerEvent(link, event) {
+    const d = event.data || {};
+    const chipID = d.chipID !== undefined && d.chipID !== null ? String(d.chipID) : null;
+    link.lastEventAt = new Date().toISOString();
+    switch (event.type) {
+        case 'shade.position': {
+            const info = link.shades.get(chipID);
+            if (!info) return;
+            info.rawPosition = d.rawPosition;
+            info.online = true;
+            reportPeerShade(link, chipID);
+            break;
+        }
+        case 'shade.disconnected': {
+            const info = link.shades.get(chipID);
+            if (info) info.online = false;
+            const socket = connectedShades.get(chipID);
+            if (socket && socket.peer === link.peer) closePeerSocket(socket, `${d.reason || 'Disconnected'} (on ${link.peer.name})`);
+            break;
+        }
+        // New shades, renames on the peer and new calibration profiles
+        case 'shade.connected':
+        case 'shade.forgotten':
+        case 'shade.updated':
+            resyncPeer(link);
+            break;
+        case 'calibration.progress':
+            if (d.status && d.status !== 'running') resyncPeer(link);
+            break;
+    }
+}
+
+// Parse the text/event-stream body: blank-line separated events, the JSON in
+// `data:` lines
+function readEventStream(res, onEvent) {
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const data = block.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('\n');
+            if (!data) continue;
+            try {
+                onEvent(JSON.parse(data));
+            } catch (e) {
+                log('warn', `[PEER] Unreadable event: ${e.message}`);
             }
-            publishShadeState(shadeChipID, 0, false);
         }
     });
+}
 
-    socket.on('error', (err) => console.log(`[WS] Error: ${err.message}`));
-});
+// Link state: { peer, status: connecting|connected|disconnected, request,
+// retryTimer, idleTimer, shades: Map chipID -> the peer's view, connectedAt,
+// syncedAt, lastEventAt, lastError, stopped }
+function startPeerLink(peer) {
+    const link = {
+        peer,
+        status: 'connecting',
+        request: null,
+        retryTimer: null,
+        idleTimer: null,
+        shades: new Map(),
+        connectedAt: null,
+        syncedAt: null,
+        lastEventAt: null,
+        lastError: null,
+        stopped: false
+    };
+    peerLinks.set(peer.name, link);
+    connectPeer(link);
+    return link;
+}
+
+function connectPeer(link) {
+    const target = new URL('/api/events', link.peer.url);
+    const client = target.protocol === 'https:' ? https : http;
+    link.status = 'connecting';
+
+    // A dropped stream can report itself several ways; only the first counts
+    const lost = (reason) => {
+        if (link.request === req) peerLost(link, reason);
+    };
+    const req = client.request(target, peerRequestOptions(link, 'GET', { Accept: 'text/event-stream' }), (res) => {
+        if (res.statusCode !== 200) {
+            res.resume();
+            lost(res.statusCode === 401 || res.statusCode === 403 ? `HTTP ${res.statusCode} - check the token` : `HTTP ${res.statusCode}`);
+            return;
+        }
+        link.status = 'connected';
+        link.connectedAt = new Date().toISOString();
+        link.lastError = null;
+        log('info', `[PEER] ${link.peer.name}: connected to ${link.peer.url}`);
+        emitEvent('peer.connected', { peer: link.peer.name });
+
+        const touch = () => {
+            clearTimeout(link.idleTimer);
+            link.idleTimer = setTimeout(() => lost(`Silent for ${FEDERATION_IDLE_MS / 1000}s`), FEDERATION_IDLE_MS);
+        };
+        touch();
+        res.on('data', touch);
+        readEventStream(res, event => handlePeerEvent(link, event));
+        res.on('end', () => lost('Event stream ended'));
+        res.on('close', () => lost('Connection closed'));
+        res.on('error', err => lost(err.message));
+
+        // Events from here on are applied on top of a fresh list
+        syncPeer(link).catch(err => lost(`Reading shades failed: ${err.message}`));
+    });
+    req.on('error', err => lost(err.message));
+    link.request = req;
+    req.end();
+}
+
+// Take the peer's shades offline here and, unless the link was stopped, try
+// again later
+function peerLost(link, reason) {
+    clearTimeout(link.idleTimer);
+    if (link.request) {
+        link.request.on('error', () => {});
+        link.request.destroy();
+        link.request = null;
+    }
+    const wasConnected = link.status === 'connected';
+    link.status = 'disconnected';
+
+    for (const socket of connectedShades.values()) {
+        if (socket.peer === link.peer) closePeerSocket(socket, `Lost link to ${link.peer.name}: ${reason}`);
+    }
+    if (wasConnected) emitEvent('peer.disconnected', { peer: link.peer.name, reason });
+    if (link.stopped) {
+        log('info', `[PEER] ${link.peer.name}: link closed (${reason})`);
+        return;
+    }
+
+    // Retries failing the same way are only logged once
+    const repeated = !wasConnected && link.lastError && link.lastError.message === reason;
+    link.lastError = { at: new Date().toISOString(), message: reason };
+    if (wasConnected) log('warn', `[PEER] ${link.peer.name}: link lost (${reason})`);
+    else if (!repeated) log('warn', `[PEER] ${link.peer.name}: can't connect to ${link.peer.url} (${reason}), retrying every ${CONFIG.FEDERATION_RETRY_MS / 1000}s`);
+    if (!repeated) recordError('federation', `${link.peer.name}: ${reason}`);
+
+    clearTimeout(link.retryTimer);
+    link.retryTimer = setTimeout(() => connectPeer(link), CONFIG.FEDERATION_RETRY_MS);
+}
+
+function stopPeerLink(link, reason) {
+    link.stopped = true;
+    clearTimeout(link.retryTimer);
+    peerLost(link, reason);
+    peerLinks.delete(link.peer.name);
+}
+
+// (Re)start every link from FEDERATION_PEERS; also called on config reload
+function startFederation() {
+    for (const link of [...peerLinks.values()]) stopPeerLink(link, 'Configuration changed');
+    if (CONFIG.FEDERATION_PEERS.length === 0) return;
+    log('info', `[PEER] Hub mode - following ${CONFIG.FEDERATION_PEERS.map(peer => peer.name).join(', ')}`);
+    for (const peer of CONFIG.FEDERATION_PEERS) startPeerLink(peer);
+}
+
+function federationSummary() {
+    return [...peerLinks.values()].map(link => ({
+        name: link.peer.name,
+        url: link.peer.url,
+        status: link.status,
+        connectedAt: link.connectedAt,
+        syncedAt: link.syncedAt,
+        lastEventAt: link.lastEventAt,
+        lastError: link.lastError,
+        shades: [...link.shades.values()].map(s => ({ chipID: s.chipID, name: s.name, online: !!s.online }))
+    }));
+}
 
 // =============================================================================
 // WEB DASHBOARD
 // =============================================================================
-function getDashboardHTML() {
+function getLoginHTML() {
     return `<!DOCTYPE html>
 <html>
 <head>
-    <title>LinkShades Local Control</title>
+    <title>LinkShades - Log in</title>
     <meta name="viewport" content="width=device-width, initial-scale=1">
     <meta charset="UTF-8">
     <style>
         * { box-sizing: border-box; margin: 0; padding: 0; }
         body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #1a1a2e; color: #eee; padding: 20px; min-height: 100vh; }
-        .container { max-width: 500px; margin: 0 auto; }
+        .container { max-width: 360px; margin: 15vh auto 0; }
         h1 { text-align: center; margin-bottom: 20px; font-size: 1.5em; }
-        .card { background: #16213e; padding: 20px; border-radius: 12px; margin-bottom: 15px; box-shadow: 0 4px 6px rgba(0,0,0,0.3); }
-        .status-row { display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px; }
-        .online { color: #4ade80; }
-        .offline { color: #f87171; }
-        .shade-name { font-size: 1.2em; font-weight: 600; }
-        .shade-info { font-size: 0.85em; opacity: 0.7; margin: 5px 0; }
-        .position-display { font-size: 3.5em; text-align: center; margin: 20px 0; font-weight: 300; }
-        .slider { width: 100%; height: 8px; border-radius: 4px; background: #334155; -webkit-appearance: none; margin: 20px 0; }
-        .slider::-webkit-slider-thumb { -webkit-appearance: none; width: 28px; height: 28px; background: #3b82f6; border-radius: 50%; cursor: pointer; }
-        .buttons { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin: 15px 0; }
-        .btn { padding: 16px; border: none; border-radius: 8px; background: #3b82f6; color: white; cursor: pointer; font-size: 16px; font-weight: 500; transition: all 0.2s; }
-        .btn:hover { background: #2563eb; transform: translateY(-1px); }
-        .btn:active { transform: translateY(0); }
-        .btn-close { background: #6366f1; }
-        .btn-close:hover { background: #4f46e5; }
-        .btn-open { background: #22c55e; }
-        .btn-open:hover { background: #16a34a; }
-        .preset-buttons { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; }
-        .preset-buttons .btn { padding: 12px 8px; font-size: 14px; background: #334155; }
-        .preset-buttons .btn:hover { background: #475569; }
-        .log { background: #0f172a; padding: 12px; border-radius: 8px; font-size: 11px; max-height: 150px; overflow-y: auto; font-family: monospace; margin-top: 15px; }
-        .section-title { font-size: 0.9em; font-weight: 600; margin-bottom: 10px; opacity: 0.8; }
-        .test-input { width: 100%; padding: 10px; border: 1px solid #334155; border-radius: 6px; background: #0f172a; color: #eee; font-family: monospace; font-size: 12px; margin-bottom: 10px; }
+        .card { background: #16213e; padding: 20px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.3); }
+        input { width: 100%; padding: 12px; border: 1px solid #334155; border-radius: 6px; background: #0f172a; color: #eee; font-size: 16px; margin-bottom: 12px; }
+        .btn { width: 100%; padding: 14px; border: none; border-radius: 8px; background: #3b82f6; color: white; cursor: pointer; font-size: 16px; font-weight: 500; }
+        .btn:hover { background: #2563eb; }
+        .error { color: #f87171; font-size: 0.9em; margin-top: 12px; text-align: center; min-height: 1.2em; }
     </style>
 </head>
 <body>
     <div class="container">
         <h1>🏠 LinkShades Control</h1>
-        
-        <div class="card">
-            <div class="status-row">
-                <span>Server</span>
-                <span class="online">● Online</span>
-            </div>
-            <div class="status-row">
-                <span>MQTT</span>
-                <span id="mqttStatus">Checking...</span>
-            </div>
-        </div>
-        
-        <div id="shades">
-            <div class="card">
-                <p style="text-align:center;opacity:0.6">Waiting for shade to connect...</p>
-            </div>
-        </div>
-        
-        <div class="card">
-            <div class="section-title">🔧 Raw Command</div>
-            <input type="text" class="test-input" id="testCmd" value='{"chipID":3398828,"command":100}'>
-            <button class="btn" onclick="sendTest()" style="width:100%">Send Command</button>
-            <div class="log" id="log"></div>
-        </div>
+        <form class="card" onsubmit="login(event)">
+            <input type="password" id="password" placeholder="Password" autofocus>
+            <button class="btn" type="submit">Log in</button>
+            <div class="error" id="error"></div>
+        </form>
     </div>
-    
     <script>
-        let CHIP = null;
-        
-        function log(msg) {
-            const el = document.getElementById('log');
-            const time = new Date().toLocaleTimeString();
-            el.innerHTML = time + ': ' + msg + '\\n' + el.innerHTML;
-            if (el.innerHTML.length > 5000) el.innerHTML = el.innerHTML.substring(0, 5000);
-        }
-        
-        async function sendTest() {
-            const cmd = document.getElementById('testCmd').value;
-            log('>>> ' + cmd);
-            try {
-                const chipID = CHIP || '3398828';
-                const r = await fetch('/api/shades/' + chipID + '/test', {
-                    method: 'POST',
-                    headers: {'Content-Type': 'application/json'},
-                    body: cmd
-                });
-                const d = await r.json();
-                log('Sent: ' + JSON.stringify(d.data || d));
-            } catch(e) {
-                log('Error: ' + e.message);
-            }
-        }
-        
-        async function loadShades() {
-            try {
-                const health = await fetch('/api/health').then(r => r.json());
-                document.getElementById('mqttStatus').innerHTML = health.mqtt 
-                    ? '<span class="online">● Connected</span>' 
-                    : '<span class="offline">● Disabled</span>';
-                
-                const shades = await fetch('/api/shades').then(r => r.json());
-                
-                if (shades.length === 0) {
-                    document.getElementById('shades').innerHTML = '<div class="card"><p style="text-align:center;opacity:0.6">Waiting for shade to connect...</p></div>';
-                    return;
-                }
-                
-                let html = '';
-                for (const s of shades) {
-                    CHIP = s.chipID;
-                    html += \`
-                        <div class="card">
-                            <div class="status-row">
-                                <span class="shade-name">\${s.name || 'LinkShade'}</span>
-                                <span class="\${s.online ? 'online' : 'offline'}">● \${s.online ? 'Online' : 'Offline'}</span>
-                            </div>
-                            <div class="shade-info">ID: \${s.chipID} | Model: \${s.model || '?'} | FW: \${s.firmware || '?'}</div>
-                            <div class="shade-info">Raw position: \${s.rawPosition || '?'}</div>
-                            
-                            <div class="position-display">\${s.currentPosition || 0}%</div>
-                            
-                            <input type="range" class="slider" min="0" max="100" value="\${s.currentPosition || 0}"
-                                   onchange="setPosition('\${s.chipID}', this.value)">
-                            
-                            <div class="buttons">
-                                <button class="btn btn-close" onclick="sendCmd('\${s.chipID}', 73)">⬇️ Close</button>
-                                <button class="btn btn-open" onclick="sendCmd('\${s.chipID}', 100)">⬆️ Open</button>
-                            </div>
-                            
-                            <div class="section-title">Presets</div>
-                            <div class="preset-buttons">
-                                <button class="btn" onclick="sendCmd('\${s.chipID}', 80)">25%</button>
-                                <button class="btn" onclick="sendCmd('\${s.chipID}', 85)">50%</button>
-                                <button class="btn" onclick="sendCmd('\${s.chipID}', 90)">75%</button>
-                                <button class="btn" onclick="sendCmd('\${s.chipID}', 95)">90%</button>
-                            </div>
-                        </div>
-                    \`;
-                }
-                document.getElementById('shades').innerHTML = html;
-            } catch(e) {
-                log('Error: ' + e.message);
-            }
-        }
-        
-        async function sendCmd(chipID, command) {
-            log('>>> command: ' + command);
-            try {
-                await fetch('/api/shades/' + chipID + '/command', {
-                    method: 'POST',
-                    headers: {'Content-Type': 'application/json'},
-                    body: JSON.stringify({ command })
-                });
-                setTimeout(loadShades, 1500);
-            } catch(e) {
-                log('Error: ' + e.message);
-            }
-        }
-        
-        async function setPosition(chipID, percent) {
-            log('>>> position: ' + percent + '%');
-            try {
-                await fetch('/api/shades/' + chipID + '/position', {
-                    method: 'POST',
-                    headers: {'Content-Type': 'application/json'},
-                    body: JSON.stringify({ position: parseInt(percent) })
-                });
-                setTimeout(loadShades, 1500);
-            } catch(e) {
-                log('Error: ' + e.message);
+        async function login(e) {
+            e.preventDefault();
+            const r = await fetch('/api/login', {
+                method: 'POST',
+                headers: {'Content-Type': 'application/json'},
+                body: JSON.stringify({ password: document.getElementById('password').value })
+            });
+            if (r.ok) {
+                location.href = '/';
+                return;
             }
+            const d = await r.json();
+            document.getElementById('error').textContent = d.error;
         }
-        
-        loadShades();
-        setInterval(loadShades, 3000);
     </script>
 </body>
 </html>`;
 }
 
+// The dashboard is a static app in public/ (index.html, app.js, a manifest and
+// a service worker so it installs as a PWA). Only files with a known type are
+// served and nothing outside PUBLIC_DIR is reachable. Returns the file a URL
+// maps to, or null.
+function staticFile(url) {
+    let name;
+    try {
+        name = decodeURIComponent(url === '/' ? '/index.html' : url);
+    } catch (e) {
+        return null;
+    }
+    const file = path.join(PUBLIC_DIR, name);
+    if (!file.startsWith(PUBLIC_DIR + path.sep) || !STATIC_TYPES[path.extname(file)]) return null;
+    try {
+        return fs.statSync(file).isFile() ? file : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Browsers fetch the manifest and service worker without the session cookie,
+// so the app shell is public; the page itself and all data need a login
+function isPublicAsset(url) {
+    return url !== '/' && url !== '/index.html' && staticFile(url) !== null;
+}
+
+function serveStatic(req, res, file) {
+    const stat = fs.statSync(file);
+    const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+    // Revalidate every time so an upgraded server ships its dashboard at once
+    const headers = { 'Content-Type': STATIC_TYPES[path.extname(file)], 'Cache-Control': 'no-cache', ETag: etag };
+    if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+    res.writeHead(200, { ...headers, 'Content-Length': stat.size });
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+    fs.createReadStream(file).on('error', () => res.destroy()).pipe(res);
+}
+
 // =============================================================================
 // START SERVER
 // =============================================================================
-server.listen(CONFIG.PORT, '0.0.0.0', async () => {
+server.listen(CONFIG.PORT, CONFIG.BIND_ADDRESS, async () => {
     console.log('');
     console.log('╔═══════════════════════════════════════════════════════════╗');
     console.log('║         LinkShades Local Server - Running!                ║');
@@ -717,5 +6621,30 @@ server.listen(CONFIG.PORT, '0.0.0.0', async () => {
     console.log('╚═══════════════════════════════════════════════════════════╝');
     console.log('');
     
+    startAuth();
+    startHistory();
+    startCommandQueue();
+    startScheduler();
+    startSunAutomations();
+    startHueBridge();
+    startTLS();
+    startFederation();
     await setupMQTT();
 });
+
+// Let Home Assistant know the shades are unavailable before exiting
+async function shutdown(signal) {
+    log('info', `[SERVER] ${signal} received, shutting down`);
+    for (const link of [...peerLinks.values()]) stopPeerLink(link, 'Shutting down');
+    flushData();
+    await closeHistory();
+    await stopMQTT();
+    process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGHUP', () => {
+    log('info', '[SERVER] SIGHUP received, reloading configuration');
+    reloadConfig();
+});
@@ -0,0 +1,499 @@
+/**
+ * LinkShades Simulator
+ *
+ * Connects to the server as one or more fake LinkShades, so the API, MQTT
+ * bridge and dashboard can be exercised without real hardware.
+ *
+ * Each shade reports {"chipID","position","firstLoad","version","model"} like
+ * the real thing, moves toward commanded positions at a steady speed and can
+ * be told to misbehave: disconnect, drop commands, stall, send junk.
+ *
+ * Usage:
+ *   node simulator.js --shades 3398828,3398829 --server ws://localhost:4000
+ *   node simulator.js --count 5 --speed 100 --control-port 4100 --script faults.json
+ *
+ * Or from a test: const { startSimulator } = require('./simulator');
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+const DEFAULTS = {
+    server: process.env.SIM_SERVER || 'ws://localhost:4000',
+    chipID: 3398828,
+    model: 'wired',
+    version: 24,
+    position: 730,          // Raw position 0-1000 to start at
+    speed: 35,              // Raw units per second (~30s for a full travel)
+    reportMs: 500,          // Position report interval while moving
+    idleReportMs: 30000,    // Position report interval while idle (0 = never)
+    minCommand: 73,         // Commands below this are ignored, like the real motor
+    reconnectMs: 5000,      // Wait before reconnecting after the server drops us (0 = don't)
+    servername: '',         // wss:// only: SNI name to ask for (default: the server's host)
+    quiet: false            // Don't log (tests read the shade state instead)
+};
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const FAULTS = ['disconnect', 'drop-commands', 'stall', 'malformed', 'clear'];
+const MALFORMED = {
+    json: () => textFrame('{"chipID":'),
+    'no-chipid': () => textFrame(JSON.stringify({ position: 500 })),
+    binary: () => frame(0x2, crypto.randomBytes(16)),
+    truncated: () => frame(0x1, Buffer.from('{"chipID":1,"position":1}')).slice(0, 12),
+    'bad-opcode': () => frame(0x3, Buffer.from('?'))
+};
+
+// =============================================================================
+// WEBSOCKET CLIENT
+// =============================================================================
+// Client frames must be masked; fin = false starts or continues a fragmented
+// message
+function frame(opcode, payload, fin = true) {
+    const mask = crypto.randomBytes(4);
+    const first = (fin ? 0x80 : 0) | opcode;
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([first, 0x80 | payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = first;
+        header[1] = 0x80 | 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = first;
+        header[1] = 0x80 | 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) masked[i] ^= mask[i % 4];
+    return Buffer.concat([header, mask, masked]);
+}
+
+function textFrame(text) {
+    return frame(0x1, Buffer.from(text));
+}
+
+// Server frames are never masked
+function parseFrame(buffer) {
+    if (buffer.length < 2) return null;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (buffer.length < offset + length) return null;
+    return {
+        opcode: buffer[0] & 0x0F,
+        payload: buffer.slice(offset, offset + length),
+        totalLength: offset + length
+    };
+}
+
+// =============================================================================
+// SIMULATED SHADE
+// =============================================================================
+function createShade(options = {}) {
+    const shade = {
+        ...DEFAULTS,
+        ...options,
+        chipID: parseInt(options.chipID || DEFAULTS.chipID),
+        target: null,
+        socket: null,
+        connected: false,
+        firstLoad: true,
+        stopped: false,
+        faults: { dropCommands: 0, dropProbability: 0, stallAt: null, stalled: false },
+        timers: { move: null, idle: null, reconnect: null, script: [] },
+        received: []
+    };
+    shade.position = clampRaw(shade.position);
+    return shade;
+}
+
+function clampRaw(value) {
+    return Math.max(0, Math.min(1000, Math.round(value)));
+}
+
+function log(shade, message) {
+    if (shade.quiet) return;
+    console.log(`[SIM] ${shade.chipID}: ${message}`);
+}
+
+function connectShade(shade) {
+    if (shade.stopped) return;
+    const url = new URL(shade.server.replace(/^ws/, 'http'));
+    const key = crypto.randomBytes(16).toString('base64');
+    const secure = url.protocol === 'https:';
+
+    // Like the firmware, wss:// accepts any certificate
+    const req = (secure ? https : http).request({
+        host: url.hostname,
+        port: url.port || (secure ? 443 : 80),
+        path: url.pathname + url.search,
+        servername: secure && shade.servername ? shade.servername : undefined,
+        rejectUnauthorized: false,
+        headers: {
+            'Connection': 'Upgrade',
+            'Upgrade': 'websocket',
+            'Sec-WebSocket-Key': key,
+            'Sec-WebSocket-Version': '13'
+        }
+    });
+
+    req.on('upgrade', (res, socket) => {
+        const expected = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        if (res.headers['sec-websocket-accept'] !== expected) {
+            log(shade, 'bad handshake from server');
+            socket.destroy();
+            return;
+        }
+        attachSocket(shade, socket);
+    });
+    req.on('response', (res) => {
+        log(shade, `server refused the upgrade (HTTP ${res.statusCode})`);
+        res.resume();
+        scheduleReconnect(shade);
+    });
+    req.on('error', (err) => {
+        log(shade, `connection failed: ${err.message}`);
+        scheduleReconnect(shade);
+    });
+    req.end();
+}
+
+function attachSocket(shade, socket) {
+    shade.socket = socket;
+    shade.connected = true;
+    log(shade, `connected at position ${shade.position}`);
+    report(shade);
+    scheduleIdleReport(shade);
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        let parsed;
+        while ((parsed = parseFrame(buffer))) {
+            buffer = buffer.slice(parsed.totalLength);
+            handleFrame(shade, parsed);
+        }
+    });
+    socket.on('close', () => {
+        if (shade.socket !== socket) return;
+        shade.socket = null;
+        shade.connected = false;
+        clearInterval(shade.timers.move);
+        clearTimeout(shade.timers.idle);
+        shade.timers.move = null;
+        log(shade, 'disconnected');
+        // A scripted disconnect may ask for a different delay, once
+        const delay = shade.reconnectOnceMs !== undefined ? shade.reconnectOnceMs : shade.reconnectMs;
+        shade.reconnectOnceMs = undefined;
+        scheduleReconnect(shade, delay);
+    });
+    socket.on('error', (err) => log(shade, `socket error: ${err.message}`));
+}
+
+function scheduleReconnect(shade, delay = shade.reconnectMs) {
+    if (shade.stopped || !delay || shade.timers.reconnect) return;
+    shade.timers.reconnect = setTimeout(() => {
+        shade.timers.reconnect = null;
+        connectShade(shade);
+    }, delay);
+}
+
+function send(shade, data) {
+    if (shade.socket && !shade.socket.destroyed) shade.socket.write(data);
+}
+
+function report(shade) {
+    send(shade, textFrame(JSON.stringify({
+        chipID: shade.chipID,
+        position: shade.position,
+        firstLoad: shade.firstLoad,
+        version: shade.version,
+        model: shade.model
+    })));
+    shade.firstLoad = false;
+}
+
+function scheduleIdleReport(shade) {
+    clearTimeout(shade.timers.idle);
+    if (!shade.idleReportMs) return;
+    shade.timers.idle = setTimeout(() => {
+        if (!shade.timers.move) report(shade);
+        scheduleIdleReport(shade);
+    }, shade.idleReportMs);
+}
+
+function handleFrame(shade, { opcode, payload }) {
+    if (opcode === 0x8) {
+        send(shade, frame(0x8, payload.slice(0, 2)));
+        shade.socket.end();
+        return;
+    }
+    if (opcode === 0x9) {
+        send(shade, frame(0xA, payload));
+        return;
+    }
+    if (opcode !== 0x1) return;
+
+    let message;
+    try {
+        message = JSON.parse(payload.toString('utf8'));
+    } catch (e) {
+        log(shade, `ignoring unparseable frame: ${payload.toString('utf8')}`);
+        return;
+    }
+    shade.received.push(message);
+    if (message.command !== undefined) handleCommand(shade, message.command);
+}
+
+function handleCommand(shade, command) {
+    const { faults } = shade;
+    if (faults.dropCommands > 0 || Math.random() < faults.dropProbability) {
+        if (faults.dropCommands > 0) faults.dropCommands--;
+        log(shade, `dropped command ${command}`);
+        return;
+    }
+    if (typeof command !== 'number' || command < shade.minCommand || command > 100) {
+        log(shade, `ignored command ${command}`);
+        return;
+    }
+
+    shade.target = clampRaw(command * 10);
+    log(shade, `command ${command} -> moving ${shade.position} to ${shade.target}`);
+    if (!shade.timers.move) shade.timers.move = setInterval(() => stepShade(shade), shade.reportMs);
+}
+
+function stepShade(shade) {
+    const { faults } = shade;
+    if (faults.stalled) return;
+
+    const step = shade.speed * shade.reportMs / 1000;
+    const distance = shade.target - shade.position;
+    let next = Math.abs(distance) <= step ? shade.target : shade.position + Math.sign(distance) * step;
+
+    // A stall point stops the motor the first time it is crossed
+    if (faults.stallAt !== null && (shade.position - faults.stallAt) * (next - faults.stallAt) <= 0) {
+        next = faults.stallAt;
+        faults.stalled = true;
+        log(shade, `stalled at ${faults.stallAt}`);
+    }
+
+    shade.position = clampRaw(next);
+    report(shade);
+    if (shade.position === shade.target || faults.stalled) {
+        clearInterval(shade.timers.move);
+        shade.timers.move = null;
+    }
+}
+
+// =============================================================================
+// FAULTS
+// =============================================================================
+//   { type: 'disconnect', abrupt, reconnectMs }  close (or just drop) the socket
+//   { type: 'drop-commands', count, probability } ignore the next N / a share of commands
+//   { type: 'stall', position }                  stop moving now, or when passing position
+//   { type: 'malformed', kind }                  json, no-chipid, binary, truncated, bad-opcode
+//   { type: 'clear' }                            undo drop-commands and stall
+function applyFault(shade, fault) {
+    if (!fault || !FAULTS.includes(fault.type)) {
+        throw new Error(`fault type must be one of ${FAULTS.join(', ')}`);
+    }
+    const { faults } = shade;
+    log(shade, `fault ${JSON.stringify(fault)}`);
+
+    switch (fault.type) {
+        case 'disconnect': {
+            const socket = shade.socket;
+            if (!socket) return;
+            shade.reconnectOnceMs = fault.reconnectMs;
+            if (fault.abrupt) socket.destroy();
+            else socket.end(frame(0x8, Buffer.from([0x03, 0xE8])));
+            break;
+        }
+        case 'drop-commands':
+            faults.dropCommands = fault.count || 0;
+            faults.dropProbability = fault.probability || 0;
+            break;
+        case 'stall':
+            if (fault.position === undefined) {
+                faults.stalled = true;
+            } else {
+                faults.stallAt = clampRaw(fault.position);
+            }
+            break;
+        case 'malformed': {
+            const build = MALFORMED[fault.kind || 'json'];
+            if (!build) throw new Error(`malformed kind must be one of ${Object.keys(MALFORMED).join(', ')}`);
+            send(shade, build());
+            break;
+        }
+        case 'clear':
+            Object.assign(faults, { dropCommands: 0, dropProbability: 0, stallAt: null, stalled: false });
+            if (shade.target !== null && shade.target !== shade.position && !shade.timers.move) {
+                shade.timers.move = setInterval(() => stepShade(shade), shade.reportMs);
+            }
+            break;
+    }
+}
+
+// A script is a list of faults with an `at` time in ms after the shade starts
+function runScript(shade, steps) {
+    for (const step of steps) {
+        const { at, ...fault } = step;
+        shade.timers.script.push(setTimeout(() => {
+            try {
+                applyFault(shade, fault);
+            } catch (e) {
+                log(shade, `script error: ${e.message}`);
+            }
+        }, at || 0));
+    }
+}
+
+function stopShade(shade) {
+    shade.stopped = true;
+    clearInterval(shade.timers.move);
+    clearTimeout(shade.timers.idle);
+    clearTimeout(shade.timers.reconnect);
+    shade.timers.script.forEach(clearTimeout);
+    if (shade.socket) shade.socket.destroy();
+}
+
+function shadeSummary(shade) {
+    return {
+        chipID: shade.chipID,
+        connected: shade.connected,
+        position: shade.position,
+        target: shade.target,
+        moving: Boolean(shade.timers.move),
+        faults: shade.faults,
+        received: shade.received.length
+    };
+}
+
+// =============================================================================
+// CONTROL API (optional - lets tests inject faults while running)
+// =============================================================================
+//   GET  /shades                       state of every simulated shade
+//   POST /shades/{chipID}/faults       body: a fault object
+function startControlServer(simulator, port) {
+    const server = http.createServer((req, res) => {
+        const reply = (status, data) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+        };
+
+        if (req.url === '/shades' && req.method === 'GET') {
+            reply(200, simulator.shades.map(shadeSummary));
+            return;
+        }
+
+        const match = req.url.match(/^\/shades\/(\d+)\/faults$/);
+        if (match && req.method === 'POST') {
+            const shade = simulator.shades.find(s => s.chipID === parseInt(match[1]));
+            if (!shade) {
+                reply(404, { error: 'Unknown shade' });
+                return;
+            }
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                try {
+                    applyFault(shade, JSON.parse(body));
+                    reply(200, shadeSummary(shade));
+                } catch (e) {
+                    reply(400, { error: e.message });
+                }
+            });
+            return;
+        }
+
+        reply(404, { error: 'Not found' });
+    });
+    server.listen(port, () => console.log(`[SIM] Control API on http://localhost:${port}/shades`));
+    return server;
+}
+
+// =============================================================================
+// SIMULATOR
+// =============================================================================
+// options: DEFAULTS plus `shades` (list of chipIDs or per-shade option
+// objects), `script` (a fault list for every shade, or { chipID: [...] })
+// and `controlPort`
+function startSimulator(options = {}) {
+    const { shades = [DEFAULTS.chipID], script, controlPort, ...common } = options;
+    const simulator = { shades: [], control: null };
+
+    for (const entry of shades) {
+        const shade = createShade(typeof entry === 'object' ? { ...common, ...entry } : { ...common, chipID: entry });
+        simulator.shades.push(shade);
+        connectShade(shade);
+
+        const steps = Array.isArray(script) ? script : script && script[shade.chipID];
+        if (steps) runScript(shade, steps);
+    }
+    if (controlPort) simulator.control = startControlServer(simulator, controlPort);
+
+    simulator.stop = () => {
+        simulator.shades.forEach(stopShade);
+        if (simulator.control) simulator.control.close();
+    };
+    return simulator;
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase());
+        args[key] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : 'true';
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const options = {};
+    for (const key of Object.keys(DEFAULTS)) {
+        if (args[key] === undefined) continue;
+        if (typeof DEFAULTS[key] === 'number') options[key] = Number(args[key]);
+        else if (typeof DEFAULTS[key] === 'boolean') options[key] = args[key] !== 'false';
+        else options[key] = args[key];
+    }
+
+    if (args.shades) {
+        options.shades = args.shades.split(',').map(id => id.trim()).filter(Boolean);
+    } else if (args.count) {
+        const first = parseInt(options.chipID || DEFAULTS.chipID);
+        options.shades = Array.from({ length: parseInt(args.count) }, (_, i) => first + i);
+    }
+    if (args.script) options.script = JSON.parse(fs.readFileSync(args.script, 'utf8'));
+    if (args.controlPort) options.controlPort = parseInt(args.controlPort);
+
+    const simulator = startSimulator(options);
+    console.log(`[SIM] Simulating ${simulator.shades.length} shade(s) against ${options.server || DEFAULTS.server}`);
+
+    process.on('SIGINT', () => {
+        simulator.stop();
+        process.exit(0);
+    });
+}
+
+if (require.main === module) main();
+
+module.exports = { startSimulator, createShade, connectShade, applyFault, stopShade, shadeSummary, frame, parseFrame, DEFAULTS };
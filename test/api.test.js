@@ -0,0 +1,141 @@
+// REST API and dashboard against simulated shades
+
+const assert = require('assert');
+const http = require('http');
+const { test, sleep, waitFor, withServer } = require('./harness');
+const { applyFault } = require('../simulator');
+
+const CHIP = 111;
+
+test('serves the dashboard and the health check', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    const page = await server.request('GET', '/');
+    assert.strictEqual(page.status, 200);
+    assert.match(page.headers['content-type'], /text\/html/);
+
+    const health = await server.request('GET', '/api/health');
+    assert.strictEqual(health.body.status, 'ok');
+    assert.strictEqual(health.body.connectedShades, 1);
+}));
+
+test('lists a connected shade with the position it reported', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    const { body } = await server.request('GET', `/api/shades/${CHIP}`);
+    assert.strictEqual(body.online, true);
+    assert.strictEqual(body.model, 'wired');
+    assert.strictEqual(body.rawPosition, 730);
+}));
+
+test('moves a shade and waits until it reaches the target', () => withServer({ shades: [CHIP] }, async ({ server, shade }) => {
+    const res = await server.request('POST', `/api/shades/${CHIP}/position`, { position: 100, wait: true, timeout: 10000 });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, 'reached');
+    assert.strictEqual(res.body.command, 100);
+    assert.ok(Math.abs(shade(CHIP).position - 1000) <= 20, `shade at ${shade(CHIP).position}`);
+
+    await waitFor(() => shade(CHIP).position === 1000, 'the shade to finish its travel');
+    await waitFor(async () => (await server.request('GET', `/api/shades/${CHIP}`)).body.rawPosition === 1000, 'the last report');
+    const { body } = await server.request('GET', `/api/shades/${CHIP}`);
+    assert.strictEqual(body.currentPosition, 100);
+    assert.strictEqual(body.state, 'stopped');
+}));
+
+test('rejects a wait timeout outside 1000-300000 ms without moving', () => withServer({ shades: [CHIP] }, async ({ server, shade }) => {
+    for (const timeout of [0, 50, 300001, 'soon', 2500.5]) {
+        const position = await server.request('POST', `/api/shades/${CHIP}/position`, { position: 100, wait: true, timeout });
+        assert.strictEqual(position.status, 400, `position with timeout ${timeout}`);
+        assert.match(position.body.error, /timeout/);
+        const command = await server.request('POST', `/api/shades/${CHIP}/command`, { command: 100, wait: true, timeout });
+        assert.strictEqual(command.status, 400, `command with timeout ${timeout}`);
+    }
+    assert.ok(!shade(CHIP).received.some(m => m.command === 100), 'a rejected request moved the shade');
+}));
+
+test('a client that hangs up while waiting does not hold anything up', () => withServer({ shades: [CHIP], simulator: { speed: 100 } }, async ({ server, shade }) => {
+    const req = http.request({ host: '127.0.0.1', port: server.port, method: 'POST', path: `/api/shades/${CHIP}/position`, headers: { 'Content-Type': 'application/json' } });
+    req.on('error', () => {});
+    req.end(JSON.stringify({ position: 100, wait: true, timeout: 1000 }));
+    await waitFor(() => shade(CHIP).received.some(m => m.command === 100), 'the command');
+    req.destroy();
+
+    // The abandoned wait's timeout passes without anyone to answer
+    await sleep(1500);
+    const res = await server.request('POST', `/api/shades/${CHIP}/position`, { position: 0, wait: true, timeout: 10000 });
+    assert.strictEqual(res.body.status, 'reached', JSON.stringify(res.body));
+    assert.doesNotMatch(server.output, /ERR_|failed:/);
+}));
+
+test('sends raw commands and rejects a missing or invalid one', () => withServer({ shades: [CHIP] }, async ({ server, shade }) => {
+    const sent = await server.request('POST', `/api/shades/${CHIP}/command`, { command: 90 });
+    assert.strictEqual(sent.status, 200);
+    assert.strictEqual(sent.body.status, 'sent');
+    await waitFor(() => shade(CHIP).received.some(m => m.command === 90), 'the shade to receive command 90');
+
+    // Inside the rate limit, so these would have been queued
+    for (const body of [{}, { command: 'up' }, { command: 85.5 }]) {
+        const res = await server.request('POST', `/api/shades/${CHIP}/command`, body);
+        assert.strictEqual(res.status, 400, JSON.stringify(body));
+    }
+    const queue = await server.request('GET', `/api/shades/${CHIP}/queue`);
+    assert.strictEqual(queue.body.entries.length, 0);
+
+    const health = await server.request('GET', '/api/health');
+    assert.strictEqual(health.status, 200);
+}));
+
+test('queues a command that arrives inside the rate limit', () => withServer({ shades: [CHIP], env: { COMMAND_INTERVAL_MS: '1000' } }, async ({ server, shade }) => {
+    const first = await server.request('POST', `/api/shades/${CHIP}/command`, { command: 80 });
+    const second = await server.request('POST', `/api/shades/${CHIP}/command`, { command: 95 });
+    assert.strictEqual(first.body.status, 'sent');
+    assert.strictEqual(second.status, 200);
+    assert.strictEqual(second.body.status, 'queued');
+    assert.strictEqual(second.body.queued.command, 95);
+
+    await waitFor(() => shade(CHIP).received.some(m => m.command === 95), 'the queued command to go out');
+    const queue = await server.request('GET', `/api/shades/${CHIP}/queue`);
+    assert.strictEqual(queue.body.entries.length, 0);
+}));
+
+test('stops a moving shade where it is', () => withServer({ shades: [CHIP], simulator: { speed: 50 } }, async ({ server, shade }) => {
+    await server.request('POST', `/api/shades/${CHIP}/position`, { position: 100 });
+    await waitFor(async () => (await server.request('GET', `/api/shades/${CHIP}`)).body.state === 'opening', 'the shade to start opening');
+
+    const stop = await server.request('POST', `/api/shades/${CHIP}/stop`);
+    assert.strictEqual(stop.status, 200);
+    assert.ok(['sent', 'queued'].includes(stop.body.status), stop.body.status);
+    await waitFor(() => shade(CHIP).target < 1000 && !shade(CHIP).timers.move, 'the shade to stop');
+    assert.ok(shade(CHIP).position < 1000);
+}));
+
+test('reports a move that stalls on the way', () => withServer({ shades: [CHIP], env: { STALL_TIMEOUT_MS: '1000' } }, async ({ server, shade }) => {
+    applyFault(shade(CHIP), { type: 'stall', position: 850 });
+    const res = await server.request('POST', `/api/shades/${CHIP}/command`, { command: 100, wait: true, timeout: 10000 });
+    assert.strictEqual(res.body.status, 'stalled');
+    assert.strictEqual(res.body.movement.position, 850);
+
+    const { body } = await server.request('GET', `/api/shades/${CHIP}`);
+    assert.strictEqual(body.state, 'stalled');
+}));
+
+test('records commands in the shade history', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    await server.request('POST', `/api/shades/${CHIP}/command`, { command: 88 });
+    await waitFor(async () => {
+        const { body } = await server.request('GET', `/api/shades/${CHIP}/history?type=command`);
+        return body.entries.some(e => e.command === 88 && e.source === 'api');
+    }, 'the command in the history');
+}));
+
+test('reports a shade that went offline', () => withServer({ shades: [CHIP], simulator: { reconnectMs: 0 } }, async ({ server, simulator }) => {
+    simulator.stop();
+    await waitFor(async () => (await server.request('GET', `/api/shades/${CHIP}`)).body.online === false, 'the shade to go offline');
+
+    const res = await server.request('POST', `/api/shades/${CHIP}/position`, { position: 50 });
+    assert.strictEqual(res.body.status, 'offline');
+}));
+
+test('v2 answers malformed path encoding with 400 invalid_input', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    const res = await server.request('GET', '/api/v2/shades/%E0');
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.error.code, 'invalid_input');
+
+    const ok = await server.request('GET', `/api/v2/shades/${CHIP}`);
+    assert.strictEqual(ok.status, 200);
+}));
@@ -0,0 +1,118 @@
+// Access control: token scopes, dashboard login and CORS
+
+const assert = require('assert');
+const { test, waitFor, withServer, openWebSocket } = require('./harness');
+const { startSimulator } = require('../simulator');
+
+const CHIP = 171;
+
+function bearer(token) {
+    return { Authorization: `Bearer ${token}` };
+}
+
+async function createToken(server, admin, scopes) {
+    const res = await server.request('POST', '/api/tokens', { name: scopes.join('+'), scopes }, bearer(admin));
+    assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+}
+
+test('lets each token do what its scope allows and nothing more', () => withServer({ env: { AUTH_ENABLED: 'true' } }, async ({ server }) => {
+    const admin = (await waitFor(() => /created an admin token \(shown once\): (\S+)/.exec(server.output), 'the bootstrap token'))[1];
+    // Shades need no credentials
+    const simulator = startSimulator({ server: `ws://127.0.0.1:${server.port}`, quiet: true, shades: [CHIP] });
+    try {
+        await waitFor(async () => (await server.request('GET', `/api/shades/${CHIP}`, undefined, bearer(admin))).body.online, 'the shade to connect');
+
+        const read = await createToken(server, admin, ['read']);
+        const control = await createToken(server, admin, ['control']);
+        assert.strictEqual(read.hash, undefined);
+        assert.match(read.token, /^ls_[0-9a-f]+_[0-9a-f]+$/);
+
+        const checks = [
+            ['GET', '/api/health', null, 200],
+            ['GET', '/api/shades', null, 401],
+            ['GET', '/api/shades', 'bogus', 401],
+            ['GET', '/api/shades', read.token, 200],
+            ['POST', `/api/shades/${CHIP}/position`, read.token, 403],
+            ['POST', `/api/shades/${CHIP}/position`, control.token, 200],
+            ['PATCH', `/api/shades/${CHIP}`, control.token, 403],
+            ['POST', `/api/shades/${CHIP}/test`, control.token, 403],
+            ['GET', '/api/tokens', control.token, 403],
+            ['GET', '/api/tokens', admin, 200],
+            ['PATCH', `/api/shades/${CHIP}`, admin, 200]
+        ];
+        for (const [method, urlPath, token, status] of checks) {
+            const body = method === 'GET' ? undefined : method === 'PATCH' ? { notes: 'checked' } : { position: 50, step: 1 };
+            const res = await server.request(method, urlPath, body, token ? bearer(token) : {});
+            assert.strictEqual(res.status, status, `${method} ${urlPath} with ${token ? token.slice(0, 12) : 'nothing'}: ${JSON.stringify(res.body)}`);
+        }
+
+        const v2 = await server.request('GET', '/api/v2/shades');
+        assert.strictEqual(v2.status, 401);
+        assert.strictEqual(v2.body.error.code, 'unauthorized');
+        const v2Move = await server.request('POST', `/api/v2/shades/${CHIP}/position`, { position: 50 }, bearer(read.token));
+        assert.strictEqual(v2Move.status, 403);
+        assert.strictEqual(v2Move.body.error.code, 'forbidden');
+
+        assert.strictEqual((await server.request('POST', '/api/tokens', { scopes: ['root'] }, bearer(admin))).status, 400);
+        assert.strictEqual((await server.request('DELETE', `/api/tokens/${control.id}`, undefined, bearer(admin))).status, 200);
+        assert.strictEqual((await server.request('GET', '/api/shades', undefined, bearer(control.token))).status, 401);
+    } finally {
+        simulator.stop();
+    }
+}));
+
+test('the event stream needs read access over SSE and WebSocket', () => withServer({ env: { AUTH_ENABLED: 'true' } }, async ({ server }) => {
+    const admin = (await waitFor(() => /created an admin token \(shown once\): (\S+)/.exec(server.output), 'the bootstrap token'))[1];
+    const read = await createToken(server, admin, ['read']);
+
+    await assert.rejects(openWebSocket(server.port, '/api/events'), { status: 401 });
+    const ws = await openWebSocket(server.port, `/api/events?access_token=${read.token}`);
+    ws.close();
+
+    // The SSE stream never ends, so only the refusal is read in full
+    assert.strictEqual((await server.request('GET', '/api/events')).status, 401);
+}));
+
+test('logs the dashboard in with a session cookie and locks out repeated wrong passwords', () => withServer({ env: { AUTH_ENABLED: 'true', ADMIN_PASSWORD: 'open sesame' } }, async ({ server }) => {
+    assert.doesNotMatch(server.output, /created an admin token/);
+    const page = await server.request('GET', '/');
+    assert.strictEqual(page.status, 302);
+    assert.strictEqual(page.headers.location, '/login');
+
+    const login = await server.request('POST', '/api/login', { password: 'open sesame' });
+    assert.strictEqual(login.status, 200);
+    const cookie = login.headers['set-cookie'][0];
+    assert.match(cookie, /^linkshades_session=[0-9a-f]{64}; HttpOnly; SameSite=Strict; Path=\//);
+    const session = { Cookie: cookie.split(';')[0] };
+    assert.strictEqual((await server.request('GET', '/api/tokens', undefined, session)).status, 200);
+
+    await server.request('POST', '/api/logout', undefined, session);
+    assert.strictEqual((await server.request('GET', '/api/tokens', undefined, session)).status, 401);
+
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual((await server.request('POST', '/api/login', { password: 'guess' })).status, 401);
+    }
+    // Locked out, even with the right password
+    assert.strictEqual((await server.request('POST', '/api/login', { password: 'open sesame' })).status, 429);
+}));
+
+test('sends CORS headers only to allowed origins once auth is on', async () => {
+    const origin = { Origin: 'http://ha.local:8123' };
+    await withServer({}, async ({ server }) => {
+        const res = await server.request('GET', '/api/health', undefined, origin);
+        assert.strictEqual(res.headers['access-control-allow-origin'], '*');
+    });
+    await withServer({ env: { AUTH_ENABLED: 'true' } }, async ({ server }) => {
+        const res = await server.request('GET', '/api/health', undefined, origin);
+        assert.strictEqual(res.headers['access-control-allow-origin'], undefined);
+    });
+    await withServer({ env: { AUTH_ENABLED: 'true', CORS_ORIGINS: 'http://ha.local:8123,http://192.168.1.10' } }, async ({ server }) => {
+        const allowed = await server.request('OPTIONS', '/api/shades', undefined, origin);
+        assert.strictEqual(allowed.headers['access-control-allow-origin'], 'http://ha.local:8123');
+        assert.strictEqual(allowed.headers.vary, 'Origin');
+        assert.match(allowed.headers['access-control-allow-headers'], /Authorization/);
+        const other = await server.request('GET', '/api/health', undefined, { Origin: 'http://evil.example' });
+        assert.strictEqual(other.headers['access-control-allow-origin'], undefined);
+    });
+});
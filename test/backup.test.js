@@ -0,0 +1,83 @@
+// Backup, restore and the data file
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test, withServer, startServer } = require('./harness');
+
+const CHIP = 555;
+
+async function addSchedule(server) {
+    const res = await server.request('POST', '/api/schedules', { name: 'Morning', target: String(CHIP), position: 100, cron: '0 7 * * *' });
+    assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+}
+
+test('a backup restores into the same state', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    await addSchedule(server);
+    const backup = (await server.request('GET', '/api/admin/backup')).body;
+    assert.strictEqual(backup.format, 'linkshades-backup');
+
+    const job = Object.values(backup.data.schedules)[0];
+    await server.request('DELETE', `/api/schedules/${job.id}`);
+    const restored = await server.request('POST', '/api/admin/restore', backup);
+    assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+    assert.strictEqual(restored.body.counts.schedules, 1);
+
+    const schedules = (await server.request('GET', '/api/schedules')).body;
+    assert.deepStrictEqual(schedules.map(s => s.name), ['Morning']);
+}));
+
+test('a bad backup leaves the previous state untouched', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    await addSchedule(server);
+    await server.request('PATCH', `/api/shades/${CHIP}`, { name: 'Kitchen' });
+    const before = (await server.request('GET', '/api/admin/backup')).body.data;
+
+    const good = before.schedules[Object.keys(before.schedules)[0]];
+    const bad = [
+        { shades: { 6: { chipID: '6', presets: 'zz' } } },
+        { shades: before.shades, schedules: { a: { ...good, id: 'a', cron: 'garbage' } } },
+        { shades: before.shades, groups: { g: { id: 'g', name: 'Nowhere', shades: ['999'] } } },
+        { shades: { 6: { chipID: '6', calibration: { min: 90, max: 80 } } } },
+        { shades: before.shades, webhooks: { w: { id: 'w', url: 'ftp://example.com' } } }
+    ];
+    for (const data of bad) {
+        const res = await server.request('POST', '/api/admin/restore', { format: 'linkshades-backup', schemaVersion: 1, data });
+        assert.strictEqual(res.status, 400, `${JSON.stringify(data)} was accepted`);
+    }
+
+    const after = (await server.request('GET', '/api/admin/backup')).body.data;
+    assert.deepStrictEqual(Object.keys(after.shades), [String(CHIP)]);
+    assert.strictEqual(after.shades[CHIP].name, 'Kitchen');
+    assert.deepStrictEqual(after.schedules, before.schedules);
+
+    // Nothing bad reached the disk either: the server comes back up on it
+    await server.stop();
+    const onDisk = JSON.parse(fs.readFileSync(path.join(server.dataDir, 'shades_data.json'), 'utf8'));
+    assert.deepStrictEqual(Object.keys(onDisk.shades), [String(CHIP)]);
+    const restarted = await startServer({}, server.dataDir);
+    try {
+        assert.strictEqual((await restarted.request('GET', '/api/schedules')).body.length, 1);
+    } finally {
+        await restarted.stop();
+    }
+}));
+
+test('an older data file is migrated and the original kept', async () => {
+    const server = await startServer();
+    await server.stop();
+    fs.writeFileSync(path.join(server.dataDir, 'shades_data.json'), JSON.stringify({ shades: { 7: { chipID: '7', name: 'Old' } } }));
+
+    const restarted = await startServer({}, server.dataDir);
+    try {
+        const shade = (await restarted.request('GET', '/api/shades/7')).body;
+        assert.strictEqual(shade.name, 'Old');
+        assert.ok(fs.existsSync(path.join(server.dataDir, 'shades_data.json.v0.bak')));
+        const migrated = JSON.parse(fs.readFileSync(path.join(server.dataDir, 'shades_data.json'), 'utf8'));
+        assert.strictEqual(migrated.schemaVersion, 1);
+        assert.deepStrictEqual(migrated.groups, {});
+    } finally {
+        await restarted.stop();
+        fs.rmSync(server.dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,78 @@
+// Percent <-> command conversions through a shade's calibration profile
+
+const assert = require('assert');
+const { test, waitFor, withServer } = require('./harness');
+
+const CHIP = 333;
+const FAST = { env: { COMMAND_INTERVAL_MS: '0' }, simulator: { speed: 100000, reportMs: 20, minCommand: 0 } };
+const PROFILES = [
+    { min: 73, max: 100 },
+    { min: 60, max: 95 },
+    { min: 73, max: 100, inverted: true }
+];
+
+async function calibrate(server, profile) {
+    const res = await server.request('POST', `/api/shades/${CHIP}/calibration`, profile);
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+}
+
+// Move by percent and wait for the shade's report of where it stopped
+async function moveTo(server, body) {
+    const kind = body.position !== undefined ? 'position' : 'command';
+    const res = await server.request('POST', `/api/shades/${CHIP}/${kind}`, { ...body, wait: true, timeout: 5000 });
+    assert.strictEqual(res.body.status, 'reached', JSON.stringify(res.body));
+    await waitFor(async () => {
+        const shade = (await server.request('GET', `/api/shades/${CHIP}`)).body;
+        return shade.rawPosition === res.body.movement.target && shade.state === 'stopped';
+    }, 'the final report');
+    return { result: res.body, shade: (await server.request('GET', `/api/shades/${CHIP}`)).body };
+}
+
+test('a percentage comes back as the same percentage', () => withServer({ shades: [CHIP], ...FAST }, async ({ server }) => {
+    for (const profile of PROFILES) {
+        await calibrate(server, profile);
+        // Commands are whole numbers, so a percentage can move by half a command step
+        const slack = 100 / (profile.max - profile.min) / 2 + 0.5;
+        for (const percent of [0, 10, 33, 50, 90, 100]) {
+            const { result, shade } = await moveTo(server, { position: percent });
+            assert.ok(result.command >= profile.min && result.command <= profile.max, `command ${result.command} outside ${profile.min}-${profile.max}`);
+            assert.ok(Math.abs(shade.currentPosition - percent) <= slack,
+                `${JSON.stringify(profile)}: ${percent}% sent command ${result.command} and came back as ${shade.currentPosition}%`);
+        }
+    }
+}));
+
+test('every command in the range survives a round trip through its percentage', () => withServer({ shades: [CHIP], ...FAST }, async ({ server }) => {
+    for (const profile of PROFILES) {
+        await calibrate(server, profile);
+        for (let command = profile.min; command <= profile.max; command++) {
+            const { shade } = await moveTo(server, { command });
+            assert.strictEqual(shade.currentCommand, command);
+            const { result } = await moveTo(server, { position: shade.currentPosition });
+            assert.strictEqual(result.command, command, `${JSON.stringify(profile)}: command ${command} reads as ${shade.currentPosition}%, which sends ${result.command}`);
+        }
+    }
+}));
+
+test('the ends of the range are 0% and 100%', () => withServer({ shades: [CHIP], ...FAST }, async ({ server }) => {
+    await calibrate(server, { min: 73, max: 100 });
+    assert.strictEqual((await moveTo(server, { command: 73 })).shade.currentPosition, 0);
+    assert.strictEqual((await moveTo(server, { command: 100 })).shade.currentPosition, 100);
+
+    await calibrate(server, { min: 73, max: 100, inverted: true });
+    assert.strictEqual((await moveTo(server, { command: 73 })).shade.currentPosition, 100);
+    assert.strictEqual((await moveTo(server, { command: 100 })).shade.currentPosition, 0);
+}));
+
+test('refuses a range outside the commands a shade takes', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    for (const profile of [{ min: -5, max: 100 }, { min: 73, max: 1001 }, { min: 90, max: 80 }]) {
+        const res = await server.request('POST', `/api/shades/${CHIP}/calibration`, profile);
+        assert.strictEqual(res.status, 400, `${JSON.stringify(profile)} was accepted`);
+    }
+    const start = await server.request('POST', `/api/shades/${CHIP}/calibration/start`, { from: 990, to: 1010, step: 5, settleMs: 1000 });
+    assert.strictEqual(start.status, 400, JSON.stringify(start.body));
+
+    await calibrate(server, { min: 0, max: 1000 });
+    const { body } = await server.request('GET', `/api/shades/${CHIP}/calibration`);
+    assert.strictEqual(body.calibration.max, 1000);
+}));
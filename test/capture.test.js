@@ -0,0 +1,92 @@
+// Protocol capture: recording shade traffic, the unknown-fields report and replay
+
+const assert = require('assert');
+const { test, sleep, waitFor, withServer } = require('./harness');
+const { stopShade } = require('../simulator');
+
+const CHIP = 181;
+const OTHER = 182;
+
+async function onlyCapture(server) {
+    const { captures } = (await server.request('GET', '/api/captures')).body;
+    assert.strictEqual(captures.length, 1, JSON.stringify(captures));
+    return captures[0];
+}
+
+test('records the handshake and every frame of a shade connection', () => withServer({ shades: [CHIP], env: { CAPTURE_ENABLED: 'true' }, simulator: { reconnectMs: 0 } }, async ({ server, simulator, shade }) => {
+    await server.request('POST', `/api/shades/${CHIP}/position`, { position: 100 });
+    await waitFor(() => shade(CHIP).position === 1000, 'the shade to open');
+    simulator.stop();
+    await waitFor(async () => (await onlyCapture(server)).endedAt, 'the capture to close');
+
+    const summary = await onlyCapture(server);
+    assert.strictEqual(summary.chipID, String(CHIP));
+    assert.ok(summary.framesIn > 1 && summary.framesOut >= 1, JSON.stringify(summary));
+
+    const download = await server.request('GET', `/api/captures/${summary.id}`);
+    assert.strictEqual(download.headers['content-type'], 'application/x-ndjson');
+    const records = download.body.trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(records[0].type, 'handshake');
+    assert.strictEqual(records[0].midSession, false);
+    assert.strictEqual(records[0].headers.upgrade, 'websocket');
+    const out = records.find(r => r.type === 'frame' && r.direction === 'out' && r.opcode === 1);
+    assert.deepStrictEqual(JSON.parse(out.text), { chipID: CHIP, command: 100 });
+    assert.strictEqual(out.length, out.text.length);
+    assert.ok(records.every(r => !Number.isNaN(Date.parse(r.at))));
+    assert.strictEqual(records[records.length - 1].type, 'closed');
+
+    // The simulator sends firstLoad like the real firmware; the server ignores it
+    const report = (await server.request('GET', `/api/captures/${summary.id}/report`)).body;
+    assert.deepStrictEqual(report.unknown, { in: ['firstLoad'], out: [] });
+    assert.strictEqual(report.fields.in.position.known, true);
+    assert.strictEqual(report.fields.in.firstLoad.note, 'Not interpreted by the server');
+    assert.deepStrictEqual(report.fields.in.firstLoad.samples.sort(), ['false', 'true']);
+    assert.strictEqual(report.fields.out.command.count, 1);
+
+    assert.strictEqual((await server.request('DELETE', `/api/captures/${summary.id}`)).status, 200);
+    assert.strictEqual((await server.request('GET', `/api/captures/${summary.id}`)).status, 404);
+}));
+
+test('picks up shades that are already connected when capture is switched on', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    assert.deepStrictEqual((await server.request('GET', '/api/captures')).body.captures, []);
+    assert.strictEqual((await server.request('POST', '/api/captures/enable')).body.enabled, true);
+
+    const summary = await onlyCapture(server);
+    assert.strictEqual(summary.chipID, String(CHIP));
+    const records = (await server.request('GET', `/api/captures/${summary.id}`)).body.trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(records[0].midSession, true);
+
+    await server.request('POST', '/api/captures/disable');
+    assert.ok((await onlyCapture(server)).endedAt);
+}));
+
+test('replays a recorded sequence to another shade with its spacing', () => withServer({ shades: [CHIP, OTHER], env: { CAPTURE_ENABLED: 'true', COMMAND_INTERVAL_MS: '0' } }, async ({ server, simulator, shade }) => {
+    await server.request('POST', `/api/shades/${CHIP}/command`, { command: 100 });
+    await sleep(400);
+    await server.request('POST', `/api/shades/${CHIP}/command`, { command: 80 });
+    const { captures } = (await server.request('GET', '/api/captures')).body;
+    const recorded = captures.find(c => c.chipID === String(CHIP));
+
+    for (const [options, error] of [[{ speed: 0 }, /speed/], [{ speed: 'fast' }, /speed/]]) {
+        const res = await server.request('POST', `/api/captures/${recorded.id}/replay`, options);
+        assert.strictEqual(res.status, 400);
+        assert.match(res.body.error, error);
+    }
+    assert.strictEqual((await server.request('POST', '/api/captures/nope/replay', {})).status, 404);
+
+    const started = Date.now();
+    const res = await server.request('POST', `/api/captures/${recorded.id}/replay`, { chipID: OTHER, speed: 2 });
+    assert.deepStrictEqual([res.body.status, res.body.chipID, res.body.frames], ['replaying', String(OTHER), 2]);
+    assert.ok(res.body.durationMs >= 150 && res.body.durationMs < 400, `durationMs ${res.body.durationMs}`);
+
+    await waitFor(() => shade(OTHER).received.length === 2, 'both replayed frames');
+    assert.ok(Date.now() - started >= 150, 'the spacing was kept');
+    assert.deepStrictEqual(shade(OTHER).received, [{ chipID: OTHER, command: 100 }, { chipID: OTHER, command: 80 }]);
+    const history = (await server.request('GET', `/api/shades/${OTHER}/history?type=command`)).body;
+    assert.deepStrictEqual(history.entries.map(e => [e.command, e.source]).sort(), [[100, 'replay'], [80, 'replay']].sort());
+
+    stopShade(simulator.shades.find(s => s.chipID === OTHER));
+    await waitFor(async () => (await server.request('GET', `/api/shades/${OTHER}`)).body.online === false, 'the other shade to go offline');
+    const offline = await server.request('POST', `/api/captures/${recorded.id}/replay`, { chipID: OTHER });
+    assert.strictEqual(offline.body.status, 'offline');
+}));
@@ -0,0 +1,134 @@
+// cli.js against a running server: output, targets and exit codes
+
+const assert = require('assert');
+const path = require('path');
+const { spawn } = require('child_process');
+const { test, waitFor, withServer, freePort } = require('./harness');
+const { applyFault, stopShade } = require('../simulator');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const CHIP = 231;
+const OTHER = 232;
+
+// Run the CLI to the end; resolves { code, stdout, stderr }
+function cli(server, args, env = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [CLI, ...args], {
+            env: { PATH: process.env.PATH, LINKSHADES_SERVER: `http://127.0.0.1:${server.port}`, ...env },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', chunk => stdout += chunk);
+        child.stderr.on('data', chunk => stderr += chunk);
+        child.on('error', reject);
+        child.on('exit', code => resolve({ code, stdout, stderr }));
+    });
+}
+
+test('lists and shows shades as tables or JSON and renames them', () => withServer({ shades: [CHIP, OTHER] }, async ({ server }) => {
+    const renamed = await cli(server, ['rename', String(CHIP), 'Master', 'Bedroom']);
+    assert.strictEqual(renamed.code, 0, renamed.stderr);
+    assert.strictEqual(renamed.stdout.trim(), `${CHIP} is now "Master Bedroom"`);
+
+    const list = await cli(server, ['list']);
+    assert.strictEqual(list.code, 0, list.stderr);
+    const [header, ...rows] = list.stdout.trim().split('\n');
+    assert.match(header, /^CHIP ID\s+NAME\s+ROOM\s+ONLINE\s+STATE\s+POSITION/);
+    assert.ok(rows.some(row => new RegExp(`^${CHIP}\\s+Master Bedroom\\s+-\\s+yes\\s+\\w+\\s+0%`).test(row)), list.stdout);
+
+    const json = await cli(server, ['list', '--json']);
+    assert.deepStrictEqual(JSON.parse(json.stdout).map(s => s.chipID).sort(), [String(CHIP), String(OTHER)]);
+
+    // Names are matched case-insensitively, and may be given unquoted
+    const show = await cli(server, ['show', 'master', 'bedroom']);
+    assert.strictEqual(show.code, 0, show.stderr);
+    assert.match(show.stdout, new RegExp(`^Chip ID:\\s+${CHIP}$`, 'm'));
+    assert.match(show.stdout, /^Calibration: 73-100$/m);
+}));
+
+test('moves shades and groups by name and records the CLI as the source', () => withServer({ shades: [CHIP, OTHER], env: { COMMAND_INTERVAL_MS: '0' } }, async ({ server, shade }) => {
+    await cli(server, ['rename', String(CHIP), 'Bedroom']);
+    const set = await cli(server, ['set', 'bedroom', '40', '--wait']);
+    assert.strictEqual(set.code, 0, set.stderr);
+    assert.match(set.stdout, new RegExp(`^Bedroom \\(${CHIP}\\): reached \\(\\d+ms\\)$`, 'm'));
+    assert.deepStrictEqual(shade(CHIP).received, [{ chipID: CHIP, command: 84 }]);
+
+    await server.request('POST', '/api/groups', { name: 'Upstairs', shades: [String(CHIP), String(OTHER)] });
+    const close = await cli(server, ['close', 'upstairs', '--json']);
+    assert.strictEqual(close.code, 0, close.stderr);
+    assert.strictEqual(JSON.parse(close.stdout).status, 'sent');
+    await waitFor(() => [CHIP, OTHER].every(id => shade(id).received.some(m => m.command === 73)), 'the group to close');
+
+    const raw = await cli(server, ['raw', String(OTHER), JSON.stringify({ chipID: OTHER, command: 90 })]);
+    assert.strictEqual(raw.code, 0, raw.stderr);
+    await waitFor(() => shade(OTHER).received.some(m => m.command === 90), 'the raw frame');
+
+    const history = (await server.request('GET', `/api/shades/${CHIP}/history?type=command`)).body;
+    assert.ok(history.entries.length >= 2 && history.entries.every(e => e.source === 'cli'), JSON.stringify(history.entries));
+
+    const calibrated = await cli(server, ['calibration', 'bedroom', 'set', '--min', '75', '--max', '98', '--inverted']);
+    assert.strictEqual(calibrated.code, 0, calibrated.stderr);
+    const shown = await cli(server, ['calibration', 'bedroom']);
+    assert.match(shown.stdout, /^Range:\s+75-98, inverted$/m);
+    await cli(server, ['calibration', 'bedroom', 'reset']);
+    assert.match((await cli(server, ['calibration', 'bedroom'])).stdout, /^Range:\s+73-100 \(defaults\)$/m);
+}));
+
+test('exits with a code scripts can act on', () => withServer({ shades: [CHIP, OTHER], env: { STALL_TIMEOUT_MS: '1000', COMMAND_INTERVAL_MS: '0' }, simulator: { reconnectMs: 0 } }, async ({ server, simulator, shade }) => {
+    await server.request('POST', '/api/groups', { name: 'Pair', shades: [String(CHIP), String(OTHER)] });
+    stopShade(simulator.shades.find(s => s.chipID === OTHER));
+    await waitFor(async () => (await server.request('GET', `/api/shades/${OTHER}`)).body.online === false, 'the other shade to go offline');
+
+    applyFault(shade(CHIP), { type: 'stall', position: 850 });
+    const cases = [
+        [['list'], 0],
+        [['set', String(CHIP), '150'], 2],
+        [['raw', String(CHIP), '{"chipID":'], 2],
+        [['fly', String(CHIP)], 2],
+        [['open'], 2],
+        [['open', 'nowhere'], 5],
+        [['open', String(OTHER)], 4],
+        [['show', String(OTHER)], 4],
+        [['close', 'pair'], 4],
+        [['open', String(CHIP), '--wait'], 6]
+    ];
+    for (const [args, code] of cases) {
+        const res = await cli(server, args);
+        assert.strictEqual(res.code, code, `${args.join(' ')}: ${res.stdout}${res.stderr}`);
+    }
+
+    const unreachable = await cli(server, ['list'], { LINKSHADES_SERVER: `http://127.0.0.1:${await freePort()}` });
+    assert.strictEqual(unreachable.code, 3);
+    assert.match(unreachable.stderr, /^Can't reach http:\/\/127\.0\.0\.1:\d+/);
+}));
+
+test('uses the token from the environment and says when it is missing', () => withServer({ env: { AUTH_ENABLED: 'true' } }, async ({ server }) => {
+    const token = (await waitFor(() => /created an admin token \(shown once\): (\S+)/.exec(server.output), 'the bootstrap token'))[1];
+    const refused = await cli(server, ['list']);
+    assert.strictEqual(refused.code, 1);
+    assert.match(refused.stderr, /401: Authentication required - check --token/);
+
+    const allowed = await cli(server, ['list'], { LINKSHADES_TOKEN: token });
+    assert.strictEqual(allowed.code, 0, allowed.stderr);
+    assert.strictEqual(allowed.stdout.trim(), 'No shades yet');
+}));
+
+test('tails live events, filtered by type', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    const child = spawn(process.execPath, [CLI, 'events', '--json', '--type', 'command.sent', '--server', `http://127.0.0.1:${server.port}`], {
+        env: { PATH: process.env.PATH },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let stdout = '';
+    child.stdout.on('data', chunk => stdout += chunk);
+    try {
+        await waitFor(async () => (await server.request('GET', '/api/diagnostics')).body.eventClients === 1, 'the CLI to subscribe');
+        await server.request('POST', `/api/shades/${CHIP}/position`, { position: 100 });
+        await waitFor(() => stdout.includes('\n'), 'an event line');
+        const [event] = stdout.trim().split('\n').map(line => JSON.parse(line));
+        assert.strictEqual(event.type, 'command.sent');
+        assert.deepStrictEqual(event.data.data, { chipID: CHIP, command: 100 });
+    } finally {
+        child.kill();
+    }
+}));
@@ -0,0 +1,52 @@
+// Cloud emulation: built-in stubs, canned endpoints and the request log
+
+const assert = require('assert');
+const { test, waitFor, withServer } = require('./harness');
+
+test('the built-in stubs answer only their own endpoints', () => withServer({}, async ({ server }) => {
+    assert.strictEqual((await server.request('GET', '/firmware.bin')).status, 304);
+    assert.strictEqual((await server.request('GET', '/anything.bin', undefined, { 'x-ESP8266-version': '24' })).status, 304);
+    assert.strictEqual((await server.request('POST', '/register', {})).body.success, true);
+    assert.strictEqual((await server.request('GET', '/generate_204')).status, 204);
+    assert.ok(Number.isInteger((await server.request('GET', '/time')).body.time));
+
+    // Merely mentioning one of them isn't enough
+    for (const [method, path] of [['GET', '/v1/devices/7/updates'], ['POST', '/v1/devices/7/registered'], ['POST', '/deactivate']]) {
+        const res = await server.request(method, path, method === 'POST' ? {} : undefined);
+        assert.strictEqual(res.status, 404, `${method} ${path}`);
+        await waitFor(() => server.output.includes(`[CLOUD] Unmatched ${method} ${path}`), `${method} ${path} in the log`);
+    }
+
+    const cloud = (await server.request('GET', '/api/admin/cloud')).body;
+    const handled = Object.fromEntries(cloud.paths.map(p => [`${p.method} ${p.path}`, p.handledBy]));
+    assert.strictEqual(handled['GET /firmware.bin'], 'firmware-check');
+    assert.strictEqual(handled['GET /v1/devices/7/updates'], null);
+}));
+
+test('config endpoints come first and fill in the time', async () => {
+    const endpoints = [{ name: 'status', method: 'POST', path: '/v1/devices/*', body: { ok: true, at: '{{unix}}' } }, { path: '/register', status: 409 }];
+    await withServer({ env: { CLOUD_ENDPOINTS: JSON.stringify(endpoints), AUTH_ENABLED: 'true' } }, async ({ server }) => {
+        const res = await server.request('POST', '/v1/devices/3398828/status', { chipID: 3398828 });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.ok, true);
+        assert.ok(Math.abs(res.body.at - Date.now() / 1000) < 60, JSON.stringify(res.body));
+        assert.strictEqual((await server.request('POST', '/register', {})).status, 409);
+    });
+});
+
+test('the request log and the path list stay bounded', () => withServer({}, async ({ server }) => {
+    for (let i = 0; i < 130; i++) {
+        await server.request('GET', `/probe/${i}`);
+        if (i === 50) await server.request('GET', '/probe/0');
+    }
+    const cloud = await waitFor(async () => {
+        const res = await server.request('GET', '/api/admin/cloud');
+        return res.body.requests.length === 100 && res.body;
+    }, 'the cloud log');
+    assert.strictEqual(cloud.paths.length, 100);
+    const paths = cloud.paths.map(p => p.path);
+    assert.ok(paths.includes('/probe/129'));
+    assert.ok(!paths.includes('/probe/1'), 'the paths seen longest ago should have been dropped');
+    // Seen again part way through, so kept with both hits
+    assert.strictEqual(cloud.paths.find(p => p.path === '/probe/0').count, 2);
+}));
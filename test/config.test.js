@@ -0,0 +1,79 @@
+// Configuration: validation at startup, reloading and LOG_LEVEL
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { test, waitFor, withServer, startServer } = require('./harness');
+
+const ROOT = path.join(__dirname, '..');
+
+// Run server.js expecting it to refuse to start; resolves { code, output }
+function startInvalid(env, config) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkshades-test-'));
+    if (config) fs.writeFileSync(path.join(dataDir, 'linkshades.json'), JSON.stringify(config));
+    return new Promise((resolve) => {
+        const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+            cwd: dataDir,
+            env: { PATH: process.env.PATH, PORT: '0', BIND_ADDRESS: '127.0.0.1', DATA_DIR: dataDir, ...env },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        let output = '';
+        child.stdout.on('data', chunk => output += chunk);
+        child.stderr.on('data', chunk => output += chunk);
+        const kill = setTimeout(() => child.kill('SIGKILL'), 5000);
+        child.on('exit', (code) => {
+            clearTimeout(kill);
+            fs.rmSync(dataDir, { recursive: true, force: true });
+            resolve({ code, output });
+        });
+    });
+}
+
+test('refuses to start on an invalid configuration and lists every problem', async () => {
+    const { code, output } = await startInvalid({ COMMAND_INTERVAL_MS: 'soon', LOG_LEVEL: 'loud' }, { server: { colour: 'blue' } });
+    assert.strictEqual(code, 1, output);
+    assert.match(output, /Invalid configuration/);
+    assert.match(output, /COMMAND_INTERVAL_MS/);
+    assert.match(output, /LOG_LEVEL/);
+    assert.match(output, /server\.colour: unknown setting/);
+});
+
+test('reloads settings from the config file and names the ones needing a restart', () => withServer({}, async ({ server }) => {
+    const file = path.join(server.dataDir, 'linkshades.json');
+    fs.writeFileSync(file, JSON.stringify({ queue: { commandIntervalMs: 250 }, hue: { port: 8123 } }));
+    const reloaded = await server.request('POST', '/api/admin/reload');
+    assert.strictEqual(reloaded.status, 200, JSON.stringify(reloaded.body));
+    assert.deepStrictEqual(reloaded.body.changed, ['COMMAND_INTERVAL_MS']);
+    assert.deepStrictEqual(reloaded.body.restartRequired, ['HUE_PORT']);
+    assert.strictEqual((await server.request('GET', '/api/admin/config')).body.settings.COMMAND_INTERVAL_MS, 250);
+
+    // A bad file is reported and changes nothing
+    fs.writeFileSync(file, JSON.stringify({ queue: { commandIntervalMs: -1 } }));
+    const invalid = await server.request('POST', '/api/admin/reload');
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.status, 'invalid');
+    assert.strictEqual((await server.request('GET', '/api/admin/config')).body.settings.COMMAND_INTERVAL_MS, 250);
+
+    // SIGHUP does the same as the endpoint
+    fs.writeFileSync(file, JSON.stringify({ queue: { commandIntervalMs: 750 } }));
+    server.child.kill('SIGHUP');
+    await waitFor(async () => (await server.request('GET', '/api/admin/config')).body.settings.COMMAND_INTERVAL_MS === 750, 'the SIGHUP reload');
+}));
+
+test('LOG_LEVEL=warn hides routine messages but still prints the admin token', async () => {
+    const server = await startServer({ LOG_LEVEL: 'warn', AUTH_ENABLED: 'true' });
+    try {
+        const match = server.output.match(/created an admin token \(shown once\): (\S+)/);
+        assert.ok(match, server.output);
+        assert.match(server.output, /LinkShades Local Server - Running!/);
+        assert.doesNotMatch(server.output, /\[AUTH\] Enabled/);
+
+        const res = await server.request('GET', '/api/shades', undefined, { Authorization: `Bearer ${match[1]}` });
+        assert.strictEqual(res.status, 200);
+    } finally {
+        await server.stop();
+        fs.rmSync(server.dataDir, { recursive: true, force: true });
+    }
+});
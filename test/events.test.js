@@ -0,0 +1,90 @@
+// The live event stream at /api/events, over SSE and over WebSocket
+
+const assert = require('assert');
+const http = require('http');
+const { test, sleep, waitFor, withServer, openWebSocket } = require('./harness');
+const { startSimulator } = require('../simulator');
+
+const CHIP = 151;
+
+// Follow the SSE stream; events collects each parsed `data:` line
+function followEvents(port) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ host: '127.0.0.1', port, path: '/api/events' }, (res) => {
+            const stream = { res, events: [], close: () => req.destroy() };
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const data = block.split('\n').find(line => line.startsWith('data: '));
+                    if (data) stream.events.push(JSON.parse(data.slice(6)));
+                }
+            });
+            resolve(stream);
+        });
+        req.on('error', reject);
+    });
+}
+
+function eventOf(events, type, chipID = String(CHIP)) {
+    return events.find(e => e.type === type && e.data.chipID === chipID);
+}
+
+test('streams shade connects, positions, commands, edits and disconnects over SSE', () => withServer({}, async ({ server }) => {
+    const stream = await followEvents(server.port);
+    const simulator = startSimulator({ server: `ws://127.0.0.1:${server.port}`, speed: 500, reportMs: 100, quiet: true, reconnectMs: 0, shades: [CHIP] });
+    try {
+        assert.strictEqual(stream.res.headers['content-type'], 'text/event-stream');
+        await waitFor(() => eventOf(stream.events, 'shade.connected'), 'shade.connected');
+        await waitFor(() => eventOf(stream.events, 'shade.position'), 'shade.position');
+
+        await server.request('POST', `/api/shades/${CHIP}/position`, { position: 100 });
+        const sent = await waitFor(() => eventOf(stream.events, 'command.sent'), 'command.sent');
+        assert.deepStrictEqual(sent.data.data, { chipID: CHIP, command: 100 });
+        assert.strictEqual(sent.data.source, 'api');
+        await waitFor(() => stream.events.some(e => e.type === 'shade.position' && e.data.position === 100), 'the position to reach 100%');
+
+        await server.request('PATCH', `/api/shades/${CHIP}`, { name: 'Study' });
+        const updated = await waitFor(() => eventOf(stream.events, 'shade.updated'), 'shade.updated');
+        assert.deepStrictEqual(updated.data.fields, ['name']);
+
+        simulator.stop();
+        await waitFor(() => eventOf(stream.events, 'shade.disconnected'), 'shade.disconnected');
+
+        // Ids count up and every event carries a timestamp
+        const ids = stream.events.map(e => e.id);
+        assert.deepStrictEqual(ids, [...ids].sort((a, b) => a - b));
+        assert.ok(stream.events.every(e => !Number.isNaN(Date.parse(e.at))));
+    } finally {
+        simulator.stop();
+        stream.close();
+    }
+}));
+
+test('sends the same events to a browser WebSocket, which is never taken for a shade', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    const ws = await openWebSocket(server.port, '/api/events');
+    try {
+        await server.request('POST', `/api/shades/${CHIP}/position`, { position: 100 });
+        const sent = await waitFor(() => eventOf(ws.messages(), 'command.sent'), 'command.sent over the WebSocket');
+        assert.strictEqual(sent.data.source, 'api');
+
+        // A status report sent down the browser socket is ignored
+        ws.sendText(JSON.stringify({ chipID: 999, position: 500 }));
+        await sleep(300);
+        const shades = (await server.request('GET', '/api/shades')).body;
+        assert.deepStrictEqual(shades.map(s => s.chipID), [String(CHIP)]);
+        assert.match(server.output, /\[EVENTS\] Browser connected/);
+    } finally {
+        ws.close();
+    }
+}));
+
+test('the dashboard follows the stream instead of polling', () => withServer({}, async ({ server }) => {
+    const app = await server.request('GET', '/app.js');
+    assert.strictEqual(app.status, 200);
+    assert.match(app.body, /new EventSource\('\/api\/events'\)/);
+}));
@@ -0,0 +1,109 @@
+// Hub mode: a hub server following a peer that has the simulated shade
+
+const assert = require('assert');
+const fs = require('fs');
+const { test, waitFor, withServer, startServer, freePorts } = require('./harness');
+const { startSimulator, applyFault } = require('../simulator');
+
+const CHIP = 241;
+
+// A hub following `peer` as annex for the length of fn
+async function withHub(peer, fn) {
+    const hub = await startServer({
+        FEDERATION_PEERS: JSON.stringify([{ name: 'annex', url: `http://127.0.0.1:${peer.port}` }]),
+        FEDERATION_RETRY_MS: '1000'
+    });
+    try {
+        await fn(hub);
+    } catch (err) {
+        if (err && typeof err === 'object') err.serverOutput = hub.output.split('\n').slice(-40).join('\n');
+        throw err;
+    } finally {
+        await hub.stop();
+        fs.rmSync(hub.dataDir, { recursive: true, force: true });
+    }
+}
+
+async function hubShade(hub) {
+    const res = await hub.request('GET', `/api/shades/${CHIP}`);
+    return res.status === 200 ? res.body : null;
+}
+
+async function peerStatus(hub) {
+    const [link] = (await hub.request('GET', '/api/federation')).body.peers;
+    return link.status;
+}
+
+test('shows a peer\'s shades on the hub and moves them through the peer', () => withServer({ shades: [CHIP] }, async ({ server: peer, shade }) => {
+    await peer.request('PATCH', `/api/shades/${CHIP}`, { name: 'Annex Door', room: 'Annex' });
+    await withHub(peer, async (hub) => {
+        const found = await waitFor(async () => {
+            const s = await hubShade(hub);
+            return s && s.online && s;
+        }, 'the peer\'s shade on the hub');
+        assert.deepStrictEqual([found.peer, found.name, found.room], ['annex', 'Annex Door', 'Annex']);
+
+        const [link] = (await hub.request('GET', '/api/federation')).body.peers;
+        assert.strictEqual(link.name, 'annex');
+        assert.strictEqual(link.status, 'connected');
+        assert.deepStrictEqual(link.shades, [{ chipID: String(CHIP), name: 'Annex Door', online: true }]);
+        assert.ok((await hub.request('GET', '/metrics')).body.split('\n').includes('linkshades_peer_connected{peer="annex"} 1'));
+
+        // Moved on the hub, sent by the peer, reported back to the hub
+        const moved = await hub.request('POST', `/api/shades/${CHIP}/position`, { position: 100 });
+        assert.strictEqual(moved.status, 200);
+        await waitFor(() => shade(CHIP).position === 1000, 'the shade to open');
+        assert.deepStrictEqual(shade(CHIP).received, [{ chipID: CHIP, command: 100 }]);
+        await waitFor(async () => (await hubShade(hub)).rawPosition === 1000, 'the position to reach the hub');
+        assert.strictEqual((await hubShade(hub)).currentPosition, 100);
+
+        const history = (await peer.request('GET', `/api/shades/${CHIP}/history?type=command`)).body;
+        assert.deepStrictEqual(history.entries.map(e => e.source), ['hub']);
+
+        // Calibration belongs to the peer
+        const calibrated = await hub.request('POST', `/api/shades/${CHIP}/calibration`, { min: 75, max: 98 });
+        assert.strictEqual(calibrated.status, 409);
+        assert.strictEqual((await hub.request('DELETE', `/api/shades/${CHIP}/calibration`)).status, 409);
+        assert.strictEqual((await hub.request('POST', `/api/shades/${CHIP}/calibration/start`, {})).status, 409);
+
+        // ...and is copied from there
+        await peer.request('POST', `/api/shades/${CHIP}/calibration`, { min: 75, max: 98 });
+        await waitFor(async () => {
+            const { calibration } = (await hub.request('GET', `/api/shades/${CHIP}/calibration`)).body;
+            return calibration.min === 75 && calibration.max === 98;
+        }, 'the new calibration on the hub');
+    });
+}));
+
+test('takes the peer\'s shades offline while the link is down and back when it returns', async () => {
+    const [peerPort] = await freePorts(1);
+    let peer = await startServer({ PORT: String(peerPort) });
+    const simulator = startSimulator({ server: `ws://127.0.0.1:${peerPort}`, speed: 500, reportMs: 100, reconnectMs: 500, quiet: true, shades: [CHIP] });
+    try {
+        await withHub(peer, async (hub) => {
+            await waitFor(async () => (await hubShade(hub) || {}).online, 'the peer\'s shade on the hub');
+
+            // Gone on the peer: offline on the hub, link still up
+            applyFault(simulator.shades[0], { type: 'disconnect', reconnectMs: 2000 });
+            await waitFor(async () => (await hubShade(hub)).online === false, 'the shade to go offline on the hub');
+            assert.strictEqual(await peerStatus(hub), 'connected');
+            await waitFor(async () => (await hubShade(hub)).online, 'the shade to come back');
+
+            await peer.stop();
+            await waitFor(async () => (await hubShade(hub)).online === false, 'the shade to go offline with the link');
+            assert.strictEqual(await peerStatus(hub), 'disconnected');
+            const { connection } = await hubShade(hub);
+            assert.match(connection.lastDisconnect.reason, /^Lost link to annex/);
+            assert.ok((await hub.request('GET', '/metrics')).body.split('\n').includes('linkshades_peer_connected{peer="annex"} 0'));
+
+            peer = await startServer({ PORT: String(peerPort) }, peer.dataDir);
+            await waitFor(async () => (await peerStatus(hub)) === 'connected', 'the hub to reconnect', 10000);
+            await waitFor(async () => (await hubShade(hub)).online, 'the shade back on the hub', 10000);
+            assert.match(hub.output, /\[PEER\] annex: link lost/);
+        });
+    } finally {
+        simulator.stop();
+        await peer.stop();
+        fs.rmSync(peer.dataDir, { recursive: true, force: true });
+    }
+});
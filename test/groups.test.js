@@ -0,0 +1,78 @@
+// Groups, rooms and scenes
+
+const assert = require('assert');
+const { test, waitFor, withServer } = require('./harness');
+const { startSimulator } = require('../simulator');
+
+const A = 141;
+const B = 142;
+
+test('creates groups with ids from their names and refuses unknown shades', () => withServer({ shades: [A, B] }, async ({ server }) => {
+    const first = await server.request('POST', '/api/groups', { name: 'Living Room', shades: [String(A), String(B)] });
+    assert.strictEqual(first.status, 201, JSON.stringify(first.body));
+    assert.strictEqual(first.body.id, 'living-room');
+    const second = await server.request('POST', '/api/groups', { name: 'Living Room', shades: [String(A)] });
+    assert.strictEqual(second.body.id, 'living-room-2');
+
+    for (const group of [{ name: 'Ghosts', shades: ['999'] }, { shades: [String(A)] }, { name: 'Empty', shades: [] }]) {
+        const res = await server.request('POST', '/api/groups', group);
+        assert.strictEqual(res.status, 400, `${JSON.stringify(group)} was accepted`);
+    }
+
+    const updated = await server.request('PUT', '/api/groups/living-room-2', { shades: [String(B)] });
+    assert.deepStrictEqual(updated.body.shades, [String(B)]);
+    assert.strictEqual((await server.request('DELETE', '/api/groups/living-room-2')).status, 200);
+    assert.deepStrictEqual((await server.request('GET', '/api/groups')).body.map(g => g.id), ['living-room']);
+}));
+
+test('moves every shade in a group and reports each one', () => withServer({ shades: [A], env: { COMMAND_INTERVAL_MS: '0' } }, async ({ server, shade }) => {
+    const other = startSimulator({ server: `ws://127.0.0.1:${server.port}`, quiet: true, reconnectMs: 0, shades: [B] });
+    try {
+        await waitFor(async () => (await server.request('GET', `/api/shades/${B}`)).body.online, 'the second shade');
+        await server.request('POST', '/api/groups', { name: 'Both', shades: [String(A), String(B)] });
+
+        const moved = await server.request('POST', '/api/groups/both/position', { position: 100 });
+        assert.strictEqual(moved.body.status, 'sent', JSON.stringify(moved.body));
+        assert.deepStrictEqual(moved.body.results.map(r => r.status), ['sent', 'sent']);
+        await waitFor(() => shade(A).received.some(m => m.command === 100) && other.shades[0].received.some(m => m.command === 100), 'both shades to move');
+
+        other.stop();
+        await waitFor(async () => (await server.request('GET', `/api/shades/${B}`)).body.online === false, 'the second shade to go offline');
+        const partial = await server.request('POST', '/api/groups/both/position', { position: 0 });
+        assert.strictEqual(partial.body.status, 'partial');
+        assert.deepStrictEqual(partial.body.results.map(r => [r.chipID, r.status]), [[String(A), 'sent'], [String(B), 'offline']]);
+
+        const bad = await server.request('POST', '/api/groups/both/position', { position: 150 });
+        assert.strictEqual(bad.status, 400);
+        assert.strictEqual((await server.request('POST', '/api/groups/nope/position', { position: 50 })).status, 404);
+    } finally {
+        other.stop();
+    }
+}));
+
+test('puts shades with the same room together', () => withServer({ shades: [A, B] }, async ({ server, shade }) => {
+    await server.request('PATCH', `/api/shades/${A}`, { room: 'Upstairs Hall' });
+    await server.request('PATCH', `/api/shades/${B}`, { room: 'Upstairs Hall' });
+    const rooms = (await server.request('GET', '/api/rooms')).body;
+    assert.deepStrictEqual(rooms.map(r => [r.id, r.name, r.shades.sort()]), [['upstairs-hall', 'Upstairs Hall', [String(A), String(B)]]]);
+
+    const moved = await server.request('POST', '/api/rooms/upstairs-hall/position', { position: 100 });
+    assert.strictEqual(moved.body.status, 'sent', JSON.stringify(moved.body));
+    await waitFor(() => [A, B].every(chipID => shade(chipID).received.some(m => m.command === 100)), 'the room to open');
+}));
+
+test('activates a scene with a position per shade', () => withServer({ shades: [A, B] }, async ({ server, shade }) => {
+    const bad = await server.request('POST', '/api/scenes', { name: 'Broken', positions: { [A]: 0, 999: 50 } });
+    assert.strictEqual(bad.status, 400);
+
+    const created = await server.request('POST', '/api/scenes', { name: 'Movie', positions: { [A]: 0, [B]: 100 } });
+    assert.strictEqual(created.status, 201, JSON.stringify(created.body));
+    assert.strictEqual(created.body.id, 'movie');
+
+    const activated = await server.request('POST', '/api/scenes/movie/activate');
+    assert.strictEqual(activated.body.status, 'sent', JSON.stringify(activated.body));
+    await waitFor(() => shade(A).received.some(m => m.command === 73) && shade(B).received.some(m => m.command === 100), 'the scene');
+
+    assert.strictEqual((await server.request('DELETE', '/api/scenes/movie')).status, 200);
+    assert.strictEqual((await server.request('POST', '/api/scenes/movie/activate')).status, 404);
+}));
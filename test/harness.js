@@ -0,0 +1,264 @@
+/**
+ * Integration test harness: starts server.js as a child process against a
+ * throwaway DATA_DIR, connects simulated shades to it and runs the tests one
+ * after another. No test framework needed - see test/run.js.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { startSimulator, frame, parseFrame } = require('../simulator');
+
+const ROOT = path.join(__dirname, '..');
+// Packages the tests declare in test/package.json (mqtt) are found by the
+// server too, without installing them into the repo
+const TEST_MODULES = path.join(__dirname, 'node_modules');
+const NODE_PATH = [TEST_MODULES, process.env.NODE_PATH].filter(Boolean).join(path.delimiter);
+const TEST_TIMEOUT_MS = 30000;
+
+// =============================================================================
+// RUNNER
+// =============================================================================
+const tests = [];
+
+// options.skip: a reason to skip the test instead of running it
+function test(name, fn, options = {}) {
+    tests.push({ name, fn, skip: options.skip });
+}
+
+async function run() {
+    let failed = 0;
+    let skipped = 0;
+    for (const t of tests) {
+        if (t.skip) {
+            skipped++;
+            console.log(`skip - ${t.name} (${t.skip})`);
+            continue;
+        }
+        const started = Date.now();
+        let timer;
+        try {
+            await Promise.race([
+                t.fn(),
+                new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`Timed out after ${TEST_TIMEOUT_MS}ms`)), TEST_TIMEOUT_MS); })
+            ]);
+            console.log(`ok - ${t.name} (${Date.now() - started}ms)`);
+        } catch (err) {
+            failed++;
+            console.log(`not ok - ${t.name}`);
+            console.log(String(err.stack || err).replace(/^/gm, '    '));
+            if (err.serverOutput) console.log(`    --- server output ---\n${err.serverOutput.replace(/^/gm, '    ')}`);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    console.log(`\n${tests.length - failed - skipped} passed, ${failed} failed, ${skipped} skipped`);
+    return failed;
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Poll until check() returns something truthy
+async function waitFor(check, what, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+        await sleep(50);
+    }
+}
+
+function freePort() {
+    return freePorts(1).then(ports => ports[0]);
+}
+
+// Several different free ports, held open together so none is handed out twice
+function freePorts(count) {
+    const servers = [];
+    const listen = () => new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            servers.push(server);
+            resolve(server.address().port);
+        });
+    });
+    const ports = [];
+    const next = () => ports.length === count ? Promise.resolve() : listen().then(port => ports.push(port)).then(next);
+    const close = () => Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+    return next().then(close, err => close().then(() => { throw err; })).then(() => ports);
+}
+
+// One HTTP request; resolves { status, headers, body } with a parsed JSON body
+function request(port, method, urlPath, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const payload = body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body);
+        const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => text += chunk);
+            res.on('end', () => {
+                let parsed = text;
+                if ((res.headers['content-type'] || '').includes('json')) {
+                    try {
+                        parsed = JSON.parse(text);
+                    } catch (e) {
+                        // Left as text for the assertion to show
+                    }
+                }
+                resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+            });
+        });
+        req.on('error', reject);
+        if (payload !== null) req.setHeader('Content-Type', 'application/json');
+        req.end(payload);
+    });
+}
+
+// A bare WebSocket client for poking at the protocol. Resolves once the
+// upgrade is accepted (rejects with the HTTP status otherwise) with:
+//   frames       every frame the server sent, as { opcode, payload }
+//   messages()   the text frames, parsed as JSON
+//   send(opcode, payload, fin) / sendText(text)
+//   closed       resolves { code, reason } when the connection ends; code is
+//                from the server's close frame, or null if it just went away
+// Pings are answered unless answerPings is set to false.
+function openWebSocket(port, urlPath, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            path: urlPath,
+            headers: {
+                'Connection': 'Upgrade',
+                'Upgrade': 'websocket',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+                'Sec-WebSocket-Version': '13',
+                ...headers
+            }
+        });
+        req.on('upgrade', (res, socket) => {
+            const ws = { socket, frames: [], answerPings: true, closeFrame: null };
+            ws.send = (opcode, payload, fin) => socket.write(frame(opcode, Buffer.from(payload), fin));
+            ws.sendText = (text) => ws.send(0x1, text);
+            ws.messages = () => ws.frames.filter(f => f.opcode === 0x1).map(f => JSON.parse(f.payload.toString('utf8')));
+            ws.close = () => socket.destroy();
+            ws.closed = new Promise(done => socket.on('close', () => done(ws.closeFrame || { code: null, reason: '' })));
+
+            let buffer = Buffer.alloc(0);
+            socket.on('data', (data) => {
+                buffer = Buffer.concat([buffer, data]);
+                let parsed;
+                while ((parsed = parseFrame(buffer))) {
+                    buffer = buffer.slice(parsed.totalLength);
+                    const received = { opcode: parsed.opcode, payload: parsed.payload };
+                    ws.frames.push(received);
+                    if (received.opcode === 0x8) {
+                        ws.closeFrame = { code: received.payload.length >= 2 ? received.payload.readUInt16BE(0) : null, reason: received.payload.slice(2).toString('utf8') };
+                    } else if (received.opcode === 0x9 && ws.answerPings) {
+                        ws.send(0xA, received.payload);
+                    }
+                }
+            });
+            socket.on('error', () => {});
+            resolve(ws);
+        });
+        req.on('response', (res) => {
+            res.resume();
+            reject(Object.assign(new Error(`WebSocket upgrade refused with HTTP ${res.statusCode}`), { status: res.statusCode }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+// =============================================================================
+// SERVER & SHADES
+// =============================================================================
+// Start server.js with `env` on top of a clean environment; resolves once
+// /api/health answers. Pass the dataDir of a stopped server to restart it on
+// the same data. env.PORT picks the port, otherwise any free one is used.
+async function startServer(env = {}, dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkshades-test-'))) {
+    const port = env.PORT ? Number(env.PORT) : await freePort();
+    const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+        cwd: dataDir,
+        env: { PATH: process.env.PATH, NODE_PATH, PORT: String(port), BIND_ADDRESS: '127.0.0.1', DATA_DIR: dataDir, LOG_LEVEL: 'debug', ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const server = { port, dataDir, child, output: '', exited: false };
+    child.stdout.on('data', chunk => server.output += chunk);
+    child.stderr.on('data', chunk => server.output += chunk);
+    child.on('exit', () => { server.exited = true; });
+
+    server.request = (method, urlPath, body, headers) => request(port, method, urlPath, body, headers);
+    server.stop = () => new Promise(resolve => {
+        if (server.exited) return resolve();
+        const kill = setTimeout(() => child.kill('SIGKILL'), 5000);
+        child.on('exit', () => {
+            clearTimeout(kill);
+            resolve();
+        });
+        child.kill('SIGTERM');
+    });
+
+    try {
+        await waitFor(async () => {
+            if (server.exited) throw new Error('server.js exited during startup');
+            return server.request('GET', '/api/health').then(res => res.status === 200, () => false);
+        }, 'the server to start');
+    } catch (err) {
+        await server.stop();
+        err.serverOutput = server.output;
+        throw err;
+    }
+    return server;
+}
+
+// Run fn({ server, simulator, shade(chipID) }) against a fresh server with the
+// given simulated shades connected; both are torn down afterwards and the
+// server output is attached to a failure
+async function withServer({ env, shades = [], simulator: simOptions } = {}, fn) {
+    const server = await startServer(env);
+    let simulator = null;
+    try {
+        simulator = startSimulator({ server: `ws://127.0.0.1:${server.port}`, speed: 500, reportMs: 100, quiet: true, ...simOptions, shades });
+        const shade = (chipID) => simulator.shades.find(s => s.chipID === Number(chipID));
+        if (shades.length) {
+            await waitFor(async () => {
+                const res = await server.request('GET', '/api/shades');
+                return shades.every(id => res.body.some(s => s.chipID === String(id) && s.online));
+            }, 'the simulated shades to connect');
+        }
+        await fn({ server, simulator, shade });
+    } catch (err) {
+        if (err && typeof err === 'object' && !err.serverOutput) err.serverOutput = server.output.split('\n').slice(-40).join('\n');
+        throw err;
+    } finally {
+        if (simulator) simulator.stop();
+        await server.stop();
+        fs.rmSync(server.dataDir, { recursive: true, force: true });
+    }
+}
+
+// Whether an optional package resolves from the repo or test/node_modules,
+// as server.js started by startServer would see it
+function hasPackage(name) {
+    try {
+        require.resolve(name, { paths: [ROOT, TEST_MODULES] });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+module.exports = { test, run, sleep, waitFor, freePort, freePorts, request, openWebSocket, startServer, withServer, hasPackage };
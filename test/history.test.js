@@ -0,0 +1,46 @@
+// The history file: batched appends, compaction and what survives a restart
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test, waitFor, startServer } = require('./harness');
+const { startSimulator } = require('../simulator');
+
+const CHIP = 666;
+
+function readHistoryFile(dataDir) {
+    return fs.readFileSync(path.join(dataDir, 'shades_history.jsonl'), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('compacts the history in the background and keeps every entry recorded meanwhile', async () => {
+    const server = await startServer({ HISTORY_MAX_ENTRIES: '100', COMMAND_INTERVAL_MS: '0', SAVE_DELAY_MS: '50' });
+    const simulator = startSimulator({ server: `ws://127.0.0.1:${server.port}`, speed: 500, reportMs: 1000, quiet: true, shades: [CHIP] });
+    try {
+        await waitFor(async () => (await server.request('GET', `/api/shades/${CHIP}`)).body.online, 'the shade to connect');
+        for (let i = 0; i < 150; i++) {
+            await server.request('POST', `/api/shades/${CHIP}/test`, { step: i });
+        }
+        await waitFor(() => server.output.includes('[HISTORY] Compacted'), 'the compaction');
+        simulator.stop();
+        await server.stop();
+
+        const entries = readHistoryFile(server.dataDir).filter(e => e.type === 'command');
+        assert.ok(entries.length <= 110, `${entries.length} entries on disk`);
+        assert.strictEqual(entries[entries.length - 1].frame.step, 149);
+        const steps = entries.map(e => e.frame.step);
+        assert.deepStrictEqual(steps, steps.slice().sort((a, b) => a - b), 'entries out of order');
+        assert.deepStrictEqual(steps, Array.from({ length: steps.length }, (_, i) => 150 - steps.length + i), 'entries missing');
+
+        const restarted = await startServer({}, server.dataDir);
+        try {
+            const { body } = await restarted.request('GET', `/api/shades/${CHIP}/history?type=command&limit=1`);
+            assert.strictEqual(body.entries[0].frame.step, 149);
+        } finally {
+            await restarted.stop();
+        }
+    } finally {
+        simulator.stop();
+        await server.stop();
+        fs.rmSync(server.dataDir, { recursive: true, force: true });
+    }
+});
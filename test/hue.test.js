@@ -0,0 +1,94 @@
+// Hue bridge emulation end to end: SSDP discovery, then the Hue HTTP API the
+// way an Echo drives it
+
+const assert = require('assert');
+const dgram = require('dgram');
+const { test, waitFor, withServer, freePort, request } = require('./harness');
+
+const CHIP = 444;
+
+// Send an M-SEARCH to the bridge's SSDP socket and collect the answers
+function searchBridge(st, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+        const answers = [];
+        socket.on('error', reject);
+        socket.on('message', message => answers.push(message.toString()));
+        socket.bind(0, '127.0.0.1', () => {
+            const search = ['M-SEARCH * HTTP/1.1', 'HOST: 239.255.255.250:1900', 'MAN: "ssdp:discover"', 'MX: 1', `ST: ${st}`, '', ''].join('\r\n');
+            socket.send(search, 1900, '127.0.0.1');
+        });
+        setTimeout(() => {
+            socket.close();
+            resolve(answers);
+        }, timeoutMs);
+    });
+}
+
+function header(answer, name) {
+    const match = answer.match(new RegExp(`^${name}:\\s*(.*)$`, 'im'));
+    return match && match[1].trim();
+}
+
+async function withHue(options, fn) {
+    const huePort = await freePort();
+    const env = { HUE_ENABLED: 'true', HUE_PORT: String(huePort), HUE_ADVERTISE_IP: '127.0.0.1', ...options.env };
+    await withServer({ ...options, env }, async (context) => {
+        await waitFor(() => context.server.output.includes('[HUE] Bridge'), 'the Hue bridge to start');
+        const hue = (method, path, body) => request(huePort, method, path, body);
+        await fn({ ...context, huePort, hue });
+    });
+}
+
+async function lightFor(hue, chipID) {
+    const { body } = await hue('GET', '/api/anyuser/lights');
+    const id = Object.keys(body).find(key => body[key].name === `LinkShade ${chipID}`);
+    assert.ok(id, `no light for shade ${chipID} in ${JSON.stringify(body)}`);
+    return id;
+}
+
+test('answers an SSDP search with the bridge description', () => withHue({ shades: [CHIP] }, async ({ huePort, hue }) => {
+    const answers = await searchBridge('urn:schemas-upnp-org:device:basic:1');
+    assert.strictEqual(answers.length, 1, 'expected one answer');
+    const location = header(answers[0], 'LOCATION');
+    assert.strictEqual(location, `http://127.0.0.1:${huePort}/description.xml`);
+    assert.ok(header(answers[0], 'hue-bridgeid'));
+
+    const description = await hue('GET', new URL(location).pathname);
+    assert.strictEqual(description.status, 200);
+    assert.match(description.body, /Philips hue bridge/i);
+
+    assert.strictEqual((await searchBridge('ssdp:all')).length, 2);
+    assert.strictEqual((await searchBridge('urn:example:other', 500)).length, 0);
+}));
+
+test('pairs and drives a shade like an Echo would', () => withHue({ shades: [CHIP], simulator: { speed: 100000, reportMs: 20 } }, async ({ hue, shade, server }) => {
+    const paired = await hue('POST', '/api', { devicetype: 'Echo' });
+    const { username } = paired.body[0].success;
+    assert.ok(username);
+
+    const id = await lightFor(hue, CHIP);
+    const light = await hue('GET', `/api/${username}/lights/${id}`);
+    assert.strictEqual(light.body.state.reachable, true);
+
+    const on = await hue('PUT', `/api/${username}/lights/${id}/state`, { on: true });
+    assert.deepStrictEqual(on.body, [{ success: { [`/lights/${id}/state/on`]: true } }]);
+    await waitFor(() => shade(CHIP).position === 1000, 'the shade to open');
+
+    await hue('PUT', `/api/${username}/lights/${id}/state`, { on: false });
+    await waitFor(() => shade(CHIP).position === 730, 'the shade to close');
+
+    // 127/254 is 50%: half way through 73-100 rounds to command 87, which reads back as 52%
+    await hue('PUT', `/api/${username}/lights/${id}/state`, { bri: 127 });
+    await waitFor(() => shade(CHIP).received.some(m => m.command === 87), 'the shade to get command 87');
+    await waitFor(async () => (await server.request('GET', `/api/shades/${CHIP}`)).body.currentPosition === 52, 'the shade to report 52%');
+    const after = await hue('GET', `/api/${username}/lights/${id}`);
+    assert.strictEqual(after.body.state.on, true);
+}));
+
+test('the Hue API stays open with AUTH_ENABLED while the main API does not', () => withHue({ env: { AUTH_ENABLED: 'true' } }, async ({ hue, server }) => {
+    assert.strictEqual((await server.request('GET', '/api/shades')).status, 401);
+    assert.ok(server.output.includes('not covered by AUTH_ENABLED'));
+    const lights = await hue('GET', '/api/anyuser/lights');
+    assert.strictEqual(lights.status, 200);
+}));
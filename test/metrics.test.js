@@ -0,0 +1,97 @@
+// Prometheus metrics at /metrics and the /api/diagnostics snapshot
+
+const assert = require('assert');
+const { test, waitFor, withServer, openWebSocket } = require('./harness');
+
+const CHIP = 211;
+const RAW = 212;
+const REPORT = JSON.stringify({ chipID: RAW, position: 500, version: 24, model: 'wired' });
+
+// name{labels} value, one per sample line
+function samples(text) {
+    return text.split('\n').filter(line => line && !line.startsWith('#'));
+}
+
+test('exports shade, command, connection and process metrics in Prometheus format', () => withServer({ shades: [CHIP] }, async ({ server, shade }) => {
+    await server.request('PATCH', `/api/shades/${CHIP}`, { name: 'Kid\'s "Den" \\ left' });
+    await server.request('POST', `/api/shades/${CHIP}/position`, { position: 100 });
+    await waitFor(async () => {
+        const { body } = await server.request('GET', `/api/shades/${CHIP}`);
+        return body.movement.outcome === 'reached' && body.rawPosition === 1000;
+    }, 'the shade to arrive');
+
+    // A shade on a raw socket: connects twice and sends something unreadable
+    const anonymous = await openWebSocket(server.port, '/');
+    const first = await openWebSocket(server.port, '/');
+    const second = await openWebSocket(server.port, '/');
+    try {
+        anonymous.sendText('hello?');
+        first.sendText(REPORT);
+        await waitFor(async () => (await server.request('GET', `/api/shades/${RAW}`)).status === 200, 'the raw shade to register');
+        second.sendText(REPORT);
+        await first.closed;
+        second.sendText('{"chipID":');
+        await waitFor(() => server.output.split('Parse error').length === 3, 'both parse errors');
+
+        const res = await server.request('GET', '/metrics');
+        assert.strictEqual(res.headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8');
+        const lines = samples(res.body);
+        const expected = [
+            'linkshades_up 1',
+            `linkshades_shade_online{chip_id="${CHIP}",name="Kid's \\"Den\\" \\\\ left"} 1`,
+            `linkshades_shade_position_percent{chip_id="${CHIP}"} 100`,
+            `linkshades_shade_position_raw{chip_id="${CHIP}"} 1000`,
+            `linkshades_commands_sent_total{chip_id="${CHIP}",source="api"} 1`,
+            `linkshades_command_outcomes_total{chip_id="${CHIP}",outcome="reached"} 1`,
+            `linkshades_command_duration_seconds_bucket{chip_id="${CHIP}",le="+Inf"} 1`,
+            `linkshades_command_duration_seconds_count{chip_id="${CHIP}"} 1`,
+            `linkshades_command_queue_length{chip_id="${CHIP}"} 0`,
+            `linkshades_websocket_reconnects_total{chip_id="${RAW}"} 1`,
+            `linkshades_websocket_parse_errors_total{chip_id="unknown"} 1`,
+            `linkshades_websocket_parse_errors_total{chip_id="${RAW}"} 1`,
+            'linkshades_mqtt_connected 0',
+            'linkshades_mqtt_publish_failures_total 0'
+        ];
+        for (const line of expected) assert.ok(lines.includes(line), `missing ${line}`);
+
+        // Every sample is well formed and belongs to a declared family
+        const declared = new Set(res.body.split('\n').filter(l => l.startsWith('# TYPE ')).map(l => l.split(' ')[2]));
+        for (const line of lines) {
+            const match = /^([a-z_]+)(\{.*\})? (-?[\d.e+]+)$/.exec(line);
+            assert.ok(match, `malformed ${line}`);
+            assert.ok(declared.has(match[1].replace(/_(bucket|sum|count)$/, '')), `undeclared ${match[1]}`);
+        }
+        assert.strictEqual(shade(CHIP).received.length, 1);
+    } finally {
+        [anonymous, first, second].forEach(ws => ws.close());
+    }
+}));
+
+test('reports uptime, memory, recent errors and each shade\'s connection', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    const ws = await openWebSocket(server.port, '/');
+    try {
+        ws.sendText('{"chipID":');
+        await waitFor(() => server.output.includes('Parse error'), 'the parse error');
+
+        const res = await server.request('GET', '/api/diagnostics');
+        assert.strictEqual(res.status, 200);
+        const diagnostics = res.body;
+        assert.ok(diagnostics.uptimeSeconds >= 0);
+        assert.ok(diagnostics.memory.rss > 0 && diagnostics.memory.heapUsed > 0);
+        assert.strictEqual(diagnostics.node, process.version);
+        assert.deepStrictEqual(diagnostics.mqtt, { enabled: false, connected: false, publishFailures: 0 });
+
+        const [error] = diagnostics.recentErrors;
+        assert.strictEqual(error.source, 'websocket');
+        assert.match(error.message, /^Parse error/);
+
+        const shade = diagnostics.shades[CHIP];
+        assert.strictEqual(shade.online, true);
+        assert.match(shade.remoteAddress, /127\.0\.0\.1$/);
+        assert.strictEqual(JSON.parse(shade.lastMessage).chipID, CHIP);
+        assert.ok(Date.parse(shade.connectedAt) <= Date.parse(shade.lastMessageAt));
+        assert.strictEqual(shade.reconnects, 0);
+    } finally {
+        ws.close();
+    }
+}));
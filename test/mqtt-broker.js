@@ -0,0 +1,182 @@
+/**
+ * Just enough of an MQTT 3.1.1 broker for the integration tests: CONNECT with
+ * a will, PUBLISH at QoS 0/1 with retained messages, SUBSCRIBE with + and #
+ * wildcards, PINGREQ and DISCONNECT. Everything is delivered at QoS 0.
+ *
+ * Every publish that reaches the broker (from the server, or from a test
+ * through broker.publish) is kept in broker.messages.
+ */
+
+const net = require('net');
+
+const CONNECT = 1, CONNACK = 2, PUBLISH = 3, PUBACK = 4, SUBSCRIBE = 8, SUBACK = 9,
+    UNSUBSCRIBE = 10, UNSUBACK = 11, PINGREQ = 12, PINGRESP = 13, DISCONNECT = 14;
+
+function packet(type, flags, body) {
+    const length = [];
+    let n = body.length;
+    do {
+        let byte = n % 128;
+        n = Math.floor(n / 128);
+        if (n > 0) byte |= 0x80;
+        length.push(byte);
+    } while (n > 0);
+    return Buffer.concat([Buffer.from([(type << 4) | flags, ...length]), body]);
+}
+
+function mqttString(text) {
+    const bytes = Buffer.from(text);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(bytes.length);
+    return Buffer.concat([length, bytes]);
+}
+
+function packetId(id) {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16BE(id);
+    return buf;
+}
+
+// One complete packet from the front of `buf`, or null if it hasn't all arrived
+function readPacket(buf) {
+    let length = 0;
+    let multiplier = 1;
+    let i = 1;
+    for (;; i++) {
+        if (i >= buf.length) return null;
+        length += (buf[i] & 0x7f) * multiplier;
+        multiplier *= 128;
+        if (!(buf[i] & 0x80)) break;
+    }
+    const start = i + 1;
+    if (buf.length < start + length) return null;
+    return { type: buf[0] >> 4, flags: buf[0] & 0x0f, body: buf.slice(start, start + length), size: start + length };
+}
+
+// A reader over a packet body
+function cursor(body) {
+    let offset = 0;
+    return {
+        byte: () => body[offset++],
+        uint16: () => { offset += 2; return body.readUInt16BE(offset - 2); },
+        string: () => { const n = body.readUInt16BE(offset); offset += 2 + n; return body.slice(offset - n, offset).toString(); },
+        bytes: () => { const n = body.readUInt16BE(offset); offset += 2 + n; return body.slice(offset - n, offset); },
+        rest: () => body.slice(offset),
+        done: () => offset >= body.length
+    };
+}
+
+function topicMatches(filter, topic) {
+    const f = filter.split('/');
+    const t = topic.split('/');
+    for (let i = 0; i < f.length; i++) {
+        if (f[i] === '#') return true;
+        if (i >= t.length || (f[i] !== '+' && f[i] !== t[i])) return false;
+    }
+    return f.length === t.length;
+}
+
+function startBroker() {
+    const clients = new Set();
+    const retained = new Map();   // topic -> payload
+    const broker = { messages: [], clients, retained };
+
+    function deliver(topic, payload, retain) {
+        const body = Buffer.concat([mqttString(topic), payload]);
+        for (const client of clients) {
+            if ([...client.filters].some(filter => topicMatches(filter, topic))) {
+                client.socket.write(packet(PUBLISH, retain ? 1 : 0, body));
+            }
+        }
+    }
+
+    function publish(topic, payload, retain = false) {
+        payload = Buffer.from(payload);
+        broker.messages.push({ topic, payload: payload.toString(), retain, at: Date.now() });
+        if (retain) {
+            if (payload.length) retained.set(topic, payload);
+            else retained.delete(topic);
+        }
+        deliver(topic, payload, false);
+    }
+
+    function handle(client, { type, flags, body }) {
+        const c = cursor(body);
+        if (type === CONNECT) {
+            c.string();   // "MQTT"
+            c.byte();     // protocol level
+            const connectFlags = c.byte();
+            c.uint16();   // keepalive
+            client.id = c.string();
+            if (connectFlags & 0x04) {
+                client.will = { topic: c.string(), payload: c.bytes(), retain: Boolean(connectFlags & 0x20) };
+            }
+            client.socket.write(packet(CONNACK, 0, Buffer.from([0, 0])));
+        } else if (type === PUBLISH) {
+            const qos = (flags >> 1) & 0x03;
+            const topic = c.string();
+            if (qos > 0) client.socket.write(packet(PUBACK, 0, packetId(c.uint16())));
+            publish(topic, c.rest(), Boolean(flags & 0x01));
+        } else if (type === SUBSCRIBE) {
+            const id = c.uint16();
+            const granted = [];
+            const added = [];
+            while (!c.done()) {
+                const filter = c.string();
+                c.byte();   // requested QoS
+                client.filters.add(filter);
+                added.push(filter);
+                granted.push(0);
+            }
+            client.socket.write(packet(SUBACK, 0, Buffer.concat([packetId(id), Buffer.from(granted)])));
+            for (const [topic, payload] of retained) {
+                if (added.some(filter => topicMatches(filter, topic))) {
+                    client.socket.write(packet(PUBLISH, 1, Buffer.concat([mqttString(topic), payload])));
+                }
+            }
+        } else if (type === UNSUBSCRIBE) {
+            const id = c.uint16();
+            while (!c.done()) client.filters.delete(c.string());
+            client.socket.write(packet(UNSUBACK, 0, packetId(id)));
+        } else if (type === PINGREQ) {
+            client.socket.write(packet(PINGRESP, 0, Buffer.alloc(0)));
+        } else if (type === DISCONNECT) {
+            client.will = null;
+            client.socket.end();
+        }
+    }
+
+    const server = net.createServer((socket) => {
+        const client = { socket, filters: new Set(), will: null, id: null };
+        clients.add(client);
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let next;
+            while ((next = readPacket(buffer))) {
+                buffer = buffer.slice(next.size);
+                handle(client, next);
+            }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            clients.delete(client);
+            if (client.will) publish(client.will.topic, client.will.payload, client.will.retain);
+        });
+    });
+
+    broker.publish = (topic, payload, retain) => publish(topic, payload, retain);
+    // The newest message on a topic, or undefined
+    broker.last = (topic) => [...broker.messages].reverse().find(m => m.topic === topic);
+    broker.listen = () => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        broker.port = server.address().port;
+        resolve(broker);
+    }));
+    broker.close = () => new Promise(resolve => {
+        for (const client of clients) client.socket.destroy();
+        server.close(() => resolve());
+    });
+    return broker;
+}
+
+module.exports = { startBroker, topicMatches };
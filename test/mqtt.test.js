@@ -0,0 +1,162 @@
+// MQTT bridge against a minimal in-process broker; needs the optional mqtt package
+
+const assert = require('assert');
+const { test, waitFor, withServer, hasPackage } = require('./harness');
+const { startBroker } = require('./mqtt-broker');
+
+const CHIP = 222;
+const OTHER = 223;
+const skip = hasPackage('mqtt') ? undefined : 'mqtt package not installed (cd test && npm install)';
+
+// A broker for the length of one test, with the server pointed at it
+async function withBroker(options, fn) {
+    const broker = await startBroker().listen();
+    try {
+        await withServer({ ...options, env: { MQTT_ENABLED: 'true', MQTT_HOST: '127.0.0.1', MQTT_PORT: String(broker.port), ...options.env } },
+            context => fn({ ...context, broker }));
+    } finally {
+        await broker.close();
+    }
+}
+
+function waitForMessage(broker, topic, payload) {
+    return waitFor(() => broker.messages.some(m => m.topic === topic && (payload === undefined || m.payload === payload)),
+        `${topic}${payload === undefined ? '' : ` = ${payload}`}`);
+}
+
+test('announces the bridge and publishes discovery and state for a shade', () => withBroker({ shades: [CHIP] }, async ({ broker }) => {
+    await waitForMessage(broker, 'linkshades/bridge/status', 'online');
+    await waitForMessage(broker, `homeassistant/cover/linkshade_${CHIP}/config`);
+    const config = JSON.parse(broker.last(`homeassistant/cover/linkshade_${CHIP}/config`).payload);
+    assert.strictEqual(config.unique_id, `linkshade_${CHIP}`);
+    assert.strictEqual(config.set_position_topic, `linkshades/${CHIP}/set`);
+    assert.ok(broker.retained.has(`homeassistant/cover/linkshade_${CHIP}/config`));
+
+    await waitForMessage(broker, `linkshades/${CHIP}/available`, 'online');
+    await waitForMessage(broker, `linkshades/${CHIP}/position`);
+}), { skip });
+
+test('moves a shade on a set message and reports where it ended up', () => withBroker({ shades: [CHIP] }, async ({ broker, shade }) => {
+    await waitForMessage(broker, 'linkshades/bridge/status', 'online');
+    await waitFor(() => [...broker.clients].some(c => c.filters.has('linkshades/+/set')), 'the server to subscribe');
+
+    broker.publish(`linkshades/${CHIP}/set`, '100');
+    await waitFor(() => shade(CHIP).position === 1000, 'the shade to open');
+    await waitForMessage(broker, `linkshades/${CHIP}/position`, '100');
+    await waitForMessage(broker, `linkshades/${CHIP}/state`, 'open');
+
+    broker.publish(`linkshades/${CHIP}/command`, 'CLOSE');
+    await waitFor(() => shade(CHIP).received.some(m => m.command === 73), 'the close command');
+}), { skip });
+
+test('ignores payloads that are not a position or OPEN/CLOSE/STOP', () => withBroker({ shades: [CHIP] }, async ({ broker, server, shade }) => {
+    await waitFor(() => [...broker.clients].some(c => c.filters.has('linkshades/+/set')), 'the server to subscribe');
+    const before = shade(CHIP).received.length;
+
+    for (const payload of ['sideways', '150', '-1']) {
+        broker.publish(`linkshades/${CHIP}/set`, payload);
+        await waitFor(() => server.output.includes(`Ignoring "${payload}"`), `the server to ignore ${payload}`);
+    }
+    assert.strictEqual(shade(CHIP).received.length, before);
+}), { skip });
+
+test('republishes discovery on a rename and clears the retained topics of a forgotten shade', () => withBroker({ shades: [CHIP] }, async ({ broker, server }) => {
+    const config = `homeassistant/cover/linkshade_${CHIP}/config`;
+    await waitForMessage(broker, `linkshades/${CHIP}/position`);
+
+    await server.request('PATCH', `/api/shades/${CHIP}`, { name: 'Study', room: 'Office' });
+    await waitFor(() => JSON.parse(broker.retained.get(config) || '{}').name === 'Study', 'discovery with the new name');
+    assert.strictEqual(JSON.parse(broker.retained.get(config)).device.suggested_area, 'Office');
+
+    await server.request('DELETE', `/api/shades/${CHIP}`);
+    const topics = [config, `linkshades/${CHIP}/position`, `linkshades/${CHIP}/available`, `linkshades/${CHIP}/state`];
+    await waitFor(() => topics.every(topic => !broker.retained.has(topic)), 'the retained topics to be cleared');
+}), { skip });
+
+test('marks a shade unavailable when it disconnects', () => withBroker({ shades: [CHIP], simulator: { reconnectMs: 0 } }, async ({ broker, simulator }) => {
+    await waitForMessage(broker, `linkshades/${CHIP}/available`, 'online');
+    simulator.stop();
+    await waitForMessage(broker, `linkshades/${CHIP}/available`, 'offline');
+}), { skip });
+
+test('describes each shade as a cover with open, close and stop that needs the bridge online', () => withBroker({ shades: [CHIP] }, async ({ broker }) => {
+    await waitForMessage(broker, `homeassistant/cover/linkshade_${CHIP}/config`);
+    const config = JSON.parse(broker.last(`homeassistant/cover/linkshade_${CHIP}/config`).payload);
+    assert.deepStrictEqual(
+        [config.command_topic, config.state_topic, config.position_topic, config.payload_open, config.payload_close, config.payload_stop],
+        [`linkshades/${CHIP}/command`, `linkshades/${CHIP}/state`, `linkshades/${CHIP}/position`, 'OPEN', 'CLOSE', 'STOP']
+    );
+    assert.deepStrictEqual(config.availability, [{ topic: 'linkshades/bridge/status' }, { topic: `linkshades/${CHIP}/available` }]);
+    assert.strictEqual(config.availability_mode, 'all');
+    await waitForMessage(broker, `linkshades/${CHIP}/state`, 'closed');
+}), { skip });
+
+test('stops a moving shade on STOP and reports opening on the way', () => withBroker({ shades: [CHIP], simulator: { speed: 100 } }, async ({ broker, shade }) => {
+    await waitFor(() => [...broker.clients].some(c => c.filters.has('linkshades/+/command')), 'the server to subscribe');
+    broker.publish(`linkshades/${CHIP}/command`, 'OPEN');
+    await waitForMessage(broker, `linkshades/${CHIP}/state`, 'opening');
+    await waitFor(() => Number(broker.last(`linkshades/${CHIP}/position`).payload) > 0, 'the shade to get going');
+
+    broker.publish(`linkshades/${CHIP}/command`, 'STOP');
+    await waitFor(() => shade(CHIP).received.length === 2, 'the stop command');
+    const stop = shade(CHIP).received[1].command;
+    assert.ok(stop > 73 && stop < 100, `stopped with command ${stop}`);
+}), { skip });
+
+test('honours a custom topic and discovery prefix everywhere', () => withBroker({ shades: [CHIP], env: { MQTT_TOPIC_PREFIX: 'blinds', MQTT_DISCOVERY_PREFIX: 'ha' } }, async ({ broker, shade }) => {
+    await waitForMessage(broker, 'blinds/bridge/status', 'online');
+    await waitForMessage(broker, `ha/cover/linkshade_${CHIP}/config`);
+    const config = JSON.parse(broker.last(`ha/cover/linkshade_${CHIP}/config`).payload);
+    assert.strictEqual(config.set_position_topic, `blinds/${CHIP}/set`);
+    await waitFor(() => [...broker.clients].some(c => c.filters.has('blinds/+/set') && c.filters.has('ha/status')), 'the server to subscribe');
+
+    broker.publish(`linkshades/${CHIP}/set`, '100');
+    broker.publish(`blinds/${CHIP}/set`, '50');
+    await waitFor(() => shade(CHIP).received.length > 0, 'the move');
+    assert.deepStrictEqual(shade(CHIP).received, [{ chipID: CHIP, command: 87 }]);
+    // Nothing but the test's own message under the default prefixes
+    assert.deepStrictEqual(broker.messages.filter(m => /^(linkshades|homeassistant)\//.test(m.topic)).map(m => m.topic), [`linkshades/${CHIP}/set`]);
+}), { skip });
+
+test('republishes discovery and state when Home Assistant comes online', () => withBroker({ shades: [CHIP] }, async ({ broker }) => {
+    await waitForMessage(broker, `linkshades/${CHIP}/position`);
+    await waitFor(() => [...broker.clients].some(c => c.filters.has('homeassistant/status')), 'the server to subscribe');
+    broker.messages.length = 0;
+
+    broker.publish('homeassistant/status', 'offline');
+    broker.publish('homeassistant/status', 'online');
+    await waitForMessage(broker, `homeassistant/cover/linkshade_${CHIP}/config`);
+    await waitForMessage(broker, 'linkshades/bridge/status', 'online');
+    await waitForMessage(broker, `linkshades/${CHIP}/position`);
+    await waitForMessage(broker, `linkshades/${CHIP}/available`, 'online');
+}), { skip });
+
+test('exposes groups as covers and scenes as scenes', () => withBroker({ shades: [CHIP, OTHER], env: { COMMAND_INTERVAL_MS: '0' } }, async ({ broker, server, shade }) => {
+    await server.request('POST', '/api/groups', { name: 'Front', shades: [String(CHIP), String(OTHER)] });
+    await server.request('POST', '/api/scenes', { name: 'Morning', positions: { [CHIP]: 100, [OTHER]: 50 } });
+    await waitForMessage(broker, 'homeassistant/cover/linkshades_group_front/config');
+    await waitForMessage(broker, 'homeassistant/scene/linkshades_scene_morning/config');
+    const scene = JSON.parse(broker.last('homeassistant/scene/linkshades_scene_morning/config').payload);
+    assert.strictEqual(scene.command_topic, 'linkshades/scene/morning/activate');
+    await waitFor(() => [...broker.clients].some(c => c.filters.has('linkshades/group/+/set')), 'the server to subscribe');
+
+    broker.publish('linkshades/group/front/set', '0');
+    await waitFor(() => [CHIP, OTHER].every(id => shade(id).received.some(m => m.command === 73)), 'the group to close');
+    broker.publish('linkshades/scene/morning/activate', 'ON');
+    await waitFor(() => shade(CHIP).received.some(m => m.command === 100) && shade(OTHER).received.some(m => m.command === 87), 'the scene');
+    await waitForMessage(broker, 'linkshades/group/front/available', 'online');
+}), { skip });
+
+test('the broker publishes the will when the server dies', async () => {
+    const broker = await startBroker().listen();
+    try {
+        await withServer({ env: { MQTT_ENABLED: 'true', MQTT_HOST: '127.0.0.1', MQTT_PORT: String(broker.port) } }, async ({ server }) => {
+            await waitForMessage(broker, 'linkshades/bridge/status', 'online');
+            server.child.kill('SIGKILL');
+            await waitFor(() => broker.last('linkshades/bridge/status').payload === 'offline', 'the will');
+            assert.strictEqual(broker.retained.get('linkshades/bridge/status').toString(), 'offline');
+        });
+    } finally {
+        await broker.close();
+    }
+}, { skip });
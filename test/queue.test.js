@@ -0,0 +1,80 @@
+// The per-shade command queue: input checks, coalescing and offline queueing
+
+const assert = require('assert');
+const { test, sleep, waitFor, withServer } = require('./harness');
+const { startSimulator } = require('../simulator');
+
+const CHIP = 888;
+
+test('rejects a position that is not a number from 0 to 100 with its own message', () => withServer({ shades: [CHIP] }, async ({ server, shade }) => {
+    for (const body of [{ position: 'abc' }, { position: '50' }, { position: 150 }, { position: -1 }, {}]) {
+        const res = await server.request('POST', `/api/shades/${CHIP}/position`, body);
+        assert.strictEqual(res.status, 400, JSON.stringify(body));
+        assert.strictEqual(res.body.error, 'position must be a number between 0 and 100', JSON.stringify(body));
+    }
+    assert.strictEqual(shade(CHIP).received.length, 0);
+}));
+
+test('a new position replaces the one still waiting, raw frames keep their order', () => withServer({ shades: [CHIP], env: { COMMAND_INTERVAL_MS: '1500' } }, async ({ server, shade }) => {
+    assert.strictEqual((await server.request('POST', `/api/shades/${CHIP}/command`, { command: 80 })).body.status, 'sent');
+    const waiting = [];
+    for (const position of [10, 20, 30]) {
+        const res = await server.request('POST', `/api/shades/${CHIP}/position`, { position });
+        assert.strictEqual(res.body.status, 'queued');
+        waiting.push(res.body.command);
+    }
+    let queue = (await server.request('GET', `/api/shades/${CHIP}/queue`)).body;
+    assert.deepStrictEqual(queue.entries.map(e => e.command), [waiting[2]]);
+
+    await server.request('POST', `/api/shades/${CHIP}/test`, { step: 1 });
+    await server.request('POST', `/api/shades/${CHIP}/test`, { step: 2 });
+    queue = (await server.request('GET', `/api/shades/${CHIP}/queue`)).body;
+    assert.strictEqual(queue.entries.length, 3);
+
+    await waitFor(() => shade(CHIP).received.filter(m => m.step).length === 2, 'the raw frames', 15000);
+    const received = shade(CHIP).received;
+    assert.deepStrictEqual(received.filter(m => m.command !== undefined).map(m => m.command), [80, waiting[2]]);
+    assert.deepStrictEqual(received.filter(m => m.step).map(m => m.step), [1, 2]);
+}));
+
+test('holds commands for an offline shade until it reconnects', () => withServer({ shades: [CHIP], env: { OFFLINE_COMMAND_TTL_SECONDS: '60' }, simulator: { reconnectMs: 0 } }, async ({ server, simulator }) => {
+    simulator.stop();
+    await waitFor(async () => (await server.request('GET', `/api/shades/${CHIP}`)).body.online === false, 'the shade to go offline');
+
+    const res = await server.request('POST', `/api/shades/${CHIP}/position`, { position: 100 });
+    assert.strictEqual(res.body.status, 'queued');
+    assert.ok(Date.parse(res.body.queued.expiresAt) > Date.now());
+
+    const again = startSimulator({ server: `ws://127.0.0.1:${server.port}`, quiet: true, shades: [CHIP] });
+    try {
+        await waitFor(() => again.shades[0].received.some(m => m.command === 100), 'the held command');
+        assert.strictEqual((await server.request('GET', `/api/shades/${CHIP}/queue`)).body.entries.length, 0);
+    } finally {
+        again.stop();
+    }
+}));
+
+test('drops held commands once their time to live passes', () => withServer({ shades: [CHIP], env: { OFFLINE_COMMAND_TTL_SECONDS: '1' }, simulator: { reconnectMs: 0 } }, async ({ server, simulator }) => {
+    simulator.stop();
+    await waitFor(async () => (await server.request('GET', `/api/shades/${CHIP}`)).body.online === false, 'the shade to go offline');
+    assert.strictEqual((await server.request('POST', `/api/shades/${CHIP}/position`, { position: 100 })).body.status, 'queued');
+
+    await sleep(1500);
+    const again = startSimulator({ server: `ws://127.0.0.1:${server.port}`, quiet: true, shades: [CHIP] });
+    try {
+        await waitFor(async () => (await server.request('GET', `/api/shades/${CHIP}`)).body.online, 'the shade to reconnect');
+        await sleep(500);
+        assert.ok(!again.shades[0].received.some(m => m.command === 100), 'an expired command was sent');
+        assert.strictEqual((await server.request('GET', `/api/shades/${CHIP}/queue`)).body.entries.length, 0);
+        assert.match(server.output, /expired/);
+    } finally {
+        again.stop();
+    }
+}));
+
+test('answers offline without a time to live', () => withServer({ shades: [CHIP], simulator: { reconnectMs: 0 } }, async ({ server, simulator }) => {
+    simulator.stop();
+    await waitFor(async () => (await server.request('GET', `/api/shades/${CHIP}`)).body.online === false, 'the shade to go offline');
+    assert.strictEqual((await server.request('POST', `/api/shades/${CHIP}/position`, { position: 100 })).body.status, 'offline');
+    assert.strictEqual((await server.request('GET', `/api/shades/${CHIP}/queue`)).body.entries.length, 0);
+}));
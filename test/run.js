@@ -0,0 +1,26 @@
+/**
+ * Runs the integration tests: node test/run.js [name ...]
+ *
+ * Every test/*.test.js is loaded, or only those whose file name contains one
+ * of the given names (node test/run.js mqtt). Exits 1 if any test failed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { run } = require('./harness');
+
+const filters = process.argv.slice(2);
+const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.test.js'))
+    .filter(file => filters.length === 0 || filters.some(name => file.includes(name)))
+    .sort();
+
+if (files.length === 0) {
+    console.error(`No test files match ${filters.join(', ')}`);
+    process.exit(1);
+}
+for (const file of files) require(path.join(__dirname, file));
+
+run().then(failed => {
+    process.exit(failed ? 1 : 0);
+});
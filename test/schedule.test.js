@@ -0,0 +1,99 @@
+// The scheduler: job validation, next run times, and firing one-shot jobs
+
+const assert = require('assert');
+const { test, waitFor, withServer } = require('./harness');
+const { startSimulator } = require('../simulator');
+
+const CHIP = 121;
+const OTHER = 122;
+
+async function createSchedule(server, job) {
+    const res = await server.request('POST', '/api/schedules', job);
+    assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+}
+
+test('rejects a job that could never run', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    const base = { target: String(CHIP), position: 50 };
+    const bad = [
+        { ...base, cron: '61 * * * *' },
+        { ...base, cron: 'every morning' },
+        { ...base, cron: '0 7 * * *', at: '2030-01-01T07:00' },
+        { ...base },
+        { ...base, cron: '0 7 * * *', timezone: 'Mars/Olympus' },
+        { ...base, at: 'next tuesday' },
+        { ...base, cron: '0 7 * * *', target: '999' },
+        { ...base, cron: '0 7 * * *', position: 101 },
+        { ...base, sun: { event: 'sunrise' } }
+    ];
+    for (const job of bad) {
+        const res = await server.request('POST', '/api/schedules', job);
+        assert.strictEqual(res.status, 400, `${JSON.stringify(job)} was accepted`);
+    }
+    assert.deepStrictEqual((await server.request('GET', '/api/schedules')).body, []);
+}));
+
+test('works out the next run in the job\'s timezone', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    const utc = await createSchedule(server, { target: String(CHIP), position: 100, cron: '30 6 * * *', timezone: 'UTC' });
+    assert.match(utc.nextRun, /T06:30:00\.000Z$/);
+    assert.ok(Date.parse(utc.nextRun) > Date.now());
+    assert.ok(Date.parse(utc.nextRun) - Date.now() <= 24 * 3600000);
+
+    // Tokyo has no DST: 06:30 there is always 21:30 UTC the day before
+    const tokyo = await createSchedule(server, { target: String(CHIP), position: 100, cron: '30 6 * * MON-FRI', timezone: 'Asia/Tokyo' });
+    assert.match(tokyo.nextRun, /T21:30:00\.000Z$/);
+    const weekday = new Date(Date.parse(tokyo.nextRun) + 9 * 3600000).getUTCDay();
+    assert.ok(weekday >= 1 && weekday <= 5, `runs on day ${weekday}`);
+
+    const once = await createSchedule(server, { target: String(CHIP), position: 0, at: '2099-03-04T05:06', timezone: 'UTC' });
+    assert.strictEqual(once.nextRun, '2099-03-04T05:06:00.000Z');
+
+    // Switching an existing job to another trigger drops the old one
+    const switched = await server.request('PUT', `/api/schedules/${once.id}`, { cron: '0 8 * * *' });
+    assert.strictEqual(switched.status, 200, JSON.stringify(switched.body));
+    assert.strictEqual(switched.body.at, undefined);
+    assert.match(switched.body.nextRun, /T08:00:00\.000Z$/);
+
+    const disabled = await server.request('POST', `/api/schedules/${utc.id}/disable`, {});
+    assert.strictEqual(disabled.body.enabled, false);
+    const skipped = await server.request('POST', `/api/schedules/${tokyo.id}/skip`, {});
+    assert.strictEqual(skipped.body.skipNext, true);
+    const unskipped = await server.request('POST', `/api/schedules/${tokyo.id}/skip`, { skip: false });
+    assert.strictEqual(unskipped.body.skipNext, false);
+}));
+
+test('fires one-shot jobs, skips a skipped one and holds a run for an offline shade', () => withServer({ shades: [CHIP] }, async ({ server, shade }) => {
+    // A second shade that is known but offline when the jobs fire
+    const other = startSimulator({ server: `ws://127.0.0.1:${server.port}`, quiet: true, reconnectMs: 0, shades: [OTHER] });
+    await waitFor(async () => (await server.request('GET', `/api/shades/${OTHER}`)).body.online, 'the second shade');
+    other.stop();
+    await waitFor(async () => (await server.request('GET', `/api/shades/${OTHER}`)).body.online === false, 'the second shade to go offline');
+
+    const at = new Date(Date.now() + 1000).toISOString();
+    const run = await createSchedule(server, { name: 'Open', target: String(CHIP), position: 100, at });
+    const skip = await createSchedule(server, { name: 'Skipped', target: String(CHIP), position: 0, at });
+    await server.request('POST', `/api/schedules/${skip.id}/skip`, {});
+    const held = await createSchedule(server, { name: 'Held', target: String(OTHER), position: 100, at });
+
+    // The scheduler checks every 10 seconds
+    await waitFor(async () => (await server.request('GET', `/api/schedules/${run.id}`)).body.lastRun, 'the job to run', 15000);
+    await waitFor(() => shade(CHIP).received.some(m => m.command === 100), 'the scheduled move');
+    assert.ok(!shade(CHIP).received.some(m => m.command === 73), 'the skipped job ran');
+
+    const ran = (await server.request('GET', `/api/schedules/${run.id}`)).body;
+    assert.deepStrictEqual(ran.lastResult, [{ chipID: String(CHIP), status: 'sent' }]);
+    assert.strictEqual(ran.enabled, false);
+    assert.strictEqual(ran.nextRun, null);
+    assert.strictEqual((await server.request('GET', `/api/schedules/${skip.id}`)).body.lastResult, 'skipped');
+
+    const waiting = (await server.request('GET', `/api/schedules/${held.id}`)).body;
+    assert.deepStrictEqual(waiting.lastResult, [{ chipID: String(OTHER), status: 'queued' }]);
+    assert.deepStrictEqual(waiting.pending, [String(OTHER)]);
+
+    const back = startSimulator({ server: `ws://127.0.0.1:${server.port}`, quiet: true, shades: [OTHER] });
+    try {
+        await waitFor(() => back.shades[0].received.some(m => m.command === 100), 'the held run');
+    } finally {
+        back.stop();
+    }
+}));
@@ -0,0 +1,61 @@
+// Editing a shade's metadata and forgetting it
+
+const assert = require('assert');
+const { test, waitFor, withServer } = require('./harness');
+const { stopShade } = require('../simulator');
+
+const CHIP = 161;
+const OTHER = 162;
+
+test('edits a shade\'s name, room, icon, notes and orientation', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    const res = await server.request('PATCH', `/api/shades/${CHIP}`, { name: ' Study ', room: 'Office', icon: 'mdi:blinds', notes: 'Left of the desk', orientation: 270 });
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    const shade = (await server.request('GET', `/api/shades/${CHIP}`)).body;
+    assert.deepStrictEqual([shade.name, shade.room, shade.icon, shade.notes, shade.orientation], ['Study', 'Office', 'mdi:blinds', 'Left of the desk', 270]);
+
+    // One bad field and nothing changes
+    for (const body of [{ name: 'Den', orientation: 360 }, { name: 'Den', room: 42 }, { name: 'x'.repeat(65) }]) {
+        const bad = await server.request('PATCH', `/api/shades/${CHIP}`, body);
+        assert.strictEqual(bad.status, 400, JSON.stringify(body));
+    }
+    assert.strictEqual((await server.request('GET', `/api/shades/${CHIP}`)).body.name, 'Study');
+
+    // Clearing the name goes back to the default, clearing a field drops it
+    const cleared = await server.request('PATCH', `/api/shades/${CHIP}`, { name: '', room: null });
+    assert.strictEqual(cleared.body.name, `LinkShade ${CHIP}`);
+    assert.strictEqual(cleared.body.room, undefined);
+
+    assert.strictEqual((await server.request('PATCH', '/api/shades/999', { name: 'Ghost' })).status, 404);
+}));
+
+test('forgets a shade and every reference to it', () => withServer({ shades: [CHIP, OTHER], simulator: { reconnectMs: 0 } }, async ({ server, simulator }) => {
+    await server.request('POST', '/api/groups', { name: 'Alone', shades: [String(CHIP)] });
+    await server.request('POST', '/api/groups', { name: 'Pair', shades: [String(CHIP), String(OTHER)] });
+    await server.request('POST', '/api/scenes', { name: 'Evening', positions: { [CHIP]: 0, [OTHER]: 50 } });
+    await server.request('POST', '/api/schedules', { target: String(CHIP), position: 100, cron: '0 7 * * *' });
+
+    stopShade(simulator.shades.find(s => s.chipID === CHIP));
+    await waitFor(async () => (await server.request('GET', `/api/shades/${CHIP}`)).body.online === false, 'the shade to go offline');
+
+    const res = await server.request('DELETE', `/api/shades/${CHIP}`);
+    assert.deepStrictEqual(res.body, { status: 'deleted', chipID: String(CHIP), online: false });
+    assert.strictEqual((await server.request('GET', `/api/shades/${CHIP}`)).status, 404);
+
+    const groups = (await server.request('GET', '/api/groups')).body;
+    assert.deepStrictEqual(groups.map(g => [g.id, g.shades]), [['pair', [String(OTHER)]]]);
+    const scenes = (await server.request('GET', '/api/scenes')).body;
+    assert.deepStrictEqual(scenes[0].positions, { [OTHER]: 50 });
+    assert.deepStrictEqual((await server.request('GET', '/api/schedules')).body, []);
+}));
+
+test('a forgotten shade that is still connected comes back with its next report', () => withServer({ shades: [CHIP], simulator: { idleReportMs: 200 } }, async ({ server }) => {
+    await server.request('PATCH', `/api/shades/${CHIP}`, { name: 'Study' });
+    const res = await server.request('DELETE', `/api/shades/${CHIP}`);
+    assert.strictEqual(res.body.online, true);
+
+    const back = await waitFor(async () => {
+        const shade = await server.request('GET', `/api/shades/${CHIP}`);
+        return shade.status === 200 && shade.body;
+    }, 'the shade to report again');
+    assert.strictEqual(back.name, `LinkShade ${CHIP}`);
+}));
@@ -0,0 +1,70 @@
+// Sun times, sun schedules and glare automations, with the location set
+// through a config reload
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { test, waitFor, withServer } = require('./harness');
+
+const CHIP = 131;
+const HOUR_MS = 3600000;
+
+// On the equator at the longitude where it is noon right now the sun is
+// high; half way round the world it is night
+function noonLongitude() {
+    const now = new Date();
+    const hours = now.getUTCHours() + now.getUTCMinutes() / 60;
+    return wrapLongitude((12 - hours) * 15);
+}
+
+function wrapLongitude(longitude) {
+    return ((longitude + 540) % 360) - 180;
+}
+
+async function setLocation(server, latitude, longitude) {
+    fs.writeFileSync(path.join(server.dataDir, 'linkshades.json'), JSON.stringify({ location: { latitude, longitude } }));
+    const res = await server.request('POST', '/api/admin/reload');
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+}
+
+test('computes today\'s sun times and a sun schedule\'s next run', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    assert.deepStrictEqual((await server.request('GET', '/api/sun')).body, { configured: false });
+
+    await setLocation(server, 0, noonLongitude());
+    const sun = (await server.request('GET', '/api/sun')).body;
+    assert.strictEqual(sun.configured, true);
+    assert.ok(sun.elevation > 45, `elevation ${sun.elevation} at noon on the equator`);
+    assert.ok(sun.azimuth >= 0 && sun.azimuth <= 360);
+
+    const times = Object.fromEntries(Object.entries(sun.times).map(([event, at]) => [event, Date.parse(at)]));
+    assert.ok(times.dawn < times.sunrise && times.sunrise < times.noon && times.noon < times.sunset && times.sunset < times.dusk, JSON.stringify(sun.times));
+    assert.ok(Math.abs(times.noon - Date.now()) < HOUR_MS, `solar noon at ${sun.times.noon}`);
+    // About twelve hours of daylight on the equator all year round
+    assert.ok(Math.abs(times.sunset - times.sunrise - 12 * HOUR_MS) < 0.5 * HOUR_MS);
+
+    const res = await server.request('POST', '/api/schedules', { target: String(CHIP), position: 100, sun: { event: 'sunrise', offsetMinutes: 20 } });
+    assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+    assert.strictEqual(res.body.name, '20 min after sunrise');
+    // Tomorrow's sunrise: within a few minutes of today's, a day later
+    const next = Date.parse(res.body.nextRun) - 20 * 60000;
+    assert.ok(Math.abs(next - times.sunrise - 24 * HOUR_MS) < 5 * 60000, `next run ${res.body.nextRun}, sunrise ${sun.times.sunrise}`);
+}));
+
+test('moves a shade when the sun enters a rule\'s window and restores it when it leaves', () => withServer({ shades: [CHIP] }, async ({ server, shade }) => {
+    const missing = await server.request('POST', '/api/automations', { target: String(CHIP), position: 0 });
+    assert.strictEqual(missing.status, 400);
+    assert.match(missing.body.error, /orientation/);
+
+    await setLocation(server, 0, noonLongitude());
+    const res = await server.request('POST', '/api/automations', {
+        name: 'Daylight', target: String(CHIP), position: 50, restorePosition: 100, azimuthFrom: 0, azimuthTo: 360, minElevation: 0
+    });
+    assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+    assert.deepStrictEqual(res.body.active, [String(CHIP)]);
+    await waitFor(() => shade(CHIP).received.some(m => m.command === 87), 'the shade to move to 50%');
+
+    // Night falls: the same moment, on the other side of the world
+    await setLocation(server, 0, wrapLongitude(noonLongitude() + 180));
+    await waitFor(() => shade(CHIP).received.some(m => m.command === 100), 'the shade to be restored');
+    assert.deepStrictEqual((await server.request('GET', `/api/automations/${res.body.id}`)).body.active, []);
+}));
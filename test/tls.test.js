@@ -0,0 +1,66 @@
+// The https/wss listener; the self-signed certificate needs openssl
+
+const assert = require('assert');
+const fs = require('fs');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test, waitFor, withServer, freePorts } = require('./harness');
+
+function hasOpenssl() {
+    try {
+        execFileSync('openssl', ['version'], { stdio: 'ignore' });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+const skip = hasOpenssl() ? undefined : 'openssl not installed';
+
+function httpsGet(port, urlPath, servername) {
+    return new Promise((resolve, reject) => {
+        const req = https.get({ host: '127.0.0.1', port, path: urlPath, servername, rejectUnauthorized: false }, (res) => {
+            const cert = res.socket.getPeerCertificate();
+            let text = '';
+            res.on('data', chunk => text += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, body: text, cert }));
+        });
+        req.on('error', reject);
+    });
+}
+
+test('serves the API over https with a self-signed certificate', async () => {
+    const [port, tlsPort] = await freePorts(2);
+    await withServer({ env: { PORT: String(port), TLS_ENABLED: 'true', TLS_PORT: String(tlsPort) } }, async ({ server }) => {
+        await waitFor(() => server.output.includes('[TLS] Listening'), 'the TLS listener');
+        const fingerprint = server.output.match(/SHA-256 ([0-9A-F:]+)/)[1];
+
+        const res = await httpsGet(tlsPort, '/api/health', 'localhost');
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(JSON.parse(res.body).status, 'ok');
+        assert.strictEqual(res.cert.fingerprint256, fingerprint);
+        assert.ok(fs.existsSync(path.join(server.dataDir, 'tls', 'selfsigned.crt')));
+    });
+}, { skip });
+
+test('a certificate that is not PEM disables TLS but not the server', async () => {
+    const [port, tlsPort] = await freePorts(2);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkshades-test-'));
+    const cert = path.join(dir, 'bad.crt');
+    const key = path.join(dir, 'bad.key');
+    try {
+        for (const contents of ['not a certificate', '-----BEGIN CERTIFICATE-----\nAAAA\n-----END CERTIFICATE-----\n']) {
+            fs.writeFileSync(cert, contents);
+            fs.writeFileSync(key, contents);
+            await withServer({ env: { PORT: String(port), TLS_ENABLED: 'true', TLS_PORT: String(tlsPort), TLS_CERT: cert, TLS_KEY: key } }, async ({ server }) => {
+                await waitFor(() => server.output.includes('[TLS] Not starting'), 'TLS to give up');
+                assert.strictEqual((await server.request('GET', '/api/health')).status, 200);
+                await assert.rejects(httpsGet(tlsPort, '/api/health'));
+            });
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}, { skip });
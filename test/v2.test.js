@@ -0,0 +1,77 @@
+// /api/v2: status codes, error shape and the OpenAPI description
+
+const assert = require('assert');
+const { test, waitFor, withServer } = require('./harness');
+
+const CHIP = 777;
+
+function assertError(res, status, code) {
+    assert.strictEqual(res.status, status, JSON.stringify(res.body));
+    assert.strictEqual(res.body.error.code, code, JSON.stringify(res.body));
+    assert.strictEqual(typeof res.body.error.message, 'string');
+}
+
+test('answers moves with 200 when sent and 202 when queued', () => withServer({ shades: [CHIP], env: { COMMAND_INTERVAL_MS: '1000' } }, async ({ server, shade }) => {
+    const sent = await server.request('POST', `/api/v2/shades/${CHIP}/position`, { position: 50 });
+    assert.strictEqual(sent.status, 200, JSON.stringify(sent.body));
+    assert.strictEqual(sent.body.status, 'sent');
+
+    const queued = await server.request('POST', `/api/v2/shades/${CHIP}/command`, { command: 90 });
+    assert.strictEqual(queued.status, 202, JSON.stringify(queued.body));
+    assert.strictEqual(queued.body.status, 'queued');
+    await waitFor(() => shade(CHIP).received.some(m => m.command === 90), 'the queued command');
+
+    const cleared = await server.request('DELETE', `/api/v2/shades/${CHIP}/queue`);
+    assert.strictEqual(cleared.status, 200, JSON.stringify(cleared.body));
+}));
+
+test('takes raw commands across the whole calibration range', () => withServer({ shades: [CHIP], env: { COMMAND_INTERVAL_MS: '0' } }, async ({ server, shade }) => {
+    for (const command of [0, 500, 1000]) {
+        const res = await server.request('POST', `/api/v2/shades/${CHIP}/command`, { command });
+        assert.strictEqual(res.status, 200, `${command}: ${JSON.stringify(res.body)}`);
+        await waitFor(() => shade(CHIP).received.some(m => m.command === command), `command ${command}`);
+    }
+    for (const command of [-1, 1001, 85.5, '85']) {
+        assertError(await server.request('POST', `/api/v2/shades/${CHIP}/command`, { command }), 422, 'invalid_input');
+    }
+
+    const spec = (await server.request('GET', '/api/v2/openapi.json')).body;
+    const body = spec.paths['/api/v2/shades/{chipID}/command'].post.requestBody.content['application/json'].schema;
+    assert.strictEqual(body.properties.command.minimum, 0);
+    assert.strictEqual(body.properties.command.maximum, 1000);
+    assert.match(body.properties.command.description, /calibration/);
+}));
+
+test('rejects bad input with 400 and 422 and lists every problem', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    assertError(await server.request('POST', `/api/v2/shades/${CHIP}/position`, '{"position": '), 400, 'invalid_json');
+
+    const res = await server.request('POST', `/api/v2/shades/${CHIP}/position`, { position: 101, speed: 'fast', timeout: 5 });
+    assertError(res, 422, 'invalid_input');
+    const fields = res.body.error.details.map(d => d.field).sort();
+    assert.deepStrictEqual(fields, ['body.position', 'body.speed', 'body.timeout']);
+
+    assertError(await server.request('POST', `/api/v2/shades/${CHIP}/position`, {}), 422, 'invalid_input');
+    assertError(await server.request('GET', '/api/v2/shades?limit=0'), 422, 'invalid_input');
+    assertError(await server.request('GET', '/api/v2/shades?colour=red'), 422, 'invalid_input');
+}));
+
+test('answers unknown things with 404 and wrong methods with 405', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    assertError(await server.request('GET', '/api/v2/shades/999'), 404, 'shade_not_found');
+    assertError(await server.request('GET', '/api/v2/groups/nope'), 404, 'group_not_found');
+    assertError(await server.request('GET', '/api/v2/scenes/nope'), 404, 'scene_not_found');
+    assertError(await server.request('GET', '/api/v2/nothing-here'), 404, 'not_found');
+
+    const res = await server.request('PUT', `/api/v2/shades/${CHIP}/position`, { position: 50 });
+    assertError(res, 405, 'method_not_allowed');
+    assert.strictEqual(res.headers.allow, 'POST');
+}));
+
+test('answers a move for an offline shade with 409 and a delete with 204', () => withServer({ shades: [CHIP], simulator: { reconnectMs: 0 } }, async ({ server, simulator }) => {
+    simulator.stop();
+    await waitFor(async () => (await server.request('GET', `/api/v2/shades/${CHIP}`)).body.online === false, 'the shade to go offline');
+    assertError(await server.request('POST', `/api/v2/shades/${CHIP}/position`, { position: 50 }), 409, 'shade_offline');
+
+    const deleted = await server.request('DELETE', `/api/v2/shades/${CHIP}`);
+    assert.strictEqual(deleted.status, 204);
+    assertError(await server.request('GET', `/api/v2/shades/${CHIP}`), 404, 'shade_not_found');
+}));
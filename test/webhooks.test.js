@@ -0,0 +1,154 @@
+// Webhooks against a local receiver: validation, signing, filters and retries
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const { test, waitFor, withServer, freePort } = require('./harness');
+const { stopShade } = require('../simulator');
+
+const CHIP = 201;
+const OTHER = 202;
+const SECRET = 'a-secret-of-some-length';
+
+// A receiver that answers with the next status from `statuses` (200 once
+// they run out, or never with null) and keeps every request it got
+function startReceiver(statuses = []) {
+    const receiver = { requests: [] };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            receiver.requests.push({ at: Date.now(), headers: req.headers, body });
+            const status = statuses.length ? statuses.shift() : 200;
+            if (status === null) return;
+            res.writeHead(status);
+            res.end();
+        });
+    });
+    receiver.close = () => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    };
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+        resolve(receiver);
+    }));
+}
+
+async function createWebhook(server, webhook) {
+    const res = await server.request('POST', '/api/webhooks', webhook);
+    assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+}
+
+function deliveries(server, id) {
+    return server.request('GET', `/api/webhooks/${id}/deliveries`).then(res => res.body.deliveries);
+}
+
+test('refuses webhooks it could never deliver and only shows the secret once', () => withServer({ shades: [CHIP] }, async ({ server }) => {
+    const url = 'http://127.0.0.1:9/hook';
+    const bad = [
+        { url: 'ftp://127.0.0.1/hook' },
+        { url: 'not a url' },
+        { url, events: ['shade.exploded'] },
+        { url, events: [] },
+        { url, shades: ['999'] },
+        { url, secret: 'short' }
+    ];
+    for (const webhook of bad) {
+        assert.strictEqual((await server.request('POST', '/api/webhooks', webhook)).status, 400, JSON.stringify(webhook));
+    }
+
+    const created = await createWebhook(server, { url });
+    assert.match(created.secret, /^[0-9a-f]{48}$/);
+    assert.strictEqual(created.events.length, 5);
+    assert.strictEqual(created.shades, null);
+    assert.strictEqual((await server.request('GET', `/api/webhooks/${created.id}`)).body.secret, undefined);
+    assert.strictEqual((await server.request('GET', '/api/webhooks')).body[0].secret, undefined);
+}));
+
+test('signs each delivery and sends only the events and shades asked for', () => withServer({ shades: [CHIP, OTHER], simulator: { reconnectMs: 0 } }, async ({ server, simulator }) => {
+    const receiver = await startReceiver();
+    try {
+        await createWebhook(server, { url: receiver.url, events: ['shade.disconnected'], shades: [String(CHIP)], secret: SECRET });
+        stopShade(simulator.shades.find(s => s.chipID === OTHER));
+        stopShade(simulator.shades.find(s => s.chipID === CHIP));
+        await waitFor(() => receiver.requests.length, 'a delivery');
+        await waitFor(async () => (await server.request('GET', `/api/shades/${OTHER}`)).body.online === false, 'the other shade to go offline');
+
+        assert.strictEqual(receiver.requests.length, 1);
+        const { headers, body } = receiver.requests[0];
+        const payload = JSON.parse(body);
+        assert.strictEqual(payload.event, 'shade.disconnected');
+        assert.strictEqual(payload.data.chipID, String(CHIP));
+        assert.strictEqual(headers['x-linkshades-event'], 'shade.disconnected');
+        assert.strictEqual(headers['x-linkshades-delivery'], payload.id);
+        assert.strictEqual(headers['content-type'], 'application/json');
+
+        const timestamp = headers['x-linkshades-timestamp'];
+        assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 60);
+        const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+        assert.strictEqual(headers['x-linkshades-signature'], `sha256=${expected}`);
+    } finally {
+        await receiver.close();
+    }
+}));
+
+test('retries 5xx and 429 with a doubling delay until the receiver takes it', () => withServer({ env: { WEBHOOK_RETRY_BASE_MS: '200' } }, async ({ server }) => {
+    const receiver = await startReceiver([503, 429, 200]);
+    try {
+        const webhook = await createWebhook(server, { url: receiver.url });
+        const res = await server.request('POST', `/api/webhooks/${webhook.id}/test`);
+        assert.strictEqual(res.status, 202);
+
+        const [delivery] = await waitFor(async () => {
+            const list = await deliveries(server, webhook.id);
+            return list[0].status === 'delivered' && list;
+        }, 'the delivery to go through');
+        assert.deepStrictEqual(delivery.attempts.map(a => a.statusCode), [503, 429, 200]);
+
+        // The same delivery, signed afresh each time
+        assert.strictEqual(new Set(receiver.requests.map(r => r.headers['x-linkshades-delivery'])).size, 1);
+        const gaps = [receiver.requests[1].at - receiver.requests[0].at, receiver.requests[2].at - receiver.requests[1].at];
+        assert.ok(gaps[0] >= 190 && gaps[1] >= 390, `retried after ${gaps.join(' and ')}ms`);
+        assert.strictEqual((await server.request('GET', `/api/webhooks/${webhook.id}`)).body.lastDelivery.status, 'delivered');
+    } finally {
+        await receiver.close();
+    }
+}));
+
+test('gives up at once on a 4xx and after the last attempt otherwise', () => withServer({ env: { WEBHOOK_RETRY_BASE_MS: '50', WEBHOOK_MAX_ATTEMPTS: '3', WEBHOOK_TIMEOUT_MS: '300' } }, async ({ server }) => {
+    const receiver = await startReceiver([404, null, null, null]);
+    try {
+        const rejected = await createWebhook(server, { url: receiver.url });
+        await server.request('POST', `/api/webhooks/${rejected.id}/test`);
+        const [gone] = await waitFor(async () => {
+            const list = await deliveries(server, rejected.id);
+            return list[0].status === 'failed' && list;
+        }, 'the 404 to fail the delivery');
+        assert.deepStrictEqual(gone.attempts.map(a => a.statusCode), [404]);
+
+        // No answer at all: timed out three times
+        await server.request('POST', `/api/webhooks/${rejected.id}/test`);
+        const [silent] = await waitFor(async () => {
+            const list = await deliveries(server, rejected.id);
+            return list[0].status === 'failed' && list;
+        }, 'the timeouts to fail the delivery');
+        assert.deepStrictEqual(silent.attempts.map(a => a.error), Array(3).fill('No response within 0.3s'));
+
+        // Nothing listening
+        const closed = await createWebhook(server, { url: `http://127.0.0.1:${await freePort()}/hook` });
+        await server.request('POST', `/api/webhooks/${closed.id}/test`);
+        const [refused] = await waitFor(async () => {
+            const list = await deliveries(server, closed.id);
+            return list[0].status === 'failed' && list;
+        }, 'the refused connections to fail the delivery');
+        assert.strictEqual(refused.attempts.length, 3);
+        assert.ok(refused.attempts.every(a => a.statusCode === null && /ECONNREFUSED/.test(a.error)), JSON.stringify(refused.attempts));
+
+        const { recentErrors } = (await server.request('GET', '/api/diagnostics')).body;
+        assert.strictEqual(recentErrors.filter(e => e.source === 'webhook').length, 3);
+    } finally {
+        await receiver.close();
+    }
+}));
@@ -0,0 +1,110 @@
+// The shade WebSocket protocol: message size limits, fragmentation, close
+// codes and the ping keepalive, spoken frame by frame
+
+const assert = require('assert');
+const { test, waitFor, withServer, openWebSocket } = require('./harness');
+
+const CHIP = 191;
+const REPORT = JSON.stringify({ chipID: CHIP, position: 500, version: 24, model: 'wired' });
+
+async function shadeOnline(server) {
+    const res = await server.request('GET', `/api/shades/${CHIP}`);
+    return res.status === 200 && res.body.online;
+}
+
+test('closes with 1009 when a message is over the size limit, whole or in fragments', () => withServer({ env: { WS_MAX_MESSAGE_BYTES: '1024' } }, async ({ server }) => {
+    const whole = await openWebSocket(server.port, '/');
+    whole.sendText(JSON.stringify({ chipID: CHIP, padding: 'x'.repeat(2000) }));
+    assert.deepStrictEqual(await whole.closed, { code: 1009, reason: 'Message too big' });
+
+    const pieces = await openWebSocket(server.port, '/');
+    pieces.send(0x1, 'x'.repeat(600), false);
+    pieces.send(0x0, 'x'.repeat(600), true);
+    assert.strictEqual((await pieces.closed).code, 1009);
+    assert.strictEqual((await server.request('GET', `/api/shades/${CHIP}`)).status, 404);
+}));
+
+test('puts a fragmented message back together, answering a ping in the middle', () => withServer({}, async ({ server }) => {
+    const ws = await openWebSocket(server.port, '/');
+    try {
+        ws.send(0x1, REPORT.slice(0, 10), false);
+        ws.send(0x9, 'hello');
+        ws.send(0x0, REPORT.slice(10, 20), false);
+        ws.send(0x0, REPORT.slice(20), true);
+        await waitFor(() => shadeOnline(server), 'the shade to register');
+        assert.strictEqual((await server.request('GET', `/api/shades/${CHIP}`)).body.rawPosition, 500);
+        const pong = ws.frames.find(f => f.opcode === 0xA);
+        assert.strictEqual(pong && pong.payload.toString(), 'hello');
+    } finally {
+        ws.close();
+    }
+}));
+
+test('closes with 1002 or 1007 on protocol errors', () => withServer({}, async ({ server }) => {
+    const cases = [
+        ['an unmasked frame', ws => ws.socket.write(Buffer.concat([Buffer.from([0x81, REPORT.length]), Buffer.from(REPORT)])), 1002],
+        ['a continuation with nothing to continue', ws => ws.send(0x0, REPORT), 1002],
+        ['a new message inside a fragmented one', ws => { ws.send(0x1, '{', false); ws.send(0x1, REPORT); }, 1002],
+        ['a reserved opcode', ws => ws.send(0x3, '?'), 1002],
+        ['a fragmented ping', ws => ws.send(0x9, 'ping', false), 1002],
+        ['text that is not UTF-8', ws => ws.send(0x1, Buffer.from([0x7B, 0xC3, 0x28, 0x7D])), 1007]
+    ];
+    for (const [what, send, code] of cases) {
+        const ws = await openWebSocket(server.port, '/');
+        send(ws);
+        assert.strictEqual((await ws.closed).code, code, what);
+    }
+    assert.strictEqual((await server.request('GET', `/api/shades/${CHIP}`)).status, 404);
+}));
+
+test('echoes the close code a shade sends and records it', () => withServer({}, async ({ server }) => {
+    const ws = await openWebSocket(server.port, '/');
+    ws.sendText(REPORT);
+    await waitFor(() => shadeOnline(server), 'the shade to register');
+
+    const payload = Buffer.alloc(2 + 'rebooting'.length);
+    payload.writeUInt16BE(1001, 0);
+    payload.write('rebooting', 2);
+    ws.send(0x8, payload);
+    assert.strictEqual((await ws.closed).code, 1001);
+
+    await waitFor(async () => !(await shadeOnline(server)), 'the shade to go offline');
+    const { lastDisconnect } = (await server.request('GET', `/api/shades/${CHIP}`)).body.connection;
+    assert.deepStrictEqual([lastDisconnect.code, lastDisconnect.reason], [1001, 'rebooting']);
+}));
+
+test('a newer connection for the same shade replaces the old one with 4000', () => withServer({}, async ({ server }) => {
+    const first = await openWebSocket(server.port, '/');
+    first.sendText(REPORT);
+    await waitFor(() => shadeOnline(server), 'the shade to register');
+
+    const second = await openWebSocket(server.port, '/');
+    try {
+        second.sendText(REPORT);
+        assert.deepStrictEqual(await first.closed, { code: 4000, reason: 'Replaced by a newer connection' });
+        assert.ok(await shadeOnline(server), 'the shade went offline');
+        assert.strictEqual((await server.request('GET', `/api/shades/${CHIP}`)).body.connection.reconnects, 1);
+    } finally {
+        second.close();
+    }
+}));
+
+test('pings shades, measures the round trip and drops one that stops answering', () => withServer({ env: { WS_PING_INTERVAL_MS: '1000', WS_PING_TIMEOUT_MS: '1000' } }, async ({ server }) => {
+    const ws = await openWebSocket(server.port, '/');
+    try {
+        ws.sendText(REPORT);
+        await waitFor(async () => (await server.request('GET', `/api/shades/${CHIP}`)).body.connection.lastPongAt, 'a pong', 5000);
+        const { connection } = (await server.request('GET', `/api/shades/${CHIP}`)).body;
+        assert.ok(connection.rttMs >= 0 && connection.rttMs < 1000, `rttMs ${connection.rttMs}`);
+
+        ws.answerPings = false;
+        const { code } = await ws.closed;
+        assert.strictEqual(code, null, 'a dead connection gets no close frame');
+        await waitFor(async () => !(await shadeOnline(server)), 'the shade to go offline');
+        const { lastDisconnect } = (await server.request('GET', `/api/shades/${CHIP}`)).body.connection;
+        assert.strictEqual(lastDisconnect.code, 1006);
+        assert.match(lastDisconnect.reason, /No response to ping within 1s/);
+    } finally {
+        ws.close();
+    }
+}));